@@ -0,0 +1,21 @@
+// adapters/amazon.js - Amazon results via SerpAPI
+
+const { fetchSerpApi, SEARCH_REGION } = require('./serpapi');
+const { normalizeListing } = require('./normalize');
+
+module.exports = {
+    name: 'amazon',
+
+    async search(query, { timeout } = {}) {
+        const data = await fetchSerpApi('amazon', { q: query, gl: SEARCH_REGION, hl: 'en' }, { timeout });
+
+        return (data.product_results || []).map(item => normalizeListing('amazon', {
+            title: item.title,
+            price: item.price,
+            link: item.link,
+            source: 'Amazon',
+            thumbnail: item.thumbnail || item.image,
+            rating: item.rating
+        }));
+    }
+};
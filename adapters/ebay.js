@@ -0,0 +1,24 @@
+// adapters/ebay.js - eBay results via SerpAPI
+
+const { fetchSerpApi, SEARCH_REGION } = require('./serpapi');
+const { normalizeListing } = require('./normalize');
+
+module.exports = {
+    name: 'ebay',
+
+    async search(query, { timeout } = {}) {
+        const data = await fetchSerpApi('ebay', { q: query, gl: SEARCH_REGION, hl: 'en' }, { timeout });
+
+        return (data.organic_results || [])
+            .filter(item => item.price && item.thumbnail)
+            .map(item => normalizeListing('ebay', {
+                title: item.title,
+                price: typeof item.price === 'object' ? item.price.raw : item.price, // eBay sends { raw, extracted }
+                currency: 'USD', // eBay lists in dollars even for gl=in
+                link: item.link,
+                source: 'eBay',
+                thumbnail: item.thumbnail,
+                rating: item.rating // eBay results might not have rating
+            }));
+    }
+};
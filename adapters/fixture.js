@@ -0,0 +1,31 @@
+// adapters/fixture.js - Offline stand-in adapter backed by JSON fixtures
+// Lets the whole search pipeline run without SerpAPI (SEARCH_ADAPTERS=fixture).
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeListing } = require('./normalize');
+const { analyzeQuery, scoreTitle } = require('../lib/ranking');
+
+const FIXTURE_DIR = process.env.SEARCH_FIXTURE_DIR || path.join(__dirname, '..', 'fixtures', 'search');
+
+function loadFixtureListings() {
+    return fs.readdirSync(FIXTURE_DIR)
+        .filter(file => file.endsWith('.json'))
+        .flatMap(file => JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8')));
+}
+
+module.exports = {
+    name: 'fixture',
+    upstream: false, // Doesn't count against the upstream budget
+
+    // A listing is returned when any query term is found in its title the way
+    // lib/ranking.js finds it: exactly, joined or split ("iphone15" for
+    // "iPhone 15"), or with a typo. Ranking then orders them as for real stores.
+    async search(query) {
+        const intent = analyzeQuery(query);
+        // Fixtures are re-read on every search so they can be edited while the server runs
+        return loadFixtureListings()
+            .filter(item => scoreTitle(item.title, intent).terms.some(term => term.match))
+            .map(item => normalizeListing('fixture', item));
+    }
+};
@@ -0,0 +1,27 @@
+// adapters/googleShopping.js - Google Shopping results via SerpAPI
+
+const { fetchSerpApi, SEARCH_REGION } = require('./serpapi');
+const { normalizeListing } = require('./normalize');
+
+module.exports = {
+    name: 'google_shopping',
+
+    async search(query, { timeout } = {}) {
+        const data = await fetchSerpApi('google_shopping', {
+            q: query,
+            location: 'India',
+            google_domain: 'google.co.in',
+            gl: SEARCH_REGION,
+            hl: 'en'
+        }, { timeout });
+
+        return (data.shopping_results || []).map(item => normalizeListing('google_shopping', {
+            title: item.title,
+            price: item.price,
+            link: item.product_link,
+            source: item.source,
+            thumbnail: item.thumbnail,
+            rating: item.rating
+        }));
+    }
+};
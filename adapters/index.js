@@ -0,0 +1,109 @@
+// adapters/index.js - Retailer adapter registry and parallel search
+//
+// Every adapter exports { name, search(query, { timeout }) } and resolves to an
+// array of listings in the shape described in normalize.js. Which adapters run
+// is chosen per deployment with SEARCH_ADAPTERS (comma separated names).
+
+const { isUsableListing } = require('./normalize');
+const { metrics } = require('../lib/metrics');
+
+const logger = require('../lib/logger').logger.child({ module: 'adapters' });
+
+const ADAPTERS = {
+    google_shopping: require('./googleShopping'),
+    amazon: require('./amazon'),
+    ebay: require('./ebay'),
+    fixture: require('./fixture')
+};
+
+const DEFAULT_ADAPTERS = 'google_shopping,amazon,ebay';
+const ADAPTER_TIMEOUT_MS = parseInt(process.env.ADAPTER_TIMEOUT_MS, 10) || 15000;
+
+function getEnabledAdapters() {
+    const names = (process.env.SEARCH_ADAPTERS || DEFAULT_ADAPTERS)
+        .split(',')
+        .map(name => name.trim())
+        .filter(name => name.length > 0);
+
+    const unknown = names.filter(name => !ADAPTERS[name]);
+    if (unknown.length > 0) {
+        logger.warn('Ignoring unknown search adapters', { adapters: unknown });
+    }
+    return names.filter(name => ADAPTERS[name]).map(name => ADAPTERS[name]);
+}
+
+// Number of paid upstream requests one search across the enabled adapters makes
+function getUpstreamCost(adapters = getEnabledAdapters()) {
+    return adapters.filter(adapter => adapter.upstream !== false).length;
+}
+
+// Rejects if the adapter hasn't answered within timeoutMs
+function withTimeout(promise, timeoutMs, adapterName) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            const err = new Error(`${adapterName} timed out after ${timeoutMs}ms`);
+            err.timedOut = true;
+            reject(err);
+        }, timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// One adapter search, timed and counted per adapter for /metrics
+async function timedSearch(adapter, query, timeoutMs) {
+    const started = process.hrtime.bigint();
+    const seconds = () => Number(process.hrtime.bigint() - started) / 1e9;
+    logger.debug('Fetching from adapter', { adapter: adapter.name });
+    try {
+        const listings = await withTimeout(adapter.search(query, { timeout: timeoutMs }), timeoutMs, adapter.name);
+        metrics.adapterDuration.observe({ adapter: adapter.name, outcome: 'success' }, seconds());
+        return listings;
+    } catch (err) {
+        const reason = err.timedOut ? 'timeout' : 'error';
+        metrics.adapterDuration.observe({ adapter: adapter.name, outcome: reason }, seconds());
+        metrics.adapterErrors.inc({ adapter: adapter.name, reason });
+        throw err;
+    }
+}
+
+// Queries all enabled adapters concurrently and merges their listings.
+// Resolves to { products, errors } where errors lists the adapters that failed.
+async function searchAllAdapters(query, { adapters = getEnabledAdapters(), timeoutMs = ADAPTER_TIMEOUT_MS } = {}) {
+    const results = await Promise.allSettled(adapters.map(adapter => timedSearch(adapter, query, timeoutMs)));
+
+    const seen = new Set();
+    const products = [];
+    const errors = [];
+    results.forEach((result, index) => {
+        const adapterName = adapters[index].name;
+        if (result.status === 'rejected') {
+            logger.error('Error fetching from adapter', { adapter: adapterName, err: result.reason });
+            errors.push({ adapter: adapterName, error: result.reason.message });
+            return;
+        }
+        logger.debug('Adapter results', { adapter: adapterName, count: result.value.length });
+        for (const listing of result.value) {
+            if (!isUsableListing(listing) || seen.has(listing.id)) continue;
+            seen.add(listing.id);
+            products.push(listing);
+        }
+    });
+
+    return { products, errors };
+}
+
+// Re-fetches a known product by searching its title and picking the listing
+// with the same id, falling back to the same link. Resolves to null when no
+// enabled adapter returns it any more.
+async function lookupListing(product, options) {
+    const { products, errors } = await searchAllAdapters(product.title, options);
+    const match = products.find(listing => listing.id === product.id)
+        || products.find(listing => listing.link === product.link);
+    if (!match && errors.length > 0 && products.length === 0) {
+        throw new Error(errors.map(e => `${e.adapter}: ${e.error}`).join('; '));
+    }
+    return match || null;
+}
+
+module.exports = { ADAPTERS, getEnabledAdapters, getUpstreamCost, searchAllAdapters, lookupListing };
@@ -0,0 +1,40 @@
+// adapters/normalize.js - The common product shape every adapter returns
+//
+// { id, title, price, price_amount, price_currency, link, source, thumbnail, rating, adapter }
+//   id        stable products.id (base64 of title-source-link)
+//   price     retailer price string as displayed by the store
+//   price_amount / price_currency
+//             the same price parsed by lib/money.js (integer minor units and
+//             ISO currency), null when the store showed no readable price
+//   source    store name shown to the user (e.g. "Amazon", "Flipkart")
+//   adapter   name of the adapter that produced the listing
+
+const { parseMoney } = require('../lib/money');
+
+function buildProductId(title, source, link) {
+    return Buffer.from(`${title}-${source}-${link}`).toString('base64');
+}
+
+// item.currency is the adapter's guess for prices shown without a symbol
+function normalizeListing(adapterName, item) {
+    const money = parseMoney(item.price, { currency: item.currency });
+    return {
+        id: buildProductId(item.title, item.source, item.link),
+        title: (item.title || '').trim(),
+        price: item.price || null,
+        price_amount: money ? money.amount : null,
+        price_currency: money ? money.currency : null,
+        link: item.link,
+        source: item.source,
+        thumbnail: item.thumbnail || null,
+        rating: item.rating || 0,
+        adapter: adapterName
+    };
+}
+
+// Listings without a title or link can't be stored or clicked through
+function isUsableListing(listing) {
+    return Boolean(listing.title && listing.link);
+}
+
+module.exports = { buildProductId, normalizeListing, isUsableListing };
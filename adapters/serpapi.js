@@ -0,0 +1,23 @@
+// adapters/serpapi.js - Shared SerpAPI request helper for the retailer adapters
+
+const axios = require('axios');
+
+// IMPORTANT: Replace with your actual SerpAPI Key
+const SERP_API_KEY = process.env.SERP_API_KEY || '68faa49da29c44e4b8e41ac2c6f75f816fa78c5183ffc0309e6cbe945f8383c7';
+
+// Country every adapter searches in (SerpAPI `gl`); part of the search cache key
+const SEARCH_REGION = 'in';
+
+// Runs a single SerpAPI engine query and returns the raw JSON body
+async function fetchSerpApi(engine, params, { timeout } = {}) {
+    if (!SERP_API_KEY) {
+        throw new Error("Server configuration error: SerpAPI Key is missing. Please set it in your environment variables.");
+    }
+    const response = await axios.get('https://serpapi.com/search.json', {
+        params: { engine, ...params, api_key: SERP_API_KEY },
+        timeout: timeout || 15000
+    });
+    return response.data || {};
+}
+
+module.exports = { fetchSerpApi, SEARCH_REGION };
@@ -0,0 +1,225 @@
+// alerts-ui.js - Price alert modal shared by wishlist.html and cart.html
+// Lists the user's rules for one product (GET /alerts?productId=), lets them
+// add, pause/resume and delete rules, and shows when the rules fired
+// (GET /alerts/events). Needs auth.js for authFetch.
+
+const ALERTS_API = 'http://localhost:3000';
+let alertsProductId = null;
+let alertsChanged = false;
+let alertsChangedCallback = null;
+
+const ALERT_TYPE_LABELS = {
+    target_price: 'Price at or below',
+    percent_drop: 'Drops by percent',
+    all_time_low: 'New all-time low',
+    price_below: 'Drops below',
+    price_above: 'Goes back above'
+};
+
+// `callback` runs after the modal closes if any rule was added, changed or
+// deleted, so the page can refresh its alert counts
+function onAlertsChanged(callback) {
+    alertsChangedCallback = callback;
+}
+
+function ensureAlertsModal() {
+    let modal = document.getElementById('alertsModal');
+    if (modal) return modal;
+
+    modal = document.createElement('div');
+    modal.id = 'alertsModal';
+    modal.className = 'modal-overlay';
+    modal.innerHTML = `
+        <div class="modal-content alerts-modal-content">
+            <h3 id="alertsTitle">Price Alerts</h3>
+            <div id="alertsList" class="alerts-list"></div>
+            <form id="alertForm" class="alert-form">
+                <h4>New alert</h4>
+                <div class="alert-form-row">
+                    <select id="alertType" class="sort-select">
+                        ${Object.entries(ALERT_TYPE_LABELS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                    </select>
+                    <input type="number" id="alertThreshold" step="0.01" min="0" placeholder="Price">
+                </div>
+                <div class="alert-form-row">
+                    <label><input type="checkbox" id="alertRecurring" checked> Repeat</label>
+                    <label>at most every <select id="alertCooldown" class="sort-select">
+                        <option value="60">hour</option>
+                        <option value="360">6 hours</option>
+                        <option value="1440" selected>day</option>
+                        <option value="10080">week</option>
+                    </select></label>
+                </div>
+                <p id="alertsError" class="alerts-error"></p>
+                <button type="submit" class="modal-btn confirm">Add Alert</button>
+            </form>
+            <h4>Alert history</h4>
+            <div id="alertsHistory" class="alerts-history"></div>
+            <div class="modal-buttons">
+                <button class="modal-btn cancel" id="closeAlertsBtn">Close</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) hidePriceAlerts();
+    });
+    document.getElementById('closeAlertsBtn').onclick = hidePriceAlerts;
+    document.getElementById('alertType').onchange = updateAlertForm;
+    document.getElementById('alertRecurring').onchange = updateAlertForm;
+    document.getElementById('alertForm').onsubmit = (e) => {
+        e.preventDefault();
+        createPriceAlert();
+    };
+    return modal;
+}
+
+function showPriceAlerts(productId, titleEncoded, currentPrice) {
+    const modal = ensureAlertsModal();
+    alertsProductId = productId;
+    alertsChanged = false;
+    document.getElementById('alertsTitle').textContent = `Price Alerts: ${decodeURIComponent(titleEncoded || '')}`;
+    document.getElementById('alertType').value = 'target_price';
+    document.getElementById('alertThreshold').value = currentPrice > 0 ? (currentPrice * 0.9).toFixed(2) : '';
+    document.getElementById('alertsError').textContent = '';
+    updateAlertForm();
+    modal.classList.add('active');
+    loadPriceAlerts();
+}
+
+function hidePriceAlerts() {
+    const modal = document.getElementById('alertsModal');
+    if (modal) modal.classList.remove('active');
+    alertsProductId = null;
+    if (alertsChanged && alertsChangedCallback) alertsChangedCallback();
+}
+
+// Adapts the threshold input to the selected rule type
+function updateAlertForm() {
+    const type = document.getElementById('alertType').value;
+    const threshold = document.getElementById('alertThreshold');
+    threshold.style.display = type === 'all_time_low' ? 'none' : '';
+    threshold.placeholder = type === 'percent_drop' ? 'Percent' : 'Price';
+    if (type === 'percent_drop' && (threshold.value === '' || parseFloat(threshold.value) >= 100)) threshold.value = '10';
+    document.getElementById('alertCooldown').disabled = !document.getElementById('alertRecurring').checked;
+}
+
+function formatAlertTime(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleString() : 'never';
+}
+
+async function loadPriceAlerts() {
+    const list = document.getElementById('alertsList');
+    const history = document.getElementById('alertsHistory');
+    list.innerHTML = '<div class="loading-spinner"><div class="spinner"></div></div>';
+    history.innerHTML = '';
+
+    try {
+        const query = `productId=${encodeURIComponent(alertsProductId)}`;
+        const [rulesRes, eventsRes] = await Promise.all([
+            authFetch(`${ALERTS_API}/alerts?${query}`),
+            authFetch(`${ALERTS_API}/alerts/events?${query}&limit=20`)
+        ]);
+        const rules = await rulesRes.json();
+        if (!rulesRes.ok) throw new Error(rules.error || `HTTP error! status: ${rulesRes.status}`);
+        const events = await eventsRes.json();
+        if (!eventsRes.ok) throw new Error(events.error || `HTTP error! status: ${eventsRes.status}`);
+        list.innerHTML = renderAlertRules(rules);
+        history.innerHTML = renderAlertEvents(events);
+    } catch (err) {
+        console.error('Error loading price alerts:', err);
+        list.innerHTML = `<p class="error-details">${err.message}</p>`;
+    }
+}
+
+function renderAlertRules(rules) {
+    if (rules.length === 0) {
+        return '<p class="alerts-empty">No alerts for this product yet.</p>';
+    }
+    return rules.map(rule => `
+        <div class="alert-rule${rule.active ? '' : ' alert-rule-paused'}">
+            <div class="alert-rule-info">
+                <strong>${rule.description}</strong>
+                <small>${rule.recurring ? `Repeats, at most every ${rule.cooldownMinutes} min` : 'Once'} &middot; fired ${rule.triggerCount}× &middot; last ${formatAlertTime(rule.lastTriggeredAt)}</small>
+            </div>
+            <button class="alert-rule-btn" title="${rule.active ? 'Pause' : 'Resume'}" onclick="togglePriceAlert(${rule.id}, ${!rule.active})">
+                <i class="fas ${rule.active ? 'fa-pause' : 'fa-play'}"></i>
+            </button>
+            <button class="alert-rule-btn" title="Delete" onclick="deletePriceAlert(${rule.id})"><i class="fas fa-trash"></i></button>
+        </div>`).join('');
+}
+
+function renderAlertEvents(events) {
+    if (events.length === 0) {
+        return '<p class="alerts-empty">These alerts haven\'t fired yet.</p>';
+    }
+    return `<ul class="alert-events">${events.map(event => `
+        <li><span>${formatAlertTime(event.triggeredAt)}</span>${event.message} <small>(${event.notificationStatus || 'not sent'})</small></li>`).join('')}
+    </ul>`;
+}
+
+async function createPriceAlert() {
+    const error = document.getElementById('alertsError');
+    const type = document.getElementById('alertType').value;
+    const recurring = document.getElementById('alertRecurring').checked;
+    const body = {
+        productId: alertsProductId,
+        type,
+        recurring,
+        cooldownMinutes: parseInt(document.getElementById('alertCooldown').value, 10)
+    };
+    if (type !== 'all_time_low') {
+        body.threshold = parseFloat(document.getElementById('alertThreshold').value);
+        if (isNaN(body.threshold) || body.threshold <= 0) {
+            error.textContent = 'Please enter a valid value.';
+            return;
+        }
+    }
+    error.textContent = '';
+
+    try {
+        const res = await authFetch(`${ALERTS_API}/alerts`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to create alert.');
+        alertsChanged = true;
+        loadPriceAlerts();
+    } catch (err) {
+        console.error('Error creating price alert:', err);
+        error.textContent = err.message;
+    }
+}
+
+async function togglePriceAlert(ruleId, active) {
+    try {
+        const res = await authFetch(`${ALERTS_API}/alerts/${ruleId}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ active })
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to update alert.');
+        alertsChanged = true;
+        loadPriceAlerts();
+    } catch (err) {
+        console.error('Error updating price alert:', err);
+        document.getElementById('alertsError').textContent = err.message;
+    }
+}
+
+async function deletePriceAlert(ruleId) {
+    try {
+        const res = await authFetch(`${ALERTS_API}/alerts/${ruleId}`, { method: 'DELETE' });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to delete alert.');
+        alertsChanged = true;
+        loadPriceAlerts();
+    } catch (err) {
+        console.error('Error deleting price alert:', err);
+        document.getElementById('alertsError').textContent = err.message;
+    }
+}
@@ -0,0 +1,38 @@
+// auth.js - Session helpers shared by the SmartSpend pages
+// login.html stores the /login response ({ id, name, email, token, expiresAt })
+// under localStorage 'user'. Requests for the user's own data go through
+// authFetch, which sends the token as a Bearer credential.
+
+const AUTH_API = 'http://localhost:3000';
+
+// The logged-in user, or null when there is no usable session
+function getAuthUser() {
+    const user = JSON.parse(localStorage.getItem('user'));
+    if (!user || !user.token || (user.expiresAt && user.expiresAt <= Date.now())) {
+        localStorage.removeItem('user');
+        return null;
+    }
+    return user;
+}
+
+// fetch() with the session token attached. A 401 means the session expired
+// or was revoked, so the stored user is dropped.
+async function authFetch(url, options = {}) {
+    const user = getAuthUser();
+    const headers = { ...(options.headers || {}) };
+    if (user) headers.Authorization = `Bearer ${user.token}`;
+    const response = await fetch(url, { ...options, headers });
+    if (response.status === 401) {
+        localStorage.removeItem('user');
+    }
+    return response;
+}
+
+async function logout() {
+    try {
+        await authFetch(`${AUTH_API}/logout`, { method: 'POST' });
+    } catch (err) {
+        console.error('Error logging out:', err);
+    }
+    localStorage.removeItem('user');
+}
@@ -0,0 +1,33 @@
+// extractors/amazon.js - Amazon product pages (amazon.in, amazon.com)
+
+const { firstText, firstAttr } = require('./common');
+
+// Every Amazon product URL carries the ASIN after /dp/ or /gp/product/
+const ASIN_PATTERN = /\/(?:dp|gp\/product|gp\/aw\/d)\/([A-Z0-9]{10})(?:[/?]|$)/i;
+
+module.exports = {
+    name: 'amazon',
+    source: 'Amazon',
+    hosts: ['amazon.in', 'amazon.com'],
+
+    // /Some-Product-Name/dp/B0ABCDEF12/ref=sr_1_3?keywords=... -> /dp/B0ABCDEF12
+    canonicalUrl(url) {
+        const match = ASIN_PATTERN.exec(url.pathname);
+        return match ? `https://www.${url.hostname.replace(/^(www|m)\./, '')}/dp/${match[1].toUpperCase()}` : null;
+    },
+
+    extract($) {
+        return {
+            title: firstText($, ['#productTitle', '#title']),
+            price: firstText($, [
+                '#corePrice_feature_div .a-price .a-offscreen',
+                '#corePriceDisplay_desktop_feature_div .a-price .a-offscreen',
+                '#apex_desktop .a-price .a-offscreen',
+                '#priceblock_dealprice',
+                '#priceblock_ourprice'
+            ]),
+            availability: firstText($, ['#availability span', '#availability', '#outOfStock']),
+            image: firstAttr($, [['#landingImage', 'data-old-hires'], ['#landingImage', 'src'], ['#imgBlkFront', 'src']])
+        };
+    }
+};
@@ -0,0 +1,134 @@
+// extractors/common.js - Page reading helpers shared by the store extractors
+//
+// Most store pages describe their product twice: once for people (the price
+// block, the buy box) and once for crawlers (schema.org JSON-LD, OpenGraph
+// tags). Extractors try the store's own markup first and fall back on these.
+
+// Collapses whitespace; empty strings become null
+function cleanText(value) {
+    if (value === undefined || value === null) return null;
+    const text = String(value).replace(/\s+/g, ' ').trim();
+    return text || null;
+}
+
+// Text of the first selector that matches something non-empty
+function firstText($, selectors) {
+    for (const selector of selectors) {
+        const text = cleanText($(selector).first().text());
+        if (text) return text;
+    }
+    return null;
+}
+
+// Value of the first selector/attribute pair that is set: [['img#main', 'src'], ...]
+function firstAttr($, pairs) {
+    for (const [selector, attribute] of pairs) {
+        const value = cleanText($(selector).first().attr(attribute));
+        if (value) return value;
+    }
+    return null;
+}
+
+function readMeta($, name) {
+    return firstAttr($, [[`meta[property="${name}"]`, 'content'], [`meta[name="${name}"]`, 'content']]);
+}
+
+// The first schema.org Product in the page's JSON-LD blocks, including ones
+// nested in an @graph or a list. Blocks that aren't valid JSON are skipped.
+function readJsonLdProduct($) {
+    const isProduct = (node) => {
+        const type = node && node['@type'];
+        return Array.isArray(type) ? type.includes('Product') : type === 'Product';
+    };
+    const find = (node) => {
+        if (!node || typeof node !== 'object') return null;
+        if (Array.isArray(node)) {
+            for (const child of node) {
+                const found = find(child);
+                if (found) return found;
+            }
+            return null;
+        }
+        if (isProduct(node)) return node;
+        return find(node['@graph']);
+    };
+
+    for (const element of $('script[type="application/ld+json"]').toArray()) {
+        try {
+            const found = find(JSON.parse($(element).contents().text()));
+            if (found) return found;
+        } catch (err) {
+            // Stores ship broken JSON-LD now and then
+        }
+    }
+    return null;
+}
+
+// { price, currency, availability } from a JSON-LD Product's first offer
+function jsonLdOffer(product) {
+    if (!product || !product.offers) return null;
+    const offers = [].concat(product.offers);
+    const offer = offers[0] && offers[0]['@type'] === 'AggregateOffer' && offers[0].offers
+        ? [].concat(offers[0].offers)[0]
+        : offers[0];
+    if (!offer) return null;
+    const price = offer.price !== undefined ? offer.price : (offer.lowPrice !== undefined ? offer.lowPrice : offers[0].lowPrice);
+    return {
+        price: price !== undefined && price !== null && price !== '' ? String(price) : null,
+        currency: offer.priceCurrency || offers[0].priceCurrency || null,
+        availability: offer.availability || null
+    };
+}
+
+function jsonLdImage(product) {
+    if (!product || !product.image) return null;
+    const image = [].concat(product.image)[0];
+    return cleanText(typeof image === 'object' ? image.url : image);
+}
+
+// Maps store wording and schema.org URLs onto in_stock, out_of_stock,
+// preorder or unknown
+function normalizeAvailability(value) {
+    const text = (cleanText(value) || '').toLowerCase();
+    if (!text) return 'unknown';
+    if (/preorder|pre-order/.test(text)) return 'preorder';
+    if (/outofstock|out of stock|sold ?out|unavailable|discontinued|currently not available|notify me/.test(text)) return 'out_of_stock';
+    if (/instock|in stock|limitedavailability|only \d+ left|available|add to cart|buy now/.test(text)) return 'in_stock';
+    return 'unknown';
+}
+
+// A bare JSON-LD price ("1299.00") with its currency becomes "INR 1299.00" so
+// parseMoney() reads it the same way as the displayed price
+function withCurrency(price, currency) {
+    if (!price) return null;
+    return /^[\d.,\s]+$/.test(price) && currency ? `${currency} ${price.trim()}` : price;
+}
+
+// Resolves protocol-relative and relative image URLs against the page
+function absoluteUrl(value, pageUrl) {
+    if (!value) return null;
+    try {
+        return new URL(value, pageUrl).toString();
+    } catch (err) {
+        return null;
+    }
+}
+
+// The store-agnostic reading used when a store's own markup gives nothing:
+// JSON-LD first, then OpenGraph and product meta tags
+function genericProduct($) {
+    const product = readJsonLdProduct($);
+    const offer = jsonLdOffer(product);
+    return {
+        title: cleanText(product && product.name) || readMeta($, 'og:title') || cleanText($('title').first().text()),
+        price: withCurrency(offer && offer.price, offer && offer.currency)
+            || withCurrency(readMeta($, 'product:price:amount'), readMeta($, 'product:price:currency')),
+        availability: (offer && offer.availability) || readMeta($, 'product:availability'),
+        image: jsonLdImage(product) || readMeta($, 'og:image')
+    };
+}
+
+module.exports = {
+    cleanText, firstText, firstAttr, readMeta, readJsonLdProduct, jsonLdOffer, jsonLdImage,
+    normalizeAvailability, withCurrency, absoluteUrl, genericProduct
+};
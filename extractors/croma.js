@@ -0,0 +1,27 @@
+// extractors/croma.js - Croma product pages
+//
+// Croma's pages are rendered in the browser: the HTML the server sends is an
+// empty shell, so these pages go straight to the headless browser.
+
+const { firstText, firstAttr } = require('./common');
+
+module.exports = {
+    name: 'croma',
+    source: 'Croma',
+    hosts: ['croma.com'],
+    rendered: true,
+
+    // /<slug>/p/<id>
+    canonicalUrl(url) {
+        return /\/p\/\d+/.test(url.pathname) ? `https://www.croma.com${url.pathname}` : null;
+    },
+
+    extract($) {
+        return {
+            title: firstText($, ['h1.pd-title', '.pdp-title h1', 'h1']),
+            price: firstText($, ['#pdp-product-price', '.pdp-price .amount', '.new-price .amount']),
+            availability: firstText($, ['.out-of-stock-msg', '.pdp-out-of-stock', 'button#buyNowBtn', 'button.btn-addtocart']),
+            image: firstAttr($, [['.product-img img', 'src'], ['.pdp-gallery img', 'data-src'], ['.pdp-gallery img', 'src']])
+        };
+    }
+};
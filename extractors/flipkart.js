@@ -0,0 +1,31 @@
+// extractors/flipkart.js - Flipkart product pages
+//
+// Flipkart's class names are generated and change with every redesign, so the
+// page's JSON-LD is read first (by extractors/index.js) and these selectors
+// cover the current and previous layouts.
+
+const { firstText, firstAttr } = require('./common');
+
+module.exports = {
+    name: 'flipkart',
+    source: 'Flipkart',
+    hosts: ['flipkart.com'],
+
+    // Product pages are /<slug>/p/<itemId>?pid=...; everything else in the
+    // query string is tracking
+    canonicalUrl(url) {
+        if (!/\/p\/[^/]+/.test(url.pathname)) return null;
+        const pid = url.searchParams.get('pid');
+        return `https://www.flipkart.com${url.pathname}${pid ? `?pid=${encodeURIComponent(pid)}` : ''}`;
+    },
+
+    extract($) {
+        const soldOut = firstText($, ['div._16FRp0', 'div.Z8JjpR', 'div._2JC05C']);
+        return {
+            title: firstText($, ['span.VU-ZEz', 'span.B_NuCI', 'h1 span']),
+            price: firstText($, ['div.Nx9bqj.CxhGGd', 'div._30jeq3._16Jk6d', 'div._30jeq3']),
+            availability: soldOut || ($('button._2KpZ6l._2U9uOA, button.QqFHMw').length > 0 ? 'Add to cart' : null),
+            image: firstAttr($, [['img.DByuf4', 'src'], ['img._396cs4', 'src']])
+        };
+    }
+};
@@ -0,0 +1,112 @@
+// extractors/index.js - Reading a product straight from its store page
+//
+// Every extractor exports { name, source, hosts, canonicalUrl(url), extract($, url) }
+// and optionally `rendered: true` for stores whose pages are built by scripts.
+// extract() gets the page loaded into cheerio and returns whatever it finds of
+// { title, price, availability, image }; the page's JSON-LD and OpenGraph
+// tags (extractors/common.js) fill in the rest. Extractors never fetch, so
+// they can be run against saved HTML (see scripts/extract-page.js).
+
+const cheerio = require('cheerio');
+const { genericProduct, normalizeAvailability, absoluteUrl, cleanText } = require('./common');
+const { fetchPage, renderPage, rendererEnabled } = require('./pages');
+
+const EXTRACTORS = {
+    amazon: require('./amazon'),
+    flipkart: require('./flipkart'),
+    croma: require('./croma'),
+    myntra: require('./myntra')
+};
+
+// Parses a pasted URL; null unless it's http(s)
+function parseProductUrl(input) {
+    if (typeof input !== 'string') return null;
+    try {
+        const url = new URL(input.trim());
+        return ['http:', 'https:'].includes(url.protocol) ? url : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+// The extractor for a store's URL: www., m. and other subdomains match too
+function findExtractor(url) {
+    const host = url.hostname.toLowerCase();
+    return Object.values(EXTRACTORS)
+        .find(extractor => extractor.hosts.some(domain => host === domain || host.endsWith(`.${domain}`))) || null;
+}
+
+function supportedStores() {
+    return Object.values(EXTRACTORS).map(extractor => ({ name: extractor.name, source: extractor.source, hosts: extractor.hosts }));
+}
+
+// Runs an extractor over a page's HTML. Returns
+// { title, price, availability, image }: availability is one of in_stock,
+// out_of_stock, preorder or unknown; missing fields are null.
+function extractFromHtml(extractor, html, pageUrl) {
+    const $ = cheerio.load(html);
+    const own = extractor.extract($, pageUrl) || {};
+    const generic = genericProduct($);
+    return {
+        title: cleanText(own.title) || generic.title,
+        price: cleanText(own.price) || generic.price,
+        availability: normalizeAvailability(own.availability || generic.availability),
+        image: absoluteUrl(own.image || generic.image, pageUrl.toString())
+    };
+}
+
+// A page is read in full once it has a title and a price, or says the
+// product is out of stock (those pages often show no price)
+function isComplete(page) {
+    return Boolean(page.title && (page.price || page.availability === 'out_of_stock'));
+}
+
+// The rendered reading wins; fields only the HTML as sent had are kept
+function mergePages(sent, rendered) {
+    return {
+        title: rendered.title || sent.title,
+        price: rendered.price || sent.price,
+        availability: rendered.availability !== 'unknown' ? rendered.availability : sent.availability,
+        image: rendered.image || sent.image
+    };
+}
+
+// Loads and reads a product page. The HTML as sent is tried first; when that
+// fails or leaves the title or price out, the page is rendered in a headless
+// browser and read again. Stores marked `rendered` skip the first attempt.
+// Resolves to the extracted fields plus { link, source, extractor, rendered },
+// where link is the store's canonical product URL. Rejects when the page
+// couldn't be loaded at all.
+async function extractProduct(input, { timeout } = {}) {
+    const url = typeof input === 'string' ? parseProductUrl(input) : input;
+    const extractor = url && findExtractor(url);
+    if (!extractor) throw new Error(`No extractor for ${input}`);
+    const link = extractor.canonicalUrl(url) || `${url.origin}${url.pathname}`;
+    const canRender = rendererEnabled();
+
+    let page = null;
+    let lastError = null;
+    if (!extractor.rendered || !canRender) {
+        try {
+            page = extractFromHtml(extractor, await fetchPage(link, { timeout }), url);
+        } catch (err) {
+            lastError = err;
+        }
+    }
+
+    let rendered = false;
+    if ((!page || !isComplete(page)) && canRender) {
+        try {
+            const renderedPage = extractFromHtml(extractor, await renderPage(link, { timeout }), url);
+            page = page ? mergePages(page, renderedPage) : renderedPage;
+            rendered = true;
+        } catch (err) {
+            lastError = err;
+        }
+    }
+
+    if (!page) throw lastError;
+    return { ...page, link, source: extractor.source, extractor: extractor.name, rendered };
+}
+
+module.exports = { EXTRACTORS, parseProductUrl, findExtractor, supportedStores, extractFromHtml, extractProduct, isComplete };
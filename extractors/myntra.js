@@ -0,0 +1,46 @@
+// extractors/myntra.js - Myntra product pages
+//
+// Myntra renders its pages in the browser from a JSON blob the server embeds
+// as `window.__myx = {...}`; reading the blob works without running scripts.
+
+const { cleanText } = require('./common');
+
+function readPdpData($) {
+    for (const element of $('script').toArray()) {
+        const source = $(element).contents().text();
+        const start = source.indexOf('window.__myx');
+        if (start === -1) continue;
+        const json = source.slice(source.indexOf('=', start) + 1).trim().replace(/;\s*$/, '');
+        try {
+            return JSON.parse(json).pdpData || null;
+        } catch (err) {
+            return null;
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    name: 'myntra',
+    source: 'Myntra',
+    hosts: ['myntra.com'],
+
+    // /<category>/<brand>/<slug>/<styleId>/buy
+    canonicalUrl(url) {
+        return /\/\d+\/buy\/?$/.test(url.pathname) ? `https://www.myntra.com${url.pathname.replace(/\/$/, '')}` : null;
+    },
+
+    extract($) {
+        const pdp = readPdpData($);
+        if (!pdp) return {};
+        const album = pdp.media && pdp.media.albums && pdp.media.albums[0];
+        const image = album && album.images && album.images[0];
+        const price = pdp.price && (pdp.price.discounted || pdp.price.mrp);
+        return {
+            title: cleanText(pdp.name),
+            price: price ? `₹${price}` : null,
+            availability: pdp.flags ? (pdp.flags.outOfStock ? 'out of stock' : 'in stock') : null,
+            image: image ? cleanText(image.imageURL || image.src) : null
+        };
+    }
+};
@@ -0,0 +1,76 @@
+// extractors/pages.js - Loading product pages, as sent and as rendered
+//
+// PAGE_SOURCE=web (default) downloads pages; PAGE_SOURCE=fixture serves saved
+// HTML from fixtures/pages (PAGE_FIXTURE_DIR) instead, so extraction can be
+// tried offline. pages.json there maps each URL to its saved HTML:
+//   { "https://...": { "html": "store-item.html", "rendered": "store-item.rendered.html" } }
+// `rendered` is what the page looks like after its scripts ran.
+//
+// PAGE_RENDERER=puppeteer (default) renders pages that need a browser in
+// headless Chrome; PAGE_RENDERER=none turns that off.
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const FIXTURE_DIR = process.env.PAGE_FIXTURE_DIR || path.join(__dirname, '..', 'fixtures', 'pages');
+const PAGE_TIMEOUT_MS = parseInt(process.env.PAGE_TIMEOUT_MS, 10) || 15000;
+
+// Stores answer bare HTTP clients with captchas or 403s
+const BROWSER_HEADERS = {
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36',
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+    'Accept-Language': 'en-IN,en;q=0.9'
+};
+
+function usingFixtures() {
+    return (process.env.PAGE_SOURCE || 'web').trim() === 'fixture';
+}
+
+function rendererEnabled() {
+    return (process.env.PAGE_RENDERER || 'puppeteer').trim() !== 'none';
+}
+
+// Fixtures are re-read on every request so they can be edited while the server runs
+function readFixture(url, kind) {
+    const manifest = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, 'pages.json'), 'utf8'));
+    const entry = manifest[url];
+    if (!entry || !entry[kind]) {
+        throw new Error(`No saved ${kind === 'rendered' ? 'rendered page' : 'page'} for ${url}`);
+    }
+    return fs.readFileSync(path.join(FIXTURE_DIR, entry[kind]), 'utf8');
+}
+
+// The HTML the store's server sends
+async function fetchPage(url, { timeout = PAGE_TIMEOUT_MS } = {}) {
+    if (usingFixtures()) return readFixture(url, 'html');
+    const response = await axios.get(url, { headers: BROWSER_HEADERS, timeout, maxRedirects: 5, responseType: 'text' });
+    return String(response.data);
+}
+
+// The page's HTML after its scripts ran. Images, fonts and media are skipped
+// since only the DOM is read.
+async function renderPage(url, { timeout = PAGE_TIMEOUT_MS } = {}) {
+    if (usingFixtures()) return readFixture(url, 'rendered');
+    const puppeteer = require('puppeteer');
+    const browser = await puppeteer.launch({
+        headless: true,
+        // Chrome refuses to start its sandbox as root, as in most containers
+        args: process.getuid && process.getuid() === 0 ? ['--no-sandbox'] : []
+    });
+    try {
+        const page = await browser.newPage();
+        await page.setUserAgent(BROWSER_HEADERS['User-Agent']);
+        await page.setRequestInterception(true);
+        page.on('request', (request) => {
+            if (['image', 'font', 'media'].includes(request.resourceType())) request.abort();
+            else request.continue();
+        });
+        await page.goto(url, { waitUntil: 'networkidle2', timeout });
+        return await page.content();
+    } finally {
+        await browser.close();
+    }
+}
+
+module.exports = { fetchPage, renderPage, rendererEnabled, PAGE_TIMEOUT_MS };
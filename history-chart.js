@@ -0,0 +1,133 @@
+// history-chart.js - Price history modal shared by wishlist.html and cart.html
+// Fetches GET /products/:id/history and draws an SVG chart (min-max band,
+// average and closing price) with the summary stats underneath.
+
+const HISTORY_API = 'http://localhost:3000';
+let historyProductId = null;
+let historyCurrency = 'INR'; // set from each history response
+
+function ensureHistoryModal() {
+    let modal = document.getElementById('historyModal');
+    if (modal) return modal;
+
+    modal = document.createElement('div');
+    modal.id = 'historyModal';
+    modal.className = 'modal-overlay';
+    modal.innerHTML = `
+        <div class="modal-content history-modal-content">
+            <h3 id="historyTitle">Price History</h3>
+            <div class="history-controls">
+                <select id="historyRange" class="sort-select">
+                    <option value="30d">Last 30 days</option>
+                    <option value="90d" selected>Last 90 days</option>
+                    <option value="1y">Last year</option>
+                    <option value="all">All time</option>
+                </select>
+                <select id="historyBucket" class="sort-select">
+                    <option value="daily" selected>Daily</option>
+                    <option value="weekly">Weekly</option>
+                </select>
+            </div>
+            <div id="historyChart" class="history-chart"></div>
+            <div id="historyStats" class="history-stats"></div>
+            <div class="modal-buttons">
+                <button class="modal-btn cancel" id="closeHistoryBtn">Close</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) hidePriceHistory();
+    });
+    document.getElementById('closeHistoryBtn').onclick = hidePriceHistory;
+    document.getElementById('historyRange').onchange = loadPriceHistory;
+    document.getElementById('historyBucket').onchange = loadPriceHistory;
+    return modal;
+}
+
+function showPriceHistory(productId, titleEncoded) {
+    const modal = ensureHistoryModal();
+    historyProductId = productId;
+    document.getElementById('historyTitle').textContent = decodeURIComponent(titleEncoded || '') || 'Price History';
+    modal.classList.add('active');
+    loadPriceHistory();
+}
+
+function hidePriceHistory() {
+    const modal = document.getElementById('historyModal');
+    if (modal) modal.classList.remove('active');
+    historyProductId = null;
+}
+
+async function loadPriceHistory() {
+    const chart = document.getElementById('historyChart');
+    const stats = document.getElementById('historyStats');
+    const range = document.getElementById('historyRange').value;
+    const bucket = document.getElementById('historyBucket').value;
+    chart.innerHTML = '<div class="loading-spinner"><div class="spinner"></div></div>';
+    stats.innerHTML = '';
+
+    try {
+        const res = await fetch(`${HISTORY_API}/products/${encodeURIComponent(historyProductId)}/history?range=${range}&bucket=${bucket}`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP error! status: ${res.status}`);
+        historyCurrency = data.currency || 'INR';
+        chart.innerHTML = renderHistoryChart(data.points);
+        stats.innerHTML = renderHistoryStats(data.summary);
+    } catch (err) {
+        console.error('Error loading price history:', err);
+        chart.innerHTML = `<p class="error-details">${err.message}</p>`;
+    }
+}
+
+function formatHistoryPrice(value) {
+    return value === null || value === undefined ? 'N/A' : Number(value).toLocaleString('en-IN', { style: 'currency', currency: historyCurrency, maximumFractionDigits: 2 });
+}
+
+function renderHistoryChart(points) {
+    if (!points || points.length === 0) {
+        return '<p class="history-empty">No price observations in this range yet.</p>';
+    }
+    const width = 420, height = 180, pad = 30;
+    const low = Math.min(...points.map(p => p.min));
+    const high = Math.max(...points.map(p => p.max));
+    const span = high - low || 1;
+    const x = (i) => points.length === 1 ? width / 2 : pad + (i * (width - 2 * pad)) / (points.length - 1);
+    const y = (v) => height - pad - ((v - low) / span) * (height - 2 * pad);
+
+    const band = points.map((p, i) => `${x(i)},${y(p.max)}`)
+        .concat(points.slice().reverse().map((p, i) => `${x(points.length - 1 - i)},${y(p.min)}`))
+        .join(' ');
+    const line = (key) => points.map((p, i) => `${x(i)},${y(p[key])}`).join(' ');
+    const first = new Date(points[0].start).toLocaleDateString();
+    const last = new Date(points[points.length - 1].start).toLocaleDateString();
+
+    return `
+        <svg viewBox="0 0 ${width} ${height}" class="history-svg" role="img" aria-label="Price history chart">
+            <polygon points="${band}" class="history-band"></polygon>
+            <polyline points="${line('avg')}" class="history-avg"></polyline>
+            <polyline points="${line('last')}" class="history-last"></polyline>
+            ${points.map((p, i) => `<circle cx="${x(i)}" cy="${y(p.last)}" r="2.5" class="history-dot"><title>${new Date(p.start).toLocaleDateString()}: ${formatHistoryPrice(p.last)} (min ${formatHistoryPrice(p.min)}, max ${formatHistoryPrice(p.max)})</title></circle>`).join('')}
+            <text x="${pad}" y="${pad - 10}" class="history-axis">${formatHistoryPrice(high)}</text>
+            <text x="${pad}" y="${height - 8}" class="history-axis">${formatHistoryPrice(low)}</text>
+            <text x="${width - pad}" y="${height - 8}" class="history-axis" text-anchor="end">${first} – ${last}</text>
+        </svg>
+        <div class="history-legend"><span class="legend-last">Closing price</span><span class="legend-avg">Average</span><span class="legend-band">Min–max</span></div>
+    `;
+}
+
+function renderHistoryStats(summary) {
+    if (!summary) return '';
+    const stat = (label, value) => `<div class="history-stat"><span>${label}</span><strong>${value}</strong></div>`;
+    return [
+        stat('Current', formatHistoryPrice(summary.current)),
+        stat('All-time low', `${formatHistoryPrice(summary.allTimeLow)} <small>(${new Date(summary.allTimeLowAt).toLocaleDateString()})</small>`),
+        stat('30-day low', formatHistoryPrice(summary.low30d)),
+        stat('30-day average', formatHistoryPrice(summary.avg30d)),
+        stat('All-time high', formatHistoryPrice(summary.allTimeHigh)),
+        stat('Above all-time low', `${summary.percentAboveLow}%`),
+        stat('Volatility', `${summary.volatility}%`),
+        stat('Observations', summary.observations)
+    ].join('');
+}
@@ -0,0 +1,61 @@
+// lib/adminStats.js - Counts behind the admin page
+//
+// One snapshot of how much the service holds and how its background work is
+// doing: customers, stored products and price history, alert rules and
+// firings, the notification outbox, price refresh jobs and today's upstream
+// usage. Everything is counted live, so keep it to indexed or small tables.
+
+const { dbGet, dbAll } = require('./db');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function createAdminStats({ db, upstreamQuota }) {
+    async function count(sql, params = []) {
+        const row = await dbGet(db, sql, params);
+        return row ? row.count : 0;
+    }
+
+    async function countByStatus(table) {
+        const rows = await dbAll(db, `SELECT status, COUNT(*) AS count FROM ${table} GROUP BY status`);
+        return Object.fromEntries(rows.map(row => [row.status, row.count]));
+    }
+
+    async function collect(now = Date.now()) {
+        const since = now - DAY;
+        return {
+            generatedAt: new Date(now).toISOString(),
+            users: {
+                total: await count(`SELECT COUNT(*) AS count FROM customers`),
+                verified: await count(`SELECT COUNT(*) AS count FROM customers WHERE email_verified_at IS NOT NULL`),
+                activeSessions: await count(`SELECT COUNT(*) AS count FROM sessions WHERE revoked_at IS NULL AND expires_at > ?`, [now])
+            },
+            products: {
+                total: await count(`SELECT COUNT(*) AS count FROM products`),
+                canonical: await count(`SELECT COUNT(*) AS count FROM canonical_products`),
+                trackedByUrl: await count(`SELECT COUNT(*) AS count FROM products WHERE extractor IS NOT NULL`)
+            },
+            priceHistory: {
+                rows: await count(`SELECT COUNT(*) AS count FROM price_history`),
+                last24h: await count(`SELECT COUNT(*) AS count FROM price_history WHERE timestamp >= ?`, [since])
+            },
+            alerts: {
+                rules: await count(`SELECT COUNT(*) AS count FROM alert_rules`),
+                activeRules: await count(`SELECT COUNT(*) AS count FROM alert_rules WHERE active = 1`),
+                events: await count(`SELECT COUNT(*) AS count FROM alert_events`),
+                eventsLast24h: await count(`SELECT COUNT(*) AS count FROM alert_events WHERE triggered_at >= ?`, [since])
+            },
+            notifications: await countByStatus('notification_outbox'),
+            refreshJobs: {
+                total: await count(`SELECT COUNT(*) AS count FROM refresh_jobs`),
+                due: await count(`SELECT COUNT(*) AS count FROM refresh_jobs WHERE next_run_at <= ?`, [now]),
+                failing: await count(`SELECT COUNT(*) AS count FROM refresh_jobs WHERE failure_count > 0`)
+            },
+            purchases: await count(`SELECT COUNT(*) AS count FROM purchases`),
+            upstream: await upstreamQuota.getUsage()
+        };
+    }
+
+    return { collect };
+}
+
+module.exports = { createAdminStats };
@@ -0,0 +1,266 @@
+// lib/alerts.js - User-defined price alert rules
+//
+// A rule in `alert_rules` watches one stored offer for one user. Types:
+//   target_price     price is at or below `threshold`
+//   percent_drop     price is `threshold` percent or more below `baseline_price`
+//                    (the price when the rule was created)
+//   all_time_low     price is below `baseline_price`, the lowest price seen so
+//                    far; the baseline follows each new low
+//   price_below      price crosses from at/above `threshold` to below it
+//   price_above      price crosses from at/below `threshold` to above it
+// target_price and percent_drop fire whenever the condition holds, the two
+// crossing types only on the observation where the price crosses. Recurring
+// rules fire again once `cooldown_minutes` have passed; one-shot rules switch
+// themselves off. Every firing is kept in `alert_events` and handed to the
+// notification service as a `price_alert`. Thresholds and baselines are in
+// the base currency (lib/money.js), whatever currency the store lists in.
+
+const { dbRun, dbGet, dbAll } = require('./db');
+const { parseMoney, storedMoney, baseValue, formatBase } = require('./money');
+const { metrics } = require('./metrics');
+
+const logger = require('./logger').logger.child({ module: 'alerts' });
+
+const RULE_TYPES = ['target_price', 'percent_drop', 'all_time_low', 'price_below', 'price_above'];
+const DEFAULT_COOLDOWN_MINUTES = 24 * 60;
+
+// Returns an error message for invalid rule input, or null.
+// `partial` validates only the fields present (for updates).
+function validateRule(input, { partial = false } = {}) {
+    if (!partial || input.type !== undefined) {
+        if (!RULE_TYPES.includes(input.type)) return `type must be one of: ${RULE_TYPES.join(', ')}`;
+    }
+    const needsThreshold = input.type !== 'all_time_low';
+    if (input.threshold !== undefined || (!partial && needsThreshold)) {
+        const threshold = Number(input.threshold);
+        if (!isFinite(threshold) || threshold <= 0) return 'threshold must be a positive number.';
+        if (input.type === 'percent_drop' && threshold >= 100) return 'percent_drop threshold must be below 100.';
+    }
+    if (input.cooldownMinutes !== undefined) {
+        const cooldown = Number(input.cooldownMinutes);
+        if (!isFinite(cooldown) || cooldown < 0) return 'cooldownMinutes must be zero or a positive number.';
+    }
+    return null;
+}
+
+// Human-readable description of a rule, used in the UI and in alert emails
+function describeRule(rule) {
+    switch (rule.type) {
+        case 'target_price': return `Price at or below ${formatBase(rule.threshold)}`;
+        case 'percent_drop': return `Price ${rule.threshold}% below ${formatBase(rule.baseline_price)}`;
+        case 'all_time_low': return 'New all-time low price';
+        case 'price_below': return `Price drops below ${formatBase(rule.threshold)}`;
+        case 'price_above': return `Price goes back above ${formatBase(rule.threshold)}`;
+        default: return rule.type;
+    }
+}
+
+// Whether `rule` fires at `price`, given the last price the rule saw
+function isTriggered(rule, price) {
+    const previous = rule.last_seen_price;
+    switch (rule.type) {
+        case 'target_price': return price <= rule.threshold;
+        case 'percent_drop': return rule.baseline_price > 0 && price <= rule.baseline_price * (1 - rule.threshold / 100);
+        case 'all_time_low': return rule.baseline_price !== null && price < rule.baseline_price;
+        case 'price_below': return previous !== null && previous >= rule.threshold && price < rule.threshold;
+        case 'price_above': return previous !== null && previous <= rule.threshold && price > rule.threshold;
+        default: return false;
+    }
+}
+
+// notify(userId, type, data) is the notification service's notify().
+// onTriggered(rule, message), if given, runs after a firing is recorded and
+// the rule updated (a one-shot rule is inactive by then).
+function createAlertService({ db, notify, onTriggered = null }) {
+    function toRule(row) {
+        return {
+            id: row.id,
+            productId: row.product_id,
+            type: row.type,
+            threshold: row.threshold,
+            baselinePrice: row.baseline_price,
+            recurring: !!row.recurring,
+            cooldownMinutes: row.cooldown_minutes,
+            active: !!row.active,
+            lastTriggeredAt: row.last_triggered_at,
+            triggerCount: row.trigger_count,
+            createdAt: row.created_at,
+            description: describeRule(row),
+            product: row.title !== undefined ? { title: row.title, price: row.last_price, link: row.link } : undefined
+        };
+    }
+
+    async function getRuleRow(userId, ruleId) {
+        return dbGet(db, `SELECT a.*, p.title, p.last_price, p.link FROM alert_rules a JOIN products p ON p.id = a.product_id
+            WHERE a.id = ? AND a.user_id = ?`, [ruleId, userId]);
+    }
+
+    async function listRules(userId, { productId } = {}) {
+        const rows = await dbAll(db, `SELECT a.*, p.title, p.last_price, p.link FROM alert_rules a JOIN products p ON p.id = a.product_id
+            WHERE a.user_id = ? ${productId ? 'AND a.product_id = ?' : ''} ORDER BY a.created_at DESC`,
+            productId ? [userId, productId] : [userId]);
+        return rows.map(toRule);
+    }
+
+    // Resolves to the rule, or null when the user has no such rule
+    async function getRule(userId, ruleId) {
+        const row = await getRuleRow(userId, ruleId);
+        return row ? toRule(row) : null;
+    }
+
+    // Resolves to the new rule, or null when the product isn't stored
+    async function createRule(userId, { productId, type, threshold, recurring = true, cooldownMinutes = DEFAULT_COOLDOWN_MINUTES }) {
+        const product = await dbGet(db, `SELECT id, last_price, price_amount, price_currency FROM products WHERE id = ?`, [productId]);
+        if (!product) return null;
+        const current = baseValue(storedMoney(product));
+
+        let baseline = null;
+        if (type === 'percent_drop') {
+            baseline = current;
+        } else if (type === 'all_time_low') {
+            const history = await dbAll(db, `SELECT price, price_amount, price_currency FROM price_history WHERE product_id = ?`, [productId]);
+            const prices = history.map(row => baseValue(storedMoney(row))).filter(value => value !== null);
+            baseline = prices.length > 0 ? Math.min(...prices) : current;
+        }
+
+        const now = Date.now();
+        const { lastID } = await dbRun(db, `INSERT INTO alert_rules
+                (user_id, product_id, type, threshold, baseline_price, last_seen_price, recurring, cooldown_minutes, active, trigger_count, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1, 0, ?, ?)`,
+            [userId, productId, type, type === 'all_time_low' ? null : Number(threshold), baseline, current,
+                recurring ? 1 : 0, Number(cooldownMinutes), now, now]);
+        return toRule(await getRuleRow(userId, lastID));
+    }
+
+    // Resolves to the updated rule, or null when the user has no such rule
+    async function updateRule(userId, ruleId, changes) {
+        const row = await getRuleRow(userId, ruleId);
+        if (!row) return null;
+        const next = {
+            threshold: changes.threshold !== undefined ? Number(changes.threshold) : row.threshold,
+            recurring: changes.recurring !== undefined ? (changes.recurring ? 1 : 0) : row.recurring,
+            cooldown: changes.cooldownMinutes !== undefined ? Number(changes.cooldownMinutes) : row.cooldown_minutes,
+            active: changes.active !== undefined ? (changes.active ? 1 : 0) : row.active
+        };
+        await dbRun(db, `UPDATE alert_rules SET threshold = ?, recurring = ?, cooldown_minutes = ?, active = ?, updated_at = ? WHERE id = ?`,
+            [row.type === 'all_time_low' ? null : next.threshold, next.recurring, next.cooldown, next.active, Date.now(), ruleId]);
+        return toRule(await getRuleRow(userId, ruleId));
+    }
+
+    // A cart reminder price is the one-shot target_price rule on the product:
+    // setting it again changes that rule (and switches it back on) instead of
+    // adding another. Resolves to the rule, or null when the product isn't stored.
+    async function setReminder(userId, productId, threshold) {
+        const existing = await dbGet(db, `SELECT id FROM alert_rules
+            WHERE user_id = ? AND product_id = ? AND type = 'target_price' AND recurring = 0
+            ORDER BY active DESC, created_at DESC, id DESC LIMIT 1`, [userId, productId]);
+        if (!existing) {
+            return createRule(userId, { productId, type: 'target_price', threshold, recurring: false });
+        }
+        return updateRule(userId, existing.id, { threshold, active: true });
+    }
+
+    // Resolves to the deleted rule, or null when the user has no such rule
+    async function deleteRule(userId, ruleId) {
+        const row = await getRuleRow(userId, ruleId);
+        if (!row) return null;
+        await dbRun(db, `DELETE FROM alert_events WHERE rule_id = ?`, [ruleId]);
+        await dbRun(db, `DELETE FROM alert_rules WHERE id = ?`, [ruleId]);
+        return toRule(row);
+    }
+
+    async function listEvents(userId, { productId, ruleId, limit = 50 } = {}) {
+        const filters = ['e.user_id = ?'];
+        const params = [userId];
+        if (productId) { filters.push('e.product_id = ?'); params.push(productId); }
+        if (ruleId) { filters.push('e.rule_id = ?'); params.push(ruleId); }
+        params.push(limit);
+        return dbAll(db, `SELECT e.id, e.rule_id AS ruleId, e.product_id AS productId, p.title, e.price, e.message,
+                e.notification_status AS notificationStatus, e.triggered_at AS triggeredAt
+            FROM alert_events e JOIN products p ON p.id = e.product_id
+            WHERE ${filters.join(' AND ')} ORDER BY e.triggered_at DESC, e.id DESC LIMIT ?`, params);
+    }
+
+    async function fire(rule, product, price, now) {
+        const message = `${describeRule(rule)}: now ${product.last_price}`;
+        let notificationStatus;
+        try {
+            notificationStatus = await notify(rule.user_id, 'price_alert', {
+                title: product.title, price: product.last_price, link: product.link, reason: describeRule(rule)
+            });
+        } catch (err) {
+            logger.error('Error notifying alert', { ruleId: rule.id, err });
+            notificationStatus = 'error';
+        }
+        await dbRun(db, `INSERT INTO alert_events (rule_id, user_id, product_id, price, message, notification_status, triggered_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)`, [rule.id, rule.user_id, rule.product_id, price, message, notificationStatus, now]);
+        metrics.alertsTriggered.inc({ type: rule.type });
+        logger.info('Alert fired', { ruleId: rule.id, type: rule.type, userId: rule.user_id, productId: rule.product_id, message, notificationStatus });
+        return message;
+    }
+
+    // Checks every active rule on one product against its stored last_price
+    async function evaluateProduct(productId) {
+        const product = await dbGet(db, `SELECT id, title, last_price, price_amount, price_currency, link FROM products WHERE id = ?`, [productId]);
+        const price = product ? baseValue(storedMoney(product)) : null;
+        if (price === null) return 0;
+
+        const rules = await dbAll(db, `SELECT * FROM alert_rules WHERE product_id = ? AND active = 1`, [productId]);
+        const now = Date.now();
+        let fired = 0;
+        for (const rule of rules) {
+            const coolingDown = rule.last_triggered_at && now - rule.last_triggered_at < rule.cooldown_minutes * 60 * 1000;
+            const triggered = isTriggered(rule, price) && !coolingDown;
+            // A new low moves the all-time-low baseline even during the cooldown
+            const baseline = rule.type === 'all_time_low' && rule.baseline_price !== null ? Math.min(rule.baseline_price, price) : rule.baseline_price;
+
+            if (!triggered) {
+                await dbRun(db, `UPDATE alert_rules SET last_seen_price = ?, baseline_price = ? WHERE id = ?`, [price, baseline, rule.id]);
+                continue;
+            }
+            // Evaluations of the same product can overlap (every stored price
+            // starts one, and evaluateAll runs on a timer): only the one that
+            // claims the rule, while it is still active and untriggered since
+            // it was read, fires it
+            const claim = await dbRun(db, `UPDATE alert_rules SET last_seen_price = ?, baseline_price = ?,
+                    last_triggered_at = ?, trigger_count = trigger_count + 1, active = ?
+                WHERE id = ? AND active = 1 AND last_triggered_at IS ?`,
+                [price, baseline, now, rule.recurring ? 1 : 0, rule.id, rule.last_triggered_at]);
+            if (claim.changes !== 1) continue;
+            const message = await fire(rule, product, price, now);
+            fired++;
+            if (onTriggered) onTriggered(rule, message);
+        }
+        return fired;
+    }
+
+    // Safety net for prices that changed without going through evaluateProduct
+    async function evaluateAll() {
+        const products = await dbAll(db, `SELECT DISTINCT product_id FROM alert_rules WHERE active = 1`);
+        let fired = 0;
+        for (const { product_id: productId } of products) {
+            fired += await evaluateProduct(productId);
+        }
+        return fired;
+    }
+
+    // Turns reminder prices set before alert rules existed into one-shot
+    // target_price rules
+    async function migrateReminderPrices() {
+        const reminders = await dbAll(db, `SELECT user_id, product_id, reminder_price FROM cart WHERE reminder_price IS NOT NULL`);
+        for (const reminder of reminders) {
+            const threshold = baseValue(parseMoney(reminder.reminder_price));
+            if (threshold) {
+                await setReminder(reminder.user_id, reminder.product_id, threshold);
+            }
+            await dbRun(db, `UPDATE cart SET reminder_price = NULL WHERE user_id = ? AND product_id = ?`, [reminder.user_id, reminder.product_id]);
+        }
+        if (reminders.length > 0) {
+            logger.info('Converted cart reminder prices into alert rules', { count: reminders.length });
+        }
+    }
+
+    return { listRules, getRule, createRule, updateRule, setReminder, deleteRule, listEvents, evaluateProduct, evaluateAll, migrateReminderPrices };
+}
+
+module.exports = { createAlertService, validateRule, describeRule, RULE_TYPES };
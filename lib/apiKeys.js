@@ -0,0 +1,118 @@
+// lib/apiKeys.js - API keys that let scripts use /api/v1 without logging in
+//
+// A customer creates a key with a name and the scopes it needs (SCOPES). The
+// key, `prk_` followed by 32 random bytes, is returned once when it is
+// created; only its SHA-256 hash is stored, as for session tokens, plus its
+// first characters (`prefix`) so the customer can tell their keys apart.
+// Keys may expire after `expiresInDays` and stop working once revoked.
+// Clients send a key the same way as a session token:
+// `Authorization: Bearer prk_...`.
+
+const crypto = require('crypto');
+const { dbRun, dbGet, dbAll } = require('./db');
+
+const KEY_PREFIX = 'prk_';
+const SHOWN_PREFIX_LENGTH = KEY_PREFIX.length + 6;
+const MAX_KEY_NAME_LENGTH = 60;
+const MAX_EXPIRY_DAYS = 365;
+const MAX_KEYS_PER_USER = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Saves a write on every request: last_used_at is only moved on this often
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// What a key may be allowed to do
+const SCOPES = {
+    'products:read': 'Search products and read offers and price history',
+    'wishlists:read': 'Read wishlists and their items',
+    'wishlists:write': 'Create, change and delete wishlists and their items',
+    'cart:read': 'Read the cart',
+    'cart:write': 'Add items to and remove items from the cart',
+    'alerts:read': 'Read alert rules and their trigger history',
+    'alerts:write': 'Create, change and delete alert rules'
+};
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function isApiKey(token) {
+    return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+}
+
+function createApiKeyService({ db }) {
+    function toKey(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            prefix: row.prefix,
+            scopes: row.scopes.split(' '),
+            createdAt: row.created_at,
+            lastUsedAt: row.last_used_at,
+            expiresAt: row.expires_at,
+            revokedAt: row.revoked_at,
+            active: !row.revoked_at && (!row.expires_at || row.expires_at > Date.now())
+        };
+    }
+
+    // Newest first, revoked and expired keys included
+    async function listKeys(userId) {
+        const rows = await dbAll(db, `SELECT * FROM api_keys WHERE user_id = ? ORDER BY created_at DESC, id DESC`, [userId]);
+        return rows.map(toKey);
+    }
+
+    async function countActive(userId, now = Date.now()) {
+        const row = await dbGet(db, `SELECT COUNT(*) AS count FROM api_keys
+            WHERE user_id = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > ?)`, [userId, now]);
+        return row.count;
+    }
+
+    // Resolves to the new key's details plus `key` itself, which is only ever
+    // returned here. `scopes` must be names from SCOPES.
+    async function createKey(userId, { name, scopes, expiresInDays = null }) {
+        const key = KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+        const now = Date.now();
+        const { lastID } = await dbRun(db, `INSERT INTO api_keys (user_id, name, prefix, key_hash, scopes, created_at, expires_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [userId, name.trim(), key.slice(0, SHOWN_PREFIX_LENGTH), hashKey(key), [...new Set(scopes)].join(' '), now,
+                expiresInDays ? now + expiresInDays * DAY_MS : null]);
+        const row = await dbGet(db, `SELECT * FROM api_keys WHERE id = ?`, [lastID]);
+        return { ...toKey(row), key };
+    }
+
+    // Resolves to the revoked key, or null when the user has no such key
+    async function revokeKey(userId, keyId) {
+        await dbRun(db, `UPDATE api_keys SET revoked_at = ? WHERE id = ? AND user_id = ? AND revoked_at IS NULL`,
+            [Date.now(), keyId, userId]);
+        const row = await dbGet(db, `SELECT * FROM api_keys WHERE id = ? AND user_id = ?`, [keyId, userId]);
+        return row ? toKey(row) : null;
+    }
+
+    // { user, key } for a live key, where user is shaped like
+    // auth.resolveSession's and key is { id, name, scopes }; or null
+    async function resolveKey(key, now = Date.now()) {
+        if (!isApiKey(key)) return null;
+        const row = await dbGet(db, `SELECT k.id, k.user_id, k.name, k.scopes, k.last_used_at, c.name AS user_name, c.email, c.email_verified_at
+            FROM api_keys k JOIN customers c ON c.id = k.user_id
+            WHERE k.key_hash = ? AND k.revoked_at IS NULL AND (k.expires_at IS NULL OR k.expires_at > ?)`, [hashKey(key), now]);
+        if (!row) return null;
+        if (!row.last_used_at || now - row.last_used_at >= LAST_USED_RESOLUTION_MS) {
+            await dbRun(db, `UPDATE api_keys SET last_used_at = ? WHERE id = ?`, [now, row.id]);
+        }
+        return {
+            user: { id: row.user_id, name: row.user_name, email: row.email, emailVerified: !!row.email_verified_at, isAdmin: false },
+            key: { id: row.id, name: row.name, scopes: row.scopes.split(' ') }
+        };
+    }
+
+    // Drops keys that were revoked or expired more than a month ago; until
+    // then they stay listed so the customer can see what stopped working
+    async function purgeExpired(now = Date.now()) {
+        const cutoff = now - 30 * DAY_MS;
+        const { changes } = await dbRun(db, `DELETE FROM api_keys WHERE revoked_at < ? OR expires_at < ?`, [cutoff, cutoff]);
+        return changes;
+    }
+
+    return { listKeys, countActive, createKey, revokeKey, resolveKey, purgeExpired };
+}
+
+module.exports = { createApiKeyService, isApiKey, SCOPES, MAX_KEYS_PER_USER, MAX_KEY_NAME_LENGTH, MAX_EXPIRY_DAYS };
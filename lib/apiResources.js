@@ -0,0 +1,308 @@
+// lib/apiResources.js - What /api/v1 returns, and its OpenAPI schemas
+//
+// The pages get database rows more or less as stored (last_price,
+// canonical_id...). The versioned API maps them to stable, camelCase
+// resources instead, so the tables can change without breaking scripts:
+//   Offer      one store's listing of a product, with its Price
+//   Product    an offer with its buy/wait Prediction and every store's offers
+//   Wishlist, WishlistItem, CartItem, AlertRule, AlertEvent, ApiKey
+// Amounts are in major units (1299.5, not minor units); Price.value is the
+// amount in the base currency, which is what prices are compared in. Each
+// mapper has its schema in SCHEMAS below; change them together.
+
+const { storedMoney, baseValue, toMajor, formatMoney } = require('./money');
+const { RULE_TYPES } = require('./alerts');
+
+function toPrice(row) {
+    const money = storedMoney(row);
+    if (!money) return null;
+    const display = row.price !== undefined ? row.price : row.last_price;
+    return { display: display || formatMoney(money), amount: toMajor(money), currency: money.currency, value: baseValue(money) };
+}
+
+function toOffer(row) {
+    return {
+        id: row.id,
+        canonicalId: row.canonical_id || null,
+        title: row.title,
+        source: row.source || null,
+        link: row.link,
+        thumbnail: row.thumbnail || null,
+        price: toPrice(row),
+        availability: row.availability || null,
+        lastUpdated: row.last_updated || null
+    };
+}
+
+function toPrediction(forecast) {
+    if (!forecast) return null;
+    return {
+        recommendation: forecast.recommendation,
+        confidence: forecast.confidence,
+        reason: forecast.reason,
+        expectedRange: forecast.expectedRange || null
+    };
+}
+
+// A stored row with `forecast` and `offers` (as wishlist and cart rows get them)
+function toProduct(row) {
+    return { ...toOffer(row), prediction: toPrediction(row.forecast), offers: (row.offers || []).map(toOffer) };
+}
+
+function toSearchResult(product) {
+    return {
+        ...toOffer(product),
+        rating: product.rating || 0,
+        relevanceScore: product.relevance_score !== undefined ? product.relevance_score : null,
+        dropPercent: product.drop_percent !== undefined ? product.drop_percent : null
+    };
+}
+
+// shareUrl(token) builds the public link of a shared list
+function toWishlist(list, shareUrl) {
+    return {
+        id: list.id,
+        name: list.name,
+        itemCount: list.itemCount,
+        shareUrl: list.shareToken ? shareUrl(list.shareToken) : null,
+        createdAt: list.createdAt
+    };
+}
+
+function toWishlistItem(row) {
+    return {
+        listId: row.list_id,
+        product: toProduct(row),
+        note: row.note || null,
+        targetPrice: row.target_price !== undefined ? row.target_price : null,
+        targetReached: !!row.target_reached,
+        alertCount: row.alert_count || 0,
+        addedAt: row.added_at
+    };
+}
+
+function toCartItem(row) {
+    return { product: toProduct(row), alertCount: row.alert_count || 0, addedAt: row.added_at };
+}
+
+// --- Schemas ---
+
+const timestamp = { type: 'integer', description: 'Milliseconds since the epoch' };
+const nullableTimestamp = { ...timestamp, nullable: true };
+
+function ref(name) {
+    return { $ref: `#/components/schemas/${name}` };
+}
+
+const SCHEMAS = {
+    Error: {
+        type: 'object',
+        required: ['error'],
+        properties: {
+            error: {
+                type: 'object',
+                required: ['code', 'message'],
+                properties: {
+                    code: {
+                        type: 'string',
+                        enum: ['invalid_request', 'validation_failed', 'unauthorized', 'forbidden', 'insufficient_scope', 'not_found',
+                            'conflict', 'payload_too_large', 'unprocessable', 'rate_limited', 'unavailable', 'internal_error']
+                    },
+                    message: { type: 'string' },
+                    details: {
+                        type: 'array',
+                        items: { type: 'object', properties: { field: { type: 'string' }, message: { type: 'string' } } }
+                    }
+                }
+            }
+        }
+    },
+    Price: {
+        type: 'object',
+        nullable: true,
+        properties: {
+            display: { type: 'string', description: 'As the store shows it' },
+            amount: { type: 'number', description: 'In `currency`' },
+            currency: { type: 'string', description: 'ISO 4217 code' },
+            value: { type: 'number', nullable: true, description: 'The amount in the base currency' }
+        }
+    },
+    Offer: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            canonicalId: { type: 'string', nullable: true, description: 'The product this offer was matched to across stores' },
+            title: { type: 'string' },
+            source: { type: 'string', nullable: true, description: 'Store name' },
+            link: { type: 'string' },
+            thumbnail: { type: 'string', nullable: true },
+            price: ref('Price'),
+            availability: { type: 'string', nullable: true, enum: ['in_stock', 'out_of_stock', 'preorder', 'unknown', null] },
+            lastUpdated: nullableTimestamp
+        }
+    },
+    Prediction: {
+        type: 'object',
+        nullable: true,
+        properties: {
+            recommendation: { type: 'string', enum: ['buy', 'wait', 'neutral'] },
+            confidence: { type: 'number' },
+            reason: { type: 'string' },
+            expectedRange: {
+                type: 'object',
+                nullable: true,
+                properties: { horizonDays: { type: 'integer' }, low: { type: 'number' }, expected: { type: 'number' }, high: { type: 'number' } }
+            }
+        }
+    },
+    Product: {
+        allOf: [ref('Offer'), {
+            type: 'object',
+            properties: {
+                prediction: ref('Prediction'),
+                offers: { type: 'array', items: ref('Offer'), description: 'Every store\'s offer of the product, cheapest first' }
+            }
+        }]
+    },
+    SearchResult: {
+        allOf: [ref('Offer'), {
+            type: 'object',
+            properties: {
+                rating: { type: 'number' },
+                relevanceScore: { type: 'number', nullable: true },
+                dropPercent: { type: 'number', nullable: true, description: 'How far below its 30-day average price' }
+            }
+        }]
+    },
+    SearchMeta: {
+        type: 'object',
+        properties: {
+            query: { type: 'string' },
+            currency: { type: 'string', description: 'The base currency of filters and facets' },
+            cache: { type: 'string', enum: ['hit', 'stale', 'miss', 'coalesced', 'fallback'] },
+            total: { type: 'integer' },
+            page: { type: 'integer' },
+            limit: { type: 'integer' },
+            pages: { type: 'integer' },
+            nextCursor: { type: 'string', nullable: true },
+            facets: { type: 'object' }
+        }
+    },
+    PriceHistory: {
+        type: 'object',
+        properties: {
+            productId: { type: 'string' },
+            scope: { type: 'string', enum: ['offer', 'canonical'] },
+            title: { type: 'string' },
+            source: { type: 'string', nullable: true },
+            canonicalId: { type: 'string', nullable: true },
+            currency: { type: 'string' },
+            range: { type: 'string' },
+            bucket: { type: 'string' },
+            points: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        start: timestamp, min: { type: 'number' }, max: { type: 'number' }, avg: { type: 'number' },
+                        last: { type: 'number' }, count: { type: 'integer' }
+                    }
+                }
+            },
+            summary: { type: 'object', nullable: true, description: 'current, allTimeLow, allTimeHigh, low30d, avg30d, volatility...' }
+        }
+    },
+    Wishlist: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            name: { type: 'string' },
+            itemCount: { type: 'integer' },
+            shareUrl: { type: 'string', nullable: true },
+            createdAt: timestamp
+        }
+    },
+    WishlistItem: {
+        type: 'object',
+        properties: {
+            listId: { type: 'integer' },
+            product: ref('Product'),
+            note: { type: 'string', nullable: true },
+            targetPrice: { type: 'number', nullable: true, description: 'In the base currency' },
+            targetReached: { type: 'boolean' },
+            alertCount: { type: 'integer', description: 'Active alert rules on the offer' },
+            addedAt: timestamp
+        }
+    },
+    WishlistWithItems: {
+        allOf: [ref('Wishlist'), { type: 'object', properties: { items: { type: 'array', items: ref('WishlistItem') } } }]
+    },
+    CartItem: {
+        type: 'object',
+        properties: {
+            product: ref('Product'),
+            alertCount: { type: 'integer' },
+            addedAt: timestamp
+        }
+    },
+    AlertRule: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            productId: { type: 'string' },
+            type: { type: 'string', enum: RULE_TYPES },
+            threshold: { type: 'number', nullable: true },
+            baselinePrice: { type: 'number', nullable: true },
+            recurring: { type: 'boolean' },
+            cooldownMinutes: { type: 'integer' },
+            active: { type: 'boolean' },
+            lastTriggeredAt: nullableTimestamp,
+            triggerCount: { type: 'integer' },
+            createdAt: timestamp,
+            description: { type: 'string' },
+            product: {
+                type: 'object',
+                properties: { title: { type: 'string' }, price: { type: 'string', nullable: true }, link: { type: 'string' } }
+            }
+        }
+    },
+    AlertEvent: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            ruleId: { type: 'integer' },
+            productId: { type: 'string' },
+            title: { type: 'string' },
+            price: { type: 'number' },
+            message: { type: 'string' },
+            notificationStatus: { type: 'string', nullable: true },
+            triggeredAt: timestamp
+        }
+    },
+    ApiKey: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            name: { type: 'string' },
+            prefix: { type: 'string', description: 'The first characters of the key' },
+            scopes: { type: 'array', items: { type: 'string' } },
+            createdAt: timestamp,
+            lastUsedAt: nullableTimestamp,
+            expiresAt: nullableTimestamp,
+            revokedAt: nullableTimestamp,
+            active: { type: 'boolean' }
+        }
+    },
+    NewApiKey: {
+        allOf: [ref('ApiKey'), {
+            type: 'object',
+            properties: { key: { type: 'string', description: 'The key itself. It is only ever shown in this response.' } }
+        }]
+    },
+    Deleted: {
+        type: 'object',
+        properties: { id: { oneOf: [{ type: 'integer' }, { type: 'string' }] }, deleted: { type: 'boolean' } }
+    }
+};
+
+module.exports = { toPrice, toOffer, toPrediction, toProduct, toSearchResult, toWishlist, toWishlistItem, toCartItem, SCHEMAS };
@@ -0,0 +1,695 @@
+// lib/apiV1.js - The versioned API for scripts and other programs (/api/v1)
+//
+// The pages keep using the older routes; this is the surface with a
+// compatibility promise. Routes are resource-style (products, their offers
+// and history, wishlists and their items, the cart, alerts) and return the
+// mapped resources of lib/apiResources.js. Every response is an envelope:
+//   success   { data, meta? }
+//   failure   { error: { code, message, details? } }
+// where `code` is one of ERROR_CODES, or validation_failed (with `details`,
+// as lib/validation.js lists them) or insufficient_scope.
+//
+// Requests authenticate with `Authorization: Bearer <token>`: an API key
+// (lib/apiKeys.js), which may only do what its scopes allow, or a session
+// token from POST /login, which may do everything. Keys are managed with a
+// session only, so a leaked key can't be used to mint more.
+//
+// Each route is declared once with route(): its schema, scope and response.
+// The same declarations make up GET /api/v1/openapi.json (lib/openapi.js).
+
+const express = require('express');
+const { dbGet } = require('./db');
+const { validate, validationError } = require('./validation');
+const { readBearerToken } = require('./auth');
+const { isApiKey, SCOPES, MAX_KEYS_PER_USER, MAX_KEY_NAME_LENGTH, MAX_EXPIRY_DAYS } = require('./apiKeys');
+const { validateListName, validateItemFields } = require('./wishlists');
+const { validateRule, RULE_TYPES } = require('./alerts');
+const { parseSearchOptions, applySearchOptions, SORTS } = require('./searchResults');
+const { RANGES, BUCKETS } = require('./priceHistory');
+const { BASE_CURRENCY, storedMoney, baseValue } = require('./money');
+const { buildOpenApi } = require('./openapi');
+const { toOffer, toProduct, toSearchResult, toWishlist, toWishlistItem, toCartItem, SCHEMAS } = require('./apiResources');
+
+const logger = require('./logger').logger.child({ module: 'api-v1' });
+
+const API_VERSION = '1.0.0';
+
+const ERROR_CODES = {
+    400: 'invalid_request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    409: 'conflict',
+    413: 'payload_too_large',
+    422: 'unprocessable',
+    429: 'rate_limited',
+    503: 'unavailable'
+};
+
+function errorCode(status, { details } = {}) {
+    if (status === 400 && details) return 'validation_failed';
+    return ERROR_CODES[status] || (status >= 500 ? 'internal_error' : 'invalid_request');
+}
+
+// Express middleware for everything under /api/v1, mounted before the rate
+// limits: bodies written as { error: 'message' } on the way (by a rate limit,
+// validation, or the app's 404 and error handlers) go out in the envelope
+function apiEnvelope(req, res, next) {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        if (body && typeof body.error === 'string') {
+            const { error: message, details } = body;
+            return json({ error: { code: errorCode(res.statusCode, body), message, ...(details ? { details } : {}) } });
+        }
+        return json(body);
+    };
+    next();
+}
+
+function send(res, data, { status = 200, meta = null } = {}) {
+    res.status(status).json(meta ? { data, meta } : { data });
+}
+
+function fail(res, status, message, code = errorCode(status)) {
+    res.status(status).json({ error: { code, message } });
+}
+
+// Request fields shared by several routes
+const PRODUCT_ID = { type: 'id', required: true, label: 'Product ID' };
+const RECORD_ID = { id: { type: 'integer', min: 1, required: true, label: 'ID' } };
+const LIST_PARAMS = { id: { type: 'integer', min: 1, required: true, label: 'Wishlist ID' } };
+const ITEM_PARAMS = { ...LIST_PARAMS, productId: PRODUCT_ID };
+const LIST_NAME = { type: 'string', required: true, description: 'At most 60 characters, unique among the customer\'s lists in any case' };
+const ITEM_FIELDS = {
+    note: { type: 'string', nullable: true, trim: false, description: 'At most 500 characters; null clears it' },
+    targetPrice: { type: 'money', nullable: true, description: 'In the base currency; null clears it' }
+};
+const NOT_STORED = 'Product not found. Search for it or track it by URL first.';
+
+// deps:
+//   db, auth, apiKeys, wishlists, cart, alerts, searchCache, canonicalCatalog
+//                       the database and the services server.js creates
+//   predict             server.js's getPricePrediction(productId, price)
+//   loadPriceHistory    server.js's, for GET /products/:id/history
+//   pricedProducts      adds price_value, forecast and offers to stored rows,
+//                       one entry per canonical product (server.js's wishlistProducts)
+//   shareUrl(token)     the public link of a shared wishlist
+//   onAlertChange(userId, rule, kind)   tells open pages (lib/liveUpdates.js)
+//   limits              { search, searchAccount, apiKey } rate limiters
+//   serverUrl           where the API is served, for the OpenAPI document
+function createApiV1Router(deps) {
+    const { db, auth, apiKeys, wishlists, cart, alerts, searchCache, canonicalCatalog, predict, loadPriceHistory,
+        pricedProducts, shareUrl, onAlertChange, limits, serverUrl } = deps;
+    const router = express.Router();
+    const operations = [];
+
+    // Sets req.user, and req.apiKey ({ id, name, scopes }) when the request
+    // came with an API key rather than a session, or responds 401
+    async function authenticate(req, res, next) {
+        const token = readBearerToken(req);
+        if (!token) {
+            return fail(res, 401, 'An API key or session token is required, sent as "Authorization: Bearer <token>".');
+        }
+        try {
+            if (isApiKey(token)) {
+                const resolved = await apiKeys.resolveKey(token);
+                req.user = resolved ? resolved.user : undefined;
+                req.apiKey = resolved ? resolved.key : null;
+            } else {
+                req.user = (await auth.resolveSession(token)) || undefined;
+                req.apiKey = null;
+            }
+        } catch (err) {
+            logger.error('Error resolving API credentials', { err });
+            return fail(res, 500, 'Failed to verify credentials.');
+        }
+        if (!req.user) {
+            return fail(res, 401, 'This API key or session is invalid, has expired or was revoked.');
+        }
+        next();
+    }
+
+    // `scope` is one of SCOPES, or 'session' for routes API keys can't use
+    function requireScope(scope) {
+        return (req, res, next) => {
+            if (!req.apiKey) return next();
+            if (scope === 'session') {
+                return fail(res, 403, 'API keys can\'t be used here. Log in and use the session token instead.');
+            }
+            if (!req.apiKey.scopes.includes(scope)) {
+                return fail(res, 403, `This API key doesn't have the ${scope} scope.`, 'insufficient_scope');
+            }
+            next();
+        };
+    }
+
+    // Runs an async handler, turning anything it throws into a 500
+    function run(handler) {
+        return async (req, res) => {
+            try {
+                await handler(req, res);
+            } catch (err) {
+                logger.error('Error handling API request', { method: req.method, route: req.baseUrl + req.route.path, err });
+                if (!res.headersSent) fail(res, 500, 'Something went wrong.');
+            }
+        };
+    }
+
+    // Declares a route. spec: { id, tag, summary, description, scope, params,
+    // query, body, status, response, meta, errors } (see lib/openapi.js);
+    // without a scope the route is public. The last handler is the route's,
+    // any before it run after authentication and validation.
+    function route(method, path, spec, ...handlers) {
+        operations.push({ method, path, spec });
+        const schema = {};
+        for (const part of ['params', 'query', 'body']) {
+            if (spec[part]) schema[part] = spec[part];
+        }
+        const guard = spec.scope ? [authenticate, limits.apiKey, requireScope(spec.scope)] : [];
+        router[method](path, ...guard, validate(schema), ...handlers.slice(0, -1), run(handlers[handlers.length - 1]));
+    }
+
+    function invalid(res, field, message) {
+        return validationError(res, [{ field, message }]);
+    }
+
+    // --- Products ---
+
+    // The stored offer with its forecast and every store's offers, or null
+    async function findProduct(id) {
+        const row = await dbGet(db, `SELECT * FROM products WHERE id = ?`, [id]);
+        if (!row) return null;
+        row.price_value = baseValue(storedMoney(row));
+        row.forecast = await predict(row.id, row.price_value);
+        const offersById = row.canonical_id ? await canonicalCatalog.getOffers([row.canonical_id]) : {};
+        row.offers = offersById[row.canonical_id] || [];
+        return row;
+    }
+
+    route('get', '/products', {
+        id: 'searchProducts',
+        tag: 'Products',
+        summary: 'Search products across stores',
+        description: 'Results are cached, so filters, sorting and paging don\'t search the stores again. Prices in filters are in the base currency.',
+        scope: 'products:read',
+        query: {
+            q: { type: 'string', required: true, maxLength: 200, label: 'Query parameter "q"' },
+            minPrice: { type: 'number', min: 0 },
+            maxPrice: { type: 'number', min: 0 },
+            source: { type: 'string', maxLength: 500, description: 'Stores to include, comma separated' },
+            minRating: { type: 'number', min: 0, max: 5 },
+            sort: { type: 'string', oneOf: SORTS },
+            page: { type: 'integer', min: 1 },
+            limit: { type: 'integer', min: 1, max: 100 },
+            cursor: { type: 'string', maxLength: 200, description: '`meta.nextCursor` of the previous page' }
+        },
+        response: ['SearchResult'],
+        meta: 'SearchMeta',
+        errors: { 503: 'The search budget is used up and there are no saved results (`unavailable`)' }
+    }, limits.search, limits.searchAccount, async (req, res) => {
+        const { options, error } = parseSearchOptions(req.query);
+        if (error) {
+            return fail(res, 400, error);
+        }
+        let found;
+        try {
+            found = await searchCache.lookup(req.query.q);
+        } catch (err) {
+            if (err.code === 'QUOTA_EXCEEDED') {
+                return fail(res, 503, 'Search is temporarily limited and there are no saved results for this search. Please try again later.');
+            }
+            throw err;
+        }
+        const { results, ...page } = applySearchOptions(found.results, options);
+        send(res, results.map(toSearchResult), { meta: { query: req.query.q, currency: BASE_CURRENCY, cache: found.cache, ...page } });
+    });
+
+    route('get', '/products/:id', {
+        id: 'getProduct',
+        tag: 'Products',
+        summary: 'A stored offer with its prediction and every store\'s offers',
+        scope: 'products:read',
+        params: { id: PRODUCT_ID },
+        response: 'Product'
+    }, async (req, res) => {
+        const product = await findProduct(req.params.id);
+        if (!product) {
+            return fail(res, 404, NOT_STORED);
+        }
+        send(res, toProduct(product));
+    });
+
+    route('get', '/products/:id/offers', {
+        id: 'listProductOffers',
+        tag: 'Products',
+        summary: 'Every store\'s offer of the product, cheapest first',
+        scope: 'products:read',
+        params: { id: PRODUCT_ID },
+        response: ['Offer']
+    }, async (req, res) => {
+        const product = await findProduct(req.params.id);
+        if (!product) {
+            return fail(res, 404, NOT_STORED);
+        }
+        send(res, (product.offers.length > 0 ? product.offers : [product]).map(toOffer));
+    });
+
+    route('get', '/products/:id/history', {
+        id: 'getPriceHistory',
+        tag: 'Products',
+        summary: 'Price history of an offer or of a canonical product',
+        description: 'Prices are in the base currency.',
+        scope: 'products:read',
+        params: { id: { ...PRODUCT_ID, description: 'An offer id or a canonical product id' } },
+        query: {
+            range: { type: 'string', oneOf: Object.keys(RANGES), description: 'Default 90d' },
+            bucket: { type: 'string', oneOf: BUCKETS, description: 'Default daily' }
+        },
+        response: 'PriceHistory'
+    }, async (req, res) => {
+        const history = await loadPriceHistory(req.params.id, { range: req.query.range || '90d', bucket: req.query.bucket || 'daily' });
+        if (!history) {
+            return fail(res, 404, 'Product not found.');
+        }
+        send(res, history);
+    });
+
+    // --- Wishlists ---
+
+    async function ownList(req, res) {
+        const list = await wishlists.getList(req.user.id, req.params.id);
+        if (!list) fail(res, 404, 'Wishlist not found.');
+        return list;
+    }
+
+    // The list's items as WishlistItems; with `productId`, only that one
+    async function listItems(req, list, productId = null) {
+        let rows = await wishlists.listItems([list.id], { userId: req.user.id });
+        if (productId !== null) rows = rows.filter(row => row.id === String(productId));
+        return (await pricedProducts(rows)).map(toWishlistItem);
+    }
+
+    route('get', '/wishlists', {
+        id: 'listWishlists',
+        tag: 'Wishlists',
+        summary: 'The customer\'s wishlists',
+        scope: 'wishlists:read',
+        response: ['Wishlist']
+    }, async (req, res) => {
+        send(res, (await wishlists.listLists(req.user.id)).map(list => toWishlist(list, shareUrl)));
+    });
+
+    route('post', '/wishlists', {
+        id: 'createWishlist',
+        tag: 'Wishlists',
+        summary: 'Create a wishlist',
+        scope: 'wishlists:write',
+        body: { name: LIST_NAME },
+        status: 201,
+        response: 'Wishlist',
+        errors: { 409: 'A wishlist with that name exists (`conflict`)' }
+    }, async (req, res) => {
+        const message = validateListName(req.body.name);
+        if (message) {
+            return invalid(res, 'body.name', message);
+        }
+        try {
+            send(res, toWishlist(await wishlists.createList(req.user.id, req.body.name), shareUrl), { status: 201 });
+        } catch (err) {
+            if (!err.message.includes('UNIQUE')) throw err;
+            fail(res, 409, 'You already have a wishlist with that name.');
+        }
+    });
+
+    route('get', '/wishlists/:id', {
+        id: 'getWishlist',
+        tag: 'Wishlists',
+        summary: 'A wishlist with its items',
+        scope: 'wishlists:read',
+        params: LIST_PARAMS,
+        response: 'WishlistWithItems'
+    }, async (req, res) => {
+        const list = await ownList(req, res);
+        if (!list) return;
+        send(res, { ...toWishlist(list, shareUrl), items: await listItems(req, list) });
+    });
+
+    route('patch', '/wishlists/:id', {
+        id: 'renameWishlist',
+        tag: 'Wishlists',
+        summary: 'Rename a wishlist',
+        scope: 'wishlists:write',
+        params: LIST_PARAMS,
+        body: { name: LIST_NAME },
+        response: 'Wishlist',
+        errors: { 409: 'A wishlist with that name exists (`conflict`)' }
+    }, async (req, res) => {
+        const message = validateListName(req.body.name);
+        if (message) {
+            return invalid(res, 'body.name', message);
+        }
+        try {
+            const list = await wishlists.renameList(req.user.id, req.params.id, req.body.name);
+            if (!list) {
+                return fail(res, 404, 'Wishlist not found.');
+            }
+            send(res, toWishlist(list, shareUrl));
+        } catch (err) {
+            if (!err.message.includes('UNIQUE')) throw err;
+            fail(res, 409, 'You already have a wishlist with that name.');
+        }
+    });
+
+    route('delete', '/wishlists/:id', {
+        id: 'deleteWishlist',
+        tag: 'Wishlists',
+        summary: 'Delete a wishlist and its items',
+        scope: 'wishlists:write',
+        params: LIST_PARAMS,
+        response: 'Deleted'
+    }, async (req, res) => {
+        if (!await wishlists.deleteList(req.user.id, req.params.id)) {
+            return fail(res, 404, 'Wishlist not found.');
+        }
+        send(res, { id: req.params.id, deleted: true });
+    });
+
+    route('get', '/wishlists/:id/items', {
+        id: 'listWishlistItems',
+        tag: 'Wishlists',
+        summary: 'The items of a wishlist, one per product, newest first',
+        scope: 'wishlists:read',
+        params: LIST_PARAMS,
+        response: ['WishlistItem']
+    }, async (req, res) => {
+        const list = await ownList(req, res);
+        if (!list) return;
+        send(res, await listItems(req, list));
+    });
+
+    route('post', '/wishlists/:id/items', {
+        id: 'addWishlistItem',
+        tag: 'Wishlists',
+        summary: 'Add a stored offer to a wishlist',
+        description: 'Responds 201 when added and 200, leaving the item as it was, when the offer is already in the list.',
+        scope: 'wishlists:write',
+        params: LIST_PARAMS,
+        body: { productId: PRODUCT_ID, ...ITEM_FIELDS },
+        status: 201,
+        response: 'WishlistItem'
+    }, async (req, res) => {
+        const { productId, note = null, targetPrice = null } = req.body;
+        const message = validateItemFields({ note, targetPrice });
+        if (message) {
+            return invalid(res, 'body', message);
+        }
+        const list = await ownList(req, res);
+        if (!list) return;
+        let added;
+        try {
+            added = await wishlists.addItem(list.id, productId, { note, targetPrice });
+        } catch (err) {
+            if (!err.message.includes('FOREIGN KEY')) throw err;
+            return fail(res, 404, NOT_STORED);
+        }
+        const [item] = await listItems(req, list, productId);
+        send(res, item, { status: added ? 201 : 200 });
+    });
+
+    route('patch', '/wishlists/:id/items/:productId', {
+        id: 'updateWishlistItem',
+        tag: 'Wishlists',
+        summary: 'Change an item\'s note or target price',
+        scope: 'wishlists:write',
+        params: ITEM_PARAMS,
+        body: ITEM_FIELDS,
+        response: 'WishlistItem'
+    }, async (req, res) => {
+        const changes = {};
+        if (req.body.note !== undefined) changes.note = req.body.note;
+        if (req.body.targetPrice !== undefined) changes.targetPrice = req.body.targetPrice;
+        const message = validateItemFields(changes);
+        if (message) {
+            return invalid(res, 'body', message);
+        }
+        const list = await ownList(req, res);
+        if (!list) return;
+        if (!await wishlists.updateItem(list.id, req.params.productId, changes)) {
+            return fail(res, 404, 'Not found in this wishlist.');
+        }
+        const [item] = await listItems(req, list, req.params.productId);
+        send(res, item);
+    });
+
+    route('delete', '/wishlists/:id/items/:productId', {
+        id: 'removeWishlistItem',
+        tag: 'Wishlists',
+        summary: 'Remove an offer from a wishlist',
+        scope: 'wishlists:write',
+        params: ITEM_PARAMS,
+        response: 'Deleted'
+    }, async (req, res) => {
+        const list = await ownList(req, res);
+        if (!list) return;
+        if (await wishlists.removeItem([list.id], req.params.productId) === 0) {
+            return fail(res, 404, 'Not found in this wishlist.');
+        }
+        send(res, { id: req.params.productId, deleted: true });
+    });
+
+    // --- Cart ---
+
+    route('get', '/cart', {
+        id: 'listCartItems',
+        tag: 'Cart',
+        summary: 'The cart, one item per product',
+        scope: 'cart:read',
+        response: ['CartItem']
+    }, async (req, res) => {
+        send(res, (await pricedProducts(await cart.listItems(req.user.id))).map(toCartItem));
+    });
+
+    route('put', '/cart/items/:productId', {
+        id: 'addCartItem',
+        tag: 'Cart',
+        summary: 'Put a stored offer in the cart',
+        description: 'Responds 201 when added and 200 when it was already there. Price reminders are alerts: see POST /alerts.',
+        scope: 'cart:write',
+        params: { productId: PRODUCT_ID },
+        status: 201,
+        response: 'CartItem'
+    }, async (req, res) => {
+        const added = await cart.addItem(req.user.id, req.params.productId);
+        if (added === null) {
+            return fail(res, 404, NOT_STORED);
+        }
+        const rows = (await cart.listItems(req.user.id)).filter(row => row.id === String(req.params.productId));
+        const [item] = (await pricedProducts(rows)).map(toCartItem);
+        send(res, item, { status: added ? 201 : 200 });
+    });
+
+    route('delete', '/cart/items/:productId', {
+        id: 'removeCartItem',
+        tag: 'Cart',
+        summary: 'Remove a product from the cart, with its other stores\' offers',
+        scope: 'cart:write',
+        params: { productId: PRODUCT_ID },
+        response: 'Deleted'
+    }, async (req, res) => {
+        if (await cart.removeItem(req.user.id, req.params.productId) === 0) {
+            return fail(res, 404, 'Not found in the cart.');
+        }
+        send(res, { id: req.params.productId, deleted: true });
+    });
+
+    // --- Alerts ---
+
+    const ALERT_FIELDS = {
+        threshold: { type: 'number', description: 'A price in the base currency, or a percentage for percent_drop' },
+        recurring: { type: 'boolean' },
+        cooldownMinutes: { type: 'integer', min: 0 }
+    };
+
+    route('get', '/alerts', {
+        id: 'listAlerts',
+        tag: 'Alerts',
+        summary: 'The customer\'s alert rules, newest first',
+        scope: 'alerts:read',
+        query: { productId: { type: 'id', label: 'Product ID' } },
+        response: ['AlertRule']
+    }, async (req, res) => {
+        send(res, await alerts.listRules(req.user.id, { productId: req.query.productId }));
+    });
+
+    route('post', '/alerts', {
+        id: 'createAlert',
+        tag: 'Alerts',
+        summary: 'Create an alert rule on a stored offer',
+        scope: 'alerts:write',
+        body: {
+            productId: PRODUCT_ID,
+            type: { type: 'string', required: true, oneOf: RULE_TYPES },
+            ...ALERT_FIELDS,
+            threshold: { ...ALERT_FIELDS.threshold, nullable: true, description: `${ALERT_FIELDS.threshold.description}; not used by all_time_low` }
+        },
+        status: 201,
+        response: 'AlertRule'
+    }, async (req, res) => {
+        const message = validateRule(req.body);
+        if (message) {
+            return invalid(res, 'body', message);
+        }
+        const rule = await alerts.createRule(req.user.id, req.body);
+        if (!rule) {
+            return fail(res, 404, NOT_STORED);
+        }
+        onAlertChange(req.user.id, rule, 'created');
+        send(res, rule, { status: 201 });
+    });
+
+    route('get', '/alerts/:id', {
+        id: 'getAlert',
+        tag: 'Alerts',
+        summary: 'An alert rule',
+        scope: 'alerts:read',
+        params: RECORD_ID,
+        response: 'AlertRule'
+    }, async (req, res) => {
+        const rule = await alerts.getRule(req.user.id, req.params.id);
+        if (!rule) {
+            return fail(res, 404, 'Alert not found.');
+        }
+        send(res, rule);
+    });
+
+    route('patch', '/alerts/:id', {
+        id: 'updateAlert',
+        tag: 'Alerts',
+        summary: 'Change an alert rule',
+        description: 'The type of a rule can\'t change; create a new rule instead.',
+        scope: 'alerts:write',
+        params: RECORD_ID,
+        body: { ...ALERT_FIELDS, active: { type: 'boolean' } },
+        response: 'AlertRule'
+    }, async (req, res) => {
+        if (req.body.type !== undefined) {
+            return invalid(res, 'body.type', 'The alert type cannot be changed; create a new alert instead.');
+        }
+        const existing = await alerts.getRule(req.user.id, req.params.id);
+        if (!existing) {
+            return fail(res, 404, 'Alert not found.');
+        }
+        const message = validateRule({ ...req.body, type: existing.type }, { partial: true });
+        if (message) {
+            return invalid(res, 'body', message);
+        }
+        const rule = await alerts.updateRule(req.user.id, existing.id, req.body);
+        onAlertChange(req.user.id, rule, 'updated');
+        send(res, rule);
+    });
+
+    route('delete', '/alerts/:id', {
+        id: 'deleteAlert',
+        tag: 'Alerts',
+        summary: 'Delete an alert rule and its trigger history',
+        scope: 'alerts:write',
+        params: RECORD_ID,
+        response: 'Deleted'
+    }, async (req, res) => {
+        const deleted = await alerts.deleteRule(req.user.id, req.params.id);
+        if (!deleted) {
+            return fail(res, 404, 'Alert not found.');
+        }
+        onAlertChange(req.user.id, deleted, 'deleted');
+        send(res, { id: deleted.id, deleted: true });
+    });
+
+    route('get', '/alert-events', {
+        id: 'listAlertEvents',
+        tag: 'Alerts',
+        summary: 'When the customer\'s alert rules fired, newest first',
+        scope: 'alerts:read',
+        query: {
+            productId: { type: 'id', label: 'Product ID' },
+            ruleId: { type: 'integer', min: 1 },
+            limit: { type: 'integer', min: 1, max: 200, description: 'Default 50' }
+        },
+        response: ['AlertEvent']
+    }, async (req, res) => {
+        const { productId, ruleId, limit = 50 } = req.query;
+        send(res, await alerts.listEvents(req.user.id, { productId, ruleId, limit }));
+    });
+
+    // --- API Keys ---
+
+    route('get', '/api-keys', {
+        id: 'listApiKeys',
+        tag: 'API Keys',
+        summary: 'The customer\'s API keys, revoked and expired ones included',
+        scope: 'session',
+        response: ['ApiKey']
+    }, async (req, res) => {
+        send(res, await apiKeys.listKeys(req.user.id));
+    });
+
+    route('post', '/api-keys', {
+        id: 'createApiKey',
+        tag: 'API Keys',
+        summary: 'Create an API key',
+        description: `The key is in the response and can't be shown again. A customer may hold ${MAX_KEYS_PER_USER} active keys.`,
+        scope: 'session',
+        body: {
+            name: { type: 'string', required: true, maxLength: MAX_KEY_NAME_LENGTH },
+            scopes: { type: 'array', required: true, minItems: 1, items: { type: 'string', oneOf: Object.keys(SCOPES) } },
+            expiresInDays: { type: 'integer', min: 1, max: MAX_EXPIRY_DAYS, nullable: true, description: 'Default: never expires' }
+        },
+        status: 201,
+        response: 'NewApiKey',
+        errors: { 409: `The customer already holds ${MAX_KEYS_PER_USER} active keys (\`conflict\`)` }
+    }, async (req, res) => {
+        if (await apiKeys.countActive(req.user.id) >= MAX_KEYS_PER_USER) {
+            return fail(res, 409, `You already have ${MAX_KEYS_PER_USER} active API keys. Revoke one first.`);
+        }
+        const key = await apiKeys.createKey(req.user.id, req.body);
+        logger.info('API key created', { userId: req.user.id, keyId: key.id, scopes: key.scopes });
+        send(res, key, { status: 201 });
+    });
+
+    route('delete', '/api-keys/:id', {
+        id: 'revokeApiKey',
+        tag: 'API Keys',
+        summary: 'Revoke an API key',
+        description: 'The key stops working at once. It stays listed, as revoked, for 30 days.',
+        scope: 'session',
+        params: RECORD_ID,
+        response: 'ApiKey'
+    }, async (req, res) => {
+        const key = await apiKeys.revokeKey(req.user.id, req.params.id);
+        if (!key) {
+            return fail(res, 404, 'API key not found.');
+        }
+        send(res, key);
+    });
+
+    // --- OpenAPI Document ---
+
+    let document = null;
+    router.get('/openapi.json', (req, res) => {
+        document = document || buildOpenApi({
+            title: 'SmartSpend API',
+            version: API_VERSION,
+            description: 'Responses are `{ data, meta? }`; failures are `{ error: { code, message, details? } }`. '
+                + `Amounts are in major units; \`price.value\` and thresholds are in the base currency (${BASE_CURRENCY}). `
+                + `API key scopes: ${Object.entries(SCOPES).map(([scope, text]) => `\`${scope}\` (${text.toLowerCase()})`).join(', ')}.`,
+            serverUrl,
+            operations,
+            schemas: SCHEMAS,
+            tags: ['Products', 'Wishlists', 'Cart', 'Alerts', 'API Keys'].map(name => ({ name }))
+        });
+        res.json(document);
+    });
+
+    return router;
+}
+
+module.exports = { createApiV1Router, apiEnvelope, API_VERSION };
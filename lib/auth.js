@@ -0,0 +1,201 @@
+// lib/auth.js - Server-side sessions and the middleware that enforces them
+//
+// /login issues an opaque random token. Only its SHA-256 hash is stored in
+// `sessions`, so a leaked database can't be replayed as credentials. Clients
+// send the token as `Authorization: Bearer <token>`; requireAuth resolves it
+// to `req.user` and rejects expired or revoked sessions with 401.
+//
+// Emailed links (address verification, password reset) carry single-use
+// tokens from `account_tokens`, stored hashed the same way.
+//
+// Admins are the customers whose email is listed in ADMIN_EMAILS (comma
+// separated); requireAdmin lets only them through.
+//
+// Emails are stored trimmed and in lower case (normalizeEmail), and new
+// passwords must pass validatePassword.
+
+const crypto = require('crypto');
+const { dbRun, dbGet } = require('./db');
+
+const logger = require('./logger').logger.child({ module: 'auth' });
+
+const SESSION_TTL_MS = (parseFloat(process.env.SESSION_TTL_HOURS) || 24 * 7) * 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+// bcrypt ignores everything after the first 72 bytes
+const MAX_PASSWORD_BYTES = 72;
+
+const ACCOUNT_TOKEN_TTL_MS = {
+    verify_email: (parseFloat(process.env.EMAIL_VERIFY_TTL_HOURS) || 48) * 60 * 60 * 1000,
+    reset_password: (parseFloat(process.env.PASSWORD_RESET_TTL_MIN) || 60) * 60 * 1000
+};
+
+function normalizeEmail(email) {
+    return String(email).trim().toLowerCase();
+}
+
+// An error message for a password that is too weak, or null
+function validatePassword(password, { email } = {}) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`;
+    }
+    if (Buffer.byteLength(password, 'utf8') > MAX_PASSWORD_BYTES) {
+        return `Password must be at most ${MAX_PASSWORD_BYTES} bytes.`;
+    }
+    if (!/[a-z]/i.test(password) || !/[^a-z]/i.test(password)) {
+        return 'Password must contain at least one letter and one number or symbol.';
+    }
+    const localPart = email ? normalizeEmail(email).split('@')[0] : '';
+    if (localPart.length >= 4 && password.toLowerCase().includes(localPart)) {
+        return 'Password must not contain your email address.';
+    }
+    return null;
+}
+
+function readAdminEmails() {
+    return new Set((process.env.ADMIN_EMAILS || '').split(',')
+        .map(email => email.trim().toLowerCase())
+        .filter(email => email.length > 0));
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function readBearerToken(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    return match ? match[1] : null;
+}
+
+function createAuth({ db, ttlMs = SESSION_TTL_MS, adminEmails = readAdminEmails() }) {
+    // Starts a session for a customer. Resolves to { token, expiresAt }; the
+    // token is only ever returned here.
+    async function createSession(userId, { userAgent = null } = {}) {
+        const token = crypto.randomBytes(32).toString('base64url');
+        const now = Date.now();
+        const expiresAt = now + ttlMs;
+        await dbRun(db, `INSERT INTO sessions (token_hash, user_id, created_at, expires_at, last_seen_at, user_agent)
+            VALUES (?, ?, ?, ?, ?, ?)`, [hashToken(token), userId, now, expiresAt, now, userAgent]);
+        return { token, expiresAt };
+    }
+
+    // The customer behind a live session, or null
+    async function resolveSession(token) {
+        const row = await dbGet(db, `SELECT s.user_id, s.expires_at, c.name, c.email, c.email_verified_at
+            FROM sessions s JOIN customers c ON c.id = s.user_id
+            WHERE s.token_hash = ? AND s.revoked_at IS NULL`, [hashToken(token)]);
+        if (!row || row.expires_at <= Date.now()) return null;
+        await dbRun(db, `UPDATE sessions SET last_seen_at = ? WHERE token_hash = ?`, [Date.now(), hashToken(token)]);
+        return {
+            id: row.user_id, name: row.name, email: row.email, emailVerified: !!row.email_verified_at,
+            isAdmin: adminEmails.has(String(row.email).toLowerCase()), expiresAt: row.expires_at
+        };
+    }
+
+    async function revokeSession(token) {
+        const result = await dbRun(db, `UPDATE sessions SET revoked_at = ? WHERE token_hash = ? AND revoked_at IS NULL`,
+            [Date.now(), hashToken(token)]);
+        return result.changes > 0;
+    }
+
+    // Signs a customer out everywhere; resolves to the number of sessions ended
+    async function revokeUserSessions(userId) {
+        const result = await dbRun(db, `UPDATE sessions SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL`,
+            [Date.now(), userId]);
+        return result.changes;
+    }
+
+    // Issues a token for an emailed link. `purpose` is verify_email or
+    // reset_password; earlier unused tokens for the same purpose stop working.
+    async function issueAccountToken(userId, purpose) {
+        const token = crypto.randomBytes(32).toString('base64url');
+        const now = Date.now();
+        await dbRun(db, `UPDATE account_tokens SET used_at = ? WHERE user_id = ? AND purpose = ? AND used_at IS NULL`,
+            [now, userId, purpose]);
+        await dbRun(db, `INSERT INTO account_tokens (token_hash, user_id, purpose, created_at, expires_at) VALUES (?, ?, ?, ?, ?)`,
+            [hashToken(token), userId, purpose, now, now + ACCOUNT_TOKEN_TTL_MS[purpose]]);
+        return token;
+    }
+
+    // Marks a token used and resolves to its user id, or null when it is
+    // unknown, expired or already used
+    async function consumeAccountToken(token, purpose) {
+        const now = Date.now();
+        const row = await dbGet(db, `SELECT user_id FROM account_tokens
+            WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > ?`, [hashToken(token), purpose, now]);
+        if (!row) return null;
+        // The used_at guard makes concurrent redemptions of one token fail
+        const result = await dbRun(db, `UPDATE account_tokens SET used_at = ? WHERE token_hash = ? AND used_at IS NULL`,
+            [now, hashToken(token)]);
+        return result.changes > 0 ? row.user_id : null;
+    }
+
+    // Drops sessions and link tokens that can no longer be used
+    async function purgeExpired() {
+        const now = Date.now();
+        const sessions = await dbRun(db, `DELETE FROM sessions WHERE expires_at <= ? OR revoked_at IS NOT NULL`, [now]);
+        await dbRun(db, `DELETE FROM account_tokens WHERE expires_at <= ? OR used_at IS NOT NULL`, [now]);
+        return sessions.changes;
+    }
+
+    // Express middleware: sets req.user and req.sessionToken or responds 401.
+    // A userId sent by older clients must match the session's customer.
+    async function requireAuth(req, res, next) {
+        const token = readBearerToken(req);
+        if (!token) {
+            return res.status(401).json({ error: 'Please log in.' });
+        }
+        let user;
+        try {
+            user = await resolveSession(token);
+        } catch (err) {
+            logger.error('Error resolving session', { err });
+            return res.status(500).json({ error: 'Failed to verify session.' });
+        }
+        if (!user) {
+            return res.status(401).json({ error: 'Your session has expired or was ended. Please log in again.' });
+        }
+
+        const claimedUserId = (req.body && req.body.userId) || req.query.userId;
+        if (claimedUserId !== undefined && String(claimedUserId) !== String(user.id)) {
+            return res.status(403).json({ error: 'You can only access your own account.' });
+        }
+
+        req.user = user;
+        req.sessionToken = token;
+        next();
+    }
+
+    // Express middleware for routes that work without an account but treat
+    // logged-in customers differently: sets req.user when the request carries
+    // a live session (and req.sessionToken, as requireAuth does) and otherwise
+    // carries on without one
+    async function optionalAuth(req, res, next) {
+        const token = readBearerToken(req);
+        if (token) {
+            try {
+                req.user = (await resolveSession(token)) || undefined;
+                if (req.user) req.sessionToken = token;
+            } catch (err) {
+                logger.error('Error resolving session', { err });
+            }
+        }
+        next();
+    }
+
+    // Express middleware: requireAuth, then 403 unless the customer is an admin
+    function requireAdmin(req, res, next) {
+        requireAuth(req, res, () => {
+            if (!req.user.isAdmin) {
+                return res.status(403).json({ error: 'Only administrators can access this.' });
+            }
+            next();
+        });
+    }
+
+    return {
+        createSession, resolveSession, revokeSession, revokeUserSessions,
+        issueAccountToken, consumeAccountToken, purgeExpired, requireAuth, optionalAuth, requireAdmin
+    };
+}
+
+module.exports = { createAuth, readBearerToken, normalizeEmail, validatePassword, MIN_PASSWORD_LENGTH };
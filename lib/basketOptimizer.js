@@ -0,0 +1,287 @@
+// lib/basketOptimizer.js - Cheapest way to buy a whole cart across stores
+//
+// Each cart item can be bought from any store that has an offer for it. A
+// store charges its shipping fee once per order unless the order reaches its
+// free-shipping threshold, so the cheapest plan isn't always the cheapest
+// listing of every item: buying two items at one store can beat splitting
+// them. Fees and thresholds come from the local SHIPPING_FEES_FILE (default
+// shipping-fees.json); stores it doesn't list use its `default` entry.
+//
+// optimizeBasket() searches the assignments with branch and bound, optionally
+// limited to `maxStores` stores, and compares the result with the naive plan
+// (every item at its cheapest listing). All amounts are in the base currency.
+
+const fs = require('fs');
+const path = require('path');
+const { baseValue, fromMajor } = require('./money');
+
+// Upper bound on assignments examined; past it the best plan found is returned with exact: false
+const NODE_LIMIT = 200000;
+
+function loadShippingRules() {
+    const file = process.env.SHIPPING_FEES_FILE || path.join(__dirname, '..', 'shipping-fees.json');
+    const table = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const toBase = (value) => (value === null || value === undefined ? null : baseValue(fromMajor(value, table.currency)));
+    const toRule = (rule = {}) => ({ fee: toBase(rule.fee) || 0, freeShippingOver: toBase(rule.freeShippingOver) });
+    const stores = {};
+    for (const [store, rule] of Object.entries(table.stores || {})) {
+        stores[store.toLowerCase()] = toRule(rule);
+    }
+    return { default: toRule(table.default), stores };
+}
+
+const SHIPPING_RULES = loadShippingRules();
+
+function shippingRule(store, rules = SHIPPING_RULES) {
+    return rules.stores[String(store).toLowerCase()] || rules.default;
+}
+
+function shippingFee(store, subtotal, rules = SHIPPING_RULES) {
+    const { fee, freeShippingOver } = shippingRule(store, rules);
+    return freeShippingOver !== null && subtotal >= freeShippingOver ? 0 : fee;
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// subtotals: Map of store -> item total
+function shippingTotal(subtotals, rules) {
+    let total = 0;
+    for (const [store, subtotal] of subtotals) total += shippingFee(store, subtotal, rules);
+    return total;
+}
+
+// Cost of buying each item with the chosen offer: { itemsTotal, shipping, total, subtotals }
+function planCost(picks, rules) {
+    const subtotals = new Map();
+    for (const offer of picks) subtotals.set(offer.store, (subtotals.get(offer.store) || 0) + offer.price);
+    const itemsTotal = picks.reduce((sum, offer) => sum + offer.price, 0);
+    const shipping = shippingTotal(subtotals, rules);
+    return { itemsTotal, shipping, total: itemsTotal + shipping, subtotals };
+}
+
+function storeCount(picks) {
+    return new Set(picks.map(offer => offer.store)).size;
+}
+
+// Moves single items to another of their offers while that lowers the total
+function improve(items, picks, rules, maxStores) {
+    let current = picks.slice();
+    let currentTotal = planCost(current, rules).total;
+    let improved = true;
+    while (improved) {
+        improved = false;
+        items.forEach((item, i) => {
+            for (const offer of item.offers) {
+                if (offer === current[i]) continue;
+                const candidate = current.slice();
+                candidate[i] = offer;
+                if (maxStores && storeCount(candidate) > maxStores) continue;
+                const total = planCost(candidate, rules).total;
+                if (total < currentTotal - 1e-9) {
+                    current = candidate;
+                    currentTotal = total;
+                    improved = true;
+                }
+            }
+        });
+    }
+    return current;
+}
+
+// A good plan to start the exact search from, so it can prune early: the
+// cheapest listings, and for every store "buy all you can there", each
+// improved item by item
+function startingPlan(items, rules, maxStores) {
+    const stores = new Set(items.flatMap(item => item.offers.map(offer => offer.store)));
+    const candidates = [items.map(item => item.offers[0])];
+    for (const store of stores) {
+        candidates.push(items.map(item => item.offers.find(offer => offer.store === store) || item.offers[0]));
+    }
+    let best = null;
+    for (const candidate of candidates) {
+        const picks = improve(items, candidate, rules, maxStores);
+        if (maxStores && storeCount(picks) > maxStores) continue;
+        const total = planCost(picks, rules).total;
+        if (!best || total < best.total) best = { total, picks };
+    }
+    return best;
+}
+
+// items: [{ key, offers: [{ store, price }] }], every item with at least one
+// offer. Returns { picks, exact } with the cheapest offer choice per item, or
+// null when no choice fits within maxStores. When the search stops at
+// nodeLimit before finding any plan within maxStores, picks is null and exact
+// false: a plan may still exist.
+function searchCheapest(items, { rules, maxStores, nodeLimit = NODE_LIMIT }) {
+    // Items with few offers first: their choices constrain the rest most
+    const order = items.map((item, index) => ({ ...item, index }))
+        .sort((a, b) => a.offers.length - b.offers.length);
+    const cheapestFrom = new Array(order.length + 1).fill(0);
+    for (let i = order.length - 1; i >= 0; i--) {
+        cheapestFrom[i] = cheapestFrom[i + 1] + Math.min(...order[i].offers.map(offer => offer.price));
+    }
+
+    let best = startingPlan(items, rules, maxStores);
+    let nodes = 0;
+    let exact = true;
+    const subtotals = new Map();
+    const chosen = new Array(items.length);
+
+    function visit(depth, priceSum) {
+        if (++nodes > nodeLimit) {
+            exact = false;
+            return;
+        }
+        // Shipping can only add to the total, so prices alone bound it
+        if (best && priceSum + cheapestFrom[depth] >= best.total) return;
+        if (depth === order.length) {
+            const total = priceSum + shippingTotal(subtotals, rules);
+            if (!best || total < best.total - 1e-9) best = { total, picks: chosen.slice() };
+            return;
+        }
+        const item = order[depth];
+        for (const offer of item.offers) {
+            const opens = !subtotals.has(offer.store);
+            if (opens && maxStores && subtotals.size >= maxStores) continue;
+            subtotals.set(offer.store, (subtotals.get(offer.store) || 0) + offer.price);
+            chosen[item.index] = offer;
+            visit(depth + 1, priceSum + offer.price);
+            if (opens) subtotals.delete(offer.store);
+            else subtotals.set(offer.store, subtotals.get(offer.store) - offer.price);
+            if (!exact) return;
+        }
+    }
+
+    visit(0, 0);
+    if (best) return { picks: best.picks, exact };
+    return exact ? null : { picks: null, exact: false };
+}
+
+// One offer per store for each item (the cheapest), cheapest first
+function normalizeItems(items) {
+    return items.map(item => {
+        const byStore = new Map();
+        for (const offer of item.offers) {
+            if (offer.price === null || offer.price === undefined || !offer.store) continue;
+            const current = byStore.get(offer.store);
+            if (!current || offer.price < current.price) byStore.set(offer.store, offer);
+        }
+        return { ...item, offers: [...byStore.values()].sort((a, b) => a.price - b.price) };
+    });
+}
+
+function summarize(items, picks, rules) {
+    const cost = planCost(picks, rules);
+    const stores = [...cost.subtotals.entries()].map(([store, subtotal]) => {
+        const { freeShippingOver } = shippingRule(store, rules);
+        const shipping = shippingFee(store, subtotal, rules);
+        return {
+            store,
+            items: picks.filter(offer => offer.store === store).length,
+            subtotal: round(subtotal),
+            shipping: round(shipping),
+            freeShippingOver,
+            // How much more would make this store's shipping free
+            toFreeShipping: shipping > 0 && freeShippingOver !== null ? round(freeShippingOver - subtotal) : null,
+            total: round(subtotal + shipping)
+        };
+    }).sort((a, b) => b.total - a.total);
+
+    return {
+        items: items.map((item, i) => ({
+            key: item.key,
+            store: picks[i].store,
+            price: round(picks[i].price),
+            offer: picks[i],
+            cheapestStore: item.offers[0].store,
+            cheapestPrice: round(item.offers[0].price)
+        })),
+        stores,
+        totals: { items: round(cost.itemsTotal), shipping: round(cost.shipping), total: round(cost.total) }
+    };
+}
+
+// Keys of the items to leave out for the plan to fit within `budget`, picked
+// greedily: each round drops the item whose removal from the current plan
+// saves most (its price plus any shipping it alone caused). The plan isn't
+// searched again after a drop, only improved item by item, so a cart far over
+// budget costs a few quick passes rather than a search per item.
+function dropToFit(items, picks, budget, { rules, maxStores }) {
+    let remaining = items;
+    let current = picks;
+    const dropped = [];
+    while (remaining.length > 0) {
+        const total = planCost(current, rules).total;
+        if (total <= budget) return dropped;
+        let bestDrop = null;
+        current.forEach((offer, index) => {
+            const saving = total - planCost(current.filter((_, i) => i !== index), rules).total;
+            if (!bestDrop || saving > bestDrop.saving) bestDrop = { index, saving };
+        });
+        dropped.push(remaining[bestDrop.index].key);
+        remaining = remaining.filter((_, i) => i !== bestDrop.index);
+        current = current.filter((_, i) => i !== bestDrop.index);
+        // Shipping only adds to the listed prices, so while they alone are
+        // over budget there is nothing to improve yet
+        if (current.reduce((sum, offer) => sum + offer.price, 0) <= budget) {
+            current = improve(remaining, current, rules, maxStores);
+        }
+    }
+    return dropped;
+}
+
+// items: [{ key, offers: [{ store, price, ...anything else to echo back }] }]
+// options: { maxStores, budget, rules }
+// Returns { plan, naive, savings, storeLimitCost, exact, unavailable, budget }
+// or { error } when no plan satisfies the store limit, or none was found
+// before the search stopped at its limit. savings is what the plan saves over
+// the naive one; when the store limit makes the plan dearer than the naive one
+// (which may use more stores), savings is 0 and storeLimitCost the difference.
+function optimizeBasket(rawItems, { maxStores = null, budget = null, rules = SHIPPING_RULES } = {}) {
+    const normalized = normalizeItems(rawItems);
+    const unavailable = normalized.filter(item => item.offers.length === 0).map(item => item.key);
+    const items = normalized.filter(item => item.offers.length > 0);
+    if (items.length === 0) {
+        return { error: 'None of the items in your cart has a known price.' };
+    }
+
+    const naivePicks = items.map(item => item.offers[0]);
+    const result = searchCheapest(items, { rules, maxStores });
+    if (!result) {
+        return {
+            error: maxStores === 1
+                ? 'No single store sells every item in your cart.'
+                : `Your cart can't be bought from ${maxStores} stores or fewer.`
+        };
+    }
+    if (!result.picks) {
+        return { error: `No plan using ${maxStores} stores or fewer was found within the search limit. Try allowing more stores.` };
+    }
+
+    const plan = summarize(items, result.picks, rules);
+    const naive = summarize(items, naivePicks, rules);
+    const response = {
+        plan,
+        naive: { ...naive.totals, stores: naive.stores.length },
+        savings: round(Math.max(0, naive.totals.total - plan.totals.total)),
+        storeLimitCost: round(Math.max(0, plan.totals.total - naive.totals.total)),
+        exact: result.exact,
+        unavailable,
+        budget: null
+    };
+    if (budget !== null) {
+        const within = plan.totals.total <= budget;
+        response.budget = {
+            cap: budget,
+            withinBudget: within,
+            remaining: within ? round(budget - plan.totals.total) : 0,
+            overBy: within ? 0 : round(plan.totals.total - budget),
+            dropToFit: within ? [] : dropToFit(items, result.picks, budget, { rules, maxStores })
+        };
+    }
+    return response;
+}
+
+module.exports = { optimizeBasket, shippingFee, shippingRule, loadShippingRules, SHIPPING_RULES };
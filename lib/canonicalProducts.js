@@ -0,0 +1,138 @@
+// lib/canonicalProducts.js - Clusters store listings into canonical products
+//
+// A row in `products` is one store's offer. Offers that describe the same item
+// share a `products.canonical_id` pointing at `canonical_products`. Price
+// history is kept per offer (price_history) and per canonical product
+// (canonical_price_history, the best offer price at each update).
+
+const crypto = require('crypto');
+const { dbRun, dbGet, dbAll } = require('./db');
+const { extractAttributes, similarity } = require('./matching');
+const { storedMoney, baseValue } = require('./money');
+
+const logger = require('./logger').logger.child({ module: 'canonical-products' });
+
+const MATCH_THRESHOLD = parseFloat(process.env.MATCH_THRESHOLD) || 0.5;
+
+// A listing priced this many times above or below the product's best offer is
+// treated as a different item (usually an accessory named after the product)
+const MAX_PRICE_RATIO = 3;
+
+// Price in the base currency of a listing or stored row, or null
+function priceValue(row) {
+    return baseValue(storedMoney(row));
+}
+
+function createCanonicalCatalog({ db }) {
+    // Finds the canonical product a listing belongs to, creating one when no
+    // existing product scores above MATCH_THRESHOLD. Resolves to its id.
+    async function matchCanonical(listing) {
+        const attributes = extractAttributes(listing.title);
+        const listingPrice = priceValue(listing);
+        const candidates = await dbAll(db, `SELECT c.id, c.title, h.price, h.price_amount, h.price_currency
+            FROM canonical_products c
+            LEFT JOIN canonical_price_history h ON h.rowid = (SELECT rowid FROM canonical_price_history
+                WHERE canonical_id = c.id ORDER BY timestamp DESC LIMIT 1)
+            WHERE c.brand IS ?`, [attributes.brand]);
+
+        let best = null;
+        for (const candidate of candidates) {
+            const score = similarity(attributes, extractAttributes(candidate.title));
+            if (score < MATCH_THRESHOLD) continue;
+            const bestPrice = priceValue(candidate);
+            if (listingPrice && bestPrice && Math.max(listingPrice, bestPrice) / Math.min(listingPrice, bestPrice) > MAX_PRICE_RATIO) {
+                continue;
+            }
+            if (!best || score > best.score) {
+                best = { id: candidate.id, score };
+            }
+        }
+        if (best) return best.id;
+
+        const id = crypto.randomBytes(8).toString('hex');
+        const now = Date.now();
+        await dbRun(db, `INSERT INTO canonical_products (id, title, brand, model, storage, color, thumbnail, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [id, listing.title, attributes.brand, attributes.model.join(' ') || null, attributes.storage,
+                attributes.color, listing.thumbnail, now, now]);
+        return id;
+    }
+
+    // Returns the canonical id for a stored offer, matching it on first sight
+    async function assignCanonical(product) {
+        const existing = await dbGet(db, `SELECT canonical_id FROM products WHERE id = ?`, [product.id]);
+        if (existing && existing.canonical_id) return existing.canonical_id;
+
+        const canonicalId = await matchCanonical(product);
+        await dbRun(db, `UPDATE products SET canonical_id = ? WHERE id = ?`, [canonicalId, product.id]);
+        return canonicalId;
+    }
+
+    // Appends the current best offer price to the canonical product's history
+    async function recordCanonicalPrice(canonicalId, timestamp = Date.now()) {
+        const offers = await dbAll(db, `SELECT id, last_price, price_amount, price_currency FROM products WHERE canonical_id = ?`, [canonicalId]);
+        const priced = offers
+            .map(offer => ({ ...offer, value: priceValue(offer) }))
+            .filter(offer => offer.value !== null);
+        if (priced.length === 0) return;
+
+        const best = priced.reduce((low, offer) => (offer.value < low.value ? offer : low));
+        const money = storedMoney(best);
+        await dbRun(db, `INSERT INTO canonical_price_history (canonical_id, product_id, price, price_amount, price_currency, timestamp)
+            VALUES (?, ?, ?, ?, ?, ?)`,
+            [canonicalId, best.id, best.last_price, money.amount, money.currency, timestamp]);
+        await dbRun(db, `UPDATE canonical_products SET updated_at = ? WHERE id = ?`, [timestamp, canonicalId]);
+    }
+
+    // All known offers for the given canonical ids, cheapest first.
+    // price_value is the offer's price in the base currency.
+    async function getOffers(canonicalIds) {
+        if (canonicalIds.length === 0) return {};
+        const placeholders = canonicalIds.map(() => '?').join(', ');
+        const rows = await dbAll(db, `SELECT id, canonical_id, title, last_price AS price, price_amount, price_currency, link, source, thumbnail, last_updated
+            FROM products WHERE canonical_id IN (${placeholders})`, canonicalIds);
+
+        const offersById = {};
+        for (const row of rows) {
+            row.price_value = priceValue(row);
+            (offersById[row.canonical_id] = offersById[row.canonical_id] || []).push(row);
+        }
+        for (const offers of Object.values(offersById)) {
+            offers.sort((a, b) => (a.price_value ?? Infinity) - (b.price_value ?? Infinity));
+        }
+        return offersById;
+    }
+
+    // Assigns canonical products to offers stored before matching existed
+    async function backfill() {
+        const pending = await dbAll(db, `SELECT id, title, thumbnail, last_price AS price, price_amount, price_currency, last_updated
+            FROM products WHERE canonical_id IS NULL ORDER BY last_updated`);
+        if (pending.length === 0) return;
+        logger.info('Matching stored listings into canonical products', { pending: pending.length });
+        const touched = new Set();
+        for (const product of pending) {
+            const canonicalId = await assignCanonical(product);
+            // Recorded as we go so later listings are checked against its price
+            await recordCanonicalPrice(canonicalId, product.last_updated || Date.now());
+            touched.add(canonicalId);
+        }
+        logger.info('Canonical product backfill done', { products: touched.size });
+    }
+
+    return { assignCanonical, recordCanonicalPrice, getOffers, backfill };
+}
+
+// Collapses rows that share a canonical product into one entry carrying an
+// `offers` array. The first row of each group provides the top-level fields.
+function groupByCanonical(rows, offersById) {
+    const groups = new Map();
+    for (const row of rows) {
+        const key = row.canonical_id || row.id;
+        if (groups.has(key)) continue;
+        const offers = (row.canonical_id && offersById[row.canonical_id]) || [];
+        groups.set(key, { ...row, offers });
+    }
+    return [...groups.values()];
+}
+
+module.exports = { createCanonicalCatalog, groupByCanonical };
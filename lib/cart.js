@@ -0,0 +1,41 @@
+// lib/cart.js - The customer's cart
+//
+// `cart` holds one row per customer and stored offer. Offers of the same
+// canonical product count as one item: pages show them grouped
+// (groupByCanonical) and removing any of them removes them all. Reminder
+// prices from before alert rules existed are still stored in
+// `reminder_price`; new reminders are alert rules (lib/alerts.js).
+
+const { dbRun, dbGet, dbAll } = require('./db');
+
+function createCartService({ db }) {
+    // Stored product rows in the cart with added_at and the customer's active alert_count
+    async function listItems(userId) {
+        return dbAll(db, `SELECT p.*, c.added_at,
+                (SELECT COUNT(*) FROM alert_rules a WHERE a.user_id = c.user_id AND a.product_id = p.id AND a.active = 1) AS alert_count
+            FROM cart c JOIN products p ON c.product_id = p.id WHERE c.user_id = ?`, [userId]);
+    }
+
+    // Resolves to true when added, false when the offer was already in the
+    // cart, or null when the product isn't stored
+    async function addItem(userId, productId) {
+        const product = await dbGet(db, `SELECT id FROM products WHERE id = ?`, [productId]);
+        if (!product) return null;
+        const result = await dbRun(db, `INSERT OR IGNORE INTO cart (user_id, product_id, reminder_price, added_at) VALUES (?, ?, NULL, ?)`,
+            [userId, productId, Date.now()]);
+        return result.changes > 0;
+    }
+
+    // Removes the offer and every other offer of its product; resolves to the
+    // number of rows removed
+    async function removeItem(userId, productId) {
+        const result = await dbRun(db, `DELETE FROM cart WHERE user_id = ? AND (product_id = ? OR product_id IN (
+                SELECT id FROM products WHERE canonical_id = (SELECT canonical_id FROM products WHERE id = ?)))`,
+            [userId, productId, productId]);
+        return result.changes;
+    }
+
+    return { listItems, addItem, removeItem };
+}
+
+module.exports = { createCartService };
@@ -0,0 +1,447 @@
+// lib/dataTransfer.js - Exporting and importing a customer's saved data
+//
+// Export: the customer's wishlists (with notes and target prices), cart (with
+// reminder prices, i.e. its active target_price alerts) and the price history
+// of those products, as one JSON document or as a CSV per section.
+//
+// Import takes the same JSON document, or a CSV of product links and titles
+// for one section. Every entry is reconciled against the stored `products`:
+// by product id, then by link, then by normalized title. Entries that match
+// nothing are stored as new products when they have both a link and a title,
+// and skipped otherwise. Price history is only taken for products the import
+// itself creates: `products` is shared, so history for a stored product would
+// change every customer's forecasts and alerts. An import is written in one
+// transaction; with dryRun the report says what would happen and nothing is
+// written.
+
+const { dbRun, dbGet, dbAll, withTransaction } = require('./db');
+const { normalizeTitle } = require('./matching');
+const { BASE_CURRENCY, parseMoney, storedMoney, baseValue, fromMajor, toMajor, formatMoney } = require('./money');
+const { normalizeListing } = require('../adapters/normalize');
+const { DEFAULT_LIST_NAME, validateListName } = require('./wishlists');
+
+const EXPORT_FORMAT = 'priceripper-export';
+const EXPORT_VERSION = 1;
+const CSV_SECTIONS = ['wishlist', 'cart', 'history'];
+const MAX_IMPORT_ITEMS = 1000;
+const MAX_IMPORT_HISTORY = 50000;
+
+const CSV_COLUMNS = {
+    wishlist: ['list', 'productId', 'title', 'link', 'source', 'price', 'note', 'targetPrice', 'addedAt'],
+    cart: ['productId', 'title', 'link', 'source', 'price', 'reminderPrice', 'addedAt'],
+    history: ['productId', 'title', 'price', 'amount', 'currency', 'recordedAt']
+};
+
+// Import CSV headers (lower case, without spaces, _ and -) -> item fields
+const CSV_HEADERS = {
+    link: 'link', url: 'link', title: 'title', name: 'title', productid: 'productId', source: 'source', store: 'source',
+    price: 'price', list: 'list', note: 'note', targetprice: 'targetPrice', reminderprice: 'reminderPrice'
+};
+
+// --- CSV ---
+
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+    return [columns, ...rows.map(row => columns.map(column => row[column]))]
+        .map(fields => fields.map(csvField).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+// RFC 4180: quoted fields may hold commas, line breaks and doubled quotes
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const input = String(text).replace(/^\uFEFF/, '');
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') { field += '"'; i++; }
+            else if (char === '"') quoted = false;
+            else field += char;
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+// --- Reading import input ---
+
+function toTimestamp(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const time = typeof value === 'number' ? value : (/^\d+$/.test(value) ? Number(value) : Date.parse(value));
+    return isFinite(time) ? time : null;
+}
+
+function readPrice(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    return isFinite(number) && number > 0 ? number : NaN;
+}
+
+function readItem(raw, row) {
+    return {
+        row,
+        productId: raw.productId ? String(raw.productId) : null,
+        title: raw.title ? String(raw.title).trim() : null,
+        link: raw.link ? String(raw.link).trim() : null,
+        source: raw.source ? String(raw.source).trim() : null,
+        price: raw.price ? String(raw.price) : null,
+        note: raw.note ? String(raw.note) : null,
+        targetPrice: readPrice(raw.targetPrice),
+        reminderPrice: readPrice(raw.reminderPrice)
+    };
+}
+
+// An export document (or anything shaped like one) as
+// { payload: { wishlists, cart, priceHistory } }, or { error }
+function readImportJson(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) return { error: 'Expected an export document (a JSON object).' };
+    if (body.format !== undefined && body.format !== EXPORT_FORMAT) return { error: `Unknown format "${body.format}".` };
+    if (body.version !== undefined && body.version > EXPORT_VERSION) {
+        return { error: `Export version ${body.version} is newer than this server understands (${EXPORT_VERSION}).` };
+    }
+    const wishlists = body.wishlists || [];
+    const cart = body.cart || [];
+    const priceHistory = body.priceHistory || [];
+    if (![wishlists, cart, priceHistory].every(Array.isArray)) return { error: 'wishlists, cart and priceHistory must be arrays.' };
+
+    const payload = {
+        wishlists: wishlists.map(list => ({
+            name: list && list.name ? String(list.name).trim() : null,
+            items: (Array.isArray(list && list.items) ? list.items : []).map((item, i) => readItem(item || {}, i + 1))
+        })),
+        cart: cart.map((item, i) => readItem(item || {}, i + 1)),
+        priceHistory
+    };
+    return checkLimits(payload);
+}
+
+// A CSV of product links/titles (header row required) for one section:
+// `target` is wishlist or cart. Wishlist rows go to their `list` column, or
+// to `list` when it's empty, or else to the user's default list.
+function readImportCsv(text, { target = 'wishlist', list = null } = {}) {
+    if (!['wishlist', 'cart'].includes(target)) return { error: 'target must be wishlist or cart.' };
+    const [header, ...rows] = parseCsv(text || '');
+    if (!header) return { error: 'The CSV is empty.' };
+    // "Target Price", "target_price" and "targetPrice" all name the same column
+    const columns = header.map(name => CSV_HEADERS[name.toLowerCase().replace(/[\s_-]/g, '')] || null);
+    if (!columns.some(name => name === 'link' || name === 'title')) {
+        return { error: 'The CSV needs a header row with a link (or url) and/or title column.' };
+    }
+    const items = rows.map((fields, i) => {
+        const raw = {};
+        columns.forEach((name, column) => { if (name) raw[name] = (fields[column] || '').trim(); });
+        // Line numbers as a spreadsheet shows them, the header being line 1
+        return { ...readItem(raw, i + 2), list: raw.list || list || null };
+    });
+
+    const payload = { wishlists: [], cart: [], priceHistory: [] };
+    if (target === 'cart') {
+        payload.cart = items;
+    } else {
+        const byName = new Map();
+        for (const item of items) {
+            if (!byName.has(item.list)) byName.set(item.list, []);
+            byName.get(item.list).push(item);
+        }
+        payload.wishlists = [...byName.entries()].map(([name, listItems]) => ({ name, items: listItems }));
+    }
+    return checkLimits(payload);
+}
+
+function checkLimits(payload) {
+    const items = payload.cart.length + payload.wishlists.reduce((sum, list) => sum + list.items.length, 0);
+    if (items > MAX_IMPORT_ITEMS) return { error: `An import can hold at most ${MAX_IMPORT_ITEMS} wishlist and cart entries.` };
+    if (payload.priceHistory.length > MAX_IMPORT_HISTORY) return { error: `An import can hold at most ${MAX_IMPORT_HISTORY} price history entries.` };
+    return { payload };
+}
+
+// "www.amazon.in" -> "Amazon", for new products whose entry names no store
+function sourceFromLink(link) {
+    try {
+        const host = new URL(link).hostname.replace(/^www\./, '');
+        const name = host.split('.')[0];
+        return name.charAt(0).toUpperCase() + name.slice(1);
+    } catch (err) {
+        return null;
+    }
+}
+
+function isWebLink(link) {
+    try {
+        return ['http:', 'https:'].includes(new URL(link).protocol);
+    } catch (err) {
+        return false;
+    }
+}
+
+// wishlists and alerts are the services from lib/wishlists.js and lib/alerts.js;
+// saveProduct(listing) stores a new product and resolves to { id }.
+function createDataTransfer({ db, wishlists, alerts, saveProduct }) {
+    // --- Export ---
+
+    async function exportData(userId) {
+        const lists = await wishlists.listLists(userId);
+        const wishlistRows = await wishlists.listItems(lists.map(list => list.id));
+        const cartRows = await dbAll(db, `SELECT p.*, c.reminder_price, c.added_at,
+                (SELECT MIN(a.threshold) FROM alert_rules a WHERE a.user_id = c.user_id AND a.product_id = c.product_id
+                    AND a.type = 'target_price' AND a.active = 1) AS reminder_threshold
+            FROM cart c JOIN products p ON p.id = c.product_id WHERE c.user_id = ? ORDER BY c.added_at`, [userId]);
+
+        const product = (row) => ({
+            productId: row.id,
+            title: row.title,
+            link: row.link,
+            source: row.source,
+            price: row.last_price
+        });
+        const titles = new Map([...wishlistRows, ...cartRows].map(row => [row.id, row.title]));
+        const productIds = [...titles.keys()];
+        const historyRows = productIds.length === 0 ? [] : await dbAll(db, `SELECT product_id, price, price_amount, price_currency, timestamp
+            FROM price_history WHERE product_id IN (${productIds.map(() => '?').join(', ')}) ORDER BY product_id, timestamp`, productIds);
+
+        return {
+            format: EXPORT_FORMAT,
+            version: EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            // Target and reminder prices are in this currency
+            currency: BASE_CURRENCY,
+            wishlists: lists.map(list => ({
+                name: list.name,
+                items: wishlistRows.filter(row => row.list_id === list.id).map(row => ({
+                    ...product(row),
+                    note: row.note,
+                    targetPrice: row.target_price,
+                    addedAt: new Date(row.added_at).toISOString()
+                }))
+            })),
+            cart: cartRows.map(row => ({
+                ...product(row),
+                reminderPrice: row.reminder_threshold ?? baseValue(parseMoney(row.reminder_price)),
+                addedAt: new Date(row.added_at).toISOString()
+            })),
+            priceHistory: historyRows.map(row => {
+                const money = storedMoney(row);
+                return {
+                    productId: row.product_id,
+                    title: titles.get(row.product_id),
+                    price: row.price,
+                    amount: money ? toMajor(money) : null,
+                    currency: money ? money.currency : null,
+                    recordedAt: new Date(row.timestamp).toISOString()
+                };
+            })
+        };
+    }
+
+    // One section of the export as CSV
+    async function exportCsv(userId, section) {
+        const data = await exportData(userId);
+        const rows = section === 'wishlist'
+            ? data.wishlists.flatMap(list => list.items.map(item => ({ list: list.name, ...item })))
+            : section === 'cart' ? data.cart : data.priceHistory;
+        return toCsv(CSV_COLUMNS[section], rows);
+    }
+
+    // --- Import ---
+
+    // All or nothing: a failed import leaves no half-imported lists behind
+    async function importData(userId, payload, { dryRun = false } = {}) {
+        if (dryRun) return runImport(userId, payload, { dryRun });
+        return withTransaction(db, () => runImport(userId, payload, { dryRun }));
+    }
+
+    async function runImport(userId, payload, { dryRun }) {
+        const entries = [];
+        const summary = {
+            productsMatched: 0, productsCreated: 0, listsCreated: 0,
+            wishlistAdded: 0, cartAdded: 0, alertsCreated: 0, skipped: 0,
+            historyAdded: 0, historySkipped: 0
+        };
+        // Product ids of this import (as written in it) -> stored product ids
+        const resolvedIds = new Map();
+        // Products, list items and cart entries this import adds, so a dry run
+        // reports later entries for them the way the real run would
+        const created = new Set();
+        const added = new Set();
+        let titleIndex = null;
+
+        async function findByTitle(title) {
+            if (!titleIndex) {
+                titleIndex = new Map();
+                for (const row of await dbAll(db, `SELECT id, title FROM products ORDER BY last_updated DESC`)) {
+                    const key = normalizeTitle(row.title);
+                    if (key && !titleIndex.has(key)) titleIndex.set(key, row.id);
+                }
+            }
+            return titleIndex.get(normalizeTitle(title)) || null;
+        }
+
+        // Resolves to { id, product: 'existing'|'new' } or { reason } when the entry can't be used
+        async function resolveProduct(item) {
+            if (item.productId && resolvedIds.has(item.productId)) return resolvedIds.get(item.productId);
+            let id = null;
+            if (item.productId) id = (await dbGet(db, `SELECT id FROM products WHERE id = ?`, [item.productId]) || {}).id || null;
+            if (!id && item.link) id = (await dbGet(db, `SELECT id FROM products WHERE link = ? ORDER BY last_updated DESC`, [item.link]) || {}).id || null;
+            if (!id && item.title) id = await findByTitle(item.title);
+
+            let result;
+            if (id) {
+                result = { id, product: created.has(id) ? 'new' : 'existing' };
+            } else if (!item.link || !item.title) {
+                return { reason: item.link || item.title
+                    ? 'No stored product matches, and a new one needs both a link and a title.'
+                    : 'The entry has no link or title.' };
+            } else if (!isWebLink(item.link)) {
+                return { reason: 'The link is not an http(s) URL.' };
+            } else {
+                const listing = normalizeListing('import', {
+                    title: item.title,
+                    link: item.link,
+                    source: item.source || sourceFromLink(item.link),
+                    price: item.price
+                });
+                if (!created.has(listing.id)) {
+                    if (!dryRun) await saveProduct(listing);
+                    created.add(listing.id);
+                    summary.productsCreated++;
+                    if (titleIndex) titleIndex.set(normalizeTitle(listing.title), listing.id);
+                }
+                result = { id: listing.id, product: 'new' };
+            }
+            if (result.product === 'existing') summary.productsMatched++;
+            if (item.productId) resolvedIds.set(item.productId, result);
+            return result;
+        }
+
+        function report(section, item, fields) {
+            if (fields.action === 'skip') summary.skipped++;
+            entries.push({ section, row: item.row, title: item.title, link: item.link, ...fields });
+        }
+
+        // Wishlists, list by list
+        const lists = await wishlists.listLists(userId);
+        for (const list of payload.wishlists) {
+            // Unnamed lists go to the default list (the oldest, see lib/wishlists.js)
+            const name = list.name || (lists[0] ? lists[0].name : DEFAULT_LIST_NAME);
+            const invalidName = validateListName(name);
+            if (invalidName) {
+                list.items.forEach(item => report('wishlist', item, { list: name, action: 'skip', reason: `List ${invalidName}` }));
+                continue;
+            }
+            let target = lists.find(entry => entry.name.toLowerCase() === name.toLowerCase()) || null;
+            if (!target && list.items.length > 0) {
+                summary.listsCreated++;
+                target = dryRun ? { id: null, name } : await wishlists.createList(userId, name);
+                lists.push(target);
+            }
+            for (const item of list.items) {
+                if (Number.isNaN(item.targetPrice)) {
+                    report('wishlist', item, { list: name, action: 'skip', reason: 'targetPrice must be a positive number.' });
+                    continue;
+                }
+                const product = await resolveProduct(item);
+                if (!product.id) {
+                    report('wishlist', item, { list: name, action: 'skip', reason: product.reason });
+                    continue;
+                }
+                const key = `${name.toLowerCase()}\n${product.id}`;
+                const inList = added.has(key) || (target.id !== null
+                    && await dbGet(db, `SELECT 1 FROM wishlists WHERE list_id = ? AND product_id = ?`, [target.id, product.id]));
+                if (inList) {
+                    report('wishlist', item, { list: name, productId: product.id, product: product.product, action: 'skip', reason: 'Already in this list.' });
+                    continue;
+                }
+                if (!dryRun) await wishlists.addItem(target.id, product.id, { note: item.note, targetPrice: item.targetPrice });
+                added.add(key);
+                summary.wishlistAdded++;
+                report('wishlist', item, { list: name, productId: product.id, product: product.product, action: 'add' });
+            }
+        }
+
+        // Cart; a reminder price becomes a one-shot target_price alert, as with POST /cart/add
+        for (const item of payload.cart) {
+            if (Number.isNaN(item.reminderPrice)) {
+                report('cart', item, { action: 'skip', reason: 'reminderPrice must be a positive number.' });
+                continue;
+            }
+            const product = await resolveProduct(item);
+            if (!product.id) {
+                report('cart', item, { action: 'skip', reason: product.reason });
+                continue;
+            }
+            const key = `cart\n${product.id}`;
+            if (added.has(key) || await dbGet(db, `SELECT 1 FROM cart WHERE user_id = ? AND product_id = ?`, [userId, product.id])) {
+                report('cart', item, { productId: product.id, product: product.product, action: 'skip', reason: 'Already in your cart.' });
+                continue;
+            }
+            if (!dryRun) {
+                await dbRun(db, `INSERT INTO cart (user_id, product_id, reminder_price, added_at) VALUES (?, ?, NULL, ?)`, [userId, product.id, Date.now()]);
+                if (item.reminderPrice) {
+                    await alerts.setReminder(userId, product.id, item.reminderPrice);
+                }
+            }
+            if (item.reminderPrice) summary.alertsCreated++;
+            added.add(key);
+            summary.cartAdded++;
+            report('cart', item, { productId: product.id, product: product.product, action: 'add' });
+        }
+
+        // Price history: only for products this import created; repeated
+        // points (same product and time) are skipped
+        const seenPoints = new Set();
+        for (const point of payload.priceHistory) {
+            const productId = point && point.productId ? String(point.productId) : null;
+            const timestamp = toTimestamp(point && (point.recordedAt ?? point.timestamp));
+            const money = point && point.amount !== undefined && point.amount !== null && isFinite(Number(point.amount))
+                ? fromMajor(Number(point.amount), point.currency || BASE_CURRENCY)
+                : parseMoney(point && point.price);
+            const resolved = productId && (resolvedIds.get(productId) || { id: productId });
+            if (!resolved || !created.has(resolved.id) || timestamp === null || !money) {
+                summary.historySkipped++;
+                continue;
+            }
+            const pointKey = `${resolved.id}@${timestamp}`;
+            const exists = seenPoints.has(pointKey);
+            seenPoints.add(pointKey);
+            if (exists) {
+                summary.historySkipped++;
+                continue;
+            }
+            if (!dryRun) {
+                await dbRun(db, `INSERT INTO price_history (product_id, price, price_amount, price_currency, timestamp) VALUES (?, ?, ?, ?, ?)`,
+                    [resolved.id, point.price || formatMoney(money), money.amount, money.currency, timestamp]);
+            }
+            summary.historyAdded++;
+        }
+
+        return { dryRun, summary, entries };
+    }
+
+    return { exportData, exportCsv, importData };
+}
+
+module.exports = { createDataTransfer, readImportJson, readImportCsv, parseCsv, toCsv, CSV_SECTIONS, EXPORT_FORMAT };
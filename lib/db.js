@@ -0,0 +1,113 @@
+// lib/db.js - Promise wrappers around the callback-style sqlite3 API
+//
+// The app shares one sqlite3 connection, and a transaction on it takes in
+// every statement that runs while it is open. withTransaction therefore runs
+// one transaction at a time per connection, and dbRun calls made outside the
+// open transaction wait for it to end; calls made inside it (found through
+// the async context fn runs in) go straight through. Reads are not held back.
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const transactionContext = new AsyncLocalStorage();
+const connections = new WeakMap();
+
+function connectionState(db) {
+    let state = connections.get(db);
+    if (!state) {
+        // queue: the last transaction started; writes: dbRun calls running
+        // outside a transaction, which a transaction waits out before BEGIN
+        state = { queue: Promise.resolve(), transaction: null, writes: 0, drained: null };
+        connections.set(db, state);
+    }
+    return state;
+}
+
+// The transaction of db the caller is running in, if any
+function currentTransaction(db, state) {
+    const transaction = transactionContext.getStore();
+    return transaction && transaction.db === db && state.transaction === transaction ? transaction : null;
+}
+
+function run(db, sql, params) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) return reject(err);
+            resolve({ lastID: this.lastID, changes: this.changes });
+        });
+    });
+}
+
+async function dbRun(db, sql, params = []) {
+    const state = connectionState(db);
+    if (currentTransaction(db, state)) return run(db, sql, params);
+    while (state.transaction) await state.transaction.finished;
+    state.writes++;
+    try {
+        return await run(db, sql, params);
+    } finally {
+        state.writes--;
+        if (state.writes === 0 && state.drained) state.drained();
+    }
+}
+
+function dbGet(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    });
+}
+
+function dbAll(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+}
+
+// Runs fn() in a transaction: COMMIT when it resolves, ROLLBACK when it
+// rejects. Resolves to fn's result once committed. A withTransaction inside
+// fn joins the open transaction.
+function withTransaction(db, fn) {
+    const state = connectionState(db);
+    if (currentTransaction(db, state)) return fn();
+    const result = state.queue.then(() => runTransaction(db, state, fn));
+    state.queue = result.catch(() => {});
+    return result;
+}
+
+async function runTransaction(db, state, fn) {
+    let finish;
+    const transaction = { db, afterCommit: [], finished: new Promise(resolve => { finish = resolve; }) };
+    state.transaction = transaction;
+    let committed = false;
+    try {
+        while (state.writes > 0) await new Promise(resolve => { state.drained = resolve; });
+        state.drained = null;
+        const result = await transactionContext.run(transaction, async () => {
+            await run(db, 'BEGIN', []);
+            try {
+                const value = await fn();
+                await run(db, 'COMMIT', []);
+                return value;
+            } catch (err) {
+                await run(db, 'ROLLBACK', []);
+                throw err;
+            }
+        });
+        committed = true;
+        return result;
+    } finally {
+        state.transaction = null;
+        finish();
+        if (committed) transaction.afterCommit.forEach(task => transactionContext.exit(task));
+    }
+}
+
+// Runs task now, or, when called inside a transaction, once it has committed
+// (never if it rolls back). For background work that shouldn't join the
+// transaction or act on writes that may yet be undone.
+function afterCommit(db, task) {
+    const transaction = currentTransaction(db, connectionState(db));
+    if (transaction) transaction.afterCommit.push(task);
+    else task();
+}
+
+module.exports = { dbRun, dbGet, dbAll, withTransaction, afterCommit };
@@ -0,0 +1,90 @@
+// lib/health.js - Liveness and readiness checks
+//
+// /healthz only says the process is up and answering. /readyz says whether it
+// can do its job: the database answers and the migrations have run, and every
+// background worker that was started has finished a run recently. Workers
+// report in through workerStarted() / workerRan() / workerFailed(); one
+// that hasn't finished a run for STALE_INTERVALS of its intervals (plus a
+// grace period for its first run) is reported as stale.
+
+const { dbGet } = require('./db');
+const { metrics } = require('./metrics');
+
+const STALE_INTERVALS = 3;
+const FIRST_RUN_GRACE_MS = 60 * 1000;
+const DB_CHECK_TIMEOUT_MS = 2000;
+
+const workers = new Map();
+
+function workerStarted(name, intervalMs) {
+    workers.set(name, { intervalMs, startedAt: Date.now(), lastRunAt: null, lastErrorAt: null, lastError: null });
+}
+
+function workerRan(name) {
+    const worker = workers.get(name);
+    if (!worker) return;
+    worker.lastRunAt = Date.now();
+    metrics.workerRuns.set({ worker: name }, worker.lastRunAt / 1000);
+}
+
+function workerFailed(name, err) {
+    const worker = workers.get(name);
+    if (!worker) return;
+    worker.lastErrorAt = Date.now();
+    worker.lastError = err.message;
+}
+
+function workerStatus(now = Date.now()) {
+    return [...workers.entries()].map(([name, worker]) => {
+        const deadline = (worker.lastRunAt || worker.startedAt) + STALE_INTERVALS * worker.intervalMs
+            + (worker.lastRunAt ? 0 : FIRST_RUN_GRACE_MS);
+        return {
+            name,
+            ok: now <= deadline,
+            intervalSeconds: Math.round(worker.intervalMs / 1000),
+            lastRunAt: worker.lastRunAt ? new Date(worker.lastRunAt).toISOString() : null,
+            lastError: worker.lastError,
+            lastErrorAt: worker.lastErrorAt ? new Date(worker.lastErrorAt).toISOString() : null
+        };
+    });
+}
+
+function withTimeout(promise, ms, message) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// dbReady: the promise server.js resolves once migrations have run
+function createHealthChecks({ db, dbReady }) {
+    let migrated = false;
+    dbReady.then(() => { migrated = true; }, () => {});
+
+    async function checkDatabase() {
+        if (!migrated) return { ok: false, error: 'Migrations have not finished.' };
+        const started = Date.now();
+        try {
+            await withTimeout(dbGet(db, 'SELECT 1 AS ok'), DB_CHECK_TIMEOUT_MS, 'Database did not answer in time.');
+            return { ok: true, latencyMs: Date.now() - started };
+        } catch (err) {
+            return { ok: false, error: err.message };
+        }
+    }
+
+    function liveness() {
+        return { status: 'ok', uptimeSeconds: Math.round(process.uptime()) };
+    }
+
+    async function readiness() {
+        const database = await checkDatabase();
+        const workerChecks = workerStatus();
+        const ready = database.ok && workerChecks.every(worker => worker.ok);
+        return { status: ready ? 'ready' : 'not_ready', checks: { database, workers: workerChecks } };
+    }
+
+    return { liveness, readiness };
+}
+
+module.exports = { createHealthChecks, workerStarted, workerRan, workerFailed, workerStatus };
@@ -0,0 +1,133 @@
+// lib/imageIndex.js - Local visual-similarity index over product thumbnails
+//
+// Each product thumbnail is downloaded once into THUMBNAIL_CACHE_DIR and
+// reduced with sharp to two compact fingerprints stored in `image_index`:
+//   dhash      64-bit difference hash of a 9x8 grayscale thumbnail (shape)
+//   embedding  4x4 RGB thumbnail as 48 numbers in [0, 1] (colour layout)
+// Queries fingerprint the uploaded image the same way and rank every indexed
+// product by a blend of both distances. No network is needed at query time.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const sharp = require('sharp');
+const { dbRun, dbAll } = require('./db');
+
+const logger = require('./logger').logger.child({ module: 'image-index' });
+
+const CACHE_DIR = process.env.THUMBNAIL_CACHE_DIR || path.join(__dirname, '..', 'cache', 'thumbnails');
+const RETRY_FAILED_AFTER_MS = 24 * 60 * 60 * 1000;
+
+async function fingerprintImage(buffer) {
+    const gray = await sharp(buffer).grayscale().resize(9, 8, { fit: 'fill' }).raw().toBuffer();
+    let dhash = '';
+    for (let row = 0; row < 8; row++) {
+        let nibbleBits = 0;
+        for (let col = 0; col < 8; col++) {
+            const bit = gray[row * 9 + col] < gray[row * 9 + col + 1] ? 1 : 0;
+            nibbleBits = (nibbleBits << 1) | bit;
+            if (col % 4 === 3) {
+                dhash += nibbleBits.toString(16);
+                nibbleBits = 0;
+            }
+        }
+    }
+
+    const color = await sharp(buffer).removeAlpha().resize(4, 4, { fit: 'fill' }).raw().toBuffer();
+    const embedding = Array.from(color, value => Math.round((value / 255) * 1000) / 1000);
+
+    return { dhash, embedding };
+}
+
+function hammingDistance(a, b) {
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+        let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+        while (diff) {
+            distance += diff & 1;
+            diff >>= 1;
+        }
+    }
+    return distance;
+}
+
+// 1 for identical images, towards 0 for unrelated ones
+function similarityScore(a, b) {
+    const shape = 1 - hammingDistance(a.dhash, b.dhash) / 64;
+    const squared = a.embedding.reduce((sum, value, i) => sum + Math.pow(value - b.embedding[i], 2), 0);
+    const colour = 1 - Math.sqrt(squared / a.embedding.length);
+    return 0.6 * shape + 0.4 * colour;
+}
+
+// Thumbnails are either remote URLs or inline data: URIs
+async function loadThumbnail(url) {
+    if (url.startsWith('data:')) {
+        return Buffer.from(url.slice(url.indexOf(',') + 1), 'base64');
+    }
+    const cachePath = path.join(CACHE_DIR, crypto.createHash('sha1').update(url).digest('hex'));
+    if (fs.existsSync(cachePath)) {
+        return fs.promises.readFile(cachePath);
+    }
+    const response = await axios.get(url, { responseType: 'arraybuffer', timeout: 10000 });
+    const buffer = Buffer.from(response.data);
+    await fs.promises.mkdir(CACHE_DIR, { recursive: true });
+    await fs.promises.writeFile(cachePath, buffer);
+    return buffer;
+}
+
+function createImageIndex({ db }) {
+    // Fingerprints up to `limit` products that aren't indexed yet. Thumbnails
+    // that fail to download are retried after a day.
+    async function indexPending(limit = 25) {
+        const pending = await dbAll(db, `SELECT p.id, p.thumbnail FROM products p
+            LEFT JOIN image_index i ON i.product_id = p.id
+            WHERE p.thumbnail IS NOT NULL AND p.thumbnail != ''
+              AND (i.product_id IS NULL OR (i.dhash IS NULL AND i.indexed_at < ?))
+            LIMIT ?`, [Date.now() - RETRY_FAILED_AFTER_MS, limit]);
+
+        let indexed = 0;
+        for (const product of pending) {
+            try {
+                const { dhash, embedding } = await fingerprintImage(await loadThumbnail(product.thumbnail));
+                await dbRun(db, `INSERT OR REPLACE INTO image_index (product_id, dhash, embedding, error, indexed_at) VALUES (?, ?, ?, NULL, ?)`,
+                    [product.id, dhash, JSON.stringify(embedding), Date.now()]);
+                indexed++;
+            } catch (err) {
+                await dbRun(db, `INSERT OR REPLACE INTO image_index (product_id, dhash, embedding, error, indexed_at) VALUES (?, NULL, NULL, ?, ?)`,
+                    [product.id, err.message, Date.now()]);
+            }
+        }
+        if (pending.length > 0) {
+            logger.info('Fingerprinted product thumbnails', { indexed, pending: pending.length });
+        }
+        return indexed;
+    }
+
+    // Products whose thumbnails look most like `buffer`, best first
+    async function findSimilar(buffer, { limit = 8, minScore = 0.7 } = {}) {
+        const query = await fingerprintImage(buffer);
+        const rows = await dbAll(db, `SELECT i.product_id, i.dhash, i.embedding, p.title, p.thumbnail, p.link, p.source, p.last_price, p.canonical_id
+            FROM image_index i JOIN products p ON p.id = i.product_id WHERE i.dhash IS NOT NULL`);
+
+        return rows
+            .map(row => ({ row, score: similarityScore(query, { dhash: row.dhash, embedding: JSON.parse(row.embedding) }) }))
+            .filter(match => match.score >= minScore)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(({ row, score }) => ({
+                id: row.product_id,
+                canonical_id: row.canonical_id,
+                title: row.title,
+                price: row.last_price,
+                link: row.link,
+                source: row.source,
+                thumbnail: row.thumbnail,
+                similarity: Math.round(score * 1000) / 1000
+            }));
+    }
+
+    return { indexPending, findSimilar };
+}
+
+module.exports = { createImageIndex };
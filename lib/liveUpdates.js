@@ -0,0 +1,199 @@
+// lib/liveUpdates.js - Price changes pushed to open pages (Server-Sent Events)
+//
+// wishlist.html and cart.html keep one GET /events stream open per tab. Events:
+//   price   a stored offer's price changed, or its buy/wait prediction did
+//   alert   one of the customer's alert rules fired, or was added, changed
+//           or deleted
+// A price event goes to every connected customer who has the offer, or
+// another store's offer of the same product, in a wishlist, their cart or an
+// alert rule. EventSource can't send an Authorization header, so a page
+// first trades its session for a ticket (POST /events/ticket): single-use,
+// valid for a minute, and safe to put in the stream URL where the session
+// token isn't. Streams are checked against their session on every heartbeat.
+// A stream the server ends gets a last `closing` event first, { reason }:
+//   session_ended      the session was revoked or expired
+//   too_many_streams   the customer opened more than LIVE_MAX_STREAMS_PER_USER
+// Streams live in this process's memory; pages poll when they can't connect.
+
+const crypto = require('crypto');
+const { dbGet, dbAll } = require('./db');
+const { storedMoney, baseValue } = require('./money');
+const { metrics } = require('./metrics');
+
+const logger = require('./logger').logger.child({ module: 'live-updates' });
+
+const TICKET_TTL_MS = 60 * 1000;
+// How long EventSource waits before reconnecting by itself
+const RECONNECT_MS = 5000;
+
+function readNumber(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return isNaN(value) || value <= 0 ? fallback : value;
+}
+
+function defaultConfig() {
+    return {
+        heartbeatMs: readNumber('LIVE_HEARTBEAT_SEC', 25) * 1000,
+        maxStreamsPerUser: Math.round(readNumber('LIVE_MAX_STREAMS_PER_USER', 5))
+    };
+}
+
+// predict(productId, price) is server.js's getPricePrediction; resolveSession
+// is auth.resolveSession
+function createLiveUpdates({ db, predict, resolveSession, config = defaultConfig() }) {
+    const streams = new Map(); // userId -> Set of { res, token }
+    const tickets = new Map(); // ticket -> { userId, token, expiresAt }
+    // Last recommendation sent per offer, to tell when a prediction changed
+    const recommendations = new Map();
+    metrics.liveStreams.set({}, 0);
+
+    function countStreams() {
+        let count = 0;
+        for (const userStreams of streams.values()) count += userStreams.size;
+        return count;
+    }
+
+    // A ticket for opening a stream as the holder of session `token`
+    function issueTicket(userId, token, now = Date.now()) {
+        for (const [ticket, entry] of tickets) {
+            if (entry.expiresAt <= now) tickets.delete(ticket);
+        }
+        const ticket = crypto.randomBytes(24).toString('base64url');
+        tickets.set(ticket, { userId, token, expiresAt: now + TICKET_TTL_MS });
+        return { ticket, expiresAt: now + TICKET_TTL_MS };
+    }
+
+    // { userId, token } for a live ticket, which is then used up; or null
+    function redeemTicket(ticket, now = Date.now()) {
+        const entry = tickets.get(ticket);
+        tickets.delete(ticket);
+        return entry && entry.expiresAt > now ? { userId: entry.userId, token: entry.token } : null;
+    }
+
+    function send(stream, event, data) {
+        stream.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    // Forgets a stream; with a `reason` the server is the one ending it
+    function close(userId, stream, reason = null) {
+        const userStreams = streams.get(userId);
+        if (!userStreams || !userStreams.delete(stream)) return;
+        if (userStreams.size === 0) streams.delete(userId);
+        clearInterval(stream.heartbeat);
+        if (reason) send(stream, 'closing', { reason });
+        stream.res.end();
+        metrics.liveStreams.set({}, countStreams());
+    }
+
+    // Turns the response into an event stream for `userId`, who holds session
+    // `token`. Opening more than maxStreamsPerUser closes their oldest stream.
+    function open(req, res, { userId, token }) {
+        let userStreams = streams.get(userId);
+        if (!userStreams) {
+            userStreams = new Set();
+            streams.set(userId, userStreams);
+        }
+        if (userStreams.size >= config.maxStreamsPerUser) {
+            close(userId, userStreams.values().next().value, 'too_many_streams');
+        }
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            // Tells nginx not to buffer the stream
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+        const stream = { res, token };
+        stream.heartbeat = setInterval(async () => {
+            try {
+                if (!(await resolveSession(token))) {
+                    return close(userId, stream, 'session_ended');
+                }
+                res.write(': heartbeat\n\n');
+            } catch (err) {
+                logger.error('Error checking live update session', { userId, err });
+            }
+        }, config.heartbeatMs);
+        userStreams.add(stream);
+        req.on('close', () => close(userId, stream));
+        metrics.liveStreams.set({}, countStreams());
+        send(stream, 'ready', { heartbeatMs: config.heartbeatMs });
+    }
+
+    // Sends one event to every open stream of `userId`; resolves to how many
+    function publish(userId, event, data) {
+        const userStreams = streams.get(userId);
+        if (!userStreams) return 0;
+        for (const stream of userStreams) send(stream, event, data);
+        metrics.liveEvents.inc({ event }, userStreams.size);
+        return userStreams.size;
+    }
+
+    // Connected customers tracking `productId` or another offer of its product
+    async function connectedWatchers(productId) {
+        if (streams.size === 0) return [];
+        const rows = await dbAll(db, `WITH offers AS (
+                SELECT id FROM products WHERE id = ?
+                UNION
+                SELECT p.id FROM products p JOIN products s ON s.canonical_id = p.canonical_id WHERE s.id = ?
+            )
+            SELECT l.user_id FROM wishlists w JOIN wishlist_lists l ON l.id = w.list_id WHERE w.product_id IN (SELECT id FROM offers)
+            UNION SELECT user_id FROM cart WHERE product_id IN (SELECT id FROM offers)
+            UNION SELECT user_id FROM alert_rules WHERE product_id IN (SELECT id FROM offers)`, [productId, productId]);
+        return rows.map(row => row.user_id).filter(userId => streams.has(userId));
+    }
+
+    // Call after a new price was stored for `productId`. `previous` is its
+    // price before, in the base currency (null when it had none). Resolves to
+    // the number of streams told.
+    async function priceChanged(productId, previous, now = Date.now()) {
+        const userIds = await connectedWatchers(productId);
+        if (userIds.length === 0) return 0;
+
+        const product = await dbGet(db, `SELECT id, canonical_id, title, last_price, price_amount, price_currency FROM products WHERE id = ?`, [productId]);
+        if (!product) return 0;
+        const price = baseValue(storedMoney(product));
+        const forecast = await predict(productId, price);
+        const lastRecommendation = recommendations.get(productId);
+        recommendations.set(productId, forecast.recommendation);
+        const priceMoved = price !== null && price !== previous;
+        const dropped = priceMoved && previous !== null && price < previous;
+        const predictionMoved = lastRecommendation !== undefined && lastRecommendation !== forecast.recommendation;
+        if (!priceMoved && !predictionMoved) return 0;
+
+        const data = {
+            productId,
+            canonicalId: product.canonical_id,
+            title: product.title,
+            price: product.last_price,
+            priceValue: price,
+            previousValue: previous,
+            change: dropped ? 'drop' : priceMoved && previous !== null ? 'rise' : 'none',
+            dropPercent: dropped ? Math.round((1 - price / previous) * 1000) / 10 : 0,
+            prediction: forecast.recommendation,
+            forecast: { recommendation: forecast.recommendation, confidence: forecast.confidence, reason: forecast.reason, expectedRange: forecast.expectedRange },
+            at: now
+        };
+        let told = 0;
+        for (const userId of userIds) told += publish(userId, 'price', data);
+        return told;
+    }
+
+    // Call after one of `userId`'s alert rules on `productId` fired or was
+    // changed. `change` is { kind: triggered|created|updated|deleted, ruleId,
+    // message }. The event carries the product's active rule count.
+    async function alertChanged(userId, productId, change) {
+        if (!streams.has(userId)) return 0;
+        const row = await dbGet(db, `SELECT COUNT(*) AS count FROM alert_rules WHERE user_id = ? AND product_id = ? AND active = 1`,
+            [userId, productId]);
+        return publish(userId, 'alert', { ...change, productId, alertCount: row.count, at: Date.now() });
+    }
+
+    return { issueTicket, redeemTicket, open, publish, priceChanged, alertChanged };
+}
+
+module.exports = { createLiveUpdates };
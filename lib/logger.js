@@ -0,0 +1,111 @@
+// lib/logger.js - Structured logging with per-request context
+//
+// Every line is one JSON object: { time, level, msg, ...fields }. Code running
+// inside a request (see requestContext() below) adds its `requestId`
+// automatically, including code several calls away from the route, so one
+// request's lines can be found together. Errors passed as `err` are reduced
+// to their message (and stack at debug level).
+//
+// LOG_LEVEL: debug, info (default), warn or error.
+// LOG_FORMAT: json (default) or text, a one-line readable form for development.
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const context = new AsyncLocalStorage();
+
+function readLevel() {
+    const name = (process.env.LOG_LEVEL || 'info').trim().toLowerCase();
+    return LEVELS[name] ? name : 'info';
+}
+
+// Error objects don't serialize to JSON on their own
+function serializeFields(fields, loggerLevel) {
+    const out = {};
+    for (const [key, value] of Object.entries(fields)) {
+        if (value instanceof Error) {
+            out[key] = value.message;
+            if (loggerLevel === 'debug' && value.stack) out[`${key}Stack`] = value.stack;
+        } else if (value !== undefined) {
+            out[key] = value;
+        }
+    }
+    return out;
+}
+
+function formatText(entry) {
+    const { time, level, msg, ...fields } = entry;
+    const extra = Object.entries(fields).map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+    return [time, level.toUpperCase().padEnd(5), msg, ...extra].join(' ');
+}
+
+// base: fields added to every line of this logger (see child())
+function createLogger({ base = {}, level = readLevel(), format = process.env.LOG_FORMAT || 'json', write } = {}) {
+    const threshold = LEVELS[level];
+    const output = write || ((line, entryLevel) => (entryLevel === 'error' || entryLevel === 'warn' ? process.stderr : process.stdout).write(`${line}\n`));
+
+    function log(entryLevel, msg, fields = {}) {
+        if (LEVELS[entryLevel] < threshold) return;
+        const entry = {
+            time: new Date().toISOString(),
+            level: entryLevel,
+            msg,
+            ...base,
+            ...(context.getStore() || {}),
+            ...serializeFields(fields, level)
+        };
+        let line;
+        try {
+            line = format === 'text' ? formatText(entry) : JSON.stringify(entry);
+        } catch (err) {
+            line = JSON.stringify({ time: entry.time, level: entryLevel, msg, logError: err.message });
+        }
+        output(line, entryLevel);
+    }
+
+    return {
+        debug: (msg, fields) => log('debug', msg, fields),
+        info: (msg, fields) => log('info', msg, fields),
+        warn: (msg, fields) => log('warn', msg, fields),
+        error: (msg, fields) => log('error', msg, fields),
+        // A logger that adds `fields` to every line, e.g. { module: 'alerts' }
+        child: (fields) => createLogger({ base: { ...base, ...fields }, level, format, write: output })
+    };
+}
+
+const logger = createLogger();
+
+// Request ids from a proxy or client are reused when they look like ids
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,64}$/;
+
+// Express middleware: gives each request an id (echoed as X-Request-Id), runs
+// the rest of the request inside its logging context and logs one line when
+// the response is finished. onFinish(req, res, durationSeconds) lets callers
+// record metrics for the same request.
+function requestContext({ log = logger, onFinish } = {}) {
+    return (req, res, next) => {
+        const incoming = req.get('X-Request-Id');
+        req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+        res.set('X-Request-Id', req.id);
+        const started = process.hrtime.bigint();
+
+        res.on('finish', () => {
+            const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+            if (onFinish) onFinish(req, res, seconds);
+            const fields = {
+                method: req.method,
+                path: req.originalUrl.split('?')[0],
+                status: res.statusCode,
+                durationMs: Math.round(seconds * 1000),
+                userId: req.user ? req.user.id : undefined
+            };
+            const entryLevel = res.statusCode >= 500 ? 'error' : 'info';
+            context.run({ requestId: req.id }, () => log[entryLevel]('Request finished', fields));
+        });
+        context.run({ requestId: req.id }, next);
+    };
+}
+
+module.exports = { logger, createLogger, requestContext, LEVELS };
@@ -0,0 +1,81 @@
+// lib/loginLockout.js - Progressive lockout after failed logins
+//
+// Failed logins are counted per email address in `login_attempts`. From the
+// LOGIN_LOCKOUT_THRESHOLD-th failure in a row the address is locked, first
+// for LOGIN_LOCKOUT_BASE_MIN, doubling with every further failure up to
+// LOGIN_LOCKOUT_MAX_MIN. While it is locked, logins for it are refused
+// without checking the password. A failure streak is forgotten once
+// LOGIN_FAILURE_RESET_HOURS pass without another failure, and a successful
+// login or password reset clears it at once. Addresses with no account are
+// counted the same way, so the lockout doesn't reveal which ones exist.
+
+const { dbRun, dbGet } = require('./db');
+const { metrics } = require('./metrics');
+
+const logger = require('./logger').logger.child({ module: 'login-lockout' });
+
+const MINUTE = 60 * 1000;
+
+function readNumber(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return isNaN(value) || value <= 0 ? fallback : value;
+}
+
+function defaultConfig() {
+    return {
+        threshold: Math.round(readNumber('LOGIN_LOCKOUT_THRESHOLD', 5)),
+        baseMs: readNumber('LOGIN_LOCKOUT_BASE_MIN', 1) * MINUTE,
+        maxMs: readNumber('LOGIN_LOCKOUT_MAX_MIN', 60) * MINUTE,
+        resetMs: readNumber('LOGIN_FAILURE_RESET_HOURS', 24) * 60 * MINUTE
+    };
+}
+
+// How long the `failures`-th failure in a row locks the address for (0: not at all)
+function lockoutDuration(failures, config) {
+    if (failures < config.threshold) return 0;
+    return Math.min(config.baseMs * Math.pow(2, failures - config.threshold), config.maxMs);
+}
+
+function createLoginLockout({ db, config = defaultConfig() }) {
+    // { locked, retryAfterMs } for an address about to log in
+    async function check(email, now = Date.now()) {
+        const row = await dbGet(db, `SELECT locked_until FROM login_attempts WHERE email = ?`, [email]);
+        if (row && row.locked_until && row.locked_until > now) {
+            return { locked: true, retryAfterMs: row.locked_until - now };
+        }
+        return { locked: false, retryAfterMs: 0 };
+    }
+
+    // Counts a failed login. Resolves to { failures, lockedUntil } where
+    // lockedUntil is null when this failure didn't lock the address.
+    async function recordFailure(email, now = Date.now()) {
+        const row = await dbGet(db, `SELECT failures, last_failed_at FROM login_attempts WHERE email = ?`, [email]);
+        const failures = row && now - row.last_failed_at < config.resetMs ? row.failures + 1 : 1;
+        const duration = lockoutDuration(failures, config);
+        const lockedUntil = duration > 0 ? now + duration : null;
+        await dbRun(db, `INSERT INTO login_attempts (email, failures, last_failed_at, locked_until) VALUES (?, ?, ?, ?)
+            ON CONFLICT(email) DO UPDATE SET failures = excluded.failures, last_failed_at = excluded.last_failed_at,
+                locked_until = excluded.locked_until`,
+            [email, failures, now, lockedUntil]);
+        if (lockedUntil) {
+            metrics.loginLockouts.inc();
+            logger.warn('Login locked after failed attempts', { email, failures, lockedForSeconds: Math.round(duration / 1000) });
+        }
+        return { failures, lockedUntil };
+    }
+
+    async function clear(email) {
+        await dbRun(db, `DELETE FROM login_attempts WHERE email = ?`, [email]);
+    }
+
+    // Drops streaks that are over and no longer lock anything
+    async function purgeExpired(now = Date.now()) {
+        const { changes } = await dbRun(db, `DELETE FROM login_attempts
+            WHERE last_failed_at < ? AND (locked_until IS NULL OR locked_until <= ?)`, [now - config.resetMs, now]);
+        return changes;
+    }
+
+    return { check, recordFailure, clear, purgeExpired };
+}
+
+module.exports = { createLoginLockout, lockoutDuration };
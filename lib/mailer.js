@@ -0,0 +1,57 @@
+// lib/mailer.js - Outgoing mail transport
+//
+// MAIL_TRANSPORT picks how mail leaves the process:
+//   smtp   SMTP_HOST / SMTP_PORT / SMTP_SECURE, plus SMTP_USER / SMTP_PASS if
+//          the server needs them (e.g. `npm run mail-catcher` on port 1025)
+//   gmail  Gmail with SMTP_USER / SMTP_PASS
+//   log    nothing is sent; each message is written to the log
+// Without MAIL_TRANSPORT, smtp is used when SMTP_HOST is set and gmail otherwise.
+
+const nodemailer = require('nodemailer');
+
+const logger = require('./logger').logger.child({ module: 'mailer' });
+
+const FROM = process.env.MAIL_FROM || 'SmartSpend <no-reply@smartspend.com>';
+
+let transporter = null;
+
+function transportName() {
+    return process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'gmail');
+}
+
+function getTransporter() {
+    if (transporter) return transporter;
+    const name = transportName();
+    if (name === 'smtp') {
+        transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST || 'localhost',
+            port: parseInt(process.env.SMTP_PORT, 10) || 1025,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+        });
+    } else if (name === 'log') {
+        transporter = nodemailer.createTransport({ jsonTransport: true });
+    } else if (name === 'gmail') {
+        transporter = nodemailer.createTransport({
+            service: 'gmail',
+            auth: {
+                user: process.env.SMTP_USER || 'your.email@gmail.com', // Replace with your actual email
+                pass: process.env.SMTP_PASS || 'yourpassword' // Replace with your actual password or app password
+            }
+        });
+    } else {
+        throw new Error(`Unknown MAIL_TRANSPORT "${name}" (expected smtp, gmail or log)`);
+    }
+    return transporter;
+}
+
+// Sends one message; rejects when the transport doesn't accept it
+async function sendMail({ to, subject, text, html }) {
+    const info = await getTransporter().sendMail({ from: FROM, to, subject, text, html });
+    if (transportName() === 'log') {
+        logger.info('Mail not sent (log transport)', { to, subject, text });
+    }
+    return info;
+}
+
+module.exports = { sendMail };
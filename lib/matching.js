@@ -0,0 +1,147 @@
+// lib/matching.js - Listing normalization and similarity scoring
+//
+// Stores describe the same item in very different ways ("Apple iPhone 15
+// (128 GB) - Black" vs "iPhone 15 128GB Black Unlocked"). These helpers reduce
+// a title to comparable tokens and attributes so listings can be clustered into
+// one canonical product (see lib/canonicalProducts.js).
+
+const KNOWN_BRANDS = [
+    'apple', 'samsung', 'xiaomi', 'redmi', 'poco', 'oneplus', 'google', 'realme', 'oppo', 'vivo', 'iqoo',
+    'motorola', 'nokia', 'nothing', 'sony', 'lg', 'hp', 'dell', 'lenovo', 'asus', 'acer', 'msi', 'microsoft',
+    'nike', 'adidas', 'puma', 'asics', 'reebok', 'skechers', 'boat', 'noise', 'jbl', 'bose', 'fire-boltt'
+];
+
+// Product lines that identify the brand when the brand itself is left out
+const BRAND_ALIASES = {
+    iphone: 'apple', ipad: 'apple', macbook: 'apple', airpods: 'apple',
+    galaxy: 'samsung', pixel: 'google', redmibook: 'xiaomi',
+    ideapad: 'lenovo', thinkpad: 'lenovo', vivobook: 'asus', zenbook: 'asus',
+    pavilion: 'hp', inspiron: 'dell'
+};
+
+// Finish words such as "titanium" or "phantom" are left out: "Titanium Gray"
+// and "Titanium Whitesilver" differ in their colors, not their finish.
+const COLORS = [
+    'black', 'white', 'blue', 'green', 'red', 'gray', 'silver', 'gold', 'purple', 'pink',
+    'yellow', 'orange', 'midnight', 'starlight', 'graphite', 'mint', 'cream', 'violet', 'navy', 'brown'
+];
+
+// Variant words: "iPhone 15" and "iPhone 15 Pro" are different products
+const QUALIFIERS = ['pro', 'max', 'ultra', 'plus', 'mini', 'lite', 'fe', 'edge', 'air', 'neo', 'prime'];
+
+const ACCESSORY_WORDS = ['case', 'cover', 'protector', 'tempered', 'charger', 'cable', 'adapter', 'pouch', 'skin', 'strap', 'bag', 'backpack', 'sleeve'];
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'the', 'for', 'with', 'of', 'in', 'by', 'to', 'new', 'latest', 'ram', 'rom', 'storage',
+    'dual', 'sim', 'unlocked', 'mobile', 'phone', 'smartphone', 'edition', 'version', 'color', 'colour'
+]);
+
+const NETWORK_TOKENS = new Set(['3g', '4g', '5g', 'lte']);
+
+// Lowercases and rewrites size/variant spellings so "128 GB", "128GB" and
+// "128gb" all become "128gb" and "Pro+" becomes "pro plus".
+function normalizeTitle(title) {
+    return (title || '')
+        .toLowerCase()
+        .replace(/grey/g, 'gray')
+        .replace(/(\d+)\s*(gb|tb|mb)\b/g, '$1$2')
+        .replace(/(gb|tb)\s*\+/g, '$1 ')
+        .replace(/([a-z0-9])\+/g, '$1 plus')
+        .replace(/[^a-z0-9.\s-]/g, ' ')
+        .replace(/(^|\s)[-.]+|[-.]+(\s|$)/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function tokenize(title) {
+    return normalizeTitle(title).split(' ').filter(token => token.length > 0);
+}
+
+// "whitesilver" -> ['white', 'silver'], or null if the token isn't made of
+// color words only
+function colorWords(token) {
+    if (token === '') return [];
+    for (const color of COLORS) {
+        if (!token.startsWith(color)) continue;
+        const rest = colorWords(token.slice(color.length));
+        if (rest) return [color, ...rest];
+    }
+    return null;
+}
+
+function toGigabytes(token) {
+    const match = token.match(/^(\d+)(gb|tb)$/);
+    if (!match) return null;
+    return parseInt(match[1], 10) * (match[2] === 'tb' ? 1024 : 1);
+}
+
+// Pulls the attributes that must agree for two listings to be the same item
+function extractAttributes(title) {
+    const tokens = tokenize(title);
+
+    let brand = KNOWN_BRANDS.includes(tokens[0]) ? tokens[0] : null;
+    if (!brand) {
+        const known = tokens.find(token => KNOWN_BRANDS.includes(token) || BRAND_ALIASES[token]);
+        brand = known ? (BRAND_ALIASES[known] || known) : tokens[0] || null;
+    }
+
+    // The largest size is the storage; smaller ones are usually RAM
+    const sizes = tokens.map(toGigabytes).filter(size => size !== null && size >= 32);
+    const storage = sizes.length > 0 ? `${Math.max(...sizes)}gb` : null;
+
+    // Every color word, in order, as one value: "Titanium Silver Blue" and
+    // "Silverblue" are both "silver blue", distinct from plain "Blue"
+    const colors = [...new Set(tokens.flatMap(token => colorWords(token) || []))];
+    const color = colors.length > 0 ? colors.join(' ') : null;
+
+    const model = tokens.filter(token => /\d/.test(token)
+        && toGigabytes(token) === null
+        && !/^\d+mb$/.test(token)
+        && !NETWORK_TOKENS.has(token));
+
+    const qualifiers = tokens.filter(token => QUALIFIERS.includes(token));
+
+    const accessory = tokens.some(token => ACCESSORY_WORDS.includes(token));
+
+    return { brand, model, storage, color, qualifiers, accessory, tokens };
+}
+
+function sameSet(a, b) {
+    const setA = new Set(a);
+    const setB = new Set(b);
+    return setA.size === setB.size && [...setA].every(item => setB.has(item));
+}
+
+// Model numbers agree when one listing's set contains the other's
+// ("s25" vs "s25 2025") but not when they diverge ("s25" vs "s24").
+function modelsCompatible(a, b) {
+    if (a.length === 0 || b.length === 0) return true;
+    const [small, large] = a.length <= b.length ? [a, b] : [b, a];
+    return small.every(token => large.includes(token));
+}
+
+// Scores two attribute sets from 0 (different products) to 1 (identical).
+// Any hard conflict in brand, model, variant, storage or color scores 0.
+function similarity(a, b) {
+    if (a.accessory !== b.accessory) return 0;
+    if (a.brand && b.brand && a.brand !== b.brand) return 0;
+    if (a.storage && b.storage && a.storage !== b.storage) return 0;
+    if (a.color && b.color && a.color !== b.color) return 0;
+    if (!sameSet(a.qualifiers, b.qualifiers)) return 0;
+    if (!modelsCompatible(a.model, b.model)) return 0;
+
+    // Attributes both listings state, all of which agree at this point
+    const shared = ['brand', 'storage', 'color'].filter(key => a[key] && b[key]).length
+        + (a.model.length > 0 && b.model.length > 0 ? 1 : 0);
+    const attributeScore = shared / 4;
+
+    const wordsA = new Set(a.tokens.filter(token => !STOPWORDS.has(token)));
+    const wordsB = new Set(b.tokens.filter(token => !STOPWORDS.has(token)));
+    const common = [...wordsA].filter(token => wordsB.has(token)).length;
+    const union = new Set([...wordsA, ...wordsB]).size;
+    const tokenScore = union === 0 ? 0 : common / union;
+
+    return 0.4 * attributeScore + 0.6 * tokenScore;
+}
+
+module.exports = { normalizeTitle, extractAttributes, similarity };
@@ -0,0 +1,132 @@
+// lib/metrics.js - Counters, gauges and histograms in the Prometheus text format
+//
+// One process-wide registry that any module can record into; GET /metrics
+// renders it (https://prometheus.io/docs/instrumenting/exposition_formats/).
+// Label values are kept per series, so labels must come from small fixed
+// sets (adapter names, status codes, route patterns), never from user input.
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelText(labels) {
+    const entries = Object.entries(labels);
+    return entries.length === 0 ? '' : `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+// Series are keyed by their label values in labelNames order
+function seriesKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+}
+
+function pickLabels(labelNames, labels) {
+    return Object.fromEntries(labelNames.map(name => [name, labels[name] === undefined ? '' : labels[name]]));
+}
+
+function createRegistry() {
+    const metrics = new Map();
+
+    function register(metric) {
+        if (metrics.has(metric.name)) return metrics.get(metric.name);
+        metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    function counter(name, help, labelNames = []) {
+        const series = new Map();
+        return register({
+            name, help, type: 'counter',
+            inc(labels = {}, value = 1) {
+                const key = seriesKey(labelNames, labels);
+                const entry = series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+                entry.value += value;
+                series.set(key, entry);
+            },
+            lines: () => [...series.values()].map(entry => `${name}${labelText(entry.labels)} ${entry.value}`)
+        });
+    }
+
+    // collect(set), if given, runs at every scrape to set the current values
+    function gauge(name, help, labelNames = [], collect = null) {
+        const series = new Map();
+        const set = (labels = {}, value) => {
+            series.set(seriesKey(labelNames, labels), { labels: pickLabels(labelNames, labels), value });
+        };
+        return register({
+            name, help, type: 'gauge', set, collect: collect ? () => collect(set) : null,
+            lines: () => [...series.values()].map(entry => `${name}${labelText(entry.labels)} ${entry.value}`)
+        });
+    }
+
+    function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        const series = new Map();
+        return register({
+            name, help, type: 'histogram',
+            observe(labels = {}, value) {
+                const key = seriesKey(labelNames, labels);
+                let entry = series.get(key);
+                if (!entry) {
+                    entry = { labels: pickLabels(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 };
+                    series.set(key, entry);
+                }
+                buckets.forEach((bound, i) => { if (value <= bound) entry.counts[i]++; });
+                entry.sum += value;
+                entry.count++;
+            },
+            lines: () => [...series.values()].flatMap(entry => [
+                ...buckets.map((bound, i) => `${name}_bucket${labelText({ ...entry.labels, le: bound })} ${entry.counts[i]}`),
+                `${name}_bucket${labelText({ ...entry.labels, le: '+Inf' })} ${entry.count}`,
+                `${name}_sum${labelText(entry.labels)} ${entry.sum}`,
+                `${name}_count${labelText(entry.labels)} ${entry.count}`
+            ])
+        });
+    }
+
+    // Resolves to the exposition text. Gauges with a collect function are
+    // refreshed first; one that fails is left out rather than failing the scrape.
+    async function render() {
+        const blocks = [];
+        for (const metric of metrics.values()) {
+            if (metric.collect) {
+                try {
+                    await metric.collect();
+                } catch (err) {
+                    continue;
+                }
+            }
+            blocks.push([`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.lines()].join('\n'));
+        }
+        return `${blocks.join('\n')}\n`;
+    }
+
+    return { counter, gauge, histogram, render };
+}
+
+const registry = createRegistry();
+
+// Metrics recorded by more than one module are defined here once
+const metrics = {
+    registry,
+    httpRequests: registry.counter('http_requests_total', 'HTTP requests by method, route and status code.', ['method', 'route', 'status']),
+    httpDuration: registry.histogram('http_request_duration_seconds', 'HTTP request duration by method and route.', ['method', 'route']),
+    adapterDuration: registry.histogram('search_adapter_duration_seconds', 'Time each search adapter took, by adapter and outcome.', ['adapter', 'outcome']),
+    adapterErrors: registry.counter('search_adapter_errors_total', 'Search adapter requests that failed or timed out.', ['adapter', 'reason']),
+    searchCache: registry.counter('search_cache_lookups_total', 'Searches by how the cache answered them (hit, stale, miss, coalesced, fallback).', ['result']),
+    upstreamDenied: registry.counter('upstream_budget_denied_total', 'Upstream requests refused because the daily budget was used up.'),
+    alertsTriggered: registry.counter('price_alerts_triggered_total', 'Price alert rules that fired, by rule type.', ['type']),
+    notifications: registry.counter('notifications_total', 'Notification delivery attempts by type and outcome (sent, retry, failed).', ['type', 'status']),
+    priceRefreshes: registry.counter('price_refresh_jobs_total', 'Background price refreshes by outcome.', ['outcome']),
+    savedSearchRuns: registry.counter('saved_search_runs_total', 'Background saved search runs by outcome.', ['outcome']),
+    savedSearchFinds: registry.counter('saved_search_finds_total', 'Listings saved searches found, by kind (new_listing, new_low).', ['kind']),
+    rateLimited: registry.counter('rate_limited_requests_total', 'Requests refused with 429, by limit.', ['limit']),
+    loginLockouts: registry.counter('login_lockouts_total', 'Email addresses locked after repeated failed logins.'),
+    liveStreams: registry.gauge('live_update_streams', 'Open live update (Server-Sent Events) streams.'),
+    liveEvents: registry.counter('live_update_events_total', 'Events written to live update streams, by event.', ['event']),
+    workerRuns: registry.gauge('worker_last_run_timestamp_seconds', 'When each background worker last finished a run.', ['worker']),
+    uptime: registry.gauge('process_uptime_seconds', 'Seconds since the process started.', [], set => set({}, Math.round(process.uptime()))),
+    memory: registry.gauge('process_resident_memory_bytes', 'Resident memory size in bytes.', [], set => set({}, process.memoryUsage().rss))
+};
+
+module.exports = { metrics, createRegistry, DEFAULT_BUCKETS };
@@ -0,0 +1,92 @@
+// lib/migrations.js - Numbered, forward-only schema migrations
+//
+// Every file in migrations/ is named NNN_description.js and exports
+// `async up(db)`. The versions already applied are recorded in
+// `schema_version`; migrate() runs the missing ones in version order, each in
+// its own transaction together with its schema_version row, so a migration
+// that fails leaves the database as it was. Nothing is ever rolled back after
+// it committed: to undo a change, add the next migration.
+
+const fs = require('fs');
+const path = require('path');
+const { dbRun, dbAll, withTransaction } = require('./db');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d+)_(\w+)\.js$/;
+
+// [{ version, name, file }] sorted by version
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = fs.readdirSync(dir)
+        .map(file => FILE_PATTERN.exec(file))
+        .filter(Boolean)
+        .map(([file, version, name]) => ({ version: parseInt(version, 10), name, file: path.join(dir, file) }))
+        .sort((a, b) => a.version - b.version);
+    for (let i = 1; i < migrations.length; i++) {
+        if (migrations[i].version === migrations[i - 1].version) {
+            throw new Error(`Migrations ${path.basename(migrations[i - 1].file)} and ${path.basename(migrations[i].file)} share a version number.`);
+        }
+    }
+    return migrations;
+}
+
+// For migrations: adds a column unless the table already has it, so the same
+// migration works on databases created before and after the column existed
+async function addColumn(db, table, definition) {
+    const column = definition.split(/\s+/)[0];
+    const columns = await dbAll(db, `PRAGMA table_info(${table})`);
+    if (columns.some(existing => existing.name === column)) return false;
+    await dbRun(db, `ALTER TABLE ${table} ADD COLUMN ${definition}`);
+    return true;
+}
+
+function createMigrator({ db, dir = MIGRATIONS_DIR }) {
+    async function ensureVersionTable() {
+        await dbRun(db, `CREATE TABLE IF NOT EXISTS schema_version (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at INTEGER NOT NULL
+        )`);
+    }
+
+    // { current, applied, pending, unknown }: `unknown` lists versions the
+    // database has but migrations/ doesn't (e.g. code older than the schema)
+    async function status() {
+        await ensureVersionTable();
+        const migrations = loadMigrations(dir);
+        const applied = await dbAll(db, `SELECT version, name, applied_at FROM schema_version ORDER BY version`);
+        const appliedVersions = new Set(applied.map(row => row.version));
+        const known = new Set(migrations.map(migration => migration.version));
+        return {
+            current: applied.length > 0 ? applied[applied.length - 1].version : 0,
+            applied: applied.map(row => ({ version: row.version, name: row.name, appliedAt: row.applied_at })),
+            pending: migrations
+                .filter(migration => !appliedVersions.has(migration.version))
+                .map(({ version, name }) => ({ version, name })),
+            unknown: applied.filter(row => !known.has(row.version)).map(row => row.version)
+        };
+    }
+
+    // Applies every pending migration and resolves to the ones it ran
+    async function migrate() {
+        const { pending } = await status();
+        const migrations = loadMigrations(dir);
+        const ran = [];
+        for (const { version, name } of pending) {
+            const { up } = require(migrations.find(migration => migration.version === version).file);
+            try {
+                await withTransaction(db, async () => {
+                    await up(db);
+                    await dbRun(db, `INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)`, [version, name, Date.now()]);
+                });
+            } catch (err) {
+                throw new Error(`Migration ${version} (${name}) failed: ${err.message}`);
+            }
+            ran.push({ version, name });
+        }
+        return ran;
+    }
+
+    return { status, migrate };
+}
+
+module.exports = { createMigrator, loadMigrations, addColumn, MIGRATIONS_DIR };
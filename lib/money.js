@@ -0,0 +1,163 @@
+// lib/money.js - Parsing, converting and formatting prices
+//
+// A money value is { amount, currency }: `amount` is an integer count of minor
+// units (paise, cents) and `currency` an ISO 4217 code. parseMoney() reads the
+// price strings retailers display: "₹1,29,999", "$1,299.00", "Rs. 499",
+// "from ₹2,499" and ranges like "₹1,000 - ₹2,000" (the lower end is used).
+//
+// Conversion uses the local rate table in EXCHANGE_RATES_FILE (default
+// exchange-rates.json): for each currency, how many units of the table's base
+// currency one unit is worth. Sorting, predictions and alerts compare prices
+// in BASE_CURRENCY (default: the table's base).
+
+const fs = require('fs');
+const path = require('path');
+
+const CURRENCIES = {
+    INR: { digits: 2, locale: 'en-IN', symbols: ['₹', 'Rs.', 'Rs', 'INR'] },
+    USD: { digits: 2, locale: 'en-US', symbols: ['US$', 'US $', '$', 'USD'] },
+    EUR: { digits: 2, locale: 'de-DE', symbols: ['€', 'EUR'] },
+    GBP: { digits: 2, locale: 'en-GB', symbols: ['£', 'GBP'] },
+    JPY: { digits: 0, locale: 'ja-JP', symbols: ['¥', 'JPY'] },
+    AUD: { digits: 2, locale: 'en-AU', symbols: ['A$', 'AU$', 'AUD'] },
+    CAD: { digits: 2, locale: 'en-CA', symbols: ['C$', 'CA$', 'CAD'] }
+};
+
+// Letter symbols ("Rs", "USD") only count as whole words, so "offers" isn't rupees
+const SYMBOLS = Object.entries(CURRENCIES)
+    .flatMap(([code, { symbols }]) => symbols.map(symbol => ({
+        code,
+        length: symbol.length,
+        pattern: new RegExp(/^[A-Za-z]/.test(symbol)
+            ? `(?:^|[^a-z])(${symbol.replace(/[.$]/g, '\\$&')})(?![a-z])`
+            : `(${symbol.replace(/[.$]/g, '\\$&')})`, 'i')
+    })));
+
+function loadRates() {
+    const file = process.env.EXCHANGE_RATES_FILE || path.join(__dirname, '..', 'exchange-rates.json');
+    const table = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { base: table.base, rates: { ...table.rates, [table.base]: 1 }, updatedAt: table.updatedAt };
+}
+
+const EXCHANGE_RATES = loadRates();
+const BASE_CURRENCY = process.env.BASE_CURRENCY || EXCHANGE_RATES.base;
+
+// The symbol that appears first in a price wins; at the same position the
+// longest does, so "US$" beats "$"
+function detectCurrency(text) {
+    let best = null;
+    for (const { code, length, pattern } of SYMBOLS) {
+        const match = pattern.exec(text);
+        if (!match) continue;
+        const index = match.index + match[0].indexOf(match[1]);
+        if (!best || index < best.index || (index === best.index && length > best.length)) {
+            best = { code, index, length };
+        }
+    }
+    return best ? best.code : null;
+}
+
+// Turns "1,29,999", "1,299.00" or "1.299,00" into a plain decimal string
+function normalizeNumber(token) {
+    const lastDot = token.lastIndexOf('.');
+    const lastComma = token.lastIndexOf(',');
+    if (lastDot !== -1 && lastComma !== -1) {
+        const decimal = lastDot > lastComma ? '.' : ',';
+        const thousands = decimal === '.' ? /,/g : /\./g;
+        return token.replace(thousands, '').replace(decimal, '.');
+    }
+    const separator = lastDot !== -1 ? '.' : lastComma !== -1 ? ',' : null;
+    if (!separator) return token;
+    const parts = token.split(separator);
+    // A single separator followed by one or two digits is a decimal point
+    if (parts.length === 2 && parts[1].length <= 2) return `${parts[0]}.${parts[1]}`;
+    return parts.join('');
+}
+
+// Parses a retailer price into { amount, currency }, or null when it holds no
+// number. Numbers are taken as major units of `currency`, and so are strings
+// without a recognizable currency symbol.
+function parseMoney(input, { currency = BASE_CURRENCY } = {}) {
+    if (input === null || input === undefined) return null;
+    if (typeof input === 'object' && Number.isInteger(input.amount) && input.currency) return input;
+    if (typeof input === 'number') return isFinite(input) ? fromMajor(input, currency) : null;
+
+    const text = String(input);
+    const token = (/\d[\d.,]*/.exec(text) || [])[0];
+    if (!token) return null;
+    const value = parseFloat(normalizeNumber(token.replace(/[.,]+$/, '')));
+    if (isNaN(value)) return null;
+    return fromMajor(value, detectCurrency(text) || currency);
+}
+
+function minorFactor(currency) {
+    return Math.pow(10, (CURRENCIES[currency] || { digits: 2 }).digits);
+}
+
+function fromMajor(value, currency = BASE_CURRENCY) {
+    return { amount: Math.round(value * minorFactor(currency)), currency };
+}
+
+function toMajor(money) {
+    return money.amount / minorFactor(money.currency);
+}
+
+// Converts through the rate table. Resolves to null for currencies it lacks.
+function convert(money, toCurrency = BASE_CURRENCY) {
+    if (!money) return null;
+    if (money.currency === toCurrency) return money;
+    const from = EXCHANGE_RATES.rates[money.currency];
+    const to = EXCHANGE_RATES.rates[toCurrency];
+    if (!from || !to) return null;
+    return fromMajor((toMajor(money) * from) / to, toCurrency);
+}
+
+// Major units of BASE_CURRENCY, the number prices are compared by; null when
+// the price is unknown or can't be converted
+function baseValue(money) {
+    const converted = convert(money, BASE_CURRENCY);
+    return converted ? toMajor(converted) : null;
+}
+
+// The structured price of a stored row ({ price_amount, price_currency }),
+// falling back to parsing its display text for rows that predate it
+function storedMoney(row) {
+    if (!row) return null;
+    if (row.price_amount !== null && row.price_amount !== undefined && row.price_currency) {
+        return { amount: row.price_amount, currency: row.price_currency };
+    }
+    return parseMoney(row.price !== undefined ? row.price : row.last_price);
+}
+
+// "₹1,29,999", "$1,299.50": fractions are shown only when there are some
+function formatMoney(money) {
+    if (!money) return 'N/A';
+    const { locale = 'en-US', digits = 2 } = CURRENCIES[money.currency] || {};
+    const value = toMajor(money);
+    const fractionDigits = Number.isInteger(value) ? 0 : digits;
+    return new Intl.NumberFormat(locale, {
+        style: 'currency',
+        currency: money.currency,
+        minimumFractionDigits: fractionDigits,
+        maximumFractionDigits: fractionDigits
+    }).format(value);
+}
+
+// Shorthand for formatting a BASE_CURRENCY amount held as a plain number
+function formatBase(value) {
+    return value === null || value === undefined ? 'N/A' : formatMoney(fromMajor(value, BASE_CURRENCY));
+}
+
+module.exports = {
+    CURRENCIES,
+    BASE_CURRENCY,
+    EXCHANGE_RATES,
+    parseMoney,
+    fromMajor,
+    toMajor,
+    convert,
+    baseValue,
+    storedMoney,
+    formatMoney,
+    formatBase
+};
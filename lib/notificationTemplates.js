@@ -0,0 +1,142 @@
+// lib/notificationTemplates.js - Email templates for the notification service
+//
+// Each template takes the recipient's name plus the event data and returns
+// { subject, text, html }. The HTML version shares one layout; every value
+// interpolated into it is escaped.
+
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function layout(title, bodyHtml) {
+    return `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#f4f6f8;font-family:Arial,Helvetica,sans-serif;color:#222;">
+    <div style="max-width:560px;margin:0 auto;background:#fff;border-radius:10px;padding:28px;">
+        <h2 style="margin-top:0;color:#007bff;">${escapeHtml(title)}</h2>
+        ${bodyHtml}
+        <p style="margin-top:28px;color:#666;">Best,<br>The SmartSpend Team</p>
+    </div>
+</body>
+</html>`;
+}
+
+function button(url, label) {
+    return `<p><a href="${escapeHtml(url)}" style="display:inline-block;padding:10px 18px;background:#007bff;color:#fff;border-radius:6px;text-decoration:none;">${escapeHtml(label)}</a></p>`;
+}
+
+function signOff(text) {
+    return `${text}\n\nBest,\nThe SmartSpend Team`;
+}
+
+// Saved search emails list this many finds and count the rest
+const MAX_LISTED_FINDS = 10;
+
+// "Sony WH-1000XM5 (Amazon): ₹24,990, down from ₹26,990"
+function describeFind({ kind, title, source, price, previousPrice }) {
+    const where = source ? ` (${source})` : '';
+    return kind === 'new_low'
+        ? `${title}${where}: ${price}, down from ${previousPrice}`
+        : `${title}${where}: new listing at ${price}`;
+}
+
+const TEMPLATES = {
+    welcome: (name, { verifyUrl }) => ({
+        subject: 'Welcome to SmartSpend!',
+        text: signOff(`Hi ${name},\n\nWelcome to SmartSpend! Start tracking prices and saving today.\n\nPlease confirm your email address so we can send you price alerts:\n${verifyUrl}`),
+        html: layout('Welcome to SmartSpend!', `
+        <p>Hi ${escapeHtml(name)},</p>
+        <p>Welcome to SmartSpend! Start tracking prices and saving today.</p>
+        <p>Please confirm your email address so we can send you price alerts:</p>
+        ${button(verifyUrl, 'Verify my email')}`)
+    }),
+
+    verify_email: (name, { verifyUrl }) => ({
+        subject: 'Confirm your SmartSpend email address',
+        text: signOff(`Hi ${name},\n\nPlease confirm your email address so we can send you price alerts:\n${verifyUrl}`),
+        html: layout('Confirm your email address', `
+        <p>Hi ${escapeHtml(name)},</p>
+        <p>Please confirm your email address so we can send you price alerts:</p>
+        ${button(verifyUrl, 'Verify my email')}`)
+    }),
+
+    password_reset: (name, { resetUrl }) => ({
+        subject: 'Reset your SmartSpend password',
+        text: signOff(`Hi ${name},\n\nSomeone asked to reset the password for your SmartSpend account. Use this link to choose a new one:\n${resetUrl}\n\nThe link can be used once and expires soon. If you didn't ask for this, you can ignore this email.`),
+        html: layout('Reset your password', `
+        <p>Hi ${escapeHtml(name)},</p>
+        <p>Someone asked to reset the password for your SmartSpend account. Use this link to choose a new one:</p>
+        ${button(resetUrl, 'Choose a new password')}
+        <p style="color:#666;">The link can be used once and expires soon. If you didn't ask for this, you can ignore this email.</p>`)
+    }),
+
+    // `reason` describes the alert rule that fired (see lib/alerts.js)
+    price_alert: (name, { title, price, reason, link }) => ({
+        subject: `Price alert: ${title}`,
+        text: signOff(`Hi ${name},\n\nYour price alert for "${title}" was triggered: ${reason}.\nThe current price is ${price}.\nCheck it out on SmartSpend!${link ? `\n${link}` : ''}`),
+        html: layout('Price alert', `
+        <p>Hi ${escapeHtml(name)},</p>
+        <p>Your price alert for <strong>${escapeHtml(title)}</strong> was triggered: ${escapeHtml(reason)}.</p>
+        <p>The current price is <strong>${escapeHtml(price)}</strong>.</p>
+        ${link ? button(link, 'View the offer') : ''}`)
+    }),
+
+    // What one run of a saved search found (see lib/savedSearches.js).
+    // `listings` are { kind: 'new_listing'|'new_low', title, price, previousPrice, source, link }.
+    saved_search: (name, { query, maxPrice, listings }) => {
+        const shown = listings.slice(0, MAX_LISTED_FINDS);
+        const more = listings.length - shown.length;
+        return {
+            subject: `${listings.length} new find${listings.length === 1 ? '' : 's'} for "${query}" under ${maxPrice}`,
+            text: signOff(`Hi ${name},\n\nYour saved search "${query}" (up to ${maxPrice}) turned up:\n\n${shown
+                .map(listing => `- ${describeFind(listing)}${listing.link ? `\n  ${listing.link}` : ''}`)
+                .join('\n')}${more > 0 ? `\n\n...and ${more} more on SmartSpend.` : ''}`),
+            html: layout(`New finds for "${query}"`, `
+        <p>Hi ${escapeHtml(name)},</p>
+        <p>Your saved search <strong>${escapeHtml(query)}</strong> (up to ${escapeHtml(maxPrice)}) turned up:</p>
+        <ul>${shown.map(listing => `
+            <li>${escapeHtml(describeFind(listing))}${listing.link ? ` &middot; <a href="${escapeHtml(listing.link)}">view</a>` : ''}</li>`).join('')}
+        </ul>${more > 0 ? `
+        <p>...and ${more} more on SmartSpend.</p>` : ''}`)
+        };
+    },
+
+    // One email summarising events collected for a user over the day.
+    // `items` are { type, data, createdAt }: price alerts and saved search finds.
+    digest: (name, { items }) => {
+        const alerts = items.filter(item => item.type === 'price_alert');
+        const finds = items.filter(item => item.type === 'saved_search')
+            .flatMap(item => item.data.listings.map(listing => ({ ...listing, query: item.data.query })));
+        const counts = [
+            alerts.length > 0 ? `${alerts.length} price alert${alerts.length === 1 ? '' : 's'}` : null,
+            finds.length > 0 ? `${finds.length} saved search find${finds.length === 1 ? '' : 's'}` : null
+        ].filter(Boolean);
+        return {
+            subject: `Your SmartSpend daily digest: ${counts.join(', ')}`,
+            text: signOff(`Hi ${name},\n\nHere is what changed since your last digest:\n\n${[
+                ...alerts.map(item => `- ${item.data.title}: ${item.data.reason}, now ${item.data.price}${item.data.link ? `\n  ${item.data.link}` : ''}`),
+                ...finds.map(find => `- "${find.query}": ${describeFind(find)}${find.link ? `\n  ${find.link}` : ''}`)
+            ].join('\n')}`),
+            html: layout('Your daily digest', `
+        <p>Hi ${escapeHtml(name)},</p>
+        <p>Here is what changed since your last digest:</p>
+        <ul>${alerts.map(item => `
+            <li><strong>${escapeHtml(item.data.title)}</strong>: ${escapeHtml(item.data.reason)}, now ${escapeHtml(item.data.price)}${item.data.link ? ` &middot; <a href="${escapeHtml(item.data.link)}">view</a>` : ''}</li>`).join('')}${finds.map(find => `
+            <li><strong>${escapeHtml(find.query)}</strong>: ${escapeHtml(describeFind(find))}${find.link ? ` &middot; <a href="${escapeHtml(find.link)}">view</a>` : ''}</li>`).join('')}
+        </ul>`)
+        };
+    }
+};
+
+function renderTemplate(type, name, data) {
+    const template = TEMPLATES[type];
+    if (!template) throw new Error(`Unknown notification type "${type}"`);
+    return template(name || 'there', data || {});
+}
+
+module.exports = { renderTemplate, NOTIFICATION_TYPES: Object.keys(TEMPLATES) };
@@ -0,0 +1,233 @@
+// lib/notifications.js - Queued, logged and preference-aware notifications
+//
+// notify() never talks to SMTP itself. It renders the template and writes the
+// message to `notification_outbox`; a worker then delivers due messages and
+// retries failures with exponential backoff until NOTIFY_MAX_ATTEMPTS. Every
+// outcome (sent, retry, failed, skipped, digested) is appended to
+// `notification_log`, which doubles as the per-user delivery history.
+//
+// Transactional mail (welcome, verification, password reset) always goes out.
+// Everything else respects `notification_preferences` and the verified-email
+// gate, and users on the daily digest get those events batched into
+// `notification_digest_items`, sent as one email at NOTIFY_DIGEST_HOUR.
+
+const { dbRun, dbGet, dbAll } = require('./db');
+const { renderTemplate } = require('./notificationTemplates');
+const { sendMail } = require('./mailer');
+const { metrics } = require('./metrics');
+const { workerStarted, workerRan, workerFailed } = require('./health');
+
+const logger = require('./logger').logger.child({ module: 'notifications' });
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const TRANSACTIONAL = ['welcome', 'verify_email', 'password_reset'];
+const DIGEST_MODES = ['off', 'daily'];
+
+// Which preference switch governs each non-transactional type
+// (saved search finds are price news too)
+const PREFERENCE_FOR_TYPE = { price_alert: 'priceAlerts', saved_search: 'priceAlerts' };
+
+const DEFAULT_PREFERENCES = { emailEnabled: true, priceAlerts: true, digest: 'off' };
+
+function defaultConfig() {
+    return {
+        enabled: process.env.NOTIFY_WORKER_ENABLED !== 'false',
+        tickMs: (parseFloat(process.env.NOTIFY_TICK_SEC) || 30) * 1000,
+        batchSize: parseInt(process.env.NOTIFY_BATCH_SIZE, 10) || 20,
+        maxAttempts: parseInt(process.env.NOTIFY_MAX_ATTEMPTS, 10) || 6,
+        retryBaseMs: (parseFloat(process.env.NOTIFY_RETRY_BASE_MIN) || 1) * MINUTE,
+        maxBackoffMs: (parseFloat(process.env.NOTIFY_MAX_BACKOFF_MIN) || 6 * 60) * MINUTE,
+        digestHour: isNaN(parseInt(process.env.NOTIFY_DIGEST_HOUR, 10)) ? 8 : parseInt(process.env.NOTIFY_DIGEST_HOUR, 10)
+    };
+}
+
+// Most recent digest send time at or before `now` (local time)
+function lastDigestBoundary(now, digestHour) {
+    const boundary = new Date(now);
+    boundary.setHours(digestHour, 0, 0, 0);
+    if (boundary.getTime() > now) boundary.setTime(boundary.getTime() - DAY);
+    return boundary.getTime();
+}
+
+function toPreferences(row) {
+    if (!row) return { ...DEFAULT_PREFERENCES };
+    return { emailEnabled: !!row.email_enabled, priceAlerts: !!row.price_alerts, digest: row.digest };
+}
+
+function createNotificationService({ db, config = defaultConfig() }) {
+    let timer = null;
+    let running = false;
+
+    async function log(entry) {
+        await dbRun(db, `INSERT INTO notification_log (user_id, outbox_id, type, email, status, error, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [entry.userId, entry.outboxId || null, entry.type, entry.email, entry.status, entry.error || null, Date.now()]);
+    }
+
+    async function getPreferences(userId) {
+        return toPreferences(await dbGet(db, `SELECT * FROM notification_preferences WHERE user_id = ?`, [userId]));
+    }
+
+    // Merges `changes` into the stored preferences. Rejects unknown digest modes.
+    async function setPreferences(userId, changes) {
+        const next = { ...(await getPreferences(userId)) };
+        if (changes.emailEnabled !== undefined) next.emailEnabled = !!changes.emailEnabled;
+        if (changes.priceAlerts !== undefined) next.priceAlerts = !!changes.priceAlerts;
+        if (changes.digest !== undefined) {
+            if (!DIGEST_MODES.includes(changes.digest)) {
+                throw new Error(`digest must be one of: ${DIGEST_MODES.join(', ')}`);
+            }
+            next.digest = changes.digest;
+        }
+        await dbRun(db, `INSERT INTO notification_preferences (user_id, email_enabled, price_alerts, digest, updated_at)
+            VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT(user_id) DO UPDATE SET email_enabled = excluded.email_enabled,
+                price_alerts = excluded.price_alerts, digest = excluded.digest, updated_at = excluded.updated_at`,
+            [userId, next.emailEnabled ? 1 : 0, next.priceAlerts ? 1 : 0, next.digest, Date.now()]);
+        return next;
+    }
+
+    async function getLog(userId, { limit = 50 } = {}) {
+        return dbAll(db, `SELECT id, outbox_id, type, email, status, error, created_at FROM notification_log
+            WHERE user_id = ? ORDER BY created_at DESC, id DESC LIMIT ?`, [userId, limit]);
+    }
+
+    async function enqueue(user, type, data) {
+        const { subject, text, html } = renderTemplate(type, user.name, data);
+        const now = Date.now();
+        const { lastID } = await dbRun(db, `INSERT INTO notification_outbox
+                (user_id, email, type, subject, text_body, html_body, status, attempts, next_attempt_at, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, 'pending', 0, ?, ?)`,
+            [user.id, user.email, type, subject, text, html, now, now]);
+        // Deliver right away instead of waiting for the next tick
+        setImmediate(() => processOutbox().catch(err => logger.error('Error processing notification outbox', { err })));
+        return lastID;
+    }
+
+    // Queues a notification of `type` for a customer. Resolves to what
+    // happened: 'queued', 'digested' or 'skipped'.
+    async function notify(userId, type, data = {}) {
+        const user = await dbGet(db, `SELECT id, name, email, email_verified_at FROM customers WHERE id = ?`, [userId]);
+        if (!user) throw new Error(`Customer ${userId} not found`);
+
+        if (TRANSACTIONAL.includes(type)) {
+            await enqueue(user, type, data);
+            return 'queued';
+        }
+
+        const preferences = await getPreferences(userId);
+        const switchName = PREFERENCE_FOR_TYPE[type];
+        let skipReason = null;
+        if (!user.email_verified_at) skipReason = 'email not verified';
+        else if (!preferences.emailEnabled) skipReason = 'email notifications turned off';
+        else if (switchName && !preferences[switchName]) skipReason = `${type} notifications turned off`;
+        if (skipReason) {
+            await log({ userId, type, email: user.email, status: 'skipped', error: skipReason });
+            return 'skipped';
+        }
+
+        if (preferences.digest === 'daily') {
+            await dbRun(db, `INSERT INTO notification_digest_items (user_id, type, payload, created_at) VALUES (?, ?, ?, ?)`,
+                [userId, type, JSON.stringify(data), Date.now()]);
+            await log({ userId, type, email: user.email, status: 'digested' });
+            return 'digested';
+        }
+
+        await enqueue(user, type, data);
+        return 'queued';
+    }
+
+    async function deliver(message) {
+        const now = Date.now();
+        const attempts = message.attempts + 1;
+        try {
+            await sendMail({ to: message.email, subject: message.subject, text: message.text_body, html: message.html_body });
+            await dbRun(db, `UPDATE notification_outbox SET status = 'sent', attempts = ?, sent_at = ?, last_error = NULL WHERE id = ?`,
+                [attempts, now, message.id]);
+            await log({ userId: message.user_id, outboxId: message.id, type: message.type, email: message.email, status: 'sent' });
+            metrics.notifications.inc({ type: message.type, status: 'sent' });
+            logger.info('Notification sent', { outboxId: message.id, type: message.type, email: message.email });
+        } catch (err) {
+            const failed = attempts >= config.maxAttempts;
+            const retryAt = now + Math.min(config.retryBaseMs * Math.pow(2, attempts - 1), config.maxBackoffMs);
+            await dbRun(db, `UPDATE notification_outbox SET status = ?, attempts = ?, next_attempt_at = ?, last_error = ? WHERE id = ?`,
+                [failed ? 'failed' : 'pending', attempts, failed ? null : retryAt, err.message, message.id]);
+            await log({
+                userId: message.user_id, outboxId: message.id, type: message.type, email: message.email,
+                status: failed ? 'failed' : 'retry', error: err.message
+            });
+            metrics.notifications.inc({ type: message.type, status: failed ? 'failed' : 'retry' });
+            logger.warn('Notification delivery failed', { outboxId: message.id, type: message.type, email: message.email, attempt: attempts, failed, err });
+        }
+    }
+
+    // Delivers every due outbox message, up to batchSize per call.
+    // Overlapping calls are skipped rather than queued.
+    async function processOutbox() {
+        if (running) return;
+        running = true;
+        try {
+            const due = await dbAll(db, `SELECT * FROM notification_outbox
+                WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY next_attempt_at LIMIT ?`,
+                [Date.now(), config.batchSize]);
+            for (const message of due) {
+                await deliver(message);
+            }
+        } finally {
+            running = false;
+        }
+    }
+
+    // Turns digest items collected before the latest digest time into one
+    // digest email per user
+    async function sendDigests(now = Date.now()) {
+        const boundary = lastDigestBoundary(now, config.digestHour);
+        const items = await dbAll(db, `SELECT * FROM notification_digest_items
+            WHERE digested_at IS NULL AND created_at < ? ORDER BY user_id, created_at`, [boundary]);
+        const byUser = new Map();
+        for (const item of items) {
+            if (!byUser.has(item.user_id)) byUser.set(item.user_id, []);
+            byUser.get(item.user_id).push(item);
+        }
+
+        for (const [userId, userItems] of byUser) {
+            const user = await dbGet(db, `SELECT id, name, email FROM customers WHERE id = ?`, [userId]);
+            if (user) {
+                await enqueue(user, 'digest', {
+                    items: userItems.map(item => ({ type: item.type, data: JSON.parse(item.payload), createdAt: item.created_at }))
+                });
+            }
+            await dbRun(db, `UPDATE notification_digest_items SET digested_at = ? WHERE id IN (${userItems.map(() => '?').join(', ')})`,
+                [now, ...userItems.map(item => item.id)]);
+        }
+    }
+
+    async function tick() {
+        try {
+            await sendDigests();
+            await processOutbox();
+            workerRan('notifications');
+        } catch (err) {
+            workerFailed('notifications', err);
+            logger.error('Error in notification worker', { err });
+        }
+    }
+
+    function start() {
+        if (!config.enabled || timer) return;
+        workerStarted('notifications', config.tickMs);
+        timer = setInterval(tick, config.tickMs);
+        setTimeout(tick, 5000); // Retry anything left pending by the last process
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return { notify, getPreferences, setPreferences, getLog, processOutbox, sendDigests, start, stop, tick };
+}
+
+module.exports = { createNotificationService, DIGEST_MODES };
@@ -0,0 +1,151 @@
+// lib/openapi.js - The OpenAPI 3.0 document for /api/v1
+//
+// lib/apiV1.js declares every route once: its request schema (the rules of
+// lib/validation.js), the scope it needs, what it responds with and which
+// failures it adds to the usual ones. buildOpenApi turns those declarations
+// into the document served at GET /api/v1/openapi.json, so the document
+// describes exactly what the routes check.
+
+const { MAX_ID_LENGTH } = require('./validation');
+
+const JSON_TYPE = 'application/json';
+
+// JSON Schema for one validation rule
+function ruleSchema(rule) {
+    let schema;
+    switch (rule.type) {
+        case 'string':
+            schema = { type: 'string' };
+            if (rule.minLength) schema.minLength = rule.minLength;
+            if (rule.maxLength) schema.maxLength = rule.maxLength;
+            if (rule.format) schema.format = rule.format;
+            if (rule.oneOf) schema.enum = rule.oneOf;
+            if (rule.pattern) schema.pattern = rule.pattern.source;
+            break;
+        case 'id':
+            schema = { type: 'string', maxLength: MAX_ID_LENGTH };
+            break;
+        case 'integer':
+        case 'number':
+            schema = { type: rule.type };
+            if (rule.min !== undefined) schema.minimum = rule.min;
+            if (rule.max !== undefined) schema.maximum = rule.max;
+            break;
+        case 'boolean':
+            schema = { type: 'boolean' };
+            break;
+        case 'money':
+            schema = { oneOf: [{ type: 'number' }, { type: 'string', maxLength: 40 }], description: 'A number, or a price as text such as "₹1,299"' };
+            break;
+        case 'array':
+            schema = { type: 'array', items: ruleSchema(rule.items) };
+            if (rule.minItems) schema.minItems = rule.minItems;
+            if (rule.maxItems) schema.maxItems = rule.maxItems;
+            break;
+        default:
+            throw new Error(`Unknown rule type "${rule.type}"`);
+    }
+    if (rule.nullable) schema.nullable = true;
+    if (rule.description) schema.description = rule.description;
+    return schema;
+}
+
+function parameters(location, rules = {}) {
+    return Object.entries(rules).map(([name, rule]) => ({
+        name,
+        in: location,
+        required: location === 'path' || !!rule.required,
+        schema: ruleSchema(rule),
+        ...(rule.description ? { description: rule.description } : {})
+    }));
+}
+
+function requestBody(rules) {
+    const required = Object.keys(rules).filter(name => rules[name].required);
+    const properties = {};
+    for (const [name, rule] of Object.entries(rules)) properties[name] = ruleSchema(rule);
+    return {
+        required: true,
+        content: { [JSON_TYPE]: { schema: { type: 'object', properties, ...(required.length > 0 ? { required } : {}) } } }
+    };
+}
+
+// 'Wishlist' -> a reference to that component, ['Wishlist'] -> a list of them;
+// anything else is taken as a schema
+function responseSchema(response) {
+    if (typeof response === 'string') return { $ref: `#/components/schemas/${response}` };
+    if (Array.isArray(response)) return { type: 'array', items: responseSchema(response[0]) };
+    return response;
+}
+
+function errorResponse(description) {
+    return { description, content: { [JSON_TYPE]: { schema: { $ref: '#/components/schemas/Error' } } } };
+}
+
+function operationObject(operation) {
+    const { spec } = operation;
+    const success = {
+        type: 'object',
+        properties: { data: responseSchema(spec.response) },
+        required: ['data']
+    };
+    if (spec.meta) success.properties.meta = responseSchema(spec.meta);
+
+    const responses = {
+        [spec.status || 200]: { description: spec.responseDescription || 'Success', content: { [JSON_TYPE]: { schema: success } } }
+    };
+    if (spec.params || spec.query || spec.body) responses[400] = errorResponse('The request failed validation (`validation_failed`) or is malformed (`invalid_request`)');
+    if (spec.scope) {
+        responses[401] = errorResponse('No valid API key or session (`unauthorized`)');
+        responses[403] = errorResponse(spec.scope === 'session'
+            ? 'API keys can\'t use this route (`forbidden`)'
+            : `The API key lacks the \`${spec.scope}\` scope (\`insufficient_scope\`)`);
+    }
+    if (spec.params) responses[404] = errorResponse('Not found (`not_found`)');
+    for (const [status, description] of Object.entries(spec.errors || {})) responses[status] = errorResponse(description);
+    responses[429] = errorResponse('Too many requests (`rate_limited`); see Retry-After');
+
+    let description = spec.description || '';
+    if (spec.scope === 'session') {
+        description += `${description ? '\n\n' : ''}Needs a session token from \`POST /login\`; API keys can't use it.`;
+    } else if (spec.scope) {
+        description += `${description ? '\n\n' : ''}Scope: \`${spec.scope}\`.`;
+    }
+    return {
+        operationId: spec.id,
+        summary: spec.summary,
+        ...(description ? { description } : {}),
+        tags: [spec.tag],
+        ...(spec.scope ? { 'x-required-scope': spec.scope } : { security: [] }),
+        parameters: [...parameters('path', spec.params), ...parameters('query', spec.query)],
+        ...(spec.body ? { requestBody: requestBody(spec.body) } : {}),
+        responses
+    };
+}
+
+// operations: [{ method, path, spec }] with Express paths (/wishlists/:id).
+// schemas are the component schemas the operations' responses refer to.
+function buildOpenApi({ title, version, description, serverUrl, operations, schemas, tags = [] }) {
+    const paths = {};
+    for (const operation of operations) {
+        const path = operation.path.replace(/:(\w+)/g, '{$1}');
+        paths[path] = paths[path] || {};
+        paths[path][operation.method] = operationObject(operation);
+    }
+    return {
+        openapi: '3.0.3',
+        info: { title, version, description },
+        servers: [{ url: serverUrl }],
+        tags,
+        security: [{ bearer: [] }],
+        paths,
+        components: {
+            securitySchemes: {
+                bearer: { type: 'http', scheme: 'bearer', description: 'An API key (`prk_...`) or a session token from `POST /login`' }
+            },
+            schemas
+        }
+    };
+}
+
+module.exports = { buildOpenApi, ruleSchema };
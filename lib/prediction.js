@@ -0,0 +1,245 @@
+// lib/prediction.js - Explainable buy/wait forecasting from price history
+//
+// Raw price_history rows are full of duplicates (one per search), so the model
+// first resamples them to one closing price per day, carrying the last known
+// price across days without observations. From that series it derives a set
+// of signals (moving averages, trend, volatility, distance from the historical
+// low/high), turns them into a recommendation with a confidence score, and
+// projects an expected price range for the next `horizonDays`.
+
+const { DAY, toSamples, bucketSamples } = require('./priceHistory');
+const { parseMoney, baseValue, formatBase } = require('./money');
+
+const MIN_DAYS = 3; // Fewer daily prices than this is not a history
+
+function round(value, digits = 2) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+function mean(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function stdDev(values) {
+    if (values.length < 2) return 0;
+    const avg = mean(values);
+    return Math.sqrt(values.reduce((sum, value) => sum + Math.pow(value - avg, 2), 0) / (values.length - 1));
+}
+
+// One closing price per calendar day from the first to the last observation,
+// forward-filling days without observations
+function resampleDaily(samples) {
+    const closes = bucketSamples(samples, 'daily');
+    if (closes.length === 0) return [];
+    const series = [];
+    const lastDay = closes[closes.length - 1].start;
+    let index = 0;
+    let price = closes[0].last;
+    for (let day = closes[0].start; day <= lastDay; day += DAY) {
+        while (index < closes.length && closes[index].start <= day) {
+            price = closes[index].last;
+            index++;
+        }
+        series.push({ day, price });
+    }
+    return series;
+}
+
+// Least-squares slope of the last `window` prices, as a fraction of their mean per day
+function trendPerDay(prices, window = 30) {
+    const recent = prices.slice(-window);
+    if (recent.length < 2) return 0;
+    const xs = recent.map((_, i) => i);
+    const xMean = mean(xs);
+    const yMean = mean(recent);
+    const numerator = xs.reduce((sum, x, i) => sum + (x - xMean) * (recent[i] - yMean), 0);
+    const denominator = xs.reduce((sum, x) => sum + Math.pow(x - xMean, 2), 0);
+    return yMean === 0 ? 0 : numerator / denominator / yMean;
+}
+
+function computeSignals(series, observedDays, currentPrice) {
+    const prices = series.map(point => point.price);
+    const returns = prices.slice(1).map((price, i) => (prices[i] === 0 ? 0 : (price - prices[i]) / prices[i]));
+    const low = Math.min(...prices, currentPrice);
+    const high = Math.max(...prices, currentPrice);
+    return {
+        days: observedDays,
+        current: currentPrice,
+        ma7: round(mean(prices.slice(-7))),
+        ma30: round(mean(prices.slice(-30))),
+        trendPerDay: trendPerDay(prices),
+        dailyVolatility: stdDev(returns),
+        low,
+        high,
+        aboveLow: low === 0 ? 0 : (currentPrice - low) / low,
+        belowHigh: high === 0 ? 0 : (high - currentPrice) / high
+    };
+}
+
+function formatPrice(value) {
+    return formatBase(Math.round(value));
+}
+
+// Weighs the signals into a recommendation. Each signal that fires adds to
+// the score (positive = buy, negative = wait) and contributes a reason.
+function recommend(signals) {
+    const reasons = [];
+    let score = 0;
+
+    const falling = signals.trendPerDay <= -0.002;
+
+    if (signals.aboveLow <= 0.03) {
+        score += 1.5;
+        reasons.push(`the price is within 3% of its lowest recorded ${formatPrice(signals.low)}`);
+    } else if (signals.belowHigh <= 0.03 && signals.high > signals.low * 1.05) {
+        score -= 1.5;
+        reasons.push(`the price is near its highest recorded ${formatPrice(signals.high)}`);
+    }
+
+    // In a falling market being under the average is the trend itself, not a bargain
+    if (signals.current < signals.ma30 * 0.97 && !falling) {
+        score += 1;
+        reasons.push(`it is ${Math.round((1 - signals.current / signals.ma30) * 100)}% below the 30-day average of ${formatPrice(signals.ma30)}`);
+    } else if (signals.current > signals.ma30 * 1.03) {
+        score -= 1;
+        reasons.push(`it is ${Math.round((signals.current / signals.ma30 - 1) * 100)}% above the 30-day average of ${formatPrice(signals.ma30)}`);
+    }
+
+    if (falling) {
+        score -= 1.5;
+        reasons.push(`prices have been falling about ${round(Math.abs(signals.trendPerDay) * 100, 1)}% a day`);
+    } else if (signals.trendPerDay >= 0.002) {
+        score += 0.5;
+        reasons.push(`prices have been rising about ${round(signals.trendPerDay * 100, 1)}% a day`);
+    }
+
+    let recommendation = 'neutral';
+    if (score >= 1.5) recommendation = 'buy';
+    else if (score <= -1) recommendation = 'wait';
+
+    // Stronger agreement and longer, calmer histories earn more confidence
+    const strength = Math.min(Math.abs(score) / 3, 1);
+    const coverage = Math.min(signals.days / 30, 1);
+    const calmness = 1 - Math.min(signals.dailyVolatility / 0.05, 1) * 0.5;
+    const confidence = recommendation === 'neutral'
+        ? round(0.3 * coverage * calmness)
+        : round((0.35 + 0.65 * strength) * (0.4 + 0.6 * coverage) * calmness);
+
+    return { recommendation, confidence, score, reasons };
+}
+
+// Projects the trend forward and widens the band with volatility (~90% band)
+function expectedRange(signals, horizonDays) {
+    const center = signals.current * (1 + signals.trendPerDay * horizonDays);
+    const spread = signals.current * Math.max(signals.dailyVolatility, 0.005) * Math.sqrt(horizonDays) * 1.645;
+    return {
+        horizonDays,
+        low: round(Math.max(center - spread, 0)),
+        expected: round(center),
+        high: round(center + spread)
+    };
+}
+
+function buildReason(recommendation, reasons) {
+    const lead = { buy: 'Good time to buy', wait: 'Consider waiting', neutral: 'Fair price' }[recommendation];
+    if (reasons.length === 0) return `${lead}: the price is in line with its recent history.`;
+    const joined = reasons.length === 1 ? reasons[0] : `${reasons.slice(0, -1).join(', ')} and ${reasons[reasons.length - 1]}`;
+    return `${lead}: ${joined}.`;
+}
+
+// Forecast for one product. `rows` are raw price history rows (see
+// priceHistory.js), `currentPrice` the latest price: a number in the base
+// currency, a money value or a retailer string.
+function forecastPrice(rows, currentPrice, { now = Date.now(), horizonDays = 7 } = {}) {
+    const samples = toSamples(rows).filter(sample => sample.timestamp <= now);
+    const current = typeof currentPrice === 'number' ? currentPrice : baseValue(parseMoney(currentPrice));
+    const series = resampleDaily(samples);
+    // Forward-filled days don't count as evidence
+    const observedDays = bucketSamples(samples, 'daily').length;
+
+    if (current === null || isNaN(current) || observedDays < MIN_DAYS) {
+        return {
+            recommendation: 'neutral',
+            confidence: 0,
+            reason: 'Not enough price history yet to make a prediction.',
+            expectedRange: null,
+            signals: { days: observedDays }
+        };
+    }
+
+    const signals = computeSignals(series, observedDays, current);
+    const { recommendation, confidence, reasons } = recommend(signals);
+    return {
+        recommendation,
+        confidence,
+        reason: buildReason(recommendation, reasons),
+        expectedRange: expectedRange(signals, horizonDays),
+        signals: {
+            days: signals.days,
+            ma7: signals.ma7,
+            ma30: signals.ma30,
+            trendPerDay: round(signals.trendPerDay * 100, 3), // percent per day
+            volatility: round(signals.dailyVolatility * 100, 3), // percent per day
+            low: signals.low,
+            high: signals.high,
+            aboveLow: round(signals.aboveLow * 100) // percent
+        }
+    };
+}
+
+// Walks forward through one product's history, forecasting at the end of each
+// day and scoring the call against what the price actually did next.
+//   buy  is right if the price didn't fall more than `tolerance` within the horizon
+//   wait is right if it did
+// The expected range is scored by whether the price at the horizon fell inside it.
+function backtestProduct(rows, { horizonDays = 7, tolerance = 0.02 } = {}) {
+    const samples = toSamples(rows);
+    if (samples.length === 0) return [];
+    const series = resampleDaily(samples);
+    const results = [];
+
+    for (let i = MIN_DAYS - 1; i + horizonDays < series.length; i++) {
+        const asOf = series[i].day + DAY - 1;
+        const forecast = forecastPrice(rows, series[i].price, { now: asOf, horizonDays });
+        const future = series.slice(i + 1, i + 1 + horizonDays).map(point => point.price);
+        const minFuture = Math.min(...future);
+        const actualAtHorizon = future[future.length - 1];
+        const dropped = minFuture < series[i].price * (1 - tolerance);
+
+        results.push({
+            recommendation: forecast.recommendation,
+            correct: forecast.recommendation === 'neutral' ? null : (forecast.recommendation === 'wait') === dropped,
+            inRange: forecast.expectedRange
+                ? actualAtHorizon >= forecast.expectedRange.low && actualAtHorizon <= forecast.expectedRange.high
+                : null,
+            absError: forecast.expectedRange ? Math.abs(forecast.expectedRange.expected - actualAtHorizon) / actualAtHorizon : null
+        });
+    }
+    return results;
+}
+
+// Aggregates backtestProduct results over many products
+function summarizeBacktest(results) {
+    const scored = results.filter(result => result.correct !== null);
+    const ranged = results.filter(result => result.inRange !== null);
+    const byRecommendation = {};
+    for (const label of ['buy', 'wait', 'neutral']) {
+        const subset = results.filter(result => result.recommendation === label);
+        const subsetScored = subset.filter(result => result.correct !== null);
+        byRecommendation[label] = {
+            count: subset.length,
+            accuracy: subsetScored.length > 0 ? round(subsetScored.filter(r => r.correct).length / subsetScored.length) : null
+        };
+    }
+    return {
+        forecasts: results.length,
+        scored: scored.length,
+        accuracy: scored.length > 0 ? round(scored.filter(result => result.correct).length / scored.length) : null,
+        rangeCoverage: ranged.length > 0 ? round(ranged.filter(result => result.inRange).length / ranged.length) : null,
+        meanAbsPercentError: ranged.length > 0 ? round(mean(ranged.map(result => result.absError)) * 100) : null,
+        byRecommendation
+    };
+}
+
+module.exports = { forecastPrice, backtestProduct, summarizeBacktest };
@@ -0,0 +1,107 @@
+// lib/priceHistory.js - Bucketing and summary statistics for price history rows
+//
+// Rows are { price_amount, price_currency, price, timestamp } as stored in
+// price_history or canonical_price_history. Prices are compared in the base
+// currency (lib/money.js); rows without a usable price are dropped.
+
+const { storedMoney, baseValue } = require('./money');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const RANGES = { '7d': 7 * DAY, '30d': 30 * DAY, '90d': 90 * DAY, '1y': 365 * DAY, all: Infinity };
+const BUCKETS = ['none', 'daily', 'weekly'];
+
+function toSamples(rows) {
+    return rows
+        .map(row => ({ value: baseValue(storedMoney(row)), timestamp: row.timestamp }))
+        .filter(sample => sample.value !== null)
+        .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// Start of the UTC day, or of the UTC week (Monday) for weekly buckets
+function bucketStart(timestamp, bucket) {
+    const dayStart = Math.floor(timestamp / DAY) * DAY;
+    if (bucket !== 'weekly') return dayStart;
+    const weekday = (new Date(dayStart).getUTCDay() + 6) % 7; // Monday = 0
+    return dayStart - weekday * DAY;
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function describe(samples) {
+    const values = samples.map(sample => sample.value);
+    return {
+        min: Math.min(...values),
+        max: Math.max(...values),
+        avg: round(values.reduce((sum, value) => sum + value, 0) / values.length),
+        last: values[values.length - 1],
+        count: values.length
+    };
+}
+
+// Groups samples into daily/weekly buckets with min, max, avg and last price.
+// bucket 'none' returns every observation as its own point.
+function bucketSamples(samples, bucket) {
+    if (bucket === 'none') {
+        return samples.map(sample => ({ start: sample.timestamp, min: sample.value, max: sample.value, avg: sample.value, last: sample.value, count: 1 }));
+    }
+    const buckets = new Map();
+    for (const sample of samples) {
+        const start = bucketStart(sample.timestamp, bucket);
+        if (!buckets.has(start)) buckets.set(start, []);
+        buckets.get(start).push(sample);
+    }
+    return [...buckets.entries()].map(([start, group]) => ({ start, ...describe(group) }));
+}
+
+// Coefficient of variation of the daily closing prices, in percent
+function volatility(samples) {
+    const closes = bucketSamples(samples, 'daily').map(point => point.last);
+    if (closes.length < 2) return 0;
+    const mean = closes.reduce((sum, value) => sum + value, 0) / closes.length;
+    const variance = closes.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (closes.length - 1);
+    return mean === 0 ? 0 : round((Math.sqrt(variance) / mean) * 100);
+}
+
+function lowest(samples) {
+    return samples.reduce((low, sample) => (!low || sample.value < low.value ? sample : low), null);
+}
+
+// Summary over the whole history, independent of the requested range
+function summarize(samples, now) {
+    if (samples.length === 0) return null;
+    const allTimeLow = lowest(samples);
+    const recent = samples.filter(sample => sample.timestamp >= now - 30 * DAY);
+    const recentLow = lowest(recent);
+    const current = samples[samples.length - 1].value;
+
+    return {
+        current,
+        allTimeLow: allTimeLow.value,
+        allTimeLowAt: allTimeLow.timestamp,
+        allTimeHigh: Math.max(...samples.map(sample => sample.value)),
+        low30d: recentLow ? recentLow.value : null,
+        avg30d: recent.length > 0 ? describe(recent).avg : null,
+        volatility: volatility(samples),
+        percentAboveLow: allTimeLow.value === 0 ? 0 : round(((current - allTimeLow.value) / allTimeLow.value) * 100),
+        observations: samples.length,
+        firstSeen: samples[0].timestamp,
+        lastSeen: samples[samples.length - 1].timestamp
+    };
+}
+
+// Builds the /products/:id/history payload from raw history rows
+function buildHistory(rows, { range = '90d', bucket = 'daily', now = Date.now() } = {}) {
+    const samples = toSamples(rows);
+    const since = now - RANGES[range];
+    return {
+        range,
+        bucket,
+        points: bucketSamples(samples.filter(sample => sample.timestamp >= since), bucket),
+        summary: summarize(samples, now)
+    };
+}
+
+module.exports = { DAY, RANGES, BUCKETS, buildHistory, toSamples, bucketSamples };
@@ -0,0 +1,154 @@
+// lib/priceRefreshScheduler.js - Background price refresh for tracked products
+//
+// Every product that is wishlisted, in a cart or watched by an alert rule gets
+// a row in refresh_jobs. Each tick the scheduler syncs that table with what
+// users track, then re-fetches the most urgent due jobs. Jobs are tiered:
+//   alert     products with an active alert rule
+//   cart      other cart items
+//   wishlist  wishlist-only items
+// Failures push next_run_at back exponentially (capped), and because the job
+// state lives in SQLite a restart picks up where the last process stopped.
+
+const { dbRun, dbAll } = require('./db');
+const { metrics } = require('./metrics');
+const { workerStarted, workerRan, workerFailed } = require('./health');
+
+const logger = require('./logger').logger.child({ module: 'price-refresh' });
+
+const MINUTE = 60 * 1000;
+
+const TIER_PRIORITY = { alert: 0, cart: 1, wishlist: 2 };
+
+function readMinutes(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return (isNaN(value) || value <= 0 ? fallback : value) * MINUTE;
+}
+
+function defaultConfig() {
+    return {
+        enabled: process.env.PRICE_REFRESH_ENABLED !== 'false',
+        tickMs: readMinutes('PRICE_REFRESH_TICK_MIN', 1),
+        batchSize: parseInt(process.env.PRICE_REFRESH_BATCH_SIZE, 10) || 5,
+        intervals: {
+            alert: readMinutes('PRICE_REFRESH_ALERT_MIN', 30),
+            cart: readMinutes('PRICE_REFRESH_CART_MIN', 120),
+            wishlist: readMinutes('PRICE_REFRESH_WISHLIST_MIN', 360)
+        },
+        maxBackoffMs: readMinutes('PRICE_REFRESH_MAX_BACKOFF_MIN', 24 * 60)
+    };
+}
+
+// Delay before retrying a job that has failed `failureCount` times in a row
+function backoffDelay(intervalMs, failureCount, maxBackoffMs) {
+    return Math.min(intervalMs * Math.pow(2, failureCount), maxBackoffMs);
+}
+
+// refreshProduct(product) must resolve once the new price is stored and reject
+// when the price couldn't be fetched.
+function createPriceRefreshScheduler({ db, refreshProduct, config = defaultConfig() }) {
+    let timer = null;
+    let running = false;
+
+    // Brings refresh_jobs in line with the current wishlists and carts.
+    // New jobs are due immediately; existing jobs keep their schedule.
+    async function syncJobs(now) {
+        const tracked = await dbAll(db, `
+            SELECT p.id AS product_id,
+                   CASE
+                       WHEN EXISTS (SELECT 1 FROM alert_rules a WHERE a.product_id = p.id AND a.active = 1) THEN 'alert'
+                       WHEN COUNT(c.product_id) > 0 THEN 'cart'
+                       ELSE 'wishlist'
+                   END AS tier
+            FROM products p
+            LEFT JOIN cart c ON c.product_id = p.id
+            LEFT JOIN wishlists w ON w.product_id = p.id
+            WHERE c.product_id IS NOT NULL OR w.product_id IS NOT NULL
+               OR p.id IN (SELECT product_id FROM alert_rules WHERE active = 1)
+            GROUP BY p.id`);
+
+        for (const job of tracked) {
+            await dbRun(db, `INSERT INTO refresh_jobs (product_id, tier, next_run_at, failure_count)
+                VALUES (?, ?, ?, 0)
+                ON CONFLICT(product_id) DO UPDATE SET
+                    next_run_at = CASE
+                        WHEN excluded.tier != refresh_jobs.tier AND refresh_jobs.failure_count = 0
+                            THEN MIN(refresh_jobs.next_run_at, COALESCE(refresh_jobs.last_run_at, 0) + ?)
+                        ELSE refresh_jobs.next_run_at
+                    END,
+                    tier = excluded.tier`,
+                [job.product_id, job.tier, now, config.intervals[job.tier]]);
+        }
+
+        await dbRun(db, `DELETE FROM refresh_jobs WHERE product_id NOT IN (
+            SELECT product_id FROM cart UNION SELECT product_id FROM wishlists
+            UNION SELECT product_id FROM alert_rules WHERE active = 1)`);
+    }
+
+    async function runJob(job, now) {
+        const interval = config.intervals[job.tier] || config.intervals.wishlist;
+        try {
+            await refreshProduct(job);
+            await dbRun(db, `UPDATE refresh_jobs
+                SET last_run_at = ?, last_success_at = ?, next_run_at = ?, failure_count = 0, last_error = NULL
+                WHERE product_id = ?`,
+                [now, now, now + interval, job.product_id]);
+            metrics.priceRefreshes.inc({ outcome: 'success' });
+        } catch (err) {
+            const failures = job.failure_count + 1;
+            const retryAt = now + backoffDelay(interval, failures, config.maxBackoffMs);
+            metrics.priceRefreshes.inc({ outcome: 'failure' });
+            logger.warn('Price refresh failed', { productId: job.product_id, title: job.title, attempt: failures, err });
+            await dbRun(db, `UPDATE refresh_jobs
+                SET last_run_at = ?, next_run_at = ?, failure_count = ?, last_error = ?
+                WHERE product_id = ?`,
+                [now, retryAt, failures, err.message, job.product_id]);
+        }
+    }
+
+    // One scheduling pass. Overlapping ticks are skipped rather than queued.
+    async function tick() {
+        if (running) return;
+        running = true;
+        try {
+            const now = Date.now();
+            await syncJobs(now);
+
+            const dueJobs = await dbAll(db, `
+                SELECT j.*, p.title, p.link, p.source, p.last_price, p.extractor
+                FROM refresh_jobs j JOIN products p ON j.product_id = p.id
+                WHERE j.next_run_at <= ?
+                ORDER BY CASE j.tier WHEN 'alert' THEN ? WHEN 'cart' THEN ? ELSE ? END, j.next_run_at
+                LIMIT ?`,
+                [now, TIER_PRIORITY.alert, TIER_PRIORITY.cart, TIER_PRIORITY.wishlist, config.batchSize]);
+
+            if (dueJobs.length > 0) {
+                logger.info('Refreshing prices for tracked products', { due: dueJobs.length });
+            }
+            for (const job of dueJobs) {
+                await runJob(job, Date.now());
+            }
+            workerRan('price_refresh');
+        } catch (err) {
+            workerFailed('price_refresh', err);
+            logger.error('Error in price refresh scheduler', { err });
+        } finally {
+            running = false;
+        }
+    }
+
+    function start() {
+        if (!config.enabled || timer) return;
+        workerStarted('price_refresh', config.tickMs);
+        timer = setInterval(tick, config.tickMs);
+        setTimeout(tick, 5000); // Catch up on overdue jobs shortly after a restart
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return { start, stop, tick };
+}
+
+module.exports = { createPriceRefreshScheduler };
@@ -0,0 +1,300 @@
+// lib/purchases.js - What customers bought, their monthly budgets, and spending reports
+//
+// Marking a cart item as purchased stores a row in `purchases` with the price
+// actually paid, the store, the date and a category (given by the customer, or
+// guessed from the title by lib/ranking.js). Savings compare the price paid
+// with the product's average price_history price up to the day of purchase,
+// kept on the row as `average_price`. Budgets are monthly spending limits per
+// category, plus one overall limit (category null). Months are calendar months
+// in UTC, and every amount in a report is in the base currency.
+
+const { dbRun, dbGet, dbAll } = require('./db');
+const { BASE_CURRENCY, CURRENCIES, storedMoney, baseValue, fromMajor, formatMoney, formatBase } = require('./money');
+const { productCategory } = require('./ranking');
+
+const OTHER_CATEGORY = 'other';
+const MAX_CATEGORY_LENGTH = 40;
+const MAX_SOURCE_LENGTH = 100;
+const MAX_REPORT_MONTHS = 36;
+const DAY = 24 * 60 * 60 * 1000;
+
+function round2(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// "Audio " -> "audio"; empty or missing -> null
+function normalizeCategory(value) {
+    if (value === undefined || value === null) return null;
+    const category = String(value).trim().toLowerCase();
+    return category || null;
+}
+
+// A purchase date given as a timestamp, "2026-10-19" or an ISO date-time
+function parsePurchaseDate(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const time = typeof value === 'number' ? value : Date.parse(value);
+    return isFinite(time) ? time : NaN;
+}
+
+// 'YYYY-MM' of a timestamp
+function monthKey(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 7);
+}
+
+// [start, end) timestamps of a 'YYYY-MM' month, or null if it isn't one
+function monthRange(key) {
+    const match = /^(\d{4})-(\d{2})$/.exec(String(key || ''));
+    if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) return null;
+    const year = Number(match[1]);
+    const month = Number(match[2]) - 1;
+    return { start: Date.UTC(year, month, 1), end: Date.UTC(year, month + 1, 1) };
+}
+
+// The `count` months up to and including the month of `now`, oldest first
+function lastMonths(count, now = Date.now()) {
+    const date = new Date(now);
+    return Array.from({ length: count }, (_, i) =>
+        monthKey(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() - (count - 1 - i), 1)));
+}
+
+// Returns an error message for invalid purchase input, or null
+function validatePurchase({ price, currency, quantity, purchasedAt, category, source }) {
+    if (price !== undefined && price !== null) {
+        const value = Number(price);
+        if (!isFinite(value) || value <= 0) return 'price must be a positive number.';
+    }
+    if (currency !== undefined && currency !== null && !CURRENCIES[currency]) {
+        return `currency must be one of: ${Object.keys(CURRENCIES).join(', ')}`;
+    }
+    if (quantity !== undefined && quantity !== null) {
+        const count = Number(quantity);
+        if (!Number.isInteger(count) || count < 1) return 'quantity must be a whole number of at least 1.';
+    }
+    const time = parsePurchaseDate(purchasedAt);
+    if (Number.isNaN(time)) return 'purchasedAt must be a date (e.g. 2026-10-19).';
+    if (time !== null && time > Date.now() + DAY) return 'purchasedAt cannot be in the future.';
+    if (category !== undefined && category !== null) {
+        if (typeof category !== 'string') return 'category must be text.';
+        if (category.trim().length > MAX_CATEGORY_LENGTH) return `category must be at most ${MAX_CATEGORY_LENGTH} characters.`;
+    }
+    if (source !== undefined && source !== null) {
+        if (typeof source !== 'string') return 'source must be text.';
+        if (source.trim().length > MAX_SOURCE_LENGTH) return `source must be at most ${MAX_SOURCE_LENGTH} characters.`;
+    }
+    return null;
+}
+
+// Returns an error message for invalid budget input, or null. A null or
+// missing category is the overall budget.
+function validateBudget({ category, amount }) {
+    if (category !== undefined && category !== null) {
+        if (typeof category !== 'string') return 'category must be text.';
+        if (category.trim().length > MAX_CATEGORY_LENGTH) return `category must be at most ${MAX_CATEGORY_LENGTH} characters.`;
+    }
+    const value = Number(amount);
+    if (amount === undefined || amount === null || !isFinite(value) || value <= 0) return 'amount must be a positive number.';
+    return null;
+}
+
+function toPurchase(row) {
+    const paid = baseValue(storedMoney(row));
+    const unitPrice = paid === null ? null : round2(paid);
+    return {
+        id: row.id,
+        productId: row.product_id,
+        title: row.title,
+        source: row.source,
+        category: row.category,
+        quantity: row.quantity,
+        price: row.price,
+        priceValue: unitPrice,
+        total: unitPrice === null ? null : round2(unitPrice * row.quantity),
+        averagePrice: row.average_price === null ? null : round2(row.average_price),
+        // Negative when the price paid was above the average
+        saved: row.average_price === null || unitPrice === null ? null : round2((row.average_price - unitPrice) * row.quantity),
+        purchasedAt: row.purchased_at
+    };
+}
+
+function toBudget(row) {
+    return { category: row.category || null, amount: row.amount, updatedAt: row.updated_at };
+}
+
+// Spend and savings per month and category, in the base currency.
+// purchases: toPurchase() objects; budgets: toBudget() objects; months: the
+// 'YYYY-MM' keys to report, oldest first. Purchases outside them are ignored.
+// Savings only add up purchases whose product had a price history.
+function buildSpendingReport(purchases, budgets, months) {
+    const overallBudget = budgets.find(budget => budget.category === null);
+    const categoryBudgets = new Map(budgets.filter(budget => budget.category !== null).map(budget => [budget.category, budget.amount]));
+    const empty = () => ({ spent: 0, saved: 0, purchases: 0 });
+    const add = (bucket, purchase) => {
+        bucket.spent += purchase.total || 0;
+        bucket.saved += purchase.saved || 0;
+        bucket.purchases += 1;
+    };
+
+    const byMonth = new Map(months.map(month => [month, { totals: empty(), categories: new Map() }]));
+    const categoryTotals = new Map();
+    const totals = empty();
+    for (const purchase of purchases) {
+        const month = byMonth.get(monthKey(purchase.purchasedAt));
+        if (!month) continue;
+        if (!month.categories.has(purchase.category)) month.categories.set(purchase.category, empty());
+        if (!categoryTotals.has(purchase.category)) categoryTotals.set(purchase.category, empty());
+        add(month.totals, purchase);
+        add(month.categories.get(purchase.category), purchase);
+        add(categoryTotals.get(purchase.category), purchase);
+        add(totals, purchase);
+    }
+
+    const rounded = (bucket) => ({ spent: round2(bucket.spent), saved: round2(bucket.saved), purchases: bucket.purchases });
+    const withBudget = (amount, spent) => (amount === undefined ? null : { amount, remaining: round2(amount - spent) });
+    return {
+        currency: BASE_CURRENCY,
+        from: months[0],
+        to: months[months.length - 1],
+        months: months.map(key => {
+            const month = byMonth.get(key);
+            return {
+                month: key,
+                ...rounded(month.totals),
+                budget: withBudget(overallBudget && overallBudget.amount, month.totals.spent),
+                categories: [...month.categories.entries()]
+                    .map(([category, bucket]) => ({ category, ...rounded(bucket), budget: withBudget(categoryBudgets.get(category), bucket.spent) }))
+                    .sort((a, b) => b.spent - a.spent)
+            };
+        }),
+        categories: [...categoryTotals.entries()]
+            .map(([category, bucket]) => ({ category, ...rounded(bucket), monthlyBudget: categoryBudgets.has(category) ? categoryBudgets.get(category) : null }))
+            .sort((a, b) => b.spent - a.spent),
+        totals: rounded(totals)
+    };
+}
+
+function createPurchaseService({ db }) {
+    // Average base-currency price of the product's history up to `until`
+    async function averagePrice(productId, until) {
+        const rows = await dbAll(db, `SELECT price, price_amount, price_currency FROM price_history WHERE product_id = ? AND timestamp <= ?`,
+            [productId, until]);
+        const values = rows.map(row => baseValue(storedMoney(row))).filter(value => value !== null);
+        return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+    }
+
+    // Records a purchase of a stored product. `price` is per unit, in
+    // `currency` (default the base currency); without it the product's
+    // current price is used. Resolves to the purchase, or null when neither
+    // gives a price.
+    async function recordPurchase(userId, product, { price = null, currency = null, source = null, quantity = 1, purchasedAt = null, category = null } = {}) {
+        const money = price !== null && price !== undefined
+            ? fromMajor(Number(price), currency || BASE_CURRENCY)
+            : storedMoney(product);
+        if (!money) return null;
+        const time = parsePurchaseDate(purchasedAt) || Date.now();
+        const { lastID } = await dbRun(db, `INSERT INTO purchases (user_id, product_id, title, source, category, quantity, price, price_amount,
+                price_currency, average_price, purchased_at, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [userId, product.id, product.title, (source && source.trim()) || product.source,
+                normalizeCategory(category) || productCategory(product.title) || OTHER_CATEGORY,
+                Number(quantity) || 1, formatMoney(money), money.amount, money.currency,
+                await averagePrice(product.id, time), time, Date.now()]);
+        return toPurchase(await dbGet(db, `SELECT * FROM purchases WHERE id = ?`, [lastID]));
+    }
+
+    // Newest first; `month` ('YYYY-MM') limits them to one month
+    async function listPurchases(userId, { month = null } = {}) {
+        const range = month ? monthRange(month) : null;
+        const rows = await dbAll(db, `SELECT * FROM purchases WHERE user_id = ?${range ? ' AND purchased_at >= ? AND purchased_at < ?' : ''}
+            ORDER BY purchased_at DESC, id DESC`, range ? [userId, range.start, range.end] : [userId]);
+        return rows.map(toPurchase);
+    }
+
+    async function deletePurchase(userId, purchaseId) {
+        const result = await dbRun(db, `DELETE FROM purchases WHERE id = ? AND user_id = ?`, [purchaseId, userId]);
+        return result.changes > 0;
+    }
+
+    // The overall budget first, then categories by name
+    async function listBudgets(userId) {
+        const rows = await dbAll(db, `SELECT * FROM budgets WHERE user_id = ? ORDER BY category`, [userId]);
+        return rows.map(toBudget);
+    }
+
+    async function setBudget(userId, category, amount) {
+        const key = normalizeCategory(category) || '';
+        await dbRun(db, `INSERT INTO budgets (user_id, category, amount, updated_at) VALUES (?, ?, ?, ?)
+            ON CONFLICT(user_id, category) DO UPDATE SET amount = excluded.amount, updated_at = excluded.updated_at`,
+            [userId, key, Number(amount), Date.now()]);
+        return toBudget(await dbGet(db, `SELECT * FROM budgets WHERE user_id = ? AND category = ?`, [userId, key]));
+    }
+
+    async function removeBudget(userId, category) {
+        const result = await dbRun(db, `DELETE FROM budgets WHERE user_id = ? AND category = ?`, [userId, normalizeCategory(category) || '']);
+        return result.changes > 0;
+    }
+
+    // Spend and savings over the last `months` months (see buildSpendingReport)
+    async function spendingReport(userId, { months = 12, now = Date.now() } = {}) {
+        const keys = lastMonths(months, now);
+        const { start } = monthRange(keys[0]);
+        const rows = await dbAll(db, `SELECT * FROM purchases WHERE user_id = ? AND purchased_at >= ? ORDER BY purchased_at`, [userId, start]);
+        return buildSpendingReport(rows.map(toPurchase), await listBudgets(userId), keys);
+    }
+
+    // Whether buying the cart this month would go over a budget. cartItems
+    // are stored product rows with `price_value` (base currency) and a
+    // quantity of one each. Every budget the cart touches is reported with
+    // what's been spent this month, what's left and the cart's share.
+    async function checkCartBudget(userId, cartItems, { now = Date.now() } = {}) {
+        const month = monthKey(now);
+        const budgets = await listBudgets(userId);
+        const { start, end } = monthRange(month);
+        const spentRows = await dbAll(db, `SELECT * FROM purchases WHERE user_id = ? AND purchased_at >= ? AND purchased_at < ?`, [userId, start, end]);
+        const spent = spentRows.map(toPurchase);
+
+        const priced = cartItems.filter(item => item.price_value !== null && item.price_value !== undefined);
+        const cartByCategory = new Map();
+        for (const item of priced) {
+            const category = productCategory(item.title) || OTHER_CATEGORY;
+            cartByCategory.set(category, (cartByCategory.get(category) || 0) + item.price_value);
+        }
+        const cartTotal = priced.reduce((sum, item) => sum + item.price_value, 0);
+
+        const checks = budgets
+            .filter(budget => budget.category === null || cartByCategory.has(budget.category))
+            .map(budget => {
+                const spentSoFar = spent
+                    .filter(purchase => budget.category === null || purchase.category === budget.category)
+                    .reduce((sum, purchase) => sum + (purchase.total || 0), 0);
+                const cartAmount = budget.category === null ? cartTotal : cartByCategory.get(budget.category);
+                const remaining = budget.amount - spentSoFar;
+                return {
+                    category: budget.category,
+                    amount: budget.amount,
+                    spent: round2(spentSoFar),
+                    remaining: round2(remaining),
+                    cartAmount: round2(cartAmount),
+                    exceeded: cartAmount > remaining,
+                    over: round2(Math.max(0, cartAmount - remaining))
+                };
+            });
+
+        return {
+            month,
+            currency: BASE_CURRENCY,
+            cartTotal: round2(cartTotal),
+            unpriced: cartItems.length - priced.length,
+            budgets: checks,
+            exceeded: checks.some(check => check.exceeded),
+            warnings: checks.filter(check => check.exceeded).map(check =>
+                `This cart would take your ${check.category ? `${check.category} budget` : 'overall budget'} for ${month} over by ${formatBase(check.over)}.`)
+        };
+    }
+
+    return { recordPurchase, listPurchases, deletePurchase, listBudgets, setBudget, removeBudget, spendingReport, checkCartBudget };
+}
+
+module.exports = {
+    createPurchaseService, buildSpendingReport, validatePurchase, validateBudget, monthKey, monthRange,
+    OTHER_CATEGORY, MAX_REPORT_MONTHS
+};
@@ -0,0 +1,194 @@
+// lib/ranking.js - Relevance scoring for search results
+//
+// Query and titles are reduced to normalized tokens: lower case, units joined
+// to their numbers ("128 GB" -> "128gb", '15.6"' -> "15.6in"), plurals
+// singular. Each query term is then looked up in the title: exactly, split or
+// joined differently ("iphone15" vs "iPhone 15"), or with a typo. The query's
+// intent (its product category, and whether it asks for an accessory) decides
+// which listings are demoted: a case ranks low for "iphone 15" but not for
+// "iphone 15 case".
+//
+// rankProducts() gives every result a `relevance_score`; with `explain` it
+// also attaches `ranking` ({ score, terms, adjustments }) saying why.
+
+const { normalizeTitle } = require('./matching');
+
+const QUERY_STOPWORDS = new Set(['a', 'an', 'and', 'the', 'for', 'with', 'of', 'in', 'by', 'to', 'on']);
+
+// Singular forms, matched against stemmed tokens
+const CATEGORIES = {
+    phone: ['phone', 'smartphone', 'mobile', 'iphone', 'galaxy', 'pixel', 'redmi', 'oneplus', 'poco', 'realme'],
+    laptop: ['laptop', 'notebook', 'macbook', 'chromebook', 'ideapad', 'thinkpad', 'vivobook', 'zenbook', 'pavilion', 'inspiron'],
+    tablet: ['tablet', 'ipad'],
+    audio: ['headphone', 'earphone', 'earbud', 'airpod', 'headset', 'speaker', 'soundbar', 'neckband'],
+    watch: ['watch', 'smartwatch'],
+    tv: ['tv', 'television'],
+    shoe: ['shoe', 'sneaker', 'boot', 'sandal', 'slipper']
+};
+
+const ACCESSORY_WORDS = new Set([
+    'case', 'cover', 'protector', 'tempered', 'guard', 'skin', 'pouch', 'stand', 'holder', 'strap', 'charger',
+    'cable', 'adapter', 'bag', 'backpack', 'sleeve', 'bumper', 'shell', 'mount', 'dock', 'hub', 'film', 'lanyard'
+]);
+
+// Words after which an accessory word describes what's in the box
+const INCLUDED_MARKERS = new Set(['with', 'includes', 'including', 'plus']);
+
+const WEIGHTS = {
+    coverage: 60, // share of the query terms found, scaled
+    allTerms: 15,
+    phrase: 10,
+    leadingTerm: 5,
+    accessory: -30,
+    category: -15
+};
+
+const MATCH_QUALITY = { exact: 1, joined: 1, fuzzy: 0.7 };
+
+function normalizeText(text) {
+    return normalizeTitle(String(text || '')
+        .replace(/(\d)\s*(?:"|''|inches|inch)/gi, '$1in ')
+        .replace(/(\d+(?:\.\d+)?)\s*(mah|hz|kg|cm|mm|ml|w|in)\b/gi, '$1$2'));
+}
+
+function stem(token) {
+    if (/\d/.test(token) || token.length <= 3) return token;
+    if (token.endsWith('ies') && token.length > 4) return `${token.slice(0, -3)}y`;
+    if (/(ch|sh|x|ss)es$/.test(token)) return token.slice(0, -2);
+    if (token.endsWith('s') && !/(ss|us|is)$/.test(token)) return token.slice(0, -1);
+    return token;
+}
+
+function tokens(text) {
+    return normalizeText(text).split(' ').filter(Boolean).map(stem);
+}
+
+// Every run of two or three adjacent tokens written as one word
+function joinedRuns(list) {
+    const runs = new Set();
+    for (let i = 0; i < list.length; i++) {
+        if (i + 1 < list.length) runs.add(list[i] + list[i + 1]);
+        if (i + 2 < list.length) runs.add(list[i] + list[i + 1] + list[i + 2]);
+    }
+    return runs;
+}
+
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// Typos are forgiven in words only: "s24" must never match "s25"
+function fuzzyMatch(term, titleTokens) {
+    if (/\d/.test(term) || term.length < 4) return false;
+    const allowed = term.length >= 8 ? 2 : 1;
+    return titleTokens.some(token => !/\d/.test(token) && Math.abs(token.length - term.length) <= allowed
+        && editDistance(term, token) <= allowed);
+}
+
+function detectCategory(list) {
+    const found = Object.entries(CATEGORIES).find(([, words]) => list.some(token => words.includes(token)));
+    return found ? found[0] : null;
+}
+
+// The accessory word a title is about, ignoring "with charger" style extras
+function accessoryWord(list) {
+    for (let i = 0; i < list.length; i++) {
+        if (INCLUDED_MARKERS.has(list[i])) return null;
+        if (ACCESSORY_WORDS.has(list[i])) return list[i];
+    }
+    return null;
+}
+
+// What the query is looking for; computed once per search
+function analyzeQuery(query) {
+    const all = tokens(query);
+    const terms = all.filter(token => !QUERY_STOPWORDS.has(token));
+    return {
+        terms: terms.length > 0 ? terms : all,
+        squashed: all.join(''),
+        category: detectCategory(all),
+        wantsAccessory: all.some(token => ACCESSORY_WORDS.has(token))
+    };
+}
+
+function scoreTitle(title, intent) {
+    const titleTokens = tokens(title);
+    const titleSet = new Set(titleTokens);
+    const titleRuns = joinedRuns(titleTokens);
+
+    // Query words the title writes as one ("iphone 15" vs "iPhone15")
+    const joinedInTitle = new Set();
+    intent.terms.forEach((term, i) => {
+        for (const length of [2, 3]) {
+            const run = intent.terms.slice(i, i + length);
+            if (run.length === length && titleSet.has(run.join(''))) run.forEach(part => joinedInTitle.add(part));
+        }
+    });
+
+    const terms = intent.terms.map(term => {
+        let match = null;
+        if (titleSet.has(term)) match = 'exact';
+        else if (titleRuns.has(term) || joinedInTitle.has(term)) match = 'joined';
+        else if (fuzzyMatch(term, titleTokens)) match = 'fuzzy';
+        // Model numbers count double: they tell products apart
+        return { term, match, weight: /\d/.test(term) ? 2 : 1 };
+    });
+
+    const totalWeight = terms.reduce((sum, term) => sum + term.weight, 0);
+    const found = terms.reduce((sum, term) => sum + (term.match ? term.weight * MATCH_QUALITY[term.match] : 0), 0);
+    const adjustments = [];
+    const adjust = (points, reason) => adjustments.push({ points, reason });
+
+    adjust(Math.round((found / (totalWeight || 1)) * WEIGHTS.coverage * 10) / 10,
+        `${terms.filter(term => term.match).length} of ${terms.length} query terms found`);
+    if (terms.length > 0 && terms.every(term => term.match)) adjust(WEIGHTS.allTerms, 'every query term found');
+    if (intent.squashed && titleTokens.join('').includes(intent.squashed)) adjust(WEIGHTS.phrase, 'contains the whole query');
+    if (terms.length > 0 && titleTokens[0] === terms[0].term) adjust(WEIGHTS.leadingTerm, 'title starts with the first query term');
+
+    const accessory = accessoryWord(titleTokens);
+    if (accessory && !intent.wantsAccessory) {
+        adjust(WEIGHTS.accessory, `accessory listing ("${accessory}") for a search that isn't for accessories`);
+    }
+    const category = detectCategory(titleTokens);
+    if (intent.category && category && category !== intent.category && !accessory) {
+        adjust(WEIGHTS.category, `${category} listing for a ${intent.category} search`);
+    }
+
+    const score = Math.round(adjustments.reduce((sum, item) => sum + item.points, 0) * 10) / 10;
+    return { score, terms: terms.map(({ term, match }) => ({ term, match })), adjustments };
+}
+
+// The category a listing title belongs to (phone, laptop, audio...),
+// "accessory" for cases, chargers and the like, or null
+function productCategory(title) {
+    const titleTokens = tokens(title);
+    if (accessoryWord(titleTokens)) return 'accessory';
+    return detectCategory(titleTokens);
+}
+
+// Sorts by relevance, cheaper first among equal scores. Returns new objects
+// carrying relevance_score (and `ranking` when explain is set).
+function rankProducts(products, query, { explain = false } = {}) {
+    const intent = analyzeQuery(query);
+    return products
+        .map(product => {
+            const ranking = scoreTitle(product.title, intent);
+            const ranked = { ...product, relevance_score: ranking.score };
+            if (explain) {
+                ranked.ranking = { intent: { category: intent.category, wantsAccessory: intent.wantsAccessory }, ...ranking };
+            }
+            return ranked;
+        })
+        .sort((a, b) => b.relevance_score - a.relevance_score
+            || ((a.price_value ?? Infinity) - (b.price_value ?? Infinity)) || 0);
+}
+
+module.exports = { rankProducts, analyzeQuery, scoreTitle, normalizeText, productCategory };
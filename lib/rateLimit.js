@@ -0,0 +1,93 @@
+// lib/rateLimit.js - Fixed-window request limits per client IP or account
+//
+// Each limit counts requests per key (the client IP, the logged-in customer,
+// the email being logged into...) in windows of `windowMs`, kept in memory:
+// a restart starts every count over, which is fine for throttling. Limits
+// are written as "<max>/<window>", e.g. "20/15m" or "5/1h" (s, m, h or d),
+// and a max of 0 turns the limit off. Responses carry RateLimit-Limit,
+// RateLimit-Remaining and RateLimit-Reset; a request over the limit gets
+// 429 with Retry-After and is not passed on.
+
+const { metrics } = require('./metrics');
+
+const logger = require('./logger').logger.child({ module: 'rate-limit' });
+
+const UNIT_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const LIMIT_PATTERN = /^(\d+)\s*\/\s*(\d+)?\s*([smhd])$/;
+
+// "20/15m" -> { max: 20, windowMs: 900000 }, or null when it doesn't parse
+function parseLimit(text) {
+    const match = LIMIT_PATTERN.exec(String(text).trim());
+    if (!match) return null;
+    return { max: parseInt(match[1], 10), windowMs: parseInt(match[2] || '1', 10) * UNIT_MS[match[3]] };
+}
+
+// The limit from the environment variable `name`, or `fallback`
+function readLimit(name, fallback) {
+    if (process.env[name] === undefined) return parseLimit(fallback);
+    const limit = parseLimit(process.env[name]);
+    if (!limit) {
+        logger.warn('Ignoring malformed rate limit', { variable: name, value: process.env[name], using: fallback });
+        return parseLimit(fallback);
+    }
+    return limit;
+}
+
+function formatWait(ms) {
+    const seconds = Math.ceil(ms / 1000);
+    if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    const minutes = Math.ceil(seconds / 60);
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+// name: label for logs and metrics. key(req) picks what is counted; when it
+// returns null the request isn't limited (e.g. an account limit on a request
+// without an account). skip(req) exempts requests entirely.
+function createRateLimiter({ name, max, windowMs, key = req => req.ip, skip = null, message = null }) {
+    const windows = new Map();
+
+    // Windows that have ended are dropped on the next sweep
+    const sweeper = setInterval(() => {
+        const now = Date.now();
+        for (const [id, window] of windows) {
+            if (window.resetAt <= now) windows.delete(id);
+        }
+    }, Math.max(windowMs, 60 * 1000));
+    sweeper.unref();
+
+    // Counts one request for `id`. Resolves to { allowed, remaining, resetAt }.
+    function hit(id, now = Date.now()) {
+        let window = windows.get(id);
+        if (!window || window.resetAt <= now) {
+            window = { count: 0, resetAt: now + windowMs };
+            windows.set(id, window);
+        }
+        window.count++;
+        return { allowed: window.count <= max, remaining: Math.max(max - window.count, 0), resetAt: window.resetAt };
+    }
+
+    function reset(id) {
+        windows.delete(id);
+    }
+
+    function middleware(req, res, next) {
+        if (max === 0 || (skip && skip(req))) return next();
+        const id = key(req);
+        if (id === null || id === undefined) return next();
+
+        const now = Date.now();
+        const result = hit(`${id}`, now);
+        const resetSeconds = Math.ceil((result.resetAt - now) / 1000);
+        res.set({ 'RateLimit-Limit': String(max), 'RateLimit-Remaining': String(result.remaining), 'RateLimit-Reset': String(resetSeconds) });
+        if (result.allowed) return next();
+
+        metrics.rateLimited.inc({ limit: name });
+        logger.warn('Rate limit exceeded', { limit: name, ip: req.ip, userId: req.user ? req.user.id : undefined });
+        res.set('Retry-After', String(resetSeconds));
+        res.status(429).json({ error: message || `Too many requests. Please try again in ${formatWait(result.resetAt - now)}.` });
+    }
+
+    return Object.assign(middleware, { hit, reset });
+}
+
+module.exports = { createRateLimiter, parseLimit, readLimit, formatWait };
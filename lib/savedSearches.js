@@ -0,0 +1,304 @@
+// lib/savedSearches.js - Saved searches that watch for new listings under a price
+//
+// A customer saves a query with the /search filters that go with it (minimum
+// price, rating, stores) and the most they want to pay. Each tick the watcher
+// re-runs the due searches and compares the listings against those the
+// search has returned before (`saved_search_listings`):
+//   new_listing  a listing the search hasn't returned before
+//   new_low      a listing below the lowest price it was seen at so far
+// Only listings that pass the filters and cost at most max_price count. The
+// first run of a search just records what is there, so saving a search
+// doesn't announce every listing it already shows. Every find is kept in
+// `saved_search_events` and each run's finds go to the notification service
+// as one `saved_search`. Prices are in the base currency (lib/money.js).
+
+const { dbRun, dbGet, dbAll } = require('./db');
+const { storedMoney, baseValue, formatBase } = require('./money');
+const { applySearchOptions } = require('./searchResults');
+const { metrics } = require('./metrics');
+const { workerStarted, workerRan, workerFailed } = require('./health');
+
+const logger = require('./logger').logger.child({ module: 'saved-searches' });
+
+const MINUTE = 60 * 1000;
+const MAX_SAVED_SEARCHES_PER_USER = 20;
+const MAX_SOURCES = 20;
+
+function readMinutes(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return (isNaN(value) || value <= 0 ? fallback : value) * MINUTE;
+}
+
+function defaultConfig() {
+    return {
+        enabled: process.env.SAVED_SEARCH_ENABLED !== 'false',
+        tickMs: readMinutes('SAVED_SEARCH_TICK_MIN', 5),
+        intervalMs: readMinutes('SAVED_SEARCH_INTERVAL_MIN', 6 * 60),
+        retryMs: readMinutes('SAVED_SEARCH_RETRY_MIN', 60),
+        batchSize: parseInt(process.env.SAVED_SEARCH_BATCH_SIZE, 10) || 3
+    };
+}
+
+// Returns an error message for invalid saved search input, or null. Updates
+// pass the stored search merged with the changes.
+function validateSavedSearch(input) {
+    if (typeof input.query !== 'string' || !input.query.trim()) return 'query is required.';
+    const maxPrice = Number(input.maxPrice);
+    if (!isFinite(maxPrice) || maxPrice <= 0) return 'maxPrice must be a positive number.';
+    if (input.minPrice !== undefined && input.minPrice !== null && Number(input.minPrice) > maxPrice) {
+        return 'minPrice must not be above maxPrice.';
+    }
+    if (input.sources && input.sources.some(source => typeof source !== 'string' || !source.trim() || source.includes(','))) {
+        return 'sources must be store names.';
+    }
+    return null;
+}
+
+function priceOf(product) {
+    if (product.price_value !== undefined && product.price_value !== null) return product.price_value;
+    return baseValue(storedMoney(product));
+}
+
+function readSources(value) {
+    return value ? value.split(',') : [];
+}
+
+// search(query) resolves to up-to-date results for the query (a fresh-only
+// searchCache.lookup); it rejects when the search can't run.
+function createSavedSearchService({ db, search, notify, config = defaultConfig() }) {
+    let timer = null;
+    let running = false;
+
+    function toSearch(row) {
+        return {
+            id: row.id,
+            query: row.query,
+            maxPrice: row.max_price,
+            minPrice: row.min_price,
+            minRating: row.min_rating,
+            sources: readSources(row.sources),
+            active: !!row.active,
+            matchCount: row.match_count,
+            findCount: row.find_count || 0,
+            lastFoundAt: row.last_found_at || null,
+            lastRunAt: row.last_run_at,
+            nextRunAt: row.active ? row.next_run_at : null,
+            lastError: row.last_error,
+            createdAt: row.created_at
+        };
+    }
+
+    const SELECT_SEARCH = `SELECT s.*,
+            (SELECT COUNT(*) FROM saved_search_events e WHERE e.search_id = s.id) AS find_count,
+            (SELECT MAX(found_at) FROM saved_search_events e WHERE e.search_id = s.id) AS last_found_at
+        FROM saved_searches s`;
+
+    async function getSearchRow(userId, searchId) {
+        return dbGet(db, `${SELECT_SEARCH} WHERE s.id = ? AND s.user_id = ?`, [searchId, userId]);
+    }
+
+    async function listSearches(userId) {
+        const rows = await dbAll(db, `${SELECT_SEARCH} WHERE s.user_id = ? ORDER BY s.created_at DESC, s.id DESC`, [userId]);
+        return rows.map(toSearch);
+    }
+
+    // Resolves to the search, or null when the user has no such search
+    async function getSearch(userId, searchId) {
+        const row = await getSearchRow(userId, searchId);
+        return row ? toSearch(row) : null;
+    }
+
+    async function countSearches(userId) {
+        const row = await dbGet(db, `SELECT COUNT(*) AS count FROM saved_searches WHERE user_id = ?`, [userId]);
+        return row.count;
+    }
+
+    // The /search options (lib/searchResults.js) that select what a search watches
+    function searchOptions(row) {
+        return {
+            sort: 'price_asc',
+            minPrice: row.min_price,
+            maxPrice: row.max_price,
+            minRating: row.min_rating,
+            sources: readSources(row.sources),
+            offset: 0,
+            limit: Infinity
+        };
+    }
+
+    // Records `results` as seen by the search and resolves to
+    // { found: [{ kind, product, price, previousPrice }], matchCount }.
+    // A baseline run records them without finding anything.
+    async function compareResults(row, results, now, { baseline = false } = {}) {
+        const seen = new Map((await dbAll(db, `SELECT product_id, lowest_price FROM saved_search_listings WHERE search_id = ?`, [row.id]))
+            .map(listing => [listing.product_id, listing]));
+        const matching = new Set(applySearchOptions(results, searchOptions(row)).results.map(product => product.id));
+
+        const found = [];
+        for (const product of results) {
+            if (!product.id) continue;
+            const price = priceOf(product);
+            const known = seen.get(product.id);
+            if (!baseline && price !== null && matching.has(product.id)) {
+                if (!known) {
+                    found.push({ kind: 'new_listing', product, price, previousPrice: null });
+                } else if (known.lowest_price !== null && price < known.lowest_price) {
+                    found.push({ kind: 'new_low', product, price, previousPrice: known.lowest_price });
+                }
+            }
+            await dbRun(db, `INSERT INTO saved_search_listings (search_id, product_id, lowest_price, first_seen_at, last_seen_at)
+                VALUES (?, ?, ?, ?, ?)
+                ON CONFLICT(search_id, product_id) DO UPDATE SET
+                    lowest_price = CASE
+                        WHEN excluded.lowest_price IS NOT NULL AND (lowest_price IS NULL OR excluded.lowest_price < lowest_price)
+                            THEN excluded.lowest_price
+                        ELSE lowest_price
+                    END,
+                    last_seen_at = excluded.last_seen_at`,
+                [row.id, product.id, price, now, now]);
+        }
+        return { found, matchCount: matching.size };
+    }
+
+    // Resolves to the new search. `results` are what the customer is looking
+    // at when they save it; they become the baseline right away. Without them
+    // the first run of the watcher takes the baseline.
+    async function createSearch(userId, { query, maxPrice, minPrice = null, minRating = null, sources = [] }, { results = null } = {}) {
+        const now = Date.now();
+        const { lastID } = await dbRun(db, `INSERT INTO saved_searches
+                (user_id, query, max_price, min_price, min_rating, sources, active, match_count, next_run_at, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, 1, 0, ?, ?, ?)`,
+            [userId, query.trim().replace(/\s+/g, ' '), Number(maxPrice), minPrice === null ? null : Number(minPrice),
+                minRating === null ? null : Number(minRating), sources.length > 0 ? [...new Set(sources.map(s => s.trim()))].join(',') : null,
+                results ? now + config.intervalMs : now, now, now]);
+        if (results) {
+            const row = await getSearchRow(userId, lastID);
+            const { matchCount } = await compareResults(row, results, now, { baseline: true });
+            await dbRun(db, `UPDATE saved_searches SET last_run_at = ?, match_count = ? WHERE id = ?`, [now, matchCount, lastID]);
+        }
+        return getSearch(userId, lastID);
+    }
+
+    // Changes any of { maxPrice, minPrice, minRating, sources, active }. The
+    // query can't change: what was seen belongs to it. Resolves to the updated
+    // search, or null when the user has no such search.
+    async function updateSearch(userId, searchId, changes) {
+        const row = await getSearchRow(userId, searchId);
+        if (!row) return null;
+        const pick = (name, column, map = value => value) => (changes[name] !== undefined ? map(changes[name]) : row[column]);
+        await dbRun(db, `UPDATE saved_searches SET max_price = ?, min_price = ?, min_rating = ?, sources = ?, active = ?, updated_at = ?
+            WHERE id = ?`,
+            [pick('maxPrice', 'max_price', Number),
+                pick('minPrice', 'min_price', value => (value === null ? null : Number(value))),
+                pick('minRating', 'min_rating', value => (value === null ? null : Number(value))),
+                pick('sources', 'sources', value => (value && value.length > 0 ? [...new Set(value.map(s => s.trim()))].join(',') : null)),
+                pick('active', 'active', value => (value ? 1 : 0)),
+                Date.now(), searchId]);
+        return getSearch(userId, searchId);
+    }
+
+    // Resolves to the deleted search, or null when the user has no such search
+    async function deleteSearch(userId, searchId) {
+        const row = await getSearchRow(userId, searchId);
+        if (!row) return null;
+        await dbRun(db, `DELETE FROM saved_search_events WHERE search_id = ?`, [searchId]);
+        await dbRun(db, `DELETE FROM saved_search_listings WHERE search_id = ?`, [searchId]);
+        await dbRun(db, `DELETE FROM saved_searches WHERE id = ?`, [searchId]);
+        return toSearch(row);
+    }
+
+    // What the search found, newest first
+    async function listEvents(userId, searchId, { limit = 50 } = {}) {
+        return dbAll(db, `SELECT e.id, e.search_id AS searchId, e.product_id AS productId, e.kind, e.price,
+                e.previous_price AS previousPrice, e.notification_status AS notificationStatus, e.found_at AS foundAt,
+                p.title, p.link, p.source, p.thumbnail, p.last_price AS currentPrice
+            FROM saved_search_events e JOIN products p ON p.id = e.product_id
+            WHERE e.user_id = ? AND e.search_id = ? ORDER BY e.found_at DESC, e.id DESC LIMIT ?`, [userId, searchId, limit]);
+    }
+
+    async function notifyFound(row, found) {
+        try {
+            return await notify(row.user_id, 'saved_search', {
+                query: row.query,
+                maxPrice: formatBase(row.max_price),
+                listings: found.map(({ kind, product, price, previousPrice }) => ({
+                    kind,
+                    title: product.title,
+                    price: product.price || formatBase(price),
+                    previousPrice: previousPrice === null ? null : formatBase(previousPrice),
+                    source: product.source || null,
+                    link: product.link || null
+                }))
+            });
+        } catch (err) {
+            logger.error('Error notifying saved search finds', { searchId: row.id, err });
+            return 'error';
+        }
+    }
+
+    // Runs one saved search and records what it found. Resolves to the
+    // number of finds; a failed search is retried after config.retryMs.
+    async function runSearch(row) {
+        const now = Date.now();
+        try {
+            const results = await search(row.query);
+            const { found, matchCount } = await compareResults(row, results, now, { baseline: row.last_run_at === null });
+            const notificationStatus = found.length > 0 ? await notifyFound(row, found) : null;
+            for (const { kind, product, price, previousPrice } of found) {
+                await dbRun(db, `INSERT INTO saved_search_events
+                        (search_id, user_id, product_id, kind, price, previous_price, notification_status, found_at)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [row.id, row.user_id, product.id, kind, price, previousPrice, notificationStatus, now]);
+                metrics.savedSearchFinds.inc({ kind });
+            }
+            await dbRun(db, `UPDATE saved_searches SET last_run_at = ?, next_run_at = ?, match_count = ?, last_error = NULL WHERE id = ?`,
+                [now, now + config.intervalMs, matchCount, row.id]);
+            metrics.savedSearchRuns.inc({ outcome: 'success' });
+            if (found.length > 0) {
+                logger.info('Saved search found listings', { searchId: row.id, userId: row.user_id, found: found.length, notificationStatus });
+            }
+            return found.length;
+        } catch (err) {
+            metrics.savedSearchRuns.inc({ outcome: 'failure' });
+            logger.warn('Saved search failed', { searchId: row.id, query: row.query, err });
+            await dbRun(db, `UPDATE saved_searches SET next_run_at = ?, last_error = ? WHERE id = ?`,
+                [now + config.retryMs, err.message, row.id]);
+            return 0;
+        }
+    }
+
+    // One pass over the due searches. Overlapping ticks are skipped rather than queued.
+    async function tick() {
+        if (running) return;
+        running = true;
+        try {
+            const due = await dbAll(db, `SELECT * FROM saved_searches WHERE active = 1 AND next_run_at <= ? ORDER BY next_run_at LIMIT ?`,
+                [Date.now(), config.batchSize]);
+            for (const row of due) {
+                await runSearch(row);
+            }
+            workerRan('saved_searches');
+        } catch (err) {
+            workerFailed('saved_searches', err);
+            logger.error('Error running saved searches', { err });
+        } finally {
+            running = false;
+        }
+    }
+
+    function start() {
+        if (!config.enabled || timer) return;
+        workerStarted('saved_searches', config.tickMs);
+        timer = setInterval(tick, config.tickMs);
+        setTimeout(tick, 5000); // Catch up on overdue searches shortly after a restart
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return { listSearches, getSearch, countSearches, createSearch, updateSearch, deleteSearch, listEvents, runSearch, tick, start, stop };
+}
+
+module.exports = { createSavedSearchService, validateSavedSearch, MAX_SAVED_SEARCHES_PER_USER, MAX_SOURCES };
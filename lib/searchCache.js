@@ -0,0 +1,133 @@
+// lib/searchCache.js - SQLite-backed cache in front of the live product search
+//
+// Results are keyed by the normalized query plus the enabled adapters and the
+// search region, and stored in `search_cache`:
+//   fresh   younger than SEARCH_CACHE_TTL_MIN: served straight from the cache
+//   stale   within SEARCH_CACHE_STALE_MIN after that: served at once while one
+//           background search refreshes the entry (stale-while-revalidate)
+//   expired older than that: searched live, the caller waits
+// Identical concurrent searches share one upstream request. When the daily
+// upstream budget (lib/upstreamQuota.js) is used up, or the live search fails,
+// any cached entry is served regardless of age. A freshOnly lookup (the saved
+// search watcher) takes fresh entries only: anything older is searched live,
+// and a failed live search is an error rather than a fallback.
+
+const { dbRun, dbGet } = require('./db');
+const { metrics } = require('./metrics');
+
+const logger = require('./logger').logger.child({ module: 'search-cache' });
+
+const MINUTE = 60 * 1000;
+
+function readMinutes(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return (isNaN(value) || value < 0 ? fallback : value) * MINUTE;
+}
+
+function defaultConfig() {
+    return {
+        enabled: process.env.SEARCH_CACHE_ENABLED !== 'false',
+        ttlMs: readMinutes('SEARCH_CACHE_TTL_MIN', 30),
+        staleMs: readMinutes('SEARCH_CACHE_STALE_MIN', 24 * 60),
+        maxAgeMs: readMinutes('SEARCH_CACHE_MAX_AGE_DAYS', 7) * 24 * 60
+    };
+}
+
+// "  iPhone   15 PRO " and "iphone 15 pro" are the same search
+function normalizeQuery(query) {
+    return String(query || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+class QuotaExceededError extends Error {
+    constructor() {
+        super('The daily upstream search budget has been used up.');
+        this.code = 'QUOTA_EXCEEDED';
+    }
+}
+
+// search(query) runs the live search and resolves to a JSON-serializable result.
+// scope() describes what else changes results: { adapters: [names], region }.
+// cost() is the number of upstream calls one live search makes.
+function createSearchCache({ db, search, quota, scope, cost, config = defaultConfig() }) {
+    const inFlight = new Map(); // cache key -> promise of the live search
+
+    function cacheKey(normalized, { adapters, region }) {
+        return `${region}|${[...adapters].sort().join(',')}|${normalized}`;
+    }
+
+    async function store(key, normalized, currentScope, results) {
+        const now = Date.now();
+        await dbRun(db, `INSERT INTO search_cache (cache_key, query, adapters, region, results, fetched_at, hits, last_hit_at)
+            VALUES (?, ?, ?, ?, ?, ?, 0, NULL)
+            ON CONFLICT(cache_key) DO UPDATE SET results = excluded.results, fetched_at = excluded.fetched_at`,
+            [key, normalized, currentScope.adapters.join(','), currentScope.region, JSON.stringify(results), now]);
+    }
+
+    // Runs the live search once per key at a time, storing what it finds.
+    // Rejects with QuotaExceededError when the budget doesn't allow it.
+    function fetchLive(key, query, normalized, currentScope) {
+        if (inFlight.has(key)) return inFlight.get(key);
+        const promise = (async () => {
+            if (!(await quota.tryConsume(cost()))) throw new QuotaExceededError();
+            const results = await search(query);
+            if (config.enabled) await store(key, normalized, currentScope, results);
+            return results;
+        })().finally(() => inFlight.delete(key));
+        inFlight.set(key, promise);
+        return promise;
+    }
+
+    async function recordHit(key) {
+        await dbRun(db, `UPDATE search_cache SET hits = hits + 1, last_hit_at = ? WHERE cache_key = ?`, [Date.now(), key]);
+    }
+
+    // Resolves to { results, cache, fetchedAt } where cache is 'hit', 'stale',
+    // 'miss', 'coalesced' (joined a search already running) or 'fallback'
+    // (cached entry served because the live search wasn't possible).
+    async function lookup(query, { freshOnly = false } = {}) {
+        const normalized = normalizeQuery(query);
+        const currentScope = scope();
+        const key = cacheKey(normalized, currentScope);
+        const row = config.enabled ? await dbGet(db, `SELECT results, fetched_at FROM search_cache WHERE cache_key = ?`, [key]) : null;
+        const age = row ? Date.now() - row.fetched_at : Infinity;
+
+        if (row && age < (freshOnly ? config.ttlMs : config.ttlMs + config.staleMs)) {
+            await recordHit(key);
+            if (age >= config.ttlMs) {
+                fetchLive(key, query, normalized, currentScope).catch(err => {
+                    logger.error('Background refresh of cached search failed', { query: normalized, err });
+                });
+                metrics.searchCache.inc({ result: 'stale' });
+                return { results: JSON.parse(row.results), cache: 'stale', fetchedAt: row.fetched_at };
+            }
+            metrics.searchCache.inc({ result: 'hit' });
+            return { results: JSON.parse(row.results), cache: 'hit', fetchedAt: row.fetched_at };
+        }
+
+        const coalesced = inFlight.has(key);
+        try {
+            const results = await fetchLive(key, query, normalized, currentScope);
+            metrics.searchCache.inc({ result: coalesced ? 'coalesced' : 'miss' });
+            return { results, cache: coalesced ? 'coalesced' : 'miss', fetchedAt: Date.now() };
+        } catch (err) {
+            if (!row || freshOnly) throw err;
+            logger.warn('Serving cached results after live search failed', {
+                query: normalized, fetchedAt: new Date(row.fetched_at).toISOString(), err
+            });
+            await recordHit(key);
+            metrics.searchCache.inc({ result: 'fallback' });
+            return { results: JSON.parse(row.results), cache: 'fallback', fetchedAt: row.fetched_at };
+        }
+    }
+
+    // Drops entries nobody has used for maxAgeMs
+    async function purgeExpired() {
+        const cutoff = Date.now() - config.maxAgeMs;
+        const { changes } = await dbRun(db, `DELETE FROM search_cache WHERE MAX(fetched_at, COALESCE(last_hit_at, 0)) < ?`, [cutoff]);
+        return changes;
+    }
+
+    return { lookup, purgeExpired };
+}
+
+module.exports = { createSearchCache, normalizeQuery, QuotaExceededError };
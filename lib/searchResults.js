@@ -0,0 +1,186 @@
+// lib/searchResults.js - Filtering, sorting, paging and facets for /search
+//
+// Works on the relevance-ordered list a search (or the search cache) returns,
+// so the same cached results serve every filter combination. Prices are
+// compared in the base currency (price_value, see lib/money.js).
+//
+// Facets count the results matching every filter except their own, so the
+// store list still shows the other stores after one has been picked.
+
+const { baseValue, storedMoney } = require('./money');
+
+const SORTS = ['relevance', 'price_asc', 'price_desc', 'rating', 'drop'];
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const PRICE_BAND_COUNT = 5;
+
+function encodeCursor(offset) {
+    return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const { offset } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        return Number.isInteger(offset) && offset >= 0 ? offset : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+// `source=Amazon,Flipkart` and `source=Amazon&source=Flipkart` both work
+function readList(value) {
+    if (value === undefined) return [];
+    return (Array.isArray(value) ? value : [value])
+        .flatMap(item => String(item).split(','))
+        .map(item => item.trim())
+        .filter(Boolean);
+}
+
+function readNumber(value, name, errors, { min = 0 } = {}) {
+    if (value === undefined || value === '') return null;
+    const number = Number(value);
+    if (!isFinite(number) || number < min) {
+        errors.push(`${name} must be a number of at least ${min}.`);
+        return null;
+    }
+    return number;
+}
+
+// Reads the /search query string into { options }, or { error } when invalid
+function parseSearchOptions(query) {
+    const errors = [];
+    const sort = query.sort || 'relevance';
+    if (!SORTS.includes(sort)) errors.push(`sort must be one of: ${SORTS.join(', ')}.`);
+
+    const options = {
+        sort,
+        minPrice: readNumber(query.minPrice, 'minPrice', errors),
+        maxPrice: readNumber(query.maxPrice, 'maxPrice', errors),
+        minRating: readNumber(query.minRating, 'minRating', errors),
+        sources: readList(query.source),
+        limit: readNumber(query.limit, 'limit', errors, { min: 1 }) || DEFAULT_LIMIT,
+        page: readNumber(query.page, 'page', errors, { min: 1 }) || 1,
+        offset: 0
+    };
+    if (options.minPrice !== null && options.maxPrice !== null && options.minPrice > options.maxPrice) {
+        errors.push('minPrice must not be above maxPrice.');
+    }
+    if (options.minRating !== null && options.minRating > 5) errors.push('minRating must be between 0 and 5.');
+    if (!Number.isInteger(options.limit) || options.limit > MAX_LIMIT) errors.push(`limit must be a whole number up to ${MAX_LIMIT}.`);
+    if (!Number.isInteger(options.page)) errors.push('page must be a whole number.');
+
+    if (query.cursor !== undefined) {
+        const offset = decodeCursor(query.cursor);
+        if (offset === null) errors.push('cursor is invalid.');
+        options.offset = offset || 0;
+    } else {
+        options.offset = (options.page - 1) * options.limit;
+    }
+
+    return errors.length > 0 ? { error: errors.join(' ') } : { options };
+}
+
+function priceOf(product) {
+    if (product.price_value !== undefined && product.price_value !== null) return product.price_value;
+    return baseValue(storedMoney(product));
+}
+
+function ratingOf(product) {
+    const rating = parseFloat(product.rating);
+    return isNaN(rating) ? 0 : rating;
+}
+
+// Percent the price is below its 30-day average; null without enough history
+function dropOf(product) {
+    const signals = (product.forecast && product.forecast.signals) || {};
+    const price = priceOf(product);
+    if (!signals.ma30 || price === null) return null;
+    return Math.round((1 - price / signals.ma30) * 1000) / 10;
+}
+
+// 1, 2 or 5 times a power of ten, so bands read "₹10,000 - ₹20,000"
+function niceStep(span) {
+    const magnitude = Math.pow(10, Math.floor(Math.log10(span)));
+    const scaled = span / magnitude;
+    return (scaled <= 1 ? 1 : scaled <= 2 ? 2 : scaled <= 5 ? 5 : 10) * magnitude;
+}
+
+function priceBands(products) {
+    const prices = products.map(priceOf).filter(price => price !== null);
+    if (prices.length === 0) return [];
+    const low = Math.min(...prices);
+    const high = Math.max(...prices);
+    if (low === high) return [{ min: low, max: high, count: prices.length }];
+
+    const step = niceStep((high - low) / PRICE_BAND_COUNT);
+    const start = Math.floor(low / step) * step;
+    const bands = [];
+    for (let min = start; min <= high; min += step) {
+        const max = min + step;
+        const count = prices.filter(price => price >= min && price < max).length;
+        if (count > 0) bands.push({ min, max, count });
+    }
+    return bands;
+}
+
+function countSources(products) {
+    const counts = new Map();
+    for (const product of products) {
+        const source = product.source || 'Unknown';
+        counts.set(source, (counts.get(source) || 0) + 1);
+    }
+    return [...counts.entries()]
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+}
+
+const COMPARATORS = {
+    price_asc: (a, b) => (a.price ?? Infinity) - (b.price ?? Infinity),
+    price_desc: (a, b) => (b.price ?? -Infinity) - (a.price ?? -Infinity),
+    rating: (a, b) => b.rating - a.rating,
+    drop: (a, b) => (b.drop ?? -Infinity) - (a.drop ?? -Infinity)
+};
+
+// Returns { total, page, limit, pages, nextCursor, results, facets }.
+// Each result gains `drop_percent` (see dropOf).
+function applySearchOptions(products, options) {
+    const entries = products.map((product, index) => ({
+        product,
+        index,
+        price: priceOf(product),
+        rating: ratingOf(product),
+        drop: dropOf(product),
+        source: product.source || 'Unknown'
+    }));
+    const sources = new Set(options.sources.map(source => source.toLowerCase()));
+    const matches = {
+        price: entry => (options.minPrice === null || (entry.price !== null && entry.price >= options.minPrice))
+            && (options.maxPrice === null || (entry.price !== null && entry.price <= options.maxPrice)),
+        source: entry => sources.size === 0 || sources.has(entry.source.toLowerCase()),
+        rating: entry => options.minRating === null || entry.rating >= options.minRating
+    };
+    const matchingAllBut = (skip) => entries.filter(entry =>
+        Object.entries(matches).every(([name, test]) => name === skip || test(entry)));
+
+    const filtered = matchingAllBut(null);
+    const comparator = COMPARATORS[options.sort];
+    // Ties keep the relevance order
+    filtered.sort((a, b) => (comparator ? comparator(a, b) : 0) || a.index - b.index);
+
+    const page = filtered.slice(options.offset, options.offset + options.limit);
+    const nextOffset = options.offset + page.length;
+    return {
+        total: filtered.length,
+        page: Math.floor(options.offset / options.limit) + 1,
+        limit: options.limit,
+        pages: Math.ceil(filtered.length / options.limit),
+        nextCursor: nextOffset < filtered.length ? encodeCursor(nextOffset) : null,
+        results: page.map(entry => ({ ...entry.product, drop_percent: entry.drop })),
+        facets: {
+            sources: countSources(matchingAllBut('source').map(entry => entry.product)),
+            priceBands: priceBands(matchingAllBut('price').map(entry => entry.product))
+        }
+    };
+}
+
+module.exports = { SORTS, parseSearchOptions, applySearchOptions };
@@ -0,0 +1,60 @@
+// lib/upstreamQuota.js - Daily budget for paid upstream (SerpAPI) requests
+//
+// Every live search and background price refresh asks for its cost (one call
+// per remote adapter) before going out. Calls are counted per UTC day in
+// `upstream_usage`; once UPSTREAM_DAILY_BUDGET is used up, tryConsume() says
+// no and callers fall back to cached data. A budget of 0 means unlimited.
+
+const { dbRun, dbGet, dbAll } = require('./db');
+const { metrics } = require('./metrics');
+
+function defaultConfig() {
+    const budget = parseInt(process.env.UPSTREAM_DAILY_BUDGET, 10);
+    return { dailyBudget: isNaN(budget) || budget < 0 ? 200 : budget };
+}
+
+function dayKey(now = Date.now()) {
+    return new Date(now).toISOString().slice(0, 10);
+}
+
+function createUpstreamQuota({ db, config = defaultConfig() }) {
+    // Records `cost` calls for today if they fit in the budget.
+    // Resolves to true when the caller may go upstream.
+    async function tryConsume(cost) {
+        if (cost <= 0) return true;
+        const day = dayKey();
+        await dbRun(db, `INSERT OR IGNORE INTO upstream_usage (day, calls, denied) VALUES (?, 0, 0)`, [day]);
+        // Check and increment in one statement so concurrent callers can't overshoot
+        const { changes } = await dbRun(db, `UPDATE upstream_usage SET calls = calls + ?
+            WHERE day = ? AND (? = 0 OR calls + ? <= ?)`,
+            [cost, day, config.dailyBudget, cost, config.dailyBudget]);
+        if (changes === 0) {
+            await dbRun(db, `UPDATE upstream_usage SET denied = denied + 1 WHERE day = ?`, [day]);
+            metrics.upstreamDenied.inc();
+            return false;
+        }
+        return true;
+    }
+
+    // Today's usage: { day, calls, denied, budget, remaining } (remaining is null when unlimited)
+    async function getUsage() {
+        const day = dayKey();
+        const row = await dbGet(db, `SELECT calls, denied FROM upstream_usage WHERE day = ?`, [day]);
+        const calls = row ? row.calls : 0;
+        return {
+            day,
+            calls,
+            denied: row ? row.denied : 0,
+            budget: config.dailyBudget,
+            remaining: config.dailyBudget === 0 ? null : Math.max(config.dailyBudget - calls, 0)
+        };
+    }
+
+    async function getHistory(days = 30) {
+        return dbAll(db, `SELECT day, calls, denied FROM upstream_usage ORDER BY day DESC LIMIT ?`, [days]);
+    }
+
+    return { tryConsume, getUsage, getHistory };
+}
+
+module.exports = { createUpstreamQuota };
@@ -0,0 +1,153 @@
+// lib/validation.js - Request schemas checked before a route handler runs
+//
+// validate({ params, query, body }) returns Express middleware. Each part maps
+// field names to a rule:
+//   type       string, integer, number, boolean, id (a string or number key
+//              such as a product id), money (a number, or text like "₹1,299")
+//              or array (a JSON list whose entries follow the rule `items`)
+//   required   the field must be present and not empty
+//   nullable   null is accepted (e.g. to clear a field)
+//   min / max  bounds for integer and number
+//   minLength / maxLength, pattern, format ('email'), oneOf   for strings
+//   minItems / maxItems   for arrays
+//   label      how the field is named in messages ("Product ID is required.")
+// Values from the path and the query string arrive as text, so integer,
+// number and boolean rules also accept their text forms there and the parsed
+// value replaces the text. A request that breaks a rule gets
+//   400 { error: <first problem>, details: [{ field, message }] }
+// which keeps the `error` every other failure response carries. Checks that
+// need the database or a service (does the product exist, is the alert type
+// known) stay with the route.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_EMAIL_LENGTH = 254;
+// Product IDs are base64 of title, store and link (adapters/normalize.js), so
+// they run well past 300 characters; this only stops absurd input.
+const MAX_ID_LENGTH = 1000;
+const MAX_MONEY_LENGTH = 40;
+const DEFAULT_MAX_LENGTH = 1000;
+const DEFAULT_MAX_ITEMS = 100;
+
+const TEXT_SOURCES = new Set(['params', 'query']);
+
+function describe(name, rule) {
+    return rule.label || name;
+}
+
+// { value } with the parsed value, or { message } saying what is wrong
+function checkValue(name, value, rule, fromText) {
+    const label = describe(name, rule);
+    switch (rule.type) {
+        case 'string': {
+            if (typeof value !== 'string') return { message: `${label} must be text.` };
+            const text = rule.trim === false ? value : value.trim();
+            if (rule.required && text.length === 0) return { message: `${label} is required.` };
+            if (rule.minLength && text.length < rule.minLength) return { message: `${label} must be at least ${rule.minLength} characters.` };
+            const maxLength = rule.maxLength || (rule.format === 'email' ? MAX_EMAIL_LENGTH : DEFAULT_MAX_LENGTH);
+            if (text.length > maxLength) return { message: `${label} must be at most ${maxLength} characters.` };
+            if (rule.format === 'email' && text.length > 0 && !EMAIL_PATTERN.test(text)) return { message: `${label} must be a valid email address.` };
+            if (rule.pattern && text.length > 0 && !rule.pattern.test(text)) return { message: rule.patternMessage || `${label} is not in the expected format.` };
+            if (rule.oneOf && !rule.oneOf.includes(text)) return { message: `${label} must be one of: ${rule.oneOf.join(', ')}.` };
+            return { value: text };
+        }
+        case 'id': {
+            if (typeof value === 'number' && Number.isFinite(value)) return { value };
+            if (typeof value !== 'string') return { message: `${label} must be text or a number.` };
+            if (value.trim().length === 0) return { message: `${label} is required.` };
+            if (value.length > MAX_ID_LENGTH) return { message: `${label} must be at most ${MAX_ID_LENGTH} characters.` };
+            return { value };
+        }
+        case 'integer':
+        case 'number': {
+            let number = value;
+            if (fromText && typeof value === 'string' && value.trim() !== '') number = Number(value);
+            if (typeof number !== 'number' || !Number.isFinite(number)) return { message: `${label} must be a number.` };
+            if (rule.type === 'integer' && !Number.isInteger(number)) return { message: `${label} must be a whole number.` };
+            if (rule.min !== undefined && number < rule.min) return { message: `${label} must be at least ${rule.min}.` };
+            if (rule.max !== undefined && number > rule.max) return { message: `${label} must be at most ${rule.max}.` };
+            return { value: number };
+        }
+        case 'boolean': {
+            if (typeof value === 'boolean') return { value };
+            if (fromText && ['true', '1'].includes(value)) return { value: true };
+            if (fromText && ['false', '0'].includes(value)) return { value: false };
+            return { message: `${label} must be true or false.` };
+        }
+        case 'money': {
+            if (typeof value === 'number' && Number.isFinite(value)) return { value };
+            if (typeof value !== 'string') return { message: `${label} must be a price.` };
+            if (value.length > MAX_MONEY_LENGTH) return { message: `${label} must be at most ${MAX_MONEY_LENGTH} characters.` };
+            return { value };
+        }
+        case 'array': {
+            if (!Array.isArray(value)) return { message: `${label} must be a list.` };
+            if (rule.minItems && value.length < rule.minItems) return { message: `${label} must have at least ${rule.minItems} ${rule.minItems === 1 ? 'entry' : 'entries'}.` };
+            const maxItems = rule.maxItems || DEFAULT_MAX_ITEMS;
+            if (value.length > maxItems) return { message: `${label} must have at most ${maxItems} entries.` };
+            const items = [];
+            for (const item of value) {
+                const result = checkValue(name, item, { label: `Each entry of ${label}`, ...rule.items }, fromText);
+                if (result.message) return result;
+                items.push(result.value);
+            }
+            return { value: items };
+        }
+        default:
+            throw new Error(`Unknown rule type "${rule.type}" for ${name}`);
+    }
+}
+
+// Problems with one part of the request ({ field, message } each). Parsed
+// values are written back onto `values`.
+function checkPart(source, values, rules) {
+    const problems = [];
+    for (const [name, rule] of Object.entries(rules)) {
+        const value = values[name];
+        const field = `${source}.${name}`;
+        if (value === undefined || (value === '' && TEXT_SOURCES.has(source))) {
+            if (rule.required) problems.push({ field, message: `${describe(name, rule)} is required.` });
+            continue;
+        }
+        if (value === null) {
+            if (!rule.nullable) problems.push({ field, message: `${describe(name, rule)} can't be empty.` });
+            continue;
+        }
+        const result = checkValue(name, value, rule, TEXT_SOURCES.has(source));
+        if (result.message) {
+            problems.push({ field, message: result.message });
+        } else {
+            values[name] = result.value;
+        }
+    }
+    return problems;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function validationError(res, details) {
+    return res.status(400).json({ error: details[0].message, details });
+}
+
+// Express middleware checking req.params, req.query and req.body against
+// `schema` (see the rules above). Bodies that aren't JSON objects are
+// rejected when the schema describes a body.
+function validate(schema) {
+    return (req, res, next) => {
+        const details = [];
+        if (schema.params) details.push(...checkPart('params', req.params, schema.params));
+        if (schema.query) details.push(...checkPart('query', req.query, schema.query));
+        if (schema.body) {
+            if (!isPlainObject(req.body)) {
+                details.push({ field: 'body', message: 'The request body must be a JSON object.' });
+            } else {
+                details.push(...checkPart('body', req.body, schema.body));
+            }
+        }
+        if (details.length > 0) return validationError(res, details);
+        next();
+    };
+}
+
+module.exports = { validate, validationError, EMAIL_PATTERN, MAX_ID_LENGTH };
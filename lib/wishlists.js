@@ -0,0 +1,172 @@
+// lib/wishlists.js - Named wishlists, their items, and read-only share links
+//
+// A customer keeps any number of lists in `wishlist_lists` ("Gifts",
+// "Office"...); `wishlists` holds the items of each list with an optional
+// note and target price (in the base currency, like alert thresholds).
+// Sharing a list gives it a random `share_token`; anyone with the link can
+// read the list, and unsharing or re-sharing makes the old link stop working.
+
+const crypto = require('crypto');
+const { dbRun, dbGet, dbAll } = require('./db');
+
+const DEFAULT_LIST_NAME = 'My Wishlist';
+const MAX_NAME_LENGTH = 60;
+const MAX_NOTE_LENGTH = 500;
+
+function validateListName(name) {
+    if (typeof name !== 'string' || !name.trim()) return 'name is required.';
+    if (name.trim().length > MAX_NAME_LENGTH) return `name must be at most ${MAX_NAME_LENGTH} characters.`;
+    return null;
+}
+
+// Returns an error message for invalid { note, targetPrice } input, or null.
+// null clears either field.
+function validateItemFields({ note, targetPrice }) {
+    if (note !== undefined && note !== null) {
+        if (typeof note !== 'string') return 'note must be text.';
+        if (note.length > MAX_NOTE_LENGTH) return `note must be at most ${MAX_NOTE_LENGTH} characters.`;
+    }
+    if (targetPrice !== undefined && targetPrice !== null) {
+        const price = Number(targetPrice);
+        if (!isFinite(price) || price <= 0) return 'targetPrice must be a positive number.';
+    }
+    return null;
+}
+
+function createWishlistService({ db }) {
+    function toList(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            itemCount: row.item_count || 0,
+            shareToken: row.share_token || null,
+            createdAt: row.created_at
+        };
+    }
+
+    async function listLists(userId) {
+        const rows = await dbAll(db, `SELECT l.*, (SELECT COUNT(*) FROM wishlists w WHERE w.list_id = l.id) AS item_count
+            FROM wishlist_lists l WHERE l.user_id = ? ORDER BY l.created_at, l.id`, [userId]);
+        return rows.map(toList);
+    }
+
+    // Resolves to the list, or null when the user has no such list
+    async function getList(userId, listId) {
+        const row = await dbGet(db, `SELECT l.*, (SELECT COUNT(*) FROM wishlists w WHERE w.list_id = l.id) AS item_count
+            FROM wishlist_lists l WHERE l.id = ? AND l.user_id = ?`, [listId, userId]);
+        return row ? toList(row) : null;
+    }
+
+    // Rejects with a UNIQUE constraint error when the user already has a list of that name
+    async function createList(userId, name) {
+        const { lastID } = await dbRun(db, `INSERT INTO wishlist_lists (user_id, name, created_at) VALUES (?, ?, ?)`,
+            [userId, name.trim(), Date.now()]);
+        return getList(userId, lastID);
+    }
+
+    // The list items go to when no list is named: the user's oldest, created on first use
+    async function defaultList(userId) {
+        const lists = await listLists(userId);
+        if (lists.length > 0) return lists[0];
+        await dbRun(db, `INSERT OR IGNORE INTO wishlist_lists (user_id, name, created_at) VALUES (?, ?, ?)`,
+            [userId, DEFAULT_LIST_NAME, Date.now()]);
+        return (await listLists(userId))[0];
+    }
+
+    async function renameList(userId, listId, name) {
+        const result = await dbRun(db, `UPDATE wishlist_lists SET name = ? WHERE id = ? AND user_id = ?`, [name.trim(), listId, userId]);
+        return result.changes > 0 ? getList(userId, listId) : null;
+    }
+
+    // Deletes the list and its items
+    async function deleteList(userId, listId) {
+        const result = await dbRun(db, `DELETE FROM wishlist_lists WHERE id = ? AND user_id = ?`, [listId, userId]);
+        return result.changes > 0;
+    }
+
+    // Stored product rows of the given lists, with the item's list_id, note,
+    // target_price and added_at. `userId` adds the owner's active alert_count.
+    async function listItems(listIds, { userId = null } = {}) {
+        if (listIds.length === 0) return [];
+        const alertCount = userId !== null
+            ? ', (SELECT COUNT(*) FROM alert_rules a WHERE a.user_id = ? AND a.product_id = p.id AND a.active = 1) AS alert_count'
+            : '';
+        return dbAll(db, `SELECT p.*, w.list_id, w.note, w.target_price, w.added_at${alertCount}
+            FROM wishlists w JOIN products p ON w.product_id = p.id
+            WHERE w.list_id IN (${listIds.map(() => '?').join(', ')}) ORDER BY w.added_at DESC`,
+            userId !== null ? [userId, ...listIds] : listIds);
+    }
+
+    // Resolves to true when added, false when the product was already in the
+    // list. Rejects with a FOREIGN KEY error for products that aren't stored.
+    async function addItem(listId, productId, { note = null, targetPrice = null } = {}) {
+        const result = await dbRun(db, `INSERT OR IGNORE INTO wishlists (list_id, product_id, note, target_price, added_at)
+            VALUES (?, ?, ?, ?, ?)`, [listId, productId, note, targetPrice === null ? null : Number(targetPrice), Date.now()]);
+        return result.changes > 0;
+    }
+
+    // changes: any of { note, targetPrice }; null clears a field
+    async function updateItem(listId, productId, changes) {
+        const row = await dbGet(db, `SELECT note, target_price FROM wishlists WHERE list_id = ? AND product_id = ?`, [listId, productId]);
+        if (!row) return false;
+        const note = changes.note !== undefined ? changes.note : row.note;
+        const targetPrice = changes.targetPrice !== undefined
+            ? (changes.targetPrice === null ? null : Number(changes.targetPrice))
+            : row.target_price;
+        await dbRun(db, `UPDATE wishlists SET note = ?, target_price = ? WHERE list_id = ? AND product_id = ?`,
+            [note, targetPrice, listId, productId]);
+        return true;
+    }
+
+    // Moves an item with its note and target price. If the other list already
+    // has the product, its own note and target price are kept where set.
+    async function moveItem(fromListId, toListId, productId) {
+        const row = await dbGet(db, `SELECT * FROM wishlists WHERE list_id = ? AND product_id = ?`, [fromListId, productId]);
+        if (!row) return false;
+        if (fromListId === toListId) return true;
+        await dbRun(db, `INSERT INTO wishlists (list_id, product_id, note, target_price, added_at) VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT(list_id, product_id) DO UPDATE SET
+                note = COALESCE(wishlists.note, excluded.note),
+                target_price = COALESCE(wishlists.target_price, excluded.target_price)`,
+            [toListId, productId, row.note, row.target_price, row.added_at]);
+        await dbRun(db, `DELETE FROM wishlists WHERE list_id = ? AND product_id = ?`, [fromListId, productId]);
+        return true;
+    }
+
+    // Removing a product removes every store offer of it saved in the lists
+    async function removeItem(listIds, productId) {
+        if (listIds.length === 0) return 0;
+        const result = await dbRun(db, `DELETE FROM wishlists WHERE list_id IN (${listIds.map(() => '?').join(', ')})
+            AND (product_id = ? OR product_id IN (
+                SELECT id FROM products WHERE canonical_id = (SELECT canonical_id FROM products WHERE id = ?)))`,
+            [...listIds, productId, productId]);
+        return result.changes;
+    }
+
+    // Gives the list a new share token, replacing any earlier one
+    async function share(userId, listId) {
+        const token = crypto.randomBytes(18).toString('base64url');
+        const result = await dbRun(db, `UPDATE wishlist_lists SET share_token = ? WHERE id = ? AND user_id = ?`, [token, listId, userId]);
+        return result.changes > 0 ? token : null;
+    }
+
+    async function unshare(userId, listId) {
+        const result = await dbRun(db, `UPDATE wishlist_lists SET share_token = NULL WHERE id = ? AND user_id = ?`, [listId, userId]);
+        return result.changes > 0;
+    }
+
+    // The shared list and its owner's name, or null for unknown tokens
+    async function findShared(token) {
+        if (!token) return null;
+        const row = await dbGet(db, `SELECT l.id, l.name, l.created_at, c.name AS owner
+            FROM wishlist_lists l JOIN customers c ON c.id = l.user_id WHERE l.share_token = ?`, [String(token)]);
+        return row ? { id: row.id, name: row.name, owner: row.owner, createdAt: row.created_at } : null;
+    }
+
+    return {
+        listLists, getList, createList, defaultList, renameList, deleteList,
+        listItems, addItem, updateItem, moveItem, removeItem, share, unshare, findShared
+    };
+}
+
+module.exports = { createWishlistService, validateListName, validateItemFields, DEFAULT_LIST_NAME };
@@ -0,0 +1,141 @@
+// live-updates.js - Live price updates shared by wishlist.html and cart.html
+// Keeps a Server-Sent Events stream (GET /events) open while the user is
+// logged in and hands its events to the page: `price` when an offer's price
+// or prediction changes, `alert` when an alert rule fires or changes. While
+// the stream can't be opened the page is polled instead, and it is polled
+// once more when the stream comes back so nothing missed in between is lost.
+// Needs auth.js for authFetch.
+
+const LIVE_API = 'http://localhost:3000';
+const LIVE_POLL_MS = 60 * 1000;
+const LIVE_RETRY_MS = 5 * 1000;
+const LIVE_MAX_RETRY_MS = 5 * 60 * 1000;
+
+// handlers: { price(event), alert(event), poll() }. poll should refresh the
+// page quietly; it also runs when the session has ended, to show the login prompt.
+function startLiveUpdates(handlers) {
+    let source = null;
+    let pollTimer = null;
+    let retryTimer = null;
+    let retryDelay = LIVE_RETRY_MS;
+
+    function startPolling() {
+        if (!pollTimer) pollTimer = setInterval(handlers.poll, LIVE_POLL_MS);
+    }
+
+    function stopPolling() {
+        clearInterval(pollTimer);
+        pollTimer = null;
+    }
+
+    function closeSource() {
+        if (source) source.close();
+        source = null;
+    }
+
+    // Polls until a new stream is open, trying again less and less often
+    function fallBack() {
+        closeSource();
+        startPolling();
+        if (retryTimer) return;
+        retryTimer = setTimeout(() => {
+            retryTimer = null;
+            connect();
+        }, retryDelay);
+        retryDelay = Math.min(retryDelay * 2, LIVE_MAX_RETRY_MS);
+    }
+
+    async function connect() {
+        if (!getAuthUser()) return;
+        let ticket;
+        try {
+            const response = await authFetch(`${LIVE_API}/events/ticket`, { method: 'POST' });
+            if (response.status === 401) return handlers.poll(); // Session ended: show the login prompt
+            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+            ({ ticket } = await response.json());
+        } catch (err) {
+            console.error('Live updates unavailable, polling instead:', err);
+            return fallBack();
+        }
+
+        source = new EventSource(`${LIVE_API}/events?ticket=${encodeURIComponent(ticket)}`);
+        source.addEventListener('ready', () => {
+            retryDelay = LIVE_RETRY_MS;
+            if (pollTimer) {
+                stopPolling();
+                handlers.poll();
+            }
+        });
+        source.addEventListener('price', (e) => handlers.price(JSON.parse(e.data)));
+        source.addEventListener('alert', (e) => handlers.alert(JSON.parse(e.data)));
+        source.addEventListener('closing', (e) => {
+            const { reason } = JSON.parse(e.data);
+            closeSource();
+            if (reason === 'session_ended') {
+                stopPolling();
+                handlers.poll();
+            } else {
+                // Too many tabs streaming: this one polls
+                startPolling();
+            }
+        });
+        // Tickets are single-use, so EventSource can't reconnect by itself
+        source.onerror = fallBack;
+    }
+
+    window.addEventListener('beforeunload', closeSource);
+    connect();
+}
+
+// Applies a `price` event to the matching item of `items` (the offer itself,
+// or another store's offer of the same product). Returns the item, or null.
+function applyPriceUpdate(items, event) {
+    const item = items.find(entry => entry.id === event.productId
+        || (event.canonicalId && entry.canonical_id === event.canonicalId));
+    if (!item) return null;
+    if (item.id === event.productId) {
+        item.price = event.price;
+        item.last_price = event.price;
+        item.price_value = event.priceValue;
+        item.forecast = event.forecast;
+        item.prediction = event.prediction;
+    }
+    (item.offers || []).forEach(offer => {
+        if (offer.id === event.productId) {
+            offer.price = event.price;
+            offer.price_value = event.priceValue;
+        }
+    });
+    return item;
+}
+
+// The toast for a price drop, or null when the price didn't drop
+function priceDropMessage(event) {
+    if (event.change !== 'drop') return null;
+    return `Price drop: ${event.title} is now ${event.price}${event.dropPercent ? ` (${event.dropPercent}% less)` : ''}.`;
+}
+
+// Messages for items whose price fell between two polls of the page
+function polledPriceDrops(before, after) {
+    const previous = new Map(before.map(item => [item.id, item.price_value]));
+    return after
+        .filter(item => previous.get(item.id) && item.price_value && item.price_value < previous.get(item.id))
+        .map(item => `Price drop: ${item.title} is now ${item.price || item.last_price}.`);
+}
+
+// The buy/wait/neutral badge for an item with a prediction, as on search results
+function renderPredictionBadge(item) {
+    const prediction = item.prediction;
+    if (!prediction) return '';
+    const icon = prediction === 'buy' ? 'fa-arrow-down' : prediction === 'wait' ? 'fa-arrow-up' : 'fa-minus';
+    const reason = item.forecast ? item.forecast.reason : '';
+    return `<div class="prediction-info prediction-${prediction}" title="${String(reason).replace(/"/g, '&quot;')}">
+        <i class="fas ${icon}"></i> Price Prediction: ${prediction.charAt(0).toUpperCase() + prediction.slice(1)}
+    </div>`;
+}
+
+// Briefly highlights a card that was just updated
+function flashCard(card, change) {
+    card.classList.add('live-updated', `live-${change}`);
+    setTimeout(() => card.classList.remove('live-updated', `live-${change}`), 3000);
+}
@@ -0,0 +1,230 @@
+// migrations/001_initial_schema.js - The schema server.js used to create at startup
+//
+// Databases from before migrations already have some or all of these tables,
+// so everything is created only if missing and columns that were added later
+// with ALTER TABLE are added the same way.
+
+const { dbRun } = require('../lib/db');
+const { addColumn } = require('../lib/migrations');
+
+async function up(db) {
+    await dbRun(db, `CREATE TABLE IF NOT EXISTS products (
+        id TEXT PRIMARY KEY,
+        title TEXT NOT NULL,
+        thumbnail TEXT,
+        link TEXT NOT NULL,
+        source TEXT,
+        last_price TEXT,
+        last_updated INTEGER
+    )`);
+    await dbRun(db, `CREATE TABLE IF NOT EXISTS price_history (
+        product_id TEXT NOT NULL,
+        price TEXT NOT NULL,
+        timestamp INTEGER NOT NULL,
+        FOREIGN KEY (product_id) REFERENCES products(id)
+    )`);
+    await dbRun(db, `CREATE TABLE IF NOT EXISTS wishlists (
+        user_id TEXT NOT NULL,
+        product_id TEXT NOT NULL,
+        added_at INTEGER NOT NULL,
+        PRIMARY KEY (user_id, product_id),
+        FOREIGN KEY (product_id) REFERENCES products(id)
+    )`);
+    // Customers table for registration/login
+    await dbRun(db, `CREATE TABLE IF NOT EXISTS customers (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        email TEXT UNIQUE NOT NULL,
+        password_hash TEXT NOT NULL,
+        created_at INTEGER NOT NULL
+    )`);
+    await addColumn(db, 'customers', 'email_verified_at INTEGER');
+    // Cart table for user carts and price reminders. Older databases have
+    // user_id as TEXT; 003_integer_user_ids converts them.
+    await dbRun(db, `CREATE TABLE IF NOT EXISTS cart (
+        user_id INTEGER NOT NULL,
+        product_id TEXT NOT NULL,
+        reminder_price TEXT,
+        added_at INTEGER NOT NULL,
+        PRIMARY KEY (user_id, product_id),
+        FOREIGN KEY (user_id) REFERENCES customers(id),
+        FOREIGN KEY (product_id) REFERENCES products(id)
+    )`);
+    // Persisted state of the background price refresh scheduler
+    await dbRun(db, `CREATE TABLE IF NOT EXISTS refresh_jobs (
+        product_id TEXT PRIMARY KEY,
+        tier TEXT NOT NULL,
+        next_run_at INTEGER NOT NULL,
+        last_run_at INTEGER,
+        last_success_at INTEGER,
+        failure_count INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        FOREIGN KEY (product_id) REFERENCES products(id)
+    )`);
+    // Canonical products group the same item sold by different stores
+    await dbRun(db, `CREATE TABLE IF NOT EXISTS canonical_products (
+        id TEXT PRIMARY KEY,
+        title TEXT NOT NULL,
+        brand TEXT,
+        model TEXT,
+        storage TEXT,
+        color TEXT,
+        thumbnail TEXT,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+    )`);
+    await dbRun(db, `CREATE INDEX IF NOT EXISTS idx_canonical_products_brand ON canonical_products(brand)`);
+    // Best offer price of a canonical product over time
+    await dbRun(db, `CREATE TABLE IF NOT EXISTS canonical_price_history (
+        canonical_id TEXT NOT NULL,
+        product_id TEXT NOT NULL,
+        price TEXT NOT NULL,
+        timestamp INTEGER NOT NULL,
+        FOREIGN KEY (canonical_id) REFERENCES canonical_products(id),
+        FOREIGN KEY (product_id) REFERENCES products(id)
+    )`);
+    await addColumn(db, 'products', 'canonical_id TEXT REFERENCES canonical_products(id)');
+    await dbRun(db, `CREATE INDEX IF NOT EXISTS idx_products_canonical_id ON products(canonical_id)`);
+    // Structured prices next to the retailer's display text (lib/money.js):
+    // integer minor units plus ISO currency
+    for (const table of ['products', 'price_history', 'canonical_price_history']) {
+        await addColumn(db, table, 'price_amount INTEGER');
+        await addColumn(db, table, 'price_currency TEXT');
+    }
+    // Perceptual fingerprints of product thumbnails for image search
+    await dbRun(db, `CREATE TABLE IF NOT EXISTS image_index (
+        product_id TEXT PRIMARY KEY,
+        dhash TEXT,
+        embedding TEXT,
+        error TEXT,
+        indexed_at INTEGER NOT NULL,
+        FOREIGN KEY (product_id) REFERENCES products(id)
+    )`);
+    // Login sessions; only a hash of each bearer token is stored
+    await dbRun(db, `CREATE TABLE IF NOT EXISTS sessions (
+        token_hash TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        created_at INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL,
+        last_seen_at INTEGER,
+        revoked_at INTEGER,
+        user_agent TEXT,
+        FOREIGN KEY (user_id) REFERENCES customers(id)
+    )`);
+    await dbRun(db, `CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id)`);
+    // Single-use tokens sent by email (address verification, password reset)
+    await dbRun(db, `CREATE TABLE IF NOT EXISTS account_tokens (
+        token_hash TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        purpose TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL,
+        used_at INTEGER,
+        FOREIGN KEY (user_id) REFERENCES customers(id)
+    )`);
+    // Notification outbox: every email is queued here and retried until sent
+    await dbRun(db, `CREATE TABLE IF NOT EXISTS notification_outbox (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER,
+        email TEXT NOT NULL,
+        type TEXT NOT NULL,
+        subject TEXT NOT NULL,
+        text_body TEXT NOT NULL,
+        html_body TEXT,
+        status TEXT NOT NULL, -- pending, sent or failed
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at INTEGER,
+        last_error TEXT,
+        created_at INTEGER NOT NULL,
+        sent_at INTEGER,
+        FOREIGN KEY (user_id) REFERENCES customers(id)
+    )`);
+    await dbRun(db, `CREATE INDEX IF NOT EXISTS idx_notification_outbox_due ON notification_outbox(status, next_attempt_at)`);
+    // Per-user history of every delivery attempt and decision
+    await dbRun(db, `CREATE TABLE IF NOT EXISTS notification_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER,
+        outbox_id INTEGER,
+        type TEXT NOT NULL,
+        email TEXT,
+        status TEXT NOT NULL, -- sent, retry, failed, skipped or digested
+        error TEXT,
+        created_at INTEGER NOT NULL,
+        FOREIGN KEY (user_id) REFERENCES customers(id),
+        FOREIGN KEY (outbox_id) REFERENCES notification_outbox(id)
+    )`);
+    await dbRun(db, `CREATE INDEX IF NOT EXISTS idx_notification_log_user ON notification_log(user_id, created_at)`);
+    await dbRun(db, `CREATE TABLE IF NOT EXISTS notification_preferences (
+        user_id INTEGER PRIMARY KEY,
+        email_enabled INTEGER NOT NULL DEFAULT 1,
+        price_alerts INTEGER NOT NULL DEFAULT 1,
+        digest TEXT NOT NULL DEFAULT 'off', -- off or daily
+        updated_at INTEGER NOT NULL,
+        FOREIGN KEY (user_id) REFERENCES customers(id)
+    )`);
+    // Events held back for users on the daily digest
+    await dbRun(db, `CREATE TABLE IF NOT EXISTS notification_digest_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        type TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        digested_at INTEGER,
+        FOREIGN KEY (user_id) REFERENCES customers(id)
+    )`);
+    // Price alert rules (see lib/alerts.js) and every time one fired
+    await dbRun(db, `CREATE TABLE IF NOT EXISTS alert_rules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        product_id TEXT NOT NULL,
+        type TEXT NOT NULL, -- target_price, percent_drop, all_time_low, price_below or price_above
+        threshold REAL,
+        baseline_price REAL,
+        last_seen_price REAL,
+        recurring INTEGER NOT NULL DEFAULT 1,
+        cooldown_minutes INTEGER NOT NULL DEFAULT 1440,
+        active INTEGER NOT NULL DEFAULT 1,
+        last_triggered_at INTEGER,
+        trigger_count INTEGER NOT NULL DEFAULT 0,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL,
+        FOREIGN KEY (user_id) REFERENCES customers(id),
+        FOREIGN KEY (product_id) REFERENCES products(id)
+    )`);
+    await dbRun(db, `CREATE INDEX IF NOT EXISTS idx_alert_rules_product ON alert_rules(product_id, active)`);
+    await dbRun(db, `CREATE INDEX IF NOT EXISTS idx_alert_rules_user ON alert_rules(user_id)`);
+    await dbRun(db, `CREATE TABLE IF NOT EXISTS alert_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        rule_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        product_id TEXT NOT NULL,
+        price REAL NOT NULL,
+        message TEXT NOT NULL,
+        notification_status TEXT, -- what notify() returned: queued, digested, skipped, or error
+        triggered_at INTEGER NOT NULL,
+        FOREIGN KEY (rule_id) REFERENCES alert_rules(id),
+        FOREIGN KEY (user_id) REFERENCES customers(id),
+        FOREIGN KEY (product_id) REFERENCES products(id)
+    )`);
+    await dbRun(db, `CREATE INDEX IF NOT EXISTS idx_alert_events_user ON alert_events(user_id, triggered_at)`);
+    // Cached /search results (see lib/searchCache.js)
+    await dbRun(db, `CREATE TABLE IF NOT EXISTS search_cache (
+        cache_key TEXT PRIMARY KEY, -- region|adapters|normalized query
+        query TEXT NOT NULL,
+        adapters TEXT NOT NULL,
+        region TEXT NOT NULL,
+        results TEXT NOT NULL, -- JSON
+        fetched_at INTEGER NOT NULL,
+        hits INTEGER NOT NULL DEFAULT 0,
+        last_hit_at INTEGER
+    )`);
+    // Paid upstream requests per UTC day (see lib/upstreamQuota.js)
+    await dbRun(db, `CREATE TABLE IF NOT EXISTS upstream_usage (
+        day TEXT PRIMARY KEY, -- YYYY-MM-DD
+        calls INTEGER NOT NULL DEFAULT 0,
+        denied INTEGER NOT NULL DEFAULT 0
+    )`);
+    await dbRun(db, `CREATE INDEX IF NOT EXISTS idx_products_link ON products(link)`);
+}
+
+module.exports = { up };
@@ -0,0 +1,17 @@
+// migrations/002_history_indexes.js - Indexes for the price history lookups
+//
+// Predictions, alerts and the history chart read a product's observations in
+// time order; without these every lookup scanned the whole history table.
+// alert_events(rule_id) also keeps the foreign key check cheap when a rule is
+// deleted.
+
+const { dbRun } = require('../lib/db');
+
+async function up(db) {
+    await dbRun(db, `CREATE INDEX IF NOT EXISTS idx_price_history_product_time ON price_history(product_id, timestamp)`);
+    await dbRun(db, `CREATE INDEX IF NOT EXISTS idx_canonical_price_history_canonical_time ON canonical_price_history(canonical_id, timestamp)`);
+    await dbRun(db, `CREATE INDEX IF NOT EXISTS idx_alert_events_rule ON alert_events(rule_id)`);
+    await dbRun(db, `CREATE INDEX IF NOT EXISTS idx_refresh_jobs_due ON refresh_jobs(next_run_at)`);
+}
+
+module.exports = { up };
@@ -0,0 +1,47 @@
+// migrations/003_integer_user_ids.js - cart and wishlists keyed by customers.id
+//
+// Both tables were first created with a TEXT user_id. Changing cart's column
+// in the CREATE TABLE never reached existing databases, and wishlists still
+// held ids from before accounts existed. SQLite can't change a column type,
+// so both tables are rebuilt with an INTEGER user_id that references
+// customers. Rows whose user or product no longer exists can't be reached by
+// any route and are dropped.
+
+const { dbRun } = require('../lib/db');
+
+async function up(db) {
+    await dbRun(db, `CREATE TABLE cart_new (
+        user_id INTEGER NOT NULL,
+        product_id TEXT NOT NULL,
+        reminder_price TEXT,
+        added_at INTEGER NOT NULL,
+        PRIMARY KEY (user_id, product_id),
+        FOREIGN KEY (user_id) REFERENCES customers(id),
+        FOREIGN KEY (product_id) REFERENCES products(id)
+    )`);
+    await dbRun(db, `INSERT OR IGNORE INTO cart_new (user_id, product_id, reminder_price, added_at)
+        SELECT c.id, cart.product_id, cart.reminder_price, cart.added_at
+        FROM cart JOIN customers c ON c.id = CAST(cart.user_id AS INTEGER)
+        WHERE cart.product_id IN (SELECT id FROM products)`);
+    await dbRun(db, `DROP TABLE cart`);
+    await dbRun(db, `ALTER TABLE cart_new RENAME TO cart`);
+
+    await dbRun(db, `CREATE TABLE wishlists_new (
+        user_id INTEGER NOT NULL,
+        product_id TEXT NOT NULL,
+        added_at INTEGER NOT NULL,
+        PRIMARY KEY (user_id, product_id),
+        FOREIGN KEY (user_id) REFERENCES customers(id),
+        FOREIGN KEY (product_id) REFERENCES products(id)
+    )`);
+    await dbRun(db, `INSERT OR IGNORE INTO wishlists_new (user_id, product_id, added_at)
+        SELECT c.id, w.product_id, w.added_at
+        FROM wishlists w JOIN customers c ON c.id = CAST(w.user_id AS INTEGER)
+        WHERE w.product_id IN (SELECT id FROM products)`);
+    await dbRun(db, `DROP TABLE wishlists`);
+    await dbRun(db, `ALTER TABLE wishlists_new RENAME TO wishlists`);
+    await dbRun(db, `CREATE INDEX IF NOT EXISTS idx_wishlists_product ON wishlists(product_id)`);
+    await dbRun(db, `CREATE INDEX IF NOT EXISTS idx_cart_product ON cart(product_id)`);
+}
+
+module.exports = { up };
@@ -0,0 +1,41 @@
+// migrations/004_named_wishlists.js - Named wishlists with notes, target prices and share links
+//
+// `wishlists` was one flat (user_id, product_id) set per customer. Lists now
+// live in `wishlist_lists` and `wishlists` holds their items, keyed by list.
+// Every customer with saved items gets a "My Wishlist" list holding them.
+// A list is shared by giving it a `share_token`; clearing it unshares.
+
+const { dbRun } = require('../lib/db');
+
+async function up(db) {
+    await dbRun(db, `CREATE TABLE wishlist_lists (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        name TEXT NOT NULL COLLATE NOCASE,
+        share_token TEXT UNIQUE,
+        created_at INTEGER NOT NULL,
+        UNIQUE (user_id, name),
+        FOREIGN KEY (user_id) REFERENCES customers(id)
+    )`);
+    await dbRun(db, `INSERT INTO wishlist_lists (user_id, name, created_at)
+        SELECT user_id, 'My Wishlist', MIN(added_at) FROM wishlists GROUP BY user_id`);
+
+    await dbRun(db, `CREATE TABLE wishlists_new (
+        list_id INTEGER NOT NULL,
+        product_id TEXT NOT NULL,
+        note TEXT,
+        target_price REAL,
+        added_at INTEGER NOT NULL,
+        PRIMARY KEY (list_id, product_id),
+        FOREIGN KEY (list_id) REFERENCES wishlist_lists(id) ON DELETE CASCADE,
+        FOREIGN KEY (product_id) REFERENCES products(id)
+    )`);
+    await dbRun(db, `INSERT INTO wishlists_new (list_id, product_id, added_at)
+        SELECT l.id, w.product_id, w.added_at FROM wishlists w JOIN wishlist_lists l ON l.user_id = w.user_id`);
+    await dbRun(db, `DROP TABLE wishlists`);
+    await dbRun(db, `ALTER TABLE wishlists_new RENAME TO wishlists`);
+    await dbRun(db, `CREATE INDEX IF NOT EXISTS idx_wishlists_product ON wishlists(product_id)`);
+    await dbRun(db, `CREATE INDEX IF NOT EXISTS idx_wishlist_lists_user ON wishlist_lists(user_id)`);
+}
+
+module.exports = { up };
@@ -0,0 +1,16 @@
+// migrations/005_tracked_pages.js - Products tracked from their store page
+//
+// A product added by pasting its store URL is read from that page rather than
+// found through the search adapters. `extractor` names the page extractor
+// (extractors/) that reads it, and is NULL for products found by search.
+// `availability` is the stock status the page showed last: in_stock,
+// out_of_stock, preorder or unknown.
+
+const { dbRun } = require('../lib/db');
+
+async function up(db) {
+    await dbRun(db, `ALTER TABLE products ADD COLUMN extractor TEXT`);
+    await dbRun(db, `ALTER TABLE products ADD COLUMN availability TEXT`);
+}
+
+module.exports = { up };
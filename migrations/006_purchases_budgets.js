@@ -0,0 +1,43 @@
+// migrations/006_purchases_budgets.js - Purchase log and monthly budgets
+//
+// `purchases` records what a customer actually bought: the price paid (as
+// shown, plus amount and currency like products), store, date and category.
+// `average_price` is the product's average price_history price, in the base
+// currency, up to the purchase; savings are measured against it. Purchases
+// keep their own title and store so they outlive the product row.
+// `budgets` holds one monthly spending limit per customer and category, in
+// the base currency; the empty category is the overall limit.
+
+const { dbRun } = require('../lib/db');
+
+async function up(db) {
+    await dbRun(db, `CREATE TABLE purchases (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        product_id TEXT,
+        title TEXT NOT NULL,
+        source TEXT,
+        category TEXT NOT NULL,
+        quantity INTEGER NOT NULL DEFAULT 1,
+        price TEXT NOT NULL,
+        price_amount INTEGER NOT NULL,
+        price_currency TEXT NOT NULL,
+        average_price REAL,
+        purchased_at INTEGER NOT NULL,
+        created_at INTEGER NOT NULL,
+        FOREIGN KEY (user_id) REFERENCES customers(id),
+        FOREIGN KEY (product_id) REFERENCES products(id)
+    )`);
+    await dbRun(db, `CREATE INDEX IF NOT EXISTS idx_purchases_user_time ON purchases(user_id, purchased_at)`);
+
+    await dbRun(db, `CREATE TABLE budgets (
+        user_id INTEGER NOT NULL,
+        category TEXT NOT NULL DEFAULT '',
+        amount REAL NOT NULL,
+        updated_at INTEGER NOT NULL,
+        PRIMARY KEY (user_id, category),
+        FOREIGN KEY (user_id) REFERENCES customers(id)
+    )`);
+}
+
+module.exports = { up };
@@ -0,0 +1,19 @@
+// migrations/007_login_attempts.js - Failed logins per email, for the lockout
+//
+// One row per email address that has failed to log in recently, whether or
+// not an account exists for it: `failures` in a row, when the last one was
+// and, once there have been too many, `locked_until`. A successful login or
+// password reset deletes the row. See lib/loginLockout.js.
+
+const { dbRun } = require('../lib/db');
+
+async function up(db) {
+    await dbRun(db, `CREATE TABLE login_attempts (
+        email TEXT PRIMARY KEY,
+        failures INTEGER NOT NULL DEFAULT 0,
+        last_failed_at INTEGER NOT NULL,
+        locked_until INTEGER
+    )`);
+}
+
+module.exports = { up };
@@ -0,0 +1,28 @@
+// migrations/008_api_keys.js - Per-customer API keys for /api/v1
+//
+// `api_keys` holds the keys customers create for their scripts. Like session
+// tokens only a SHA-256 hash of each key is stored; `prefix` keeps its first
+// characters so a customer can tell their keys apart. `scopes` is the space
+// separated list of what the key may do. A key stops working once
+// `expires_at` passes or `revoked_at` is set. See lib/apiKeys.js.
+
+const { dbRun } = require('../lib/db');
+
+async function up(db) {
+    await dbRun(db, `CREATE TABLE api_keys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        prefix TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        scopes TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        last_used_at INTEGER,
+        expires_at INTEGER,
+        revoked_at INTEGER,
+        FOREIGN KEY (user_id) REFERENCES customers(id)
+    )`);
+    await dbRun(db, `CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys(user_id)`);
+}
+
+module.exports = { up };
@@ -0,0 +1,58 @@
+// migrations/009_saved_searches.js - Saved searches watched for new listings
+//
+// `saved_searches` holds a customer's query, the /search filters that go with
+// it and the most they want to pay. `saved_search_listings` remembers every
+// listing a search has returned and the lowest price it was seen at, which is
+// what later runs are compared against. `saved_search_events` is the history
+// of what each run found. See lib/savedSearches.js.
+
+const { dbRun } = require('../lib/db');
+
+async function up(db) {
+    await dbRun(db, `CREATE TABLE saved_searches (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        query TEXT NOT NULL,
+        max_price REAL NOT NULL,
+        min_price REAL,
+        min_rating REAL,
+        sources TEXT, -- comma separated store names; NULL for every store
+        active INTEGER NOT NULL DEFAULT 1,
+        match_count INTEGER NOT NULL DEFAULT 0, -- listings under max_price on the last run
+        last_run_at INTEGER,
+        next_run_at INTEGER NOT NULL,
+        last_error TEXT,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL,
+        FOREIGN KEY (user_id) REFERENCES customers(id)
+    )`);
+    await dbRun(db, `CREATE INDEX IF NOT EXISTS idx_saved_searches_user ON saved_searches(user_id)`);
+    await dbRun(db, `CREATE INDEX IF NOT EXISTS idx_saved_searches_due ON saved_searches(active, next_run_at)`);
+    await dbRun(db, `CREATE TABLE saved_search_listings (
+        search_id INTEGER NOT NULL,
+        product_id TEXT NOT NULL,
+        lowest_price REAL, -- in the base currency
+        first_seen_at INTEGER NOT NULL,
+        last_seen_at INTEGER NOT NULL,
+        PRIMARY KEY (search_id, product_id),
+        FOREIGN KEY (search_id) REFERENCES saved_searches(id),
+        FOREIGN KEY (product_id) REFERENCES products(id)
+    )`);
+    await dbRun(db, `CREATE TABLE saved_search_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        search_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        product_id TEXT NOT NULL,
+        kind TEXT NOT NULL, -- new_listing or new_low
+        price REAL NOT NULL, -- in the base currency
+        previous_price REAL, -- the lowest price seen before, for new_low
+        notification_status TEXT, -- what notify() returned: queued, digested, skipped, or error
+        found_at INTEGER NOT NULL,
+        FOREIGN KEY (search_id) REFERENCES saved_searches(id),
+        FOREIGN KEY (user_id) REFERENCES customers(id),
+        FOREIGN KEY (product_id) REFERENCES products(id)
+    )`);
+    await dbRun(db, `CREATE INDEX IF NOT EXISTS idx_saved_search_events_search ON saved_search_events(search_id, found_at)`);
+}
+
+module.exports = { up };
@@ -0,0 +1,40 @@
+// scripts/backtest.js - Scores the price prediction model against stored history
+//
+// Usage: npm run backtest -- [--horizon 7] [--tolerance 0.02] [--min-days 5]
+// Walks forward through each product's price_history, forecasting at the end
+// of every day and comparing the call with what the price did next.
+
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { dbAll } = require('../lib/db');
+const { backtestProduct, summarizeBacktest } = require('../lib/prediction');
+
+function readArg(name, fallback) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 && process.argv[index + 1] !== undefined ? parseFloat(process.argv[index + 1]) : fallback;
+}
+
+async function main() {
+    const horizonDays = readArg('horizon', 7);
+    const tolerance = readArg('tolerance', 0.02);
+    const minDays = readArg('min-days', 5);
+
+    const db = new sqlite3.Database(path.join(__dirname, '..', 'smartspend.db'), sqlite3.OPEN_READONLY);
+    const products = await dbAll(db, `SELECT product_id, COUNT(DISTINCT timestamp / 86400000) AS days
+        FROM price_history GROUP BY product_id HAVING days >= ?`, [minDays]);
+
+    const results = [];
+    for (const { product_id: productId } of products) {
+        const rows = await dbAll(db, `SELECT price, timestamp FROM price_history WHERE product_id = ? ORDER BY timestamp`, [productId]);
+        results.push(...backtestProduct(rows, { horizonDays, tolerance }));
+    }
+    db.close();
+
+    console.log(`Backtested ${products.length} products with at least ${minDays} days of history (horizon ${horizonDays} days).`);
+    console.log(JSON.stringify(summarizeBacktest(results), null, 2));
+}
+
+main().catch((err) => {
+    console.error('Backtest failed:', err.message);
+    process.exit(1);
+});
@@ -0,0 +1,57 @@
+// scripts/extract-page.js - Runs the store page extractors against saved or live pages
+//
+// Usage: npm run extract-page -- [url] [--html saved-page.html]
+//   (no arguments)        reads every page saved in fixtures/pages/pages.json
+//   url                   loads and reads the page like POST /products/track
+//   url --html file       reads a saved copy of that URL's page
+// Prints what was extracted so a store's markup change shows up as nulls.
+
+const fs = require('fs');
+const path = require('path');
+const { parseProductUrl, findExtractor, extractFromHtml, extractProduct, isComplete } = require('../extractors');
+
+const FIXTURE_DIR = process.env.PAGE_FIXTURE_DIR || path.join(__dirname, '..', 'fixtures', 'pages');
+
+function readArg(name) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+function extractSaved(input, file) {
+    const url = parseProductUrl(input);
+    const extractor = url && findExtractor(url);
+    if (!extractor) throw new Error(`No extractor for ${input}`);
+    return { ...extractFromHtml(extractor, fs.readFileSync(file, 'utf8'), url), extractor: extractor.name };
+}
+
+// Every saved page, read as the server would see it: the rendered copy
+// stands in for the headless browser when there is one
+function extractFixtures() {
+    const manifest = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, 'pages.json'), 'utf8'));
+    let incomplete = 0;
+    for (const [url, entry] of Object.entries(manifest)) {
+        const page = extractSaved(url, path.join(FIXTURE_DIR, entry.rendered || entry.html));
+        if (!isComplete(page)) incomplete++;
+        console.log(`${isComplete(page) ? 'ok        ' : 'INCOMPLETE'} ${url}`);
+        console.log(JSON.stringify(page, null, 2));
+    }
+    console.log(`${Object.keys(manifest).length - incomplete} of ${Object.keys(manifest).length} saved pages read in full.`);
+    return incomplete === 0;
+}
+
+async function main() {
+    const url = process.argv[2] && !process.argv[2].startsWith('--') ? process.argv[2] : null;
+    const file = readArg('html');
+    if (!url) {
+        if (!extractFixtures()) process.exitCode = 1;
+        return;
+    }
+    const page = file ? extractSaved(url, file) : await extractProduct(url);
+    console.log(JSON.stringify(page, null, 2));
+    if (!isComplete(page)) process.exitCode = 1;
+}
+
+main().catch((err) => {
+    console.error('Extraction failed:', err.message);
+    process.exit(1);
+});
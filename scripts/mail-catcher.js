@@ -0,0 +1,95 @@
+// scripts/mail-catcher.js - Local SMTP catch-all for development
+//
+// Usage: npm run mail-catcher -- [--port 1025] [--dir cache/mail]
+// Then start the server with SMTP_HOST=localhost SMTP_PORT=1025. Every message
+// is accepted (nothing is relayed), printed to the console and saved as an
+// .eml file so verification and reset links can be opened from there.
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+
+function readArg(name, fallback) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 && process.argv[index + 1] !== undefined ? process.argv[index + 1] : fallback;
+}
+
+const port = parseInt(readArg('port', '1025'), 10);
+const dir = path.resolve(readArg('dir', path.join(__dirname, '..', 'cache', 'mail')));
+
+// Undoes quoted-printable soft line breaks and escapes so links are readable
+function decodeQuotedPrintable(text) {
+    return text
+        .replace(/=\r?\n/g, '')
+        .replace(/=([0-9A-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+function saveMessage(envelope, data) {
+    const message = data.replace(/^\.\./gm, '.');
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, `${Date.now()}-${envelope.to[0] || 'unknown'}.eml`.replace(/[^\w.@-]/g, '_'));
+    fs.writeFileSync(file, message);
+
+    const [headers, ...body] = message.split(/\r?\n\r?\n/);
+    const subject = (/^Subject: (.*)$/mi.exec(headers) || [])[1] || '(no subject)';
+    console.log(`\n--- Mail from ${envelope.from} to ${envelope.to.join(', ')}: ${subject}`);
+    console.log(decodeQuotedPrintable(body.join('\n\n')).trim());
+    console.log(`--- saved to ${file}`);
+}
+
+const server = net.createServer((socket) => {
+    let envelope = { from: null, to: [] };
+    let buffer = '';
+    let data = null; // Collects the message body between DATA and "."
+
+    const reply = (line) => socket.write(`${line}\r\n`);
+    reply('220 localhost SmartSpend mail catcher');
+
+    socket.on('data', (chunk) => {
+        buffer += chunk.toString('utf8');
+        let newline;
+        while ((newline = buffer.indexOf('\r\n')) !== -1) {
+            const line = buffer.slice(0, newline);
+            buffer = buffer.slice(newline + 2);
+
+            if (data !== null) {
+                if (line === '.') {
+                    saveMessage(envelope, data);
+                    envelope = { from: null, to: [] };
+                    data = null;
+                    reply('250 OK: message caught');
+                } else {
+                    data += `${line}\r\n`;
+                }
+                continue;
+            }
+
+            const command = line.slice(0, 4).toUpperCase();
+            if (command === 'EHLO' || command === 'HELO') {
+                reply('250 localhost');
+            } else if (command === 'MAIL') {
+                envelope.from = (/<(.*)>/.exec(line) || [])[1] || '';
+                reply('250 OK');
+            } else if (command === 'RCPT') {
+                envelope.to.push((/<(.*)>/.exec(line) || [])[1] || '');
+                reply('250 OK');
+            } else if (command === 'DATA') {
+                data = '';
+                reply('354 End data with <CR><LF>.<CR><LF>');
+            } else if (command === 'RSET') {
+                envelope = { from: null, to: [] };
+                reply('250 OK');
+            } else if (command === 'QUIT') {
+                reply('221 Bye');
+                socket.end();
+            } else {
+                reply('250 OK');
+            }
+        }
+    });
+    socket.on('error', (err) => console.error('Mail catcher connection error:', err.message));
+});
+
+server.listen(port, () => {
+    console.log(`Mail catcher listening on smtp://localhost:${port}, saving messages to ${dir}`);
+});
@@ -0,0 +1,57 @@
+// scripts/migrate.js - Applies or checks the database migrations in migrations/
+//
+// Usage: npm run migrate             apply pending migrations
+//        npm run migrate -- status   list applied and pending migrations
+//        npm run migrate -- check    exit with status 1 if any are pending
+// The server applies pending migrations itself at startup; this is for
+// running them ahead of a deploy and for checks in CI.
+
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { dbRun } = require('../lib/db');
+const { createMigrator } = require('../lib/migrations');
+
+function label({ version, name }) {
+    return `${String(version).padStart(3, '0')}_${name}`;
+}
+
+async function main() {
+    const command = process.argv[2] || 'up';
+    if (!['up', 'status', 'check'].includes(command)) {
+        throw new Error(`Unknown command "${command}". Use up, status or check.`);
+    }
+
+    const db = new sqlite3.Database(path.join(__dirname, '..', 'smartspend.db'));
+    await dbRun(db, 'PRAGMA foreign_keys = ON');
+    const migrator = createMigrator({ db });
+    try {
+        if (command === 'up') {
+            const ran = await migrator.migrate();
+            console.log(ran.length > 0 ? `Applied ${ran.map(label).join(', ')}.` : 'Database schema is up to date.');
+            return;
+        }
+
+        const { current, applied, pending, unknown } = await migrator.status();
+        if (command === 'status') {
+            console.log(`Schema version: ${current}`);
+            applied.forEach(migration => console.log(`  applied  ${label(migration)} (${new Date(migration.appliedAt).toISOString()})`));
+            pending.forEach(migration => console.log(`  pending  ${label(migration)}`));
+        }
+        if (unknown.length > 0) {
+            console.warn(`The database has migration(s) ${unknown.join(', ')} that this code doesn't know about.`);
+        }
+        if (command === 'check' && pending.length > 0) {
+            console.error(`${pending.length} migration(s) pending: ${pending.map(label).join(', ')}`);
+            process.exitCode = 1;
+        } else if (command === 'check') {
+            console.log(`Database schema is up to date (version ${current}).`);
+        }
+    } finally {
+        db.close();
+    }
+}
+
+main().catch((err) => {
+    console.error('Migration failed:', err.message);
+    process.exit(1);
+});
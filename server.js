@@ -1,80 +1,143 @@
 // server.js - SmartSpend AI Backend
 
 const express = require('express');
-const axios = require('axios');
 const cors = require('cors');
 const path = require('path');
 const multer = require('multer'); // For handling file uploads
 const sqlite3 = require('sqlite3').verbose(); // For SQLite database
-const nodemailer = require('nodemailer'); // For sending emails
 const bcrypt = require('bcrypt'); // For password hashing
+const { searchAllAdapters, lookupListing, getEnabledAdapters, getUpstreamCost } = require('./adapters'); // Retailer search adapters
+const { SEARCH_REGION } = require('./adapters/serpapi');
+const { normalizeListing } = require('./adapters/normalize');
+const { parseProductUrl, findExtractor, supportedStores, extractProduct, isComplete } = require('./extractors'); // Store page extractors
+const { createPriceRefreshScheduler } = require('./lib/priceRefreshScheduler');
+const { createCanonicalCatalog, groupByCanonical } = require('./lib/canonicalProducts');
+const { dbRun, dbGet, dbAll, withTransaction, afterCommit } = require('./lib/db');
+const { createMigrator } = require('./lib/migrations');
+const { RANGES, BUCKETS, buildHistory } = require('./lib/priceHistory');
+const { forecastPrice } = require('./lib/prediction');
+const { createImageIndex } = require('./lib/imageIndex');
+const { getVisionProvider, deriveQuery } = require('./vision');
+const { createAuth, normalizeEmail, validatePassword } = require('./lib/auth');
+const { createNotificationService, DIGEST_MODES } = require('./lib/notifications');
+const { createAlertService, validateRule } = require('./lib/alerts');
+const { createLiveUpdates } = require('./lib/liveUpdates');
+const { createSearchCache } = require('./lib/searchCache');
+const { createUpstreamQuota } = require('./lib/upstreamQuota');
+const { parseSearchOptions, applySearchOptions } = require('./lib/searchResults');
+const { rankProducts } = require('./lib/ranking');
+const { optimizeBasket } = require('./lib/basketOptimizer');
+const { createWishlistService, validateListName, validateItemFields } = require('./lib/wishlists');
+const { createCartService } = require('./lib/cart');
+const { createDataTransfer, readImportJson, readImportCsv, CSV_SECTIONS } = require('./lib/dataTransfer');
+const { createPurchaseService, validatePurchase, validateBudget, monthRange, MAX_REPORT_MONTHS } = require('./lib/purchases');
+const { BASE_CURRENCY, parseMoney, storedMoney, baseValue, formatMoney } = require('./lib/money');
+const { logger, requestContext } = require('./lib/logger');
+const { metrics } = require('./lib/metrics');
+const { createHealthChecks, workerStarted, workerRan, workerFailed, workerStatus } = require('./lib/health');
+const { createAdminStats } = require('./lib/adminStats');
+const { validate, validationError } = require('./lib/validation');
+const { createRateLimiter, readLimit, formatWait } = require('./lib/rateLimit');
+const { createLoginLockout } = require('./lib/loginLockout');
+const { createApiKeyService } = require('./lib/apiKeys');
+const { createApiV1Router, apiEnvelope } = require('./lib/apiV1');
+const { createSavedSearchService, validateSavedSearch, MAX_SAVED_SEARCHES_PER_USER, MAX_SOURCES } = require('./lib/savedSearches');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+// Base URL of the pages, used in links sent by email
+const APP_BASE_URL = process.env.APP_BASE_URL || `http://localhost:${PORT}`;
 
-// Enable CORS for all routes
+// Behind a reverse proxy, TRUST_PROXY (e.g. 1 or loopback) lets req.ip, and
+// so the per-IP rate limits, use the client address the proxy forwards
+if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY === 'true' || process.env.TRUST_PROXY);
+}
+
+// Request ids, one log line per request and the HTTP metrics. Routes are
+// labelled by their pattern (/wishlists/:id), not the path, so the
+// number of series stays bounded.
+app.use(requestContext({
+    onFinish: (req, res, seconds) => {
+        const route = req.route ? req.baseUrl + req.route.path : (res.statusCode >= 400 ? 'unmatched' : 'static');
+        metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+        metrics.httpDuration.observe({ method: req.method, route }, seconds);
+    }
+}));
+
+// Browsers may call the API from the origins in CORS_ORIGINS (comma
+// separated, or * for any). By default that is where the pages are served.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || [new URL(APP_BASE_URL).origin, `http://localhost:${PORT}`, `http://127.0.0.1:${PORT}`].join(','))
+    .split(',')
+    .map(origin => origin.trim().replace(/\/+$/, ''))
+    .filter(origin => origin.length > 0);
 app.use(cors({
-    origin: '*',
-    methods: ['GET', 'POST', 'DELETE'],
-    allowedHeaders: ['Content-Type']
+    origin: CORS_ORIGINS.includes('*') ? '*' : CORS_ORIGINS,
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+    allowedHeaders: ['Content-Type', 'Authorization'],
+    exposedHeaders: ['X-Cache', 'X-Request-Id']
 }));
 
+// /api/v1 answers failures as { error: { code, message } }, including the
+// ones the body parsers, rate limits and error handlers below send
+app.use('/api/v1', apiEnvelope);
+
+// Imports can carry a whole export, price history included, as JSON or CSV
+const IMPORT_BODY_LIMIT = process.env.IMPORT_BODY_LIMIT || '5mb';
+app.use('/import', express.json({ limit: IMPORT_BODY_LIMIT }), express.text({ type: ['text/csv', 'text/plain'], limit: IMPORT_BODY_LIMIT }));
 app.use(express.json()); // To parse JSON request bodies
 
-// IMPORTANT: Replace with your actual SerpAPI Key
-const SERP_API_KEY = process.env.SERP_API_KEY || '68faa49da29c44e4b8e41ac2c6f75f816fa78c5183ffc0309e6cbe945f8383c7';
+// --- Rate Limits ---
+// Per client IP, and per account where a request has one (lib/rateLimit.js).
+// Each default can be changed with its RATE_LIMIT_* variable, e.g.
+// RATE_LIMIT_SEARCH_IP=60/1m; 0/1m turns a limit off.
+function rateLimit(name, variable, fallback, options = {}) {
+    return createRateLimiter({ name, ...readLimit(variable, fallback), ...options });
+}
+const byAccount = req => (req.user ? req.user.id : null);
+const byEmail = req => (typeof req.body.email === 'string' ? normalizeEmail(req.body.email) : null);
+// Monitoring is scraped often and never limited
+const UNLIMITED_PATHS = ['/healthz', '/readyz', '/metrics'];
+
+const rateLimits = {
+    api: rateLimit('api_ip', 'RATE_LIMIT_API_IP', '300/1m', { skip: req => UNLIMITED_PATHS.includes(req.path) }),
+    search: rateLimit('search_ip', 'RATE_LIMIT_SEARCH_IP', '60/1m'),
+    searchAccount: rateLimit('search_account', 'RATE_LIMIT_SEARCH_ACCOUNT', '30/1m', { key: byAccount }),
+    imageSearch: rateLimit('image_search_ip', 'RATE_LIMIT_IMAGE_SEARCH_IP', '10/1m'),
+    login: rateLimit('login_ip', 'RATE_LIMIT_LOGIN_IP', '20/15m'),
+    loginAccount: rateLimit('login_account', 'RATE_LIMIT_LOGIN_ACCOUNT', '10/15m', { key: byEmail }),
+    register: rateLimit('register_ip', 'RATE_LIMIT_REGISTER_IP', '5/1h'),
+    accountEmail: rateLimit('account_email_ip', 'RATE_LIMIT_ACCOUNT_EMAIL_IP', '10/15m'),
+    passwordResetAccount: rateLimit('password_reset_account', 'RATE_LIMIT_PASSWORD_RESET_ACCOUNT', '3/1h', { key: byEmail }),
+    trackAccount: rateLimit('track_account', 'RATE_LIMIT_TRACK_ACCOUNT', '30/1h', { key: byAccount }),
+    // Per API key on /api/v1, on top of the per-IP limit
+    apiKey: rateLimit('api_key', 'RATE_LIMIT_API_KEY', '120/1m', { key: req => (req.apiKey ? req.apiKey.id : null) })
+};
 
 // --- Database Setup ---
-// The database file will be created in the project root if it doesn't exist
-const db = new sqlite3.Database('./smartspend.db', (err) => {
+// The database file will be created in the project root if it doesn't exist.
+// Its schema is built by the numbered migrations in migrations/ (see
+// lib/migrations.js); dbReady resolves once the pending ones have run.
+let resolveDbReady;
+const dbReady = new Promise((resolve) => { resolveDbReady = resolve; });
+const db = new sqlite3.Database('./smartspend.db', async (err) => {
     if (err) {
-        console.error('Error opening database:', err.message);
-    } else {
-        console.log('Connected to the smartspend.db SQLite database.');
-        // Create tables if they don't exist
-        db.serialize(() => { // Use serialize to ensure commands run in order
-            db.run(`CREATE TABLE IF NOT EXISTS products (
-                id TEXT PRIMARY KEY,
-                title TEXT NOT NULL,
-                thumbnail TEXT,
-                link TEXT NOT NULL,
-                source TEXT,
-                last_price TEXT,
-                last_updated INTEGER
-            )`);
-            db.run(`CREATE TABLE IF NOT EXISTS price_history (
-                product_id TEXT NOT NULL,
-                price TEXT NOT NULL,
-                timestamp INTEGER NOT NULL,
-                FOREIGN KEY (product_id) REFERENCES products(id)
-            )`);
-            db.run(`CREATE TABLE IF NOT EXISTS wishlists (
-                user_id TEXT NOT NULL,
-                product_id TEXT NOT NULL,
-                added_at INTEGER NOT NULL,
-                PRIMARY KEY (user_id, product_id),
-                FOREIGN KEY (product_id) REFERENCES products(id)
-            )`);
-            // Customers table for registration/login
-            db.run(`CREATE TABLE IF NOT EXISTS customers (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                name TEXT NOT NULL,
-                email TEXT UNIQUE NOT NULL,
-                password_hash TEXT NOT NULL,
-                created_at INTEGER NOT NULL
-            )`);
-            // Cart table for user carts and price reminders
-            db.run(`CREATE TABLE IF NOT EXISTS cart (
-                user_id INTEGER NOT NULL, -- Changed to INTEGER to match customers.id
-                product_id TEXT NOT NULL,
-                reminder_price TEXT,
-                added_at INTEGER NOT NULL,
-                PRIMARY KEY (user_id, product_id),
-                FOREIGN KEY (user_id) REFERENCES customers(id),
-                FOREIGN KEY (product_id) REFERENCES products(id)
-            )`);
-            console.log('Database tables checked/created.');
+        logger.error('Error opening database', { err });
+        return;
+    }
+    logger.info('Connected to the smartspend.db SQLite database.');
+    try {
+        // SQLite only enforces foreign keys on connections that ask for it
+        await dbRun(db, 'PRAGMA foreign_keys = ON');
+        const ran = await createMigrator({ db }).migrate();
+        logger.info(ran.length > 0 ? 'Applied database migrations' : 'Database schema is up to date.', {
+            migrations: ran.length > 0 ? ran.map(migration => `${migration.version} (${migration.name})`) : undefined
         });
+        resolveDbReady();
+    } catch (migrationErr) {
+        logger.error('Error migrating database', { err: migrationErr });
+        process.exit(1);
     }
 });
 
@@ -85,577 +148,1706 @@ const upload = multer({
         if (file.mimetype.startsWith('image/')) {
             cb(null, true);
         } else {
-            cb(new Error('Only image files are allowed!'), false);
+            const err = new Error('Only image files are allowed!');
+            err.status = 400;
+            cb(err, false);
         }
     }
 });
 
 // --- Helper Function: Perform SerpAPI Search ---
+// Queries every enabled retailer adapter (see adapters/index.js) in parallel,
+// stores the merged listings and annotates them with a price prediction.
 async function performSerpApiSearch(query) {
-    if (!SERP_API_KEY) {
-        throw new Error("Server configuration error: SerpAPI Key is missing. Please set it in your environment variables.");
+    logger.debug('Starting live search', { query });
+
+    const { products, errors } = await searchAllAdapters(query);
+    if (products.length === 0) {
+        if (errors.length > 0) {
+            logger.error('All search adapters failed', { query, errors });
+        }
+        throw new Error('No products found from any source. Please try a different search term.');
     }
 
-    console.log('Starting search for query:', query);
+    // Store products in database. Sequential so that listings of the same
+    // item from different stores cluster into one canonical product.
+    for (const product of products) {
+        const stored = await storeProductListing(product);
+        if (stored) {
+            product.id = stored.id;
+            product.canonical_id = stored.canonicalId;
+        }
+    }
 
-    // First try Google Shopping as it's usually the most reliable
-    try {
-        const googleUrl = `https://serpapi.com/search.json?engine=google_shopping&q=${encodeURIComponent(query)}&location=India&google_domain=google.co.in&gl=in&hl=en&api_key=${SERP_API_KEY}`;
-        console.log('Fetching from Google Shopping...');
-        
-        const response = await axios.get(googleUrl, { timeout: 15000 });
-        console.log('Google Shopping response received');
-        
-        if (response.data && response.data.shopping_results) {
-            console.log(`Found ${response.data.shopping_results.length} results from Google Shopping`);
-            const products = response.data.shopping_results.map(item => ({
-                id: Buffer.from(`${item.title}-${item.source}-${item.product_link}`).toString('base64'),
-                title: item.title,
-                price: item.price,
-                link: item.product_link,
-                source: item.source,
-                thumbnail: item.thumbnail,
-                rating: item.rating // Include rating from SerpAPI
-            }));
-
-            // Store products in database
-            for (const product of products) {
-                db.run(`INSERT OR REPLACE INTO products (id, title, thumbnail, link, source, last_price, last_updated) VALUES (?, ?, ?, ?, ?, ?, ?)`,
-                    [product.id, product.title, product.thumbnail, product.link, product.source, product.price, Date.now()],
-                    function(err) {
-                        if (err) {
-                            console.error('Error storing product:', err.message);
-                        } else {
-                            db.run(`INSERT INTO price_history (product_id, price, timestamp) VALUES (?, ?, ?)`,
-                                [product.id, product.price, Date.now()],
-                                function(err) {
-                                    if (err) console.error('Error storing price history:', err.message);
-                                }
-                            );
-                        }
-                    }
-                );
-            }
+    // Add predictions
+    for (const product of products) {
+        product.price_value = baseValue(storedMoney(product));
+        product.forecast = await getPricePrediction(product.id, product.price_value);
+        product.prediction = product.forecast.recommendation;
+        // A bare number gets its currency symbol for display
+        if (product.price_amount !== null && /^[\d.,\s]+$/.test(product.price || '')) {
+            product.price = formatMoney(storedMoney(product));
+        }
+    }
 
-            // Add predictions
-            for (const product of products) {
-                product.prediction = await getPricePrediction(product.id, product.price);
-                // Format price in INR
-                if (product.price && !product.price.includes('₹')) {
-                    product.price = '₹' + parseFloat(product.price.replace(/[^0-9.]/g, '')).toFixed(2);
-                }
-            }
+    // Rank by relevance (lib/ranking.js), then keep the best-ranked listing per canonical product
+    const sorted = rankProducts(products, query);
+    const offersById = await canonicalCatalog.getOffers([...new Set(sorted.map(p => p.canonical_id).filter(Boolean))]);
+    return groupByCanonical(sorted, offersById);
+}
 
-            // Filter and sort
-            return filterAndSortProducts(products, query);
-        }
-    } catch (error) {
-        console.error('Error fetching from Google Shopping:', error.message);
-    }
-
-    // If Google Shopping fails, try Amazon
-    try {
-        const amazonUrl = `https://serpapi.com/search.json?engine=amazon&q=${encodeURIComponent(query)}&gl=in&hl=en&api_key=${SERP_API_KEY}`;
-        console.log('Fetching from Amazon...');
-        
-        const response = await axios.get(amazonUrl, { timeout: 15000 });
-        console.log('Amazon response received');
-        
-        if (response.data && response.data.product_results) {
-            console.log(`Found ${response.data.product_results.length} results from Amazon`);
-            const products = response.data.product_results.map(item => ({
-                id: Buffer.from(`${item.title}-Amazon-${item.link}`).toString('base64'),
-                title: item.title,
-                price: item.price,
-                link: item.link,
-                source: 'Amazon',
-                thumbnail: item.thumbnail || item.image,
-                rating: item.rating // Include rating from SerpAPI
-            }));
-
-            // Store products in database
-            for (const product of products) {
-                db.run(`INSERT OR REPLACE INTO products (id, title, thumbnail, link, source, last_price, last_updated) VALUES (?, ?, ?, ?, ?, ?, ?)`,
-                    [product.id, product.title, product.thumbnail, product.link, product.source, product.price, Date.now()],
-                    function(err) {
-                        if (err) {
-                            console.error('Error storing product:', err.message);
-                        } else {
-                            db.run(`INSERT INTO price_history (product_id, price, timestamp) VALUES (?, ?, ?)`,
-                                [product.id, product.price, Date.now()],
-                                function(err) {
-                                    if (err) console.error('Error storing price history:', err.message);
-                                }
-                            );
-                        }
-                    }
-                );
-            }
+// --- Search Cache and Upstream Budget ---
+// /search and image search go through the cache; live searches and background
+// refreshes both count against UPSTREAM_DAILY_BUDGET.
+const upstreamQuota = createUpstreamQuota({ db });
+const searchCache = createSearchCache({
+    db,
+    search: performSerpApiSearch,
+    quota: upstreamQuota,
+    scope: () => ({ adapters: getEnabledAdapters().map(adapter => adapter.name), region: SEARCH_REGION }),
+    cost: () => getUpstreamCost()
+});
+const SEARCH_CACHE_PURGE_INTERVAL_MS = 60 * 60 * 1000;
 
-            // Add predictions
-            for (const product of products) {
-                product.prediction = await getPricePrediction(product.id, product.price);
-                // Format price in INR
-                if (product.price && !product.price.includes('₹')) {
-                    product.price = '₹' + parseFloat(product.price.replace(/[^0-9.]/g, '')).toFixed(2);
-                }
-            }
+// --- Canonical Products ---
+// Matches listings from different stores into one product (lib/canonicalProducts.js)
+const canonicalCatalog = createCanonicalCatalog({ db });
 
-            // Filter and sort
-            return filterAndSortProducts(products, query);
-        }
-    } catch (error) {
-        console.error('Error fetching from Amazon:', error.message);
-    }
-
-    // If both fail, try eBay
-    try {
-        const ebayUrl = `https://serpapi.com/search.json?engine=ebay&q=${encodeURIComponent(query)}&gl=in&hl=en&api_key=${SERP_API_KEY}`;
-        console.log('Fetching from eBay...');
-        
-        const response = await axios.get(ebayUrl, { timeout: 15000 });
-        console.log('eBay response received');
-        
-        if (response.data && response.data.organic_results) {
-            console.log(`Found ${response.data.organic_results.length} results from eBay`);
-            const products = response.data.organic_results
-                .filter(item => item.price && item.thumbnail)
-                .map(item => ({
-                    id: Buffer.from(`${item.title}-eBay-${item.link}`).toString('base64'),
-                    title: item.title,
-                    price: item.price,
-                    link: item.link,
-                    source: 'eBay',
-                    thumbnail: item.thumbnail,
-                    rating: item.rating || 0 // eBay results might not have rating, default to 0
-                }));
-
-            // Store products in database
-            for (const product of products) {
-                db.run(`INSERT OR REPLACE INTO products (id, title, thumbnail, link, source, last_price, last_updated) VALUES (?, ?, ?, ?, ?, ?, ?)`,
-                    [product.id, product.title, product.thumbnail, product.link, product.source, product.price, Date.now()],
-                    function(err) {
-                        if (err) {
-                            console.error('Error storing product:', err.message);
-                        } else {
-                            db.run(`INSERT INTO price_history (product_id, price, timestamp) VALUES (?, ?, ?)`,
-                                [product.id, product.price, Date.now()],
-                                function(err) {
-                                    if (err) console.error('Error storing price history:', err.message);
-                                }
-                            );
-                        }
-                    }
-                );
-            }
+// --- Helper: Upsert a listing and append its price to the history ---
+// A listing whose link is already stored keeps the existing product id, so a
+// store renaming its listing doesn't start a new product with no history.
+// The display price is kept as the retailer wrote it, next to its parsed
+// amount and currency. Resolves to { id, canonicalId }, or null if storing
+// failed (errors are logged).
+async function storeProductListing(product) {
+    const now = Date.now();
+    try {
+        const existing = await dbGet(db, `SELECT id, last_price, price_amount, price_currency FROM products WHERE link = ? AND source = ?`,
+            [product.link, product.source]);
+        const id = existing ? existing.id : product.id;
+        const before = existing || await dbGet(db, `SELECT last_price, price_amount, price_currency FROM products WHERE id = ?`, [id]);
+        const money = storedMoney(product) || { amount: null, currency: null };
 
-            // Add predictions
-            for (const product of products) {
-                product.prediction = await getPricePrediction(product.id, product.price);
-                // Format price in INR
-                if (product.price && !product.price.includes('₹')) {
-                    product.price = '₹' + parseFloat(product.price.replace(/[^0-9.]/g, '')).toFixed(2);
-                }
-            }
+        await dbRun(db, `INSERT INTO products (id, title, thumbnail, link, source, last_price, price_amount, price_currency, last_updated)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(id) DO UPDATE SET title = excluded.title, thumbnail = excluded.thumbnail, link = excluded.link,
+                source = excluded.source, last_price = excluded.last_price, price_amount = excluded.price_amount,
+                price_currency = excluded.price_currency, last_updated = excluded.last_updated`,
+            [id, product.title, product.thumbnail, product.link, product.source, product.price, money.amount, money.currency, now]);
+        await dbRun(db, `INSERT INTO price_history (product_id, price, price_amount, price_currency, timestamp) VALUES (?, ?, ?, ?, ?)`,
+            [id, product.price, money.amount, money.currency, now]);
 
-            // Filter and sort
-            return filterAndSortProducts(products, query);
-        }
-    } catch (error) {
-        console.error('Error fetching from eBay:', error.message);
+        const canonicalId = await canonicalCatalog.assignCanonical({ ...product, id });
+        await canonicalCatalog.recordCanonicalPrice(canonicalId, now);
+        // Check this product's alert rules against the new price and tell open
+        // pages about it, in the background (after the import's COMMIT when
+        // stored by an import)
+        afterCommit(db, () => {
+            alerts.evaluateProduct(id).catch(err => logger.error('Error evaluating alerts', { productId: id, err }));
+            liveUpdates.priceChanged(id, before ? baseValue(storedMoney(before)) : null)
+                .catch(err => logger.error('Error pushing price update', { productId: id, err }));
+        });
+        return { id, canonicalId };
+    } catch (err) {
+        logger.error('Error storing product', { err });
+        return null;
     }
+}
 
-    throw new Error('No products found from any source. Please try a different search term.');
+// Like storeProductListing, but for listings that may have no price: imported
+// products and out-of-stock store pages. Without a price they get no history
+// yet; the background refresh fills it in.
+async function storeListing(listing) {
+    if (listing.price) return storeProductListing(listing);
+    const existing = await dbGet(db, `SELECT id FROM products WHERE link = ? AND source = ?`, [listing.link, listing.source]);
+    if (existing) return { id: existing.id, canonicalId: await canonicalCatalog.assignCanonical({ ...listing, id: existing.id }) };
+    await dbRun(db, `INSERT INTO products (id, title, thumbnail, link, source, last_updated) VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT(id) DO NOTHING`, [listing.id, listing.title, listing.thumbnail, listing.link, listing.source, Date.now()]);
+    return { id: listing.id, canonicalId: await canonicalCatalog.assignCanonical(listing) };
 }
 
-// --- Helper Function: Simulate Price Prediction ---
-async function getPricePrediction(productId, currentPrice) {
-    return new Promise((resolve) => {
-        db.all(`SELECT price FROM price_history WHERE product_id = ? ORDER BY timestamp DESC LIMIT 5`, [productId], (err, rows) => {
-            if (err) {
-                console.error('Error fetching price history for prediction:', err.message);
-                return resolve('neutral'); // Default to neutral on error
-            }
+// --- Helper: Store a product read from its store page ---
+// page: what extractProduct() read (extractors/). The product remembers its
+// extractor so the background refresh reads the page again.
+async function storeTrackedPage(page) {
+    const listing = normalizeListing(page.extractor, {
+        title: page.title, price: page.price, link: page.link, source: page.source, thumbnail: page.image
+    });
+    const stored = await storeListing(listing);
+    if (!stored) return null;
+    await dbRun(db, `UPDATE products SET extractor = ?, availability = ? WHERE id = ?`, [page.extractor, page.availability, stored.id]);
+    return stored;
+}
 
-            if (rows.length < 3) { // Not enough data for a meaningful prediction
-                return resolve('neutral');
+// --- Helper: Structured prices for rows stored as text only ---
+// Rows saved before prices were parsed get their amount and currency filled
+// in once, one UPDATE per distinct price string, in a single transaction
+// (withTransaction, as it runs while requests are being served).
+async function backfillStructuredPrices() {
+    const targets = [['products', 'last_price'], ['price_history', 'price'], ['canonical_price_history', 'price']];
+    let updated = 0;
+    await withTransaction(db, async () => {
+        for (const [table, column] of targets) {
+            const pending = await dbAll(db, `SELECT DISTINCT ${column} AS price FROM ${table} WHERE price_amount IS NULL AND ${column} IS NOT NULL`);
+            for (const { price } of pending) {
+                const money = parseMoney(price);
+                if (!money) continue;
+                const { changes } = await dbRun(db, `UPDATE ${table} SET price_amount = ?, price_currency = ? WHERE ${column} = ? AND price_amount IS NULL`,
+                    [money.amount, money.currency, price]);
+                updated += changes;
             }
+        }
+    });
+    if (updated > 0) logger.info('Parsed stored prices into amount and currency', { updated });
+}
 
-            const prices = rows.map(row => parseFloat(row.price.replace(/[^0-9.]/g, ''))).filter(p => !isNaN(p));
-            if (prices.length < 3) {
-                return resolve('neutral');
+// --- Background Price Refresh ---
+// Keeps last_price and price_history current for wishlisted and carted
+// products so price alerts aren't comparing against stale prices. Products
+// tracked by URL are read from their store page, the rest are looked up
+// through the search adapters.
+const priceRefreshScheduler = createPriceRefreshScheduler({
+    db,
+    refreshProduct: async (job) => {
+        if (job.extractor) {
+            const page = await extractProduct(job.link);
+            if (!isComplete(page)) {
+                throw new Error('Product page no longer shows a title and price.');
             }
+            await storeTrackedPage({ ...page, title: job.title });
+            return;
+        }
+        if (!(await upstreamQuota.tryConsume(getUpstreamCost()))) {
+            throw new Error('Daily upstream budget used up.');
+        }
+        const listing = await lookupListing({ id: job.product_id, title: job.title, link: job.link });
+        if (!listing) {
+            throw new Error('Listing no longer returned by any search adapter.');
+        }
+        // Keep the tracked product's id even if the store renamed the listing
+        await storeProductListing({ ...listing, id: job.product_id, title: job.title });
+    }
+});
 
-            const latestPrice = parseFloat(currentPrice.replace(/[^0-9.]/g, ''));
-            const averageRecent = prices.reduce((sum, p) => sum + p, 0) / prices.length;
-            const minPrice = Math.min(...prices);
-            const maxPrice = Math.max(...prices);
-
-            // Simple prediction logic:
-            if (latestPrice <= minPrice * 1.05) { // Current price is near or below recent min
-                resolve('buy');
-            } else if (latestPrice >= maxPrice * 0.95) { // Current price is near or above recent max
-                resolve('wait');
-            } else if (latestPrice < averageRecent * 0.98) { // Current price is slightly below average
-                resolve('buy');
-            } else if (latestPrice > averageRecent * 1.02) { // Current price is slightly above average
-                resolve('wait');
-            } else {
-                resolve('neutral');
-            }
-        });
-    });
+// --- Helper Function: Price Prediction ---
+// Forecast from the offer's stored price history (see lib/prediction.js):
+// { recommendation: 'buy'|'wait'|'neutral', confidence, reason, expectedRange, signals }
+// currentPrice is in the base currency.
+async function getPricePrediction(productId, currentPrice) {
+    try {
+        const rows = await dbAll(db, `SELECT price, price_amount, price_currency, timestamp FROM price_history WHERE product_id = ? ORDER BY timestamp`, [productId]);
+        return forecastPrice(rows, currentPrice);
+    } catch (err) {
+        logger.error('Error fetching price history for prediction', { err });
+        return { recommendation: 'neutral', confidence: 0, reason: 'Price history is unavailable right now.', expectedRange: null, signals: {} };
+    }
 }
 
-// --- Helper: Filter and Sort Products for Relevance ---
-function filterAndSortProducts(products, query) {
-    // Keywords to deprioritize (cases, covers, etc.)
-    const accessoryKeywords = ['case', 'cover', 'screen protector', 'tempered glass', 'skin', 'pouch', 'stand', 'holder', 'strap', 'charger', 'cable', 'adapter', 'earbuds', 'headphones', 'protector', 'bag', 'back cover', 'flip cover', 'bumper', 'shell', 'guard'];
-    // Phones first, then accessories
-    const isAccessory = (title) => accessoryKeywords.some(k => title.toLowerCase().includes(k));
-    // Phones: title contains query words, not accessory
-    const queryWords = query.toLowerCase().split(/\s+/).filter(word => word.length > 0); // Filter out empty strings
-    const isRelevant = (title) => queryWords.every(qw => title.toLowerCase().includes(qw)) && !isAccessory(title);
-    // Sort: relevant phones, then others, then by price ascending
-    products.sort((a, b) => {
-        const aRelevant = isRelevant(a.title);
-        const bRelevant = isRelevant(b.title);
-        if (aRelevant && !bRelevant) return -1;
-        if (!aRelevant && bRelevant) return 1;
-        // If both same relevance, sort by price (converted to number)
-        const aPrice = parseFloat((a.price || '').replace(/[^0-9.]/g, '')) || Infinity;
-        const bPrice = parseFloat((b.price || '').replace(/[^0-9.]/g, '')) || Infinity;
-        return aPrice - bPrice;
-    });
-    return products;
-}
+// --- Authentication ---
+// Sessions (lib/auth.js), and failed logins counted towards the lockout
+// (lib/loginLockout.js)
+const auth = createAuth({ db });
+const loginLockout = createLoginLockout({ db });
+const SESSION_PURGE_INTERVAL_MS = 60 * 60 * 1000;
 
 // --- Routes ---
 
 // Serve static files (like your style.css) from the current directory
 app.use(express.static(__dirname));
 
+// Everything below the static files counts towards the general API limit
+app.use(rateLimits.api);
+
 // Route to serve index.html for the root URL
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'index.html'));
 });
 
 // Endpoint for Text-based Product Search
-app.get('/search', async (req, res) => {
+// Filters, sort order and paging (see lib/searchResults.js) apply to the
+// cached results: ?minPrice, maxPrice, source, minRating, sort, page, limit, cursor.
+// ?debug=true adds a `ranking` explanation to every result.
+// Responds with { query, currency, total, page, limit, pages, nextCursor, results, facets };
+// prices in filters and facets are in the base currency.
+// Limited per IP and, for logged-in customers, per account: every search
+// that misses the cache spends the shared upstream budget.
+app.get('/search', rateLimits.search, auth.optionalAuth, rateLimits.searchAccount, validate({
+    query: { q: { type: 'string', required: true, maxLength: 200, label: 'Query parameter "q"' } }
+}), async (req, res) => {
     const query = req.query.q;
-    if (!query) {
-        return res.status(400).json({ error: 'Query parameter "q" is required.' });
+    const { options, error: invalid } = parseSearchOptions(req.query);
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
     }
 
-    console.log('Received search request for:', query);
-
     try {
-        const products = await performSerpApiSearch(query);
-        console.log(`Found ${products.length} products`);
-        
+        const { results, cache } = await searchCache.lookup(query);
+        logger.info('Search answered', { query, results: results.length, cache });
+        res.set('X-Cache', cache);
+        const debug = req.query.debug === 'true' || req.query.debug === '1';
+        const products = debug ? rankProducts(results, query, { explain: true }) : results;
+
         if (products.length === 0) {
             return res.status(404).json({ error: 'No products found. Try a different search term.' });
         }
-        
-        res.json(products);
+
+        res.json({ query, currency: BASE_CURRENCY, ...applySearchOptions(products, options) });
     } catch (error) {
-        console.error('Search error:', error);
+        logger.error('Search error', { err: error });
+        if (error.code === 'QUOTA_EXCEEDED') {
+            return res.status(503).json({ error: 'Search is temporarily limited and there are no saved results for this search. Please try again later.' });
+        }
         res.status(500).json({ error: error.message || 'An error occurred while searching.' });
     }
 });
 
+// Today's upstream request count against the daily budget
+app.get('/search/quota', async (req, res) => {
+    try {
+        res.json(await upstreamQuota.getUsage());
+    } catch (err) {
+        logger.error('Error fetching upstream usage', { err });
+        res.status(500).json({ error: 'Failed to fetch search usage.' });
+    }
+});
+
+// --- Image Search ---
+// Thumbnails of stored products are fingerprinted in the background so image
+// search can find visually similar known products without any remote API.
+const imageIndex = createImageIndex({ db });
+const IMAGE_INDEX_INTERVAL_MS = 5 * 60 * 1000;
+
 // Endpoint for Image-based Product Search
-app.post('/search-by-image', upload.single('image'), async (req, res) => {
+// Responds with { query, querySource, annotations, similar, products }:
+// similar known products from the local index, plus a live search for a text
+// query derived from the optional vision provider (or the closest match).
+app.post('/search-by-image', rateLimits.imageSearch, upload.single('image'), async (req, res) => {
     if (!req.file) {
         return res.status(400).json({ error: 'No image file uploaded.' });
     }
 
-    console.log('Received image for analysis:', req.file.originalname);
-    let extractedSearchQuery = '';
-
-    // --- START OF IMAGE RECOGNITION SIMULATION ---
-    // In a real application, you would send req.file.buffer (the image data)
-    // to an actual image recognition API (e.g., Google Cloud Vision API, Clarifai, etc.).
-    // This API would process the image and return relevant text or product names.
-
-    // For demonstration, we'll simulate based on file name or a default.
-    const lowerCaseFileName = req.file.originalname.toLowerCase();
-    if (lowerCaseFileName.includes('samsung') && lowerCaseFileName.includes('s25')) {
-        extractedSearchQuery = 'Samsung Galaxy S25';
-    } else if (lowerCaseFileName.includes('iphone')) {
-        extractedSearchQuery = 'iPhone 15';
-    } else if (lowerCaseFileName.includes('laptop') || lowerCaseFileName.includes('computer')) {
-        extractedSearchQuery = 'Laptop';
-    } else if (lowerCaseFileName.includes('shoe') || lowerCaseFileName.includes('sneaker')) {
-        extractedSearchQuery = 'running shoes';
-    } else if (lowerCaseFileName.includes('watch')) {
-        extractedSearchQuery = 'smartwatch';
+    let similar;
+    try {
+        similar = await imageIndex.findSimilar(req.file.buffer);
+    } catch (err) {
+        logger.error('Error reading uploaded image', { err });
+        return res.status(400).json({ error: 'Could not read the uploaded image. Please try a different image.' });
     }
-    else {
-        extractedSearchQuery = 'electronics product'; // Default fallback
+
+    let annotations = null;
+    const provider = getVisionProvider();
+    if (provider) {
+        try {
+            annotations = await provider.annotate(req.file.buffer, { filename: req.file.originalname });
+        } catch (err) {
+            logger.error('Vision provider failed', { provider: provider.name, err });
+        }
     }
 
-    console.log(`Simulated image recognition: Found "${extractedSearchQuery}"`);
-    // --- END OF IMAGE RECOGNITION SIMULATION ---
+    let query = annotations ? deriveQuery(annotations) : '';
+    let querySource = 'vision';
+    if (!query && similar.length > 0) {
+        query = similar[0].title.split(/\s+/).slice(0, 6).join(' ');
+        querySource = 'similar';
+    }
+    logger.info('Image search', { filename: req.file.originalname, similar: similar.length, query, querySource });
 
-    if (!extractedSearchQuery) {
+    if (!query) {
         return res.status(400).json({ error: 'Could not identify a product from the image. Please try a different image or use text search.' });
     }
 
     try {
-        const products = await performSerpApiSearch(extractedSearchQuery);
-        if (products.length === 0) {
-            return res.status(404).json({ error: 'No products found for the image. Try a different image.' });
-        }
-        res.json(products);
+        const { results: products, cache } = await searchCache.lookup(query);
+        res.set('X-Cache', cache);
+        res.json({ query, querySource, annotations, similar, products });
     } catch (error) {
-        console.error('Error in image search:', error);
+        logger.error('Error in image search', { err: error });
+        if (similar.length > 0) {
+            return res.json({ query, querySource, annotations, similar, products: [] });
+        }
+        if (error.code === 'QUOTA_EXCEEDED') {
+            return res.status(503).json({ error: 'Search is temporarily limited and there are no saved results for this search. Please try again later.' });
+        }
         res.status(500).json({ error: error.message || 'An error occurred while processing the image.' });
     }
 });
 
+// --- Price History Endpoint ---
+
+// Bucketed price history plus summary stats for a store offer (products.id)
+// or a canonical product (canonical_products.id); null when there is neither
+async function loadPriceHistory(id, { range, bucket }) {
+    let scope = 'offer';
+    let product = await dbGet(db, `SELECT id, title, source, canonical_id FROM products WHERE id = ?`, [id]);
+    let rows;
+    if (product) {
+        rows = await dbAll(db, `SELECT price, price_amount, price_currency, timestamp FROM price_history WHERE product_id = ? ORDER BY timestamp`, [id]);
+    } else {
+        scope = 'canonical';
+        product = await dbGet(db, `SELECT id, title FROM canonical_products WHERE id = ?`, [id]);
+        if (!product) return null;
+        rows = await dbAll(db, `SELECT price, price_amount, price_currency, timestamp FROM canonical_price_history WHERE canonical_id = ? ORDER BY timestamp`, [id]);
+    }
+    return {
+        productId: id, scope, title: product.title, source: product.source, canonicalId: product.canonical_id,
+        currency: BASE_CURRENCY, ...buildHistory(rows, { range, bucket })
+    };
+}
+
+// Query: range=7d|30d|90d|1y|all (default 90d), bucket=none|daily|weekly (default daily)
+app.get('/products/:id/history', validate({
+    params: { id: { type: 'id', label: 'Product ID' } },
+    query: {
+        range: { type: 'string', oneOf: Object.keys(RANGES) },
+        bucket: { type: 'string', oneOf: BUCKETS }
+    }
+}), async (req, res) => {
+    try {
+        const history = await loadPriceHistory(req.params.id, { range: req.query.range || '90d', bucket: req.query.bucket || 'daily' });
+        if (!history) {
+            return res.status(404).json({ error: 'Product not found.' });
+        }
+        res.json(history);
+    } catch (err) {
+        logger.error('Error fetching price history', { err });
+        res.status(500).json({ error: 'Failed to fetch price history.' });
+    }
+});
+
+// --- Notifications ---
+// All email goes through the notification service (lib/notifications.js):
+// queued in the outbox, retried on failure and logged per user
+const notifications = createNotificationService({ db });
+
+function verifyEmailUrl(token) {
+    return `${APP_BASE_URL}/verify-email.html?token=${token}`;
+}
+
+app.get('/notifications/preferences', auth.requireAuth, async (req, res) => {
+    try {
+        res.json(await notifications.getPreferences(req.user.id));
+    } catch (err) {
+        logger.error('Error fetching notification preferences', { err });
+        res.status(500).json({ error: 'Failed to fetch notification preferences.' });
+    }
+});
+
+// Body: any of { emailEnabled, priceAlerts, digest: 'off'|'daily' }
+app.put('/notifications/preferences', auth.requireAuth, validate({
+    body: {
+        emailEnabled: { type: 'boolean' },
+        priceAlerts: { type: 'boolean' },
+        digest: { type: 'string', oneOf: DIGEST_MODES }
+    }
+}), async (req, res) => {
+    try {
+        res.json(await notifications.setPreferences(req.user.id, req.body));
+    } catch (err) {
+        logger.error('Error saving notification preferences', { err });
+        res.status(500).json({ error: 'Failed to save notification preferences.' });
+    }
+});
+
+// The logged-in user's delivery log, newest first
+app.get('/notifications/log', auth.requireAuth, validate({
+    query: { limit: { type: 'integer', min: 1, max: 200 } }
+}), async (req, res) => {
+    const limit = req.query.limit || 50;
+    try {
+        res.json(await notifications.getLog(req.user.id, { limit }));
+    } catch (err) {
+        logger.error('Error fetching notification log', { err });
+        res.status(500).json({ error: 'Failed to fetch notification log.' });
+    }
+});
+
+// --- Live Updates ---
+// Price, prediction and alert changes pushed to open wishlist and cart pages
+// as Server-Sent Events (lib/liveUpdates.js)
+const liveUpdates = createLiveUpdates({ db, predict: getPricePrediction, resolveSession: auth.resolveSession });
+
+// Tells the customer's open pages that an alert rule changed
+function pushAlertChange(userId, rule, kind, message = null) {
+    liveUpdates.alertChanged(userId, rule.productId, { kind, ruleId: rule.id, message })
+        .catch(err => logger.error('Error pushing alert update', { ruleId: rule.id, err }));
+}
+
+// A single-use ticket for opening GET /events, which browsers can't send
+// the session token to
+app.post('/events/ticket', auth.requireAuth, (req, res) => {
+    res.json(liveUpdates.issueTicket(req.user.id, req.sessionToken));
+});
+
+// The event stream: ?ticket= from POST /events/ticket, or a Bearer token from
+// clients that can send one
+app.get('/events', auth.optionalAuth, validate({ query: { ticket: { type: 'string', maxLength: 100 } } }), (req, res) => {
+    const holder = req.user
+        ? { userId: req.user.id, token: req.sessionToken }
+        : req.query.ticket && liveUpdates.redeemTicket(req.query.ticket);
+    if (!holder) {
+        return res.status(401).json({ error: 'This live update ticket is invalid or has expired.' });
+    }
+    liveUpdates.open(req, res, holder);
+});
+
+// --- Price Alerts ---
+// Rules are checked whenever a product's price is stored (storeProductListing)
+// and, as a safety net, every ALERT_EVALUATE_INTERVAL_MS
+const alerts = createAlertService({
+    db,
+    notify: notifications.notify,
+    onTriggered: (rule, message) => pushAlertChange(rule.user_id, { id: rule.id, productId: rule.product_id }, 'triggered', message)
+});
+const ALERT_EVALUATE_INTERVAL_MS = 10 * 60 * 1000;
+
+// The logged-in user's rules, optionally for one product (?productId=)
+app.get('/alerts', auth.requireAuth, validate({
+    query: { productId: { type: 'id', label: 'Product ID' } }
+}), async (req, res) => {
+    try {
+        res.json(await alerts.listRules(req.user.id, { productId: req.query.productId }));
+    } catch (err) {
+        logger.error('Error fetching alert rules', { err });
+        res.status(500).json({ error: 'Failed to fetch alerts.' });
+    }
+});
+
+// Body: { productId, type, threshold, recurring?, cooldownMinutes? }
+app.post('/alerts', auth.requireAuth, validate({
+    body: {
+        productId: { type: 'id', required: true, label: 'Product ID' },
+        type: { type: 'string', required: true },
+        threshold: { type: 'number', nullable: true },
+        recurring: { type: 'boolean' },
+        cooldownMinutes: { type: 'integer', min: 0, nullable: true }
+    }
+}), async (req, res) => {
+    const invalid = validateRule(req.body);
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+    try {
+        const rule = await alerts.createRule(req.user.id, req.body);
+        if (!rule) {
+            return res.status(404).json({ error: 'Product not found. Please search for it or track it by URL first.' });
+        }
+        pushAlertChange(req.user.id, rule, 'created');
+        res.status(201).json(rule);
+    } catch (err) {
+        logger.error('Error creating alert rule', { err });
+        res.status(500).json({ error: 'Failed to create alert.' });
+    }
+});
+
+// Trigger history, newest first (?productId=&ruleId=&limit=)
+app.get('/alerts/events', auth.requireAuth, validate({
+    query: {
+        productId: { type: 'id', label: 'Product ID' },
+        ruleId: { type: 'integer', min: 1 },
+        limit: { type: 'integer', min: 1, max: 200 }
+    }
+}), async (req, res) => {
+    const limit = req.query.limit || 50;
+    try {
+        res.json(await alerts.listEvents(req.user.id, { productId: req.query.productId, ruleId: req.query.ruleId, limit }));
+    } catch (err) {
+        logger.error('Error fetching alert events', { err });
+        res.status(500).json({ error: 'Failed to fetch alert history.' });
+    }
+});
+
+// The :id of an alert rule or purchase
+const RECORD_ID = { id: { type: 'integer', min: 1, label: 'ID' } };
+
+// Body: any of { threshold, recurring, cooldownMinutes, active }. The type can't change.
+app.put('/alerts/:id', auth.requireAuth, validate({
+    params: RECORD_ID,
+    body: {
+        threshold: { type: 'number' },
+        recurring: { type: 'boolean' },
+        cooldownMinutes: { type: 'integer', min: 0 },
+        active: { type: 'boolean' }
+    }
+}), async (req, res) => {
+    if (req.body.type !== undefined) {
+        return res.status(400).json({ error: 'The alert type cannot be changed; create a new alert instead.' });
+    }
+    try {
+        const existing = await alerts.getRule(req.user.id, req.params.id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Alert not found.' });
+        }
+        const invalid = validateRule({ ...req.body, type: existing.type }, { partial: true });
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+        const rule = await alerts.updateRule(req.user.id, existing.id, req.body);
+        pushAlertChange(req.user.id, rule, 'updated');
+        res.json(rule);
+    } catch (err) {
+        logger.error('Error updating alert rule', { err });
+        res.status(500).json({ error: 'Failed to update alert.' });
+    }
+});
+
+app.delete('/alerts/:id', auth.requireAuth, validate({ params: RECORD_ID }), async (req, res) => {
+    try {
+        const deleted = await alerts.deleteRule(req.user.id, req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Alert not found.' });
+        }
+        pushAlertChange(req.user.id, deleted, 'deleted');
+        res.json({ message: 'Alert deleted.' });
+    } catch (err) {
+        logger.error('Error deleting alert rule', { err });
+        res.status(500).json({ error: 'Failed to delete alert.' });
+    }
+});
+
+// --- Saved Searches ---
+// Queries watched in the background for new listings under a price
+// (lib/savedSearches.js). Runs take only fresh cached results and search
+// live otherwise, so a run never compares against results older than
+// SEARCH_CACHE_TTL_MIN; a live search spends UPSTREAM_DAILY_BUDGET.
+const savedSearches = createSavedSearchService({
+    db,
+    search: async (query) => (await searchCache.lookup(query, { freshOnly: true })).results,
+    notify: notifications.notify
+});
+
+const SAVED_SEARCH_FIELDS = {
+    maxPrice: { type: 'number', min: 0, label: 'Maximum price' },
+    minPrice: { type: 'number', min: 0, nullable: true, label: 'Minimum price' },
+    minRating: { type: 'number', min: 0, max: 5, nullable: true, label: 'Minimum rating' },
+    sources: { type: 'array', items: { type: 'string', maxLength: 100 }, maxItems: MAX_SOURCES, label: 'Stores' }
+};
+
+app.get('/saved-searches', auth.requireAuth, async (req, res) => {
+    try {
+        res.json(await savedSearches.listSearches(req.user.id));
+    } catch (err) {
+        logger.error('Error fetching saved searches', { err });
+        res.status(500).json({ error: 'Failed to fetch saved searches.' });
+    }
+});
+
+// Body: { query, maxPrice, minPrice?, minRating?, sources? }. The current
+// results of the query (from the search cache) become what later runs are
+// compared against.
+app.post('/saved-searches', auth.requireAuth, rateLimits.searchAccount, validate({
+    body: {
+        query: { type: 'string', required: true, maxLength: 200, label: 'Query' },
+        ...SAVED_SEARCH_FIELDS,
+        maxPrice: { ...SAVED_SEARCH_FIELDS.maxPrice, required: true }
+    }
+}), async (req, res) => {
+    const invalid = validateSavedSearch(req.body);
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+    try {
+        if (await savedSearches.countSearches(req.user.id) >= MAX_SAVED_SEARCHES_PER_USER) {
+            return res.status(409).json({ error: `You already have ${MAX_SAVED_SEARCHES_PER_USER} saved searches. Delete one first.` });
+        }
+        let results = null;
+        try {
+            results = (await searchCache.lookup(req.body.query)).results;
+        } catch (err) {
+            // The watcher's first run takes the baseline instead
+            logger.warn('Could not load results for a new saved search', { query: req.body.query, err });
+        }
+        const saved = await savedSearches.createSearch(req.user.id, req.body, { results });
+        res.status(201).json(saved);
+    } catch (err) {
+        logger.error('Error saving search', { err });
+        res.status(500).json({ error: 'Failed to save the search.' });
+    }
+});
+
+// Body: any of { maxPrice, minPrice, minRating, sources, active }. The query can't change.
+app.put('/saved-searches/:id', auth.requireAuth, validate({
+    params: RECORD_ID,
+    body: { ...SAVED_SEARCH_FIELDS, active: { type: 'boolean' } }
+}), async (req, res) => {
+    if (req.body.query !== undefined) {
+        return res.status(400).json({ error: 'The query of a saved search cannot be changed; save a new search instead.' });
+    }
+    try {
+        const existing = await savedSearches.getSearch(req.user.id, req.params.id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Saved search not found.' });
+        }
+        const invalid = validateSavedSearch({ ...existing, ...req.body });
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+        res.json(await savedSearches.updateSearch(req.user.id, existing.id, req.body));
+    } catch (err) {
+        logger.error('Error updating saved search', { err });
+        res.status(500).json({ error: 'Failed to update the saved search.' });
+    }
+});
+
+app.delete('/saved-searches/:id', auth.requireAuth, validate({ params: RECORD_ID }), async (req, res) => {
+    try {
+        const deleted = await savedSearches.deleteSearch(req.user.id, req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Saved search not found.' });
+        }
+        res.json({ message: 'Saved search deleted.' });
+    } catch (err) {
+        logger.error('Error deleting saved search', { err });
+        res.status(500).json({ error: 'Failed to delete the saved search.' });
+    }
+});
+
+// What the search found and when, newest first (?limit=)
+app.get('/saved-searches/:id/events', auth.requireAuth, validate({
+    params: RECORD_ID,
+    query: { limit: { type: 'integer', min: 1, max: 200 } }
+}), async (req, res) => {
+    try {
+        if (!(await savedSearches.getSearch(req.user.id, req.params.id))) {
+            return res.status(404).json({ error: 'Saved search not found.' });
+        }
+        res.json(await savedSearches.listEvents(req.user.id, req.params.id, { limit: req.query.limit || 50 }));
+    } catch (err) {
+        logger.error('Error fetching saved search history', { err });
+        res.status(500).json({ error: 'Failed to fetch the saved search history.' });
+    }
+});
+
 // --- Wishlist Endpoints ---
+// Wishlist and cart routes act on the logged-in customer (req.user) only.
+// Items live in named lists (lib/wishlists.js); the /wishlist routes predate
+// lists and work on the default list (adding) or on all lists (reading, removing).
+const wishlists = createWishlistService({ db });
+
+function shareUrl(token) {
+    return `${APP_BASE_URL}/shared-wishlist.html?token=${token}`;
+}
+
+function withShareUrl(list) {
+    return { ...list, shareUrl: list.shareToken ? shareUrl(list.shareToken) : null };
+}
+
+// Adds current price, prediction and offers to stored wishlist rows, one entry per canonical product
+async function wishlistProducts(rows) {
+    for (const product of rows) {
+        product.price_value = baseValue(storedMoney(product));
+        product.forecast = await getPricePrediction(product.id, product.price_value);
+        product.prediction = product.forecast.recommendation;
+        product.target_reached = product.target_price !== null && product.price_value !== null
+            && product.price_value <= product.target_price;
+    }
+    const offersById = await canonicalCatalog.getOffers([...new Set(rows.map(r => r.canonical_id).filter(Boolean))]);
+    return groupByCanonical(rows, offersById);
+}
+
+// Request fields shared by the wishlist routes. Notes, names and prices are
+// checked further by validateItemFields / validateListName.
+const PRODUCT_ID = { type: 'id', required: true, label: 'Product ID' };
+const LIST_ID = { type: 'integer', min: 1, label: 'Wishlist ID' };
+const ITEM_FIELDS = { note: { type: 'string', nullable: true, trim: false }, targetPrice: { type: 'money', nullable: true } };
+const LIST_PARAMS = { id: { ...LIST_ID, required: true } };
+const ITEM_PARAMS = { ...LIST_PARAMS, productId: PRODUCT_ID };
+
+// The logged-in user's list named by :id, or null after sending a 404
+async function findOwnList(req, res) {
+    const list = await wishlists.getList(req.user.id, Number(req.params.id));
+    if (!list) res.status(404).json({ error: 'Wishlist not found.' });
+    return list;
+}
 
 // Add product to wishlist
-app.post('/wishlist/add', (req, res) => {
-    const { userId, productId } = req.body;
-    if (!userId || !productId) {
-        return res.status(400).json({ error: 'User ID and Product ID are required.' });
-    }
-
-    db.run(`INSERT OR IGNORE INTO wishlists (user_id, product_id, added_at) VALUES (?, ?, ?)`,
-        [userId, productId, Date.now()],
-        function(err) {
-            if (err) {
-                console.error('Error adding to wishlist:', err.message);
-                return res.status(500).json({ error: 'Failed to add to wishlist.' });
-            }
-            res.json({ message: this.changes > 0 ? 'Added to wishlist.' : 'Already in wishlist.' });
+// Body: { productId, listId (optional, default list otherwise), note, targetPrice }
+app.post('/wishlist/add', auth.requireAuth, validate({
+    body: { productId: PRODUCT_ID, listId: LIST_ID, ...ITEM_FIELDS }
+}), async (req, res) => {
+    const { productId, listId, note, targetPrice } = req.body;
+    const invalid = validateItemFields({ note, targetPrice });
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+
+    try {
+        const list = listId !== undefined
+            ? await wishlists.getList(req.user.id, Number(listId))
+            : await wishlists.defaultList(req.user.id);
+        if (!list) {
+            return res.status(404).json({ error: 'Wishlist not found.' });
         }
-    );
+        const added = await wishlists.addItem(list.id, productId, { note, targetPrice });
+        res.json({ message: added ? `Added to ${list.name}.` : `Already in ${list.name}.`, listId: list.id });
+    } catch (err) {
+        if (err.message.includes('FOREIGN KEY')) {
+            return res.status(404).json({ error: 'Product not found. Please search for it or track it by URL first.' });
+        }
+        logger.error('Error adding to wishlist', { err });
+        res.status(500).json({ error: 'Failed to add to wishlist.' });
+    }
 });
 
-// Get user's wishlist
-app.get('/wishlist', (req, res) => {
-    const userId = req.query.userId;
-    if (!userId) {
-        return res.status(400).json({ error: 'User ID is required.' });
+// Get user's wishlist: the items of every list, each with its list_id
+app.get('/wishlist', auth.requireAuth, async (req, res) => {
+    try {
+        const lists = await wishlists.listLists(req.user.id);
+        const rows = await wishlists.listItems(lists.map(list => list.id), { userId: req.user.id });
+        res.json(await wishlistProducts(rows));
+    } catch (err) {
+        logger.error('Error fetching wishlist', { err });
+        res.status(500).json({ error: 'Failed to fetch wishlist.' });
+    }
+});
+
+// Remove product from wishlist. Body: { productId, listId (optional, every list otherwise) }
+app.delete('/wishlist/remove', auth.requireAuth, validate({
+    body: { productId: PRODUCT_ID, listId: LIST_ID }
+}), async (req, res) => {
+    const { productId, listId } = req.body;
+
+    try {
+        const lists = await wishlists.listLists(req.user.id);
+        const listIds = lists.map(list => list.id).filter(id => listId === undefined || id === Number(listId));
+        const removed = await wishlists.removeItem(listIds, productId);
+        res.json({ message: removed > 0 ? 'Removed from wishlist.' : 'Not found in wishlist.' });
+    } catch (err) {
+        logger.error('Error removing from wishlist', { err });
+        res.status(500).json({ error: 'Failed to remove from wishlist.' });
     }
+});
+
+// --- Track by URL ---
+// A product pasted as its store page URL is read from the page by that
+// store's extractor (extractors/) instead of being found through search, and
+// saved to a wishlist so the background refresh keeps reading its page.
+// Body: { url, listId (optional, the default list otherwise), note, targetPrice }
+// Loading store pages is slow and may start a headless browser, so each
+// account may only track so many per hour.
+app.post('/products/track', auth.requireAuth, rateLimits.trackAccount, validate({
+    body: { url: { type: 'string', maxLength: 2000 }, listId: LIST_ID, ...ITEM_FIELDS }
+}), async (req, res) => {
+    const { url, listId, note, targetPrice } = req.body;
+    const pageUrl = parseProductUrl(url);
+    if (!pageUrl) {
+        return res.status(400).json({ error: 'A product page URL (http or https) is required.' });
+    }
+    if (!findExtractor(pageUrl)) {
+        const stores = supportedStores().map(store => store.source).join(', ');
+        return res.status(400).json({ error: `Tracking by URL isn't supported for ${pageUrl.hostname}. Supported stores: ${stores}.` });
+    }
+    const invalid = validateItemFields({ note, targetPrice });
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+
+    try {
+        const list = listId !== undefined
+            ? await wishlists.getList(req.user.id, Number(listId))
+            : await wishlists.defaultList(req.user.id);
+        if (!list) {
+            return res.status(404).json({ error: 'Wishlist not found.' });
+        }
 
-    db.all(`SELECT p.*, w.added_at FROM wishlists w JOIN products p ON w.product_id = p.id WHERE w.user_id = ?`, [userId], async (err, rows) => {
-        if (err) {
-            console.error('Error fetching wishlist:', err.message);
-            return res.status(500).json({ error: 'Failed to fetch wishlist.' });
+        let page;
+        try {
+            page = await extractProduct(pageUrl);
+        } catch (err) {
+            logger.warn('Error loading product page', { url: pageUrl, err });
+            return res.status(502).json({ error: 'Could not load that product page. Please try again later.' });
         }
-        // Add current prediction to each wishlisted product
-        for (const product of rows) {
-            product.prediction = await getPricePrediction(product.id, product.last_price);
+        if (!isComplete(page)) {
+            return res.status(422).json({ error: 'Could not read the product title and price from that page.' });
         }
-        res.json(rows);
-    });
+
+        const stored = await storeTrackedPage(page);
+        if (!stored) {
+            return res.status(500).json({ error: 'Failed to track product.' });
+        }
+        const added = await wishlists.addItem(list.id, stored.id, { note, targetPrice });
+        const product = await dbGet(db, `SELECT * FROM products WHERE id = ?`, [stored.id]);
+        res.status(added ? 201 : 200).json({
+            message: added ? `Now tracking it in ${list.name}.` : `Already tracking it in ${list.name}.`,
+            listId: list.id,
+            product
+        });
+    } catch (err) {
+        logger.error('Error tracking product by URL', { err });
+        res.status(500).json({ error: 'Failed to track product.' });
+    }
 });
 
-// Remove product from wishlist
-app.delete('/wishlist/remove', (req, res) => {
-    const { userId, productId } = req.body;
-    if (!userId || !productId) {
-        return res.status(400).json({ error: 'User ID and Product ID are required.' });
+// --- Named Wishlists ---
+
+app.get('/wishlists', auth.requireAuth, async (req, res) => {
+    try {
+        res.json((await wishlists.listLists(req.user.id)).map(withShareUrl));
+    } catch (err) {
+        logger.error('Error fetching wishlists', { err });
+        res.status(500).json({ error: 'Failed to fetch wishlists.' });
     }
+});
 
-    db.run(`DELETE FROM wishlists WHERE user_id = ? AND product_id = ?`, [userId, productId], function(err) {
-        if (err) {
-            console.error('Error removing from wishlist:', err.message);
-            return res.status(500).json({ error: 'Failed to remove from wishlist.' });
+// Body: { name }
+app.post('/wishlists', auth.requireAuth, validate({ body: { name: { type: 'string', required: true } } }), async (req, res) => {
+    const invalid = validateListName(req.body.name);
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+    try {
+        res.status(201).json(withShareUrl(await wishlists.createList(req.user.id, req.body.name)));
+    } catch (err) {
+        if (err.message.includes('UNIQUE')) {
+            return res.status(409).json({ error: 'You already have a wishlist with that name.' });
         }
-        res.json({ message: this.changes > 0 ? 'Removed from wishlist.' : 'Not found in wishlist.' });
-    });
+        logger.error('Error creating wishlist', { err });
+        res.status(500).json({ error: 'Failed to create wishlist.' });
+    }
+});
+
+// Responds with { list, items }
+app.get('/wishlists/:id', auth.requireAuth, validate({ params: LIST_PARAMS }), async (req, res) => {
+    try {
+        const list = await findOwnList(req, res);
+        if (!list) return;
+        const rows = await wishlists.listItems([list.id], { userId: req.user.id });
+        res.json({ list: withShareUrl(list), items: await wishlistProducts(rows) });
+    } catch (err) {
+        logger.error('Error fetching wishlist', { err });
+        res.status(500).json({ error: 'Failed to fetch wishlist.' });
+    }
+});
+
+// Body: { name }
+app.put('/wishlists/:id', auth.requireAuth, validate({
+    params: LIST_PARAMS,
+    body: { name: { type: 'string', required: true } }
+}), async (req, res) => {
+    const invalid = validateListName(req.body.name);
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+    try {
+        const list = await wishlists.renameList(req.user.id, Number(req.params.id), req.body.name);
+        if (!list) {
+            return res.status(404).json({ error: 'Wishlist not found.' });
+        }
+        res.json(withShareUrl(list));
+    } catch (err) {
+        if (err.message.includes('UNIQUE')) {
+            return res.status(409).json({ error: 'You already have a wishlist with that name.' });
+        }
+        logger.error('Error renaming wishlist', { err });
+        res.status(500).json({ error: 'Failed to rename wishlist.' });
+    }
+});
+
+// Deletes the list together with its items
+app.delete('/wishlists/:id', auth.requireAuth, validate({ params: LIST_PARAMS }), async (req, res) => {
+    try {
+        const deleted = await wishlists.deleteList(req.user.id, Number(req.params.id));
+        if (!deleted) {
+            return res.status(404).json({ error: 'Wishlist not found.' });
+        }
+        res.json({ message: 'Wishlist deleted.' });
+    } catch (err) {
+        logger.error('Error deleting wishlist', { err });
+        res.status(500).json({ error: 'Failed to delete wishlist.' });
+    }
+});
+
+// Body: { productId, note, targetPrice }
+app.post('/wishlists/:id/items', auth.requireAuth, validate({
+    params: LIST_PARAMS,
+    body: { productId: PRODUCT_ID, ...ITEM_FIELDS }
+}), async (req, res) => {
+    const { productId, note, targetPrice } = req.body;
+    const invalid = validateItemFields({ note, targetPrice });
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+    try {
+        const list = await findOwnList(req, res);
+        if (!list) return;
+        const added = await wishlists.addItem(list.id, productId, { note, targetPrice });
+        res.status(added ? 201 : 200).json({ message: added ? `Added to ${list.name}.` : `Already in ${list.name}.` });
+    } catch (err) {
+        if (err.message.includes('FOREIGN KEY')) {
+            return res.status(404).json({ error: 'Product not found. Please search for it or track it by URL first.' });
+        }
+        logger.error('Error adding to wishlist', { err });
+        res.status(500).json({ error: 'Failed to add to wishlist.' });
+    }
+});
+
+// Body: any of { note, targetPrice }; null clears a field
+app.put('/wishlists/:id/items/:productId', auth.requireAuth, validate({ params: ITEM_PARAMS, body: ITEM_FIELDS }), async (req, res) => {
+    const changes = {};
+    if (req.body.note !== undefined) changes.note = req.body.note;
+    if (req.body.targetPrice !== undefined) changes.targetPrice = req.body.targetPrice;
+    const invalid = validateItemFields(changes);
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+    try {
+        const list = await findOwnList(req, res);
+        if (!list) return;
+        if (!await wishlists.updateItem(list.id, req.params.productId, changes)) {
+            return res.status(404).json({ error: 'Not found in this wishlist.' });
+        }
+        res.json({ message: 'Wishlist item updated.' });
+    } catch (err) {
+        logger.error('Error updating wishlist item', { err });
+        res.status(500).json({ error: 'Failed to update wishlist item.' });
+    }
+});
+
+// Body: { toListId }
+app.post('/wishlists/:id/items/:productId/move', auth.requireAuth, validate({
+    params: ITEM_PARAMS,
+    body: { toListId: { ...LIST_ID, required: true, label: 'toListId' } }
+}), async (req, res) => {
+    try {
+        const list = await findOwnList(req, res);
+        if (!list) return;
+        const target = await wishlists.getList(req.user.id, Number(req.body.toListId));
+        if (!target) {
+            return res.status(404).json({ error: 'Target wishlist not found.' });
+        }
+        if (!await wishlists.moveItem(list.id, target.id, req.params.productId)) {
+            return res.status(404).json({ error: 'Not found in this wishlist.' });
+        }
+        res.json({ message: `Moved to ${target.name}.` });
+    } catch (err) {
+        logger.error('Error moving wishlist item', { err });
+        res.status(500).json({ error: 'Failed to move wishlist item.' });
+    }
+});
+
+app.delete('/wishlists/:id/items/:productId', auth.requireAuth, validate({ params: ITEM_PARAMS }), async (req, res) => {
+    try {
+        const list = await findOwnList(req, res);
+        if (!list) return;
+        const removed = await wishlists.removeItem([list.id], req.params.productId);
+        if (removed === 0) {
+            return res.status(404).json({ error: 'Not found in this wishlist.' });
+        }
+        res.json({ message: `Removed from ${list.name}.` });
+    } catch (err) {
+        logger.error('Error removing from wishlist', { err });
+        res.status(500).json({ error: 'Failed to remove from wishlist.' });
+    }
+});
+
+// Creates a read-only share link, replacing any earlier link to the list
+app.post('/wishlists/:id/share', auth.requireAuth, validate({ params: LIST_PARAMS }), async (req, res) => {
+    try {
+        const token = await wishlists.share(req.user.id, Number(req.params.id));
+        if (!token) {
+            return res.status(404).json({ error: 'Wishlist not found.' });
+        }
+        res.json({ shareToken: token, shareUrl: shareUrl(token) });
+    } catch (err) {
+        logger.error('Error sharing wishlist', { err });
+        res.status(500).json({ error: 'Failed to share wishlist.' });
+    }
+});
+
+app.delete('/wishlists/:id/share', auth.requireAuth, validate({ params: LIST_PARAMS }), async (req, res) => {
+    try {
+        if (!await wishlists.unshare(req.user.id, Number(req.params.id))) {
+            return res.status(404).json({ error: 'Wishlist not found.' });
+        }
+        res.json({ message: 'Share link turned off.' });
+    } catch (err) {
+        logger.error('Error unsharing wishlist', { err });
+        res.status(500).json({ error: 'Failed to turn off the share link.' });
+    }
+});
+
+// Public, read-only view of a shared list (shared-wishlist.html). Shows
+// prices, predictions and notes, but nothing else about the owner's account.
+app.get('/shared/wishlists/:token', validate({
+    params: { token: { type: 'string', required: true, maxLength: 100, pattern: /^[\w-]+$/, patternMessage: 'This wishlist link is invalid.' } }
+}), async (req, res) => {
+    try {
+        const list = await wishlists.findShared(req.params.token);
+        if (!list) {
+            return res.status(404).json({ error: 'This wishlist link is invalid or no longer shared.' });
+        }
+        const rows = await wishlists.listItems([list.id]);
+        const items = (await wishlistProducts(rows)).map(({ list_id, ...item }) => item);
+        res.json({ list: { name: list.name, owner: list.owner, createdAt: list.createdAt }, currency: BASE_CURRENCY, items });
+    } catch (err) {
+        logger.error('Error fetching shared wishlist', { err });
+        res.status(500).json({ error: 'Failed to fetch wishlist.' });
+    }
 });
 
 // --- Registration Endpoint ---
-app.post('/register', async (req, res) => {
-    const { name, email, password } = req.body;
-    if (!name || !email || !password) {
-        return res.status(400).json({ error: 'Name, email, and password are required.' });
-    }
-    const password_hash = await bcrypt.hash(password, 10);
-    db.run(`INSERT INTO customers (name, email, password_hash, created_at) VALUES (?, ?, ?, ?)`,
-        [name, email, password_hash, Date.now()],
-        async function(err) {
-            if (err) {
-                if (err.message.includes('UNIQUE')) {
-                    return res.status(409).json({ error: 'Email already registered.' });
-                }
-                return res.status(500).json({ error: 'Registration failed.' });
-            }
-            await sendWelcomeEmail(email, name);
-            res.json({ message: 'Registration successful!' });
+const EMAIL_FIELD = { type: 'string', required: true, format: 'email', label: 'Email' };
+// Passwords are taken exactly as typed; validatePassword checks new ones
+const PASSWORD_FIELD = { type: 'string', required: true, trim: false, maxLength: 200, label: 'Password' };
+
+// Queues the welcome email with its verification link
+async function sendWelcomeEmail(userId) {
+    const token = await auth.issueAccountToken(userId, 'verify_email');
+    await notifications.notify(userId, 'welcome', { verifyUrl: verifyEmailUrl(token) });
+}
+
+app.post('/register', rateLimits.register, validate({
+    body: { name: { type: 'string', required: true, maxLength: 100, label: 'Name' }, email: EMAIL_FIELD, password: PASSWORD_FIELD }
+}), async (req, res) => {
+    const { name, password } = req.body;
+    const email = normalizeEmail(req.body.email);
+    const weak = validatePassword(password, { email });
+    if (weak) {
+        return validationError(res, [{ field: 'body.password', message: weak }]);
+    }
+    try {
+        // Addresses registered before they were stored in lower case
+        // still count as taken in any case
+        if (await dbGet(db, `SELECT id FROM customers WHERE email = ? COLLATE NOCASE`, [email])) {
+            return res.status(409).json({ error: 'Email already registered.' });
+        }
+        const passwordHash = await bcrypt.hash(password, 10);
+        const { lastID: userId } = await dbRun(db, `INSERT INTO customers (name, email, password_hash, created_at) VALUES (?, ?, ?, ?)`,
+            [name, email, passwordHash, Date.now()]);
+        res.json({ message: 'Registration successful! Check your email to verify your address.' });
+        // Only after answering: a slow mail queue shouldn't hold up signing up
+        sendWelcomeEmail(userId).catch(err => logger.error('Error queueing welcome email', { userId, err }));
+    } catch (err) {
+        if (err.message.includes('UNIQUE')) {
+            return res.status(409).json({ error: 'Email already registered.' });
         }
-    );
+        logger.error('Error registering customer', { err });
+        res.status(500).json({ error: 'Registration failed.' });
+    }
 });
 
 // --- Login Endpoint ---
-app.post('/login', (req, res) => {
-    const { email, password } = req.body;
-    if (!email || !password) {
-        return res.status(400).json({ error: 'Email and password are required.' });
-    }
-    db.get(`SELECT * FROM customers WHERE email = ?`, [email], async (err, user) => {
-        if (err || !user) {
-            return res.status(401).json({ error: 'Invalid email or password.' });
+
+function tooManyFailedLogins(res, retryAfterMs) {
+    res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+    return res.status(429).json({
+        error: `Too many failed login attempts. Please try again in ${formatWait(retryAfterMs)}, or reset your password.`
+    });
+}
+
+// Limited per IP and per email address. Failed attempts also count towards
+// a lockout of the address (lib/loginLockout.js), during which the password
+// isn't even checked.
+app.post('/login', rateLimits.login, validate({
+    body: { email: EMAIL_FIELD, password: PASSWORD_FIELD }
+}), rateLimits.loginAccount, async (req, res) => {
+    const email = normalizeEmail(req.body.email);
+    try {
+        const lock = await loginLockout.check(email);
+        if (lock.locked) {
+            return tooManyFailedLogins(res, lock.retryAfterMs);
         }
-        const match = await bcrypt.compare(password, user.password_hash);
+        const user = await dbGet(db, `SELECT * FROM customers WHERE email = ? COLLATE NOCASE`, [email]);
+        const match = user ? await bcrypt.compare(req.body.password, user.password_hash) : false;
         if (!match) {
+            const { lockedUntil } = await loginLockout.recordFailure(email);
+            if (lockedUntil) {
+                return tooManyFailedLogins(res, lockedUntil - Date.now());
+            }
             return res.status(401).json({ error: 'Invalid email or password.' });
         }
-        // For simplicity, return user info (in production, use JWT/session)
-        res.json({ id: user.id, name: user.name, email: user.email });
-    });
+        await loginLockout.clear(email);
+        const session = await auth.createSession(user.id, { userAgent: req.get('User-Agent') || null });
+        res.json({
+            id: user.id,
+            name: user.name,
+            email: user.email,
+            emailVerified: !!user.email_verified_at,
+            token: session.token,
+            expiresAt: session.expiresAt
+        });
+    } catch (err) {
+        logger.error('Error logging in', { err });
+        res.status(500).json({ error: 'Login failed.' });
+    }
 });
 
-// --- Cart Endpoints ---
+// --- Session Endpoints ---
 
-// Add to cart (also used for setting/unsetting reminder price)
-app.post('/cart/add', (req, res) => {
-    const { userId, productId, reminderPrice } = req.body;
-    if (!userId || !productId) {
-        return res.status(400).json({ error: 'User ID and Product ID are required.' });
-    }
+// Current customer for the bearer token
+app.get('/me', auth.requireAuth, (req, res) => {
+    res.json(req.user);
+});
 
-    // Check if the product exists in the products table
-    db.get(`SELECT id FROM products WHERE id = ?`, [productId], (err, product) => {
-        if (err || !product) {
-            console.error('Product not found in products table:', productId);
-            return res.status(404).json({ error: 'Product not found. Please search for it first.' });
+// Ends the current session, or every session of the customer with { all: true }
+app.post('/logout', auth.requireAuth, validate({ body: { all: { type: 'boolean' } } }), async (req, res) => {
+    try {
+        if (req.body.all) {
+            const count = await auth.revokeUserSessions(req.user.id);
+            return res.json({ message: `Logged out of ${count} session(s).` });
         }
+        await auth.revokeSession(req.sessionToken);
+        res.json({ message: 'Logged out.' });
+    } catch (err) {
+        logger.error('Error logging out', { err });
+        res.status(500).json({ error: 'Failed to log out.' });
+    }
+});
 
-        // Check if the user exists in the customers table
-        db.get(`SELECT id FROM customers WHERE id = ?`, [userId], (err, customer) => {
-            if (err || !customer) {
-                console.error('Customer not found for userId:', userId);
-                return res.status(404).json({ error: 'User not found. Please log in.' });
-            }
+// --- Email Verification and Password Reset ---
 
-            // Insert or replace into cart
-            db.run(`INSERT OR REPLACE INTO cart (user_id, product_id, reminder_price, added_at) VALUES (?, ?, ?, ?)`,
-                [userId, productId, reminderPrice === undefined ? null : reminderPrice, Date.now()], // Handle undefined reminderPrice as null
-                function(err) {
-                    if (err) {
-                        console.error('Failed to add/update cart:', err.message);
-                        return res.status(500).json({ error: 'Failed to add to cart.' });
-                    }
-                    res.json({ message: 'Cart updated successfully.' });
-                }
-            );
-        });
-    });
+// Emailed link tokens, as issued by auth.issueAccountToken
+const ACCOUNT_TOKEN_FIELD = { type: 'string', required: true, maxLength: 100 };
+
+// Confirms an address from the link in the welcome/verification email
+app.post('/verify-email', rateLimits.accountEmail, validate({
+    body: { token: { ...ACCOUNT_TOKEN_FIELD, label: 'Verification token' } }
+}), async (req, res) => {
+    const { token } = req.body;
+    try {
+        const userId = await auth.consumeAccountToken(token, 'verify_email');
+        if (!userId) {
+            return res.status(400).json({ error: 'This verification link is invalid or has expired.' });
+        }
+        await dbRun(db, `UPDATE customers SET email_verified_at = COALESCE(email_verified_at, ?) WHERE id = ?`, [Date.now(), userId]);
+        res.json({ message: 'Email verified. Price alerts will now be sent to this address.' });
+    } catch (err) {
+        logger.error('Error verifying email', { err });
+        res.status(500).json({ error: 'Failed to verify email.' });
+    }
 });
 
-// Get cart
-app.get('/cart', (req, res) => {
-    const userId = req.query.userId;
-    if (!userId) {
-        return res.status(400).json({ error: 'User ID is required.' });
+// Sends a fresh verification link to the logged-in user
+app.post('/verify-email/resend', rateLimits.accountEmail, auth.requireAuth, async (req, res) => {
+    if (req.user.emailVerified) {
+        return res.json({ message: 'Email already verified.' });
+    }
+    try {
+        const token = await auth.issueAccountToken(req.user.id, 'verify_email');
+        await notifications.notify(req.user.id, 'verify_email', { verifyUrl: verifyEmailUrl(token) });
+        res.json({ message: 'Verification email sent. Check your inbox.' });
+    } catch (err) {
+        logger.error('Error resending verification email', { err });
+        res.status(500).json({ error: 'Failed to send verification email.' });
     }
-    db.all(`SELECT p.*, c.reminder_price, c.added_at FROM cart c JOIN products p ON c.product_id = p.id WHERE c.user_id = ?`, [userId], (err, rows) => {
-        if (err) {
-            console.error('Error fetching cart:', err.message);
-            return res.status(500).json({ error: 'Failed to fetch cart.' });
+});
+
+// Emails a reset link. Always answers the same way so it can't be used to
+// find out which addresses are registered.
+app.post('/forgot-password', rateLimits.accountEmail, validate({ body: { email: EMAIL_FIELD } }), rateLimits.passwordResetAccount, async (req, res) => {
+    const email = normalizeEmail(req.body.email);
+    try {
+        const user = await dbGet(db, `SELECT id, name, email FROM customers WHERE email = ? COLLATE NOCASE`, [email]);
+        if (user) {
+            const token = await auth.issueAccountToken(user.id, 'reset_password');
+            await notifications.notify(user.id, 'password_reset', { resetUrl: `${APP_BASE_URL}/reset-password.html?token=${token}` });
         }
-        res.json(rows);
-    });
+        res.json({ message: 'If that email is registered, a password reset link has been sent.' });
+    } catch (err) {
+        logger.error('Error starting password reset', { err });
+        res.status(500).json({ error: 'Failed to start password reset.' });
+    }
 });
 
-// Remove from cart
-app.delete('/cart/remove', (req, res) => {
-    const { userId, productId } = req.body;
-    if (!userId || !productId) {
-        return res.status(400).json({ error: 'User ID and Product ID are required.' });
+// Sets a new password from a reset link, signs the user out everywhere and
+// lifts any login lockout on the address
+app.post('/reset-password', rateLimits.accountEmail, validate({
+    body: { token: { ...ACCOUNT_TOKEN_FIELD, label: 'Token' }, password: PASSWORD_FIELD }
+}), async (req, res) => {
+    const { token, password } = req.body;
+    const weak = validatePassword(password);
+    if (weak) {
+        return validationError(res, [{ field: 'body.password', message: weak }]);
     }
-    db.run(`DELETE FROM cart WHERE user_id = ? AND product_id = ?`, [userId, productId], function(err) {
-        if (err) {
-            console.error('Error removing from cart:', err.message);
-            return res.status(500).json({ error: 'Failed to remove from cart.' });
+    try {
+        const userId = await auth.consumeAccountToken(token, 'reset_password');
+        if (!userId) {
+            return res.status(400).json({ error: 'This reset link is invalid or has expired.' });
         }
-        res.json({ message: this.changes > 0 ? 'Removed from cart.' : 'Not found in cart.' });
-    });
+        const passwordHash = await bcrypt.hash(password, 10);
+        // Receiving the link proves the address, so it counts as verified too
+        await dbRun(db, `UPDATE customers SET password_hash = ?, email_verified_at = COALESCE(email_verified_at, ?) WHERE id = ?`,
+            [passwordHash, Date.now(), userId]);
+        await auth.revokeUserSessions(userId);
+        const user = await dbGet(db, `SELECT email FROM customers WHERE id = ?`, [userId]);
+        await loginLockout.clear(normalizeEmail(user.email));
+        res.json({ message: 'Password updated. Please log in with your new password.' });
+    } catch (err) {
+        logger.error('Error resetting password', { err });
+        res.status(500).json({ error: 'Failed to reset password.' });
+    }
 });
 
-// --- Helper: Send Welcome Email ---
-async function sendWelcomeEmail(email, name) {
-    // Configure your SMTP transport (use a real SMTP in production)
-    let transporter = nodemailer.createTransport({
-        service: 'gmail',
-        auth: {
-            user: process.env.SMTP_USER || 'your.email@gmail.com', // Replace with your actual email
-            pass: process.env.SMTP_PASS || 'yourpassword' // Replace with your actual password or app password
+// --- Cart Endpoints ---
+// Offers of one product count as one cart item (lib/cart.js)
+const cart = createCartService({ db });
+
+// Add to cart. A numeric reminderPrice (the old single reminder) also creates
+// a one-shot target_price alert; manage alerts through /alerts instead.
+app.post('/cart/add', auth.requireAuth, validate({
+    body: { productId: PRODUCT_ID, reminderPrice: { type: 'money', nullable: true } }
+}), async (req, res) => {
+    const userId = req.user.id;
+    const { productId, reminderPrice } = req.body;
+
+    try {
+        if (!(await dbGet(db, `SELECT id FROM products WHERE id = ?`, [productId]))) {
+            logger.warn('Product not found in products table', { productId });
+            return res.status(404).json({ error: 'Product not found. Please search for it or track it by URL first.' });
         }
-    });
-    const mailOptions = {
-        from: 'SmartSpend <no-reply@smartspend.com>',
-        to: email,
-        subject: 'Welcome to SmartSpend!',
-        text: `Hi ${name},\n\nWelcome to SmartSpend! Start tracking prices and saving today.\n\nBest,\nThe SmartSpend Team`
-    };
+        if (!(await dbGet(db, `SELECT id FROM customers WHERE id = ?`, [userId]))) {
+            logger.warn('Customer not found', { userId });
+            return res.status(404).json({ error: 'User not found. Please log in.' });
+        }
+        await dbRun(db, `INSERT OR REPLACE INTO cart (user_id, product_id, reminder_price, added_at) VALUES (?, ?, NULL, ?)`,
+            [userId, productId, Date.now()]);
+    } catch (err) {
+        logger.error('Failed to add/update cart', { err });
+        return res.status(500).json({ error: 'Failed to add to cart.' });
+    }
+
+    const threshold = baseValue(parseMoney(reminderPrice));
+    if (threshold > 0) {
+        try {
+            await alerts.setReminder(userId, productId, threshold);
+        } catch (err) {
+            logger.error('Error creating alert from reminder price', { err });
+            return res.status(500).json({ error: 'Added to cart, but failed to set the price alert.' });
+        }
+    }
+    res.json({ message: 'Cart updated successfully.' });
+});
+
+// Get cart, with each item's current price and prediction
+app.get('/cart', auth.requireAuth, async (req, res) => {
     try {
-        await transporter.sendMail(mailOptions);
-        console.log('Welcome email sent to', email);
+        const rows = await cart.listItems(req.user.id);
+        for (const row of rows) {
+            row.price_value = baseValue(storedMoney(row));
+            row.forecast = await getPricePrediction(row.id, row.price_value);
+            row.prediction = row.forecast.recommendation;
+        }
+        const offersById = await canonicalCatalog.getOffers([...new Set(rows.map(r => r.canonical_id).filter(Boolean))]);
+        res.json(groupByCanonical(rows, offersById));
     } catch (err) {
-        console.error('Error sending welcome email:', err.message);
+        logger.error('Error fetching cart', { err });
+        res.status(500).json({ error: 'Failed to fetch cart.' });
     }
-}
+});
 
-// --- Price Drop Notification Worker (runs every 10 min) ---
-setInterval(() => {
-    db.all(`SELECT c.user_id, c.product_id, c.reminder_price, p.title, p.last_price, cu.email, cu.name FROM cart c JOIN products p ON c.product_id = p.id JOIN customers cu ON c.user_id = cu.id WHERE c.reminder_price IS NOT NULL`, [], (err, rows) => {
-        if (err) {
-            console.error('Error in price drop check:', err.message);
-            return;
+// Cheapest way to buy the whole cart across stores, shipping included
+// (lib/basketOptimizer.js). ?maxStores=2, ?singleStore=true and ?budget=50000
+// constrain the plan; amounts are in the base currency.
+app.get('/cart/optimize', auth.requireAuth, validate({
+    query: { maxStores: { type: 'integer', min: 1 }, budget: { type: 'number' }, singleStore: { type: 'boolean' } }
+}), async (req, res) => {
+    const singleStore = req.query.singleStore === true;
+    const maxStores = singleStore ? 1 : (req.query.maxStores || null);
+    const budget = req.query.budget !== undefined ? req.query.budget : null;
+    if (budget !== null && budget <= 0) {
+        return res.status(400).json({ error: 'budget must be a positive number.' });
+    }
+
+    try {
+        const rows = await dbAll(db, `SELECT p.id, p.title, p.canonical_id, p.source, p.link, p.last_price, p.price_amount, p.price_currency
+            FROM cart c JOIN products p ON c.product_id = p.id WHERE c.user_id = ?`, [req.user.id]);
+        if (rows.length === 0) {
+            return res.status(404).json({ error: 'Your cart is empty.' });
+        }
+        const offersById = await canonicalCatalog.getOffers([...new Set(rows.map(row => row.canonical_id).filter(Boolean))]);
+        // One entry per canonical product, like GET /cart
+        const products = groupByCanonical(rows, offersById);
+        const items = products.map(product => {
+            const offers = product.offers.length > 0 ? product.offers : [{ ...product, price: product.last_price }];
+            return {
+                key: product.id,
+                offers: offers.map(offer => ({
+                    store: offer.source,
+                    price: offer.price_value !== undefined ? offer.price_value : baseValue(storedMoney(offer)),
+                    offerId: offer.id,
+                    displayPrice: offer.price,
+                    link: offer.link
+                }))
+            };
+        });
+
+        const result = optimizeBasket(items, { maxStores, budget });
+        if (result.error) {
+            return res.status(422).json({ error: result.error });
         }
-        rows.forEach(async (row) => {
-            const currentPrice = parseFloat((row.last_price || '').replace(/[^0-9.]/g, ''));
-            const reminderPrice = parseFloat((row.reminder_price || '').replace(/[^0-9.]/g, ''));
-            
-            // Only send email if both prices are valid numbers and current price is less than or equal to reminder price
-            if (!isNaN(currentPrice) && !isNaN(reminderPrice) && currentPrice <= reminderPrice) {
-                console.log(`Price drop detected for ${row.title}: Current ${row.last_price}, Reminder ${row.reminder_price}. Sending email to ${row.email}`);
-                await sendPriceDropEmail(row.email, row.name, row.title, row.last_price);
-                // Remove reminder to avoid spamming
-                db.run(`UPDATE cart SET reminder_price = NULL WHERE user_id = ? AND product_id = ?`, [row.user_id, row.product_id], function(updateErr) {
-                    if (updateErr) {
-                        console.error('Error clearing reminder price:', updateErr.message);
-                    } else {
-                        console.log(`Reminder for ${row.title} (user ${row.user_id}) cleared.`);
-                    }
-                });
+        const titles = new Map(products.map(product => [product.id, product.title]));
+        res.json({
+            currency: BASE_CURRENCY,
+            constraints: { maxStores, budget },
+            items: result.plan.items.map(item => ({
+                productId: item.key,
+                title: titles.get(item.key),
+                store: item.store,
+                price: item.price,
+                displayPrice: item.offer.displayPrice,
+                offerId: item.offer.offerId,
+                link: item.offer.link,
+                cheapestStore: item.cheapestStore,
+                cheapestPrice: item.cheapestPrice
+            })),
+            stores: result.plan.stores,
+            totals: result.plan.totals,
+            naive: result.naive,
+            savings: result.savings,
+            storeLimitCost: result.storeLimitCost,
+            exact: result.exact,
+            unavailable: result.unavailable.map(key => ({ productId: key, title: titles.get(key) })),
+            budget: result.budget && {
+                ...result.budget,
+                dropToFit: result.budget.dropToFit.map(key => ({ productId: key, title: titles.get(key) }))
             }
         });
-    });
-}, 10 * 60 * 1000); // Every 10 minutes
+    } catch (err) {
+        logger.error('Error optimizing cart', { err });
+        res.status(500).json({ error: 'Failed to optimize cart.' });
+    }
+});
 
-// --- Helper: Send Price Drop Email ---
-async function sendPriceDropEmail(email, name, productTitle, price) {
-    let transporter = nodemailer.createTransport({
-        service: 'gmail', // You can use other services or direct SMTP
-        auth: {
-            user: process.env.SMTP_USER || 'your.email@gmail.com', // IMPORTANT: Replace with your actual email
-            pass: process.env.SMTP_PASS || 'yourpassword' // IMPORTANT: Replace with your actual password or app password
+// Remove from cart, together with the product's other store offers
+app.delete('/cart/remove', auth.requireAuth, validate({ body: { productId: PRODUCT_ID } }), async (req, res) => {
+    try {
+        const removed = await cart.removeItem(req.user.id, req.body.productId);
+        res.json({ message: removed > 0 ? 'Removed from cart.' : 'Not found in cart.' });
+    } catch (err) {
+        logger.error('Error removing from cart', { err });
+        res.status(500).json({ error: 'Failed to remove from cart.' });
+    }
+});
+
+// --- Purchases and Budgets ---
+// What customers bought, monthly budgets and spending reports (lib/purchases.js)
+const purchases = createPurchaseService({ db });
+
+// Marks a cart item as bought and takes it out of the cart. productId may be
+// any store offer of the cart item: the one actually bought.
+// Body: { productId, price (per unit, default: its current price), currency,
+//         source, purchasedAt, quantity, category, keepInCart }
+// Types are checked here; validatePurchase checks the values
+app.post('/cart/purchase', auth.requireAuth, validate({
+    body: {
+        productId: PRODUCT_ID,
+        price: { type: 'number', nullable: true },
+        currency: { type: 'string', nullable: true, maxLength: 10 },
+        source: { type: 'string', nullable: true, trim: false },
+        purchasedAt: { type: 'string', nullable: true, maxLength: 40 },
+        quantity: { type: 'integer', nullable: true },
+        category: { type: 'string', nullable: true, trim: false },
+        keepInCart: { type: 'boolean' }
+    }
+}), async (req, res) => {
+    const { productId, price, currency, source, purchasedAt, quantity, category, keepInCart } = req.body;
+    const invalid = validatePurchase({ price, currency, quantity, purchasedAt, category, source });
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+
+    try {
+        const inCart = await dbGet(db, `SELECT c.product_id FROM cart c WHERE c.user_id = ? AND (c.product_id = ? OR c.product_id IN (
+                SELECT id FROM products WHERE canonical_id = (SELECT canonical_id FROM products WHERE id = ?)))`,
+            [req.user.id, productId, productId]);
+        const product = await dbGet(db, `SELECT * FROM products WHERE id = ?`, [productId]);
+        if (!inCart || !product) {
+            return res.status(404).json({ error: 'Not found in cart.' });
         }
-    });
-    const mailOptions = {
-        from: 'SmartSpend <no-reply@smartspend.com>',
-        to: email,
-        subject: 'Price Drop Alert!',
-        text: `Hi ${name},\n\nGood news! The price for "${productTitle}" has dropped to ${price}.\nCheck it out on SmartSpend!\\n\nBest,\nThe SmartSpend Team`
-    };
+        const purchase = await purchases.recordPurchase(req.user.id, product, { price, currency, source, quantity, purchasedAt, category });
+        if (!purchase) {
+            return res.status(400).json({ error: 'price is required: this product has no known price.' });
+        }
+        if (!keepInCart) {
+            await dbRun(db, `DELETE FROM cart WHERE user_id = ? AND (product_id = ? OR product_id IN (
+                    SELECT id FROM products WHERE canonical_id = (SELECT canonical_id FROM products WHERE id = ?)))`,
+                [req.user.id, productId, productId]);
+        }
+        res.status(201).json({ message: `Marked "${product.title}" as purchased.`, purchase });
+    } catch (err) {
+        logger.error('Error recording purchase', { err });
+        res.status(500).json({ error: 'Failed to record purchase.' });
+    }
+});
+
+// Whether buying the whole cart this month would go over a budget
+app.get('/cart/budget', auth.requireAuth, async (req, res) => {
     try {
-        await transporter.sendMail(mailOptions);
-        console.log('Price drop email sent to', email);
+        const rows = await dbAll(db, `SELECT p.* FROM cart c JOIN products p ON c.product_id = p.id WHERE c.user_id = ?`, [req.user.id]);
+        rows.forEach(row => { row.price_value = baseValue(storedMoney(row)); });
+        res.json(await purchases.checkCartBudget(req.user.id, rows));
     } catch (err) {
-        console.error('Error sending price drop email:', err.message);
+        logger.error('Error checking cart budget', { err });
+        res.status(500).json({ error: 'Failed to check budget.' });
     }
-}
+});
+
+// Purchases, newest first. ?month=YYYY-MM for one month
+app.get('/purchases', auth.requireAuth, validate({ query: { month: { type: 'string', maxLength: 7 } } }), async (req, res) => {
+    const { month } = req.query;
+    if (month !== undefined && !monthRange(month)) {
+        return res.status(400).json({ error: 'month must look like 2026-10.' });
+    }
+    try {
+        res.json(await purchases.listPurchases(req.user.id, { month }));
+    } catch (err) {
+        logger.error('Error fetching purchases', { err });
+        res.status(500).json({ error: 'Failed to fetch purchases.' });
+    }
+});
+
+app.delete('/purchases/:id', auth.requireAuth, validate({ params: RECORD_ID }), async (req, res) => {
+    try {
+        const deleted = await purchases.deletePurchase(req.user.id, req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Purchase not found.' });
+        }
+        res.json({ message: 'Purchase deleted.' });
+    } catch (err) {
+        logger.error('Error deleting purchase', { err });
+        res.status(500).json({ error: 'Failed to delete purchase.' });
+    }
+});
+
+// Monthly budgets in the base currency; category null is the overall budget
+app.get('/budgets', auth.requireAuth, async (req, res) => {
+    try {
+        res.json({ currency: BASE_CURRENCY, budgets: await purchases.listBudgets(req.user.id) });
+    } catch (err) {
+        logger.error('Error fetching budgets', { err });
+        res.status(500).json({ error: 'Failed to fetch budgets.' });
+    }
+});
+
+const BUDGET_CATEGORY = { type: 'string', nullable: true, trim: false };
+
+// Body: { category (optional), amount }
+app.put('/budgets', auth.requireAuth, validate({
+    body: { category: BUDGET_CATEGORY, amount: { type: 'number', required: true, label: 'amount' } }
+}), async (req, res) => {
+    const { category, amount } = req.body;
+    const invalid = validateBudget({ category, amount });
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+    try {
+        res.json(await purchases.setBudget(req.user.id, category, amount));
+    } catch (err) {
+        logger.error('Error saving budget', { err });
+        res.status(500).json({ error: 'Failed to save budget.' });
+    }
+});
+
+// Body: { category (optional) }
+app.delete('/budgets', auth.requireAuth, validate({ body: { category: BUDGET_CATEGORY } }), async (req, res) => {
+    try {
+        const removed = await purchases.removeBudget(req.user.id, req.body.category);
+        res.json({ message: removed ? 'Budget removed.' : 'No such budget.' });
+    } catch (err) {
+        logger.error('Error removing budget', { err });
+        res.status(500).json({ error: 'Failed to remove budget.' });
+    }
+});
+
+// Spend and savings per month and category. ?months=12 (up to 36)
+app.get('/reports/spending', auth.requireAuth, validate({
+    query: { months: { type: 'integer', min: 1, max: MAX_REPORT_MONTHS } }
+}), async (req, res) => {
+    const months = req.query.months || 12;
+    try {
+        res.json(await purchases.spendingReport(req.user.id, { months }));
+    } catch (err) {
+        logger.error('Error building spending report', { err });
+        res.status(500).json({ error: 'Failed to build report.' });
+    }
+});
+
+// --- Export and Import ---
+// A customer's wishlists, cart and their price history (lib/dataTransfer.js)
+
+// Products an import names that were never seen in a search are stored
+// without history until they have a price (storeListing)
+const dataTransfer = createDataTransfer({ db, wishlists, alerts, saveProduct: storeListing });
+
+// ?format=json (default): everything as one document.
+// ?format=csv&section=wishlist|cart|history: one section.
+app.get('/export', auth.requireAuth, validate({
+    query: { format: { type: 'string', oneOf: ['json', 'csv'] }, section: { type: 'string', oneOf: CSV_SECTIONS } }
+}), async (req, res) => {
+    const format = req.query.format || 'json';
+    const { section } = req.query;
+    if (format === 'csv' && !CSV_SECTIONS.includes(section)) {
+        return res.status(400).json({ error: `section must be one of: ${CSV_SECTIONS.join(', ')}.` });
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    try {
+        if (format === 'csv') {
+            const csv = await dataTransfer.exportCsv(req.user.id, section);
+            res.set('Content-Disposition', `attachment; filename="priceripper-${section}-${date}.csv"`);
+            return res.type('text/csv').send(csv);
+        }
+        const data = await dataTransfer.exportData(req.user.id);
+        res.set('Content-Disposition', `attachment; filename="priceripper-export-${date}.json"`);
+        res.json(data);
+    } catch (err) {
+        logger.error('Error exporting data', { err });
+        res.status(500).json({ error: 'Failed to export your data.' });
+    }
+});
+
+// Body: an export document (application/json), or a CSV of product links and
+// titles (text/csv) for ?target=wishlist (default; ?list names the list for
+// rows without a `list` column) or ?target=cart.
+// ?dryRun=true reports what would be created, added or skipped without saving.
+// Responds with { dryRun, summary, entries }.
+app.post('/import', auth.requireAuth, validate({
+    query: {
+        dryRun: { type: 'boolean' },
+        target: { type: 'string', oneOf: ['wishlist', 'cart'] },
+        list: { type: 'string', maxLength: 100 }
+    }
+}), async (req, res) => {
+    const dryRun = req.query.dryRun === true;
+    const csv = req.is('text/csv') || req.is('text/plain');
+    const { payload, error } = csv
+        ? readImportCsv(req.body, { target: req.query.target || 'wishlist', list: req.query.list || null })
+        : readImportJson(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        const report = await dataTransfer.importData(req.user.id, payload, { dryRun });
+        if (!dryRun) {
+            const { summary } = report;
+            logger.info('Imported data', { userId: req.user.id, ...summary });
+        }
+        res.json(report);
+    } catch (err) {
+        logger.error('Error importing data', { err });
+        res.status(500).json({ error: 'Failed to import your data.' });
+    }
+});
+
+// --- Public API (v1) ---
+// Resource-style routes for scripts, with API keys (lib/apiKeys.js) and an
+// OpenAPI document at /api/v1/openapi.json (lib/apiV1.js)
+const apiKeys = createApiKeyService({ db });
+app.use('/api/v1', createApiV1Router({
+    db, auth, apiKeys, wishlists, cart, alerts, searchCache, canonicalCatalog,
+    predict: getPricePrediction,
+    loadPriceHistory,
+    pricedProducts: wishlistProducts,
+    shareUrl,
+    onAlertChange: pushAlertChange,
+    limits: { search: rateLimits.search, searchAccount: rateLimits.searchAccount, apiKey: rateLimits.apiKey },
+    serverUrl: `${APP_BASE_URL}/api/v1`
+}));
+
+// --- Health, Metrics and Admin ---
+const health = createHealthChecks({ db, dbReady });
+const adminStats = createAdminStats({ db, upstreamQuota });
+// When set, /metrics wants `Authorization: Bearer <METRICS_TOKEN>`
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+
+// Liveness: the process is up and serving requests
+app.get('/healthz', (req, res) => {
+    res.json(health.liveness());
+});
+
+// Readiness: database reachable and migrated, background workers running.
+// 503 with the failing check when not.
+app.get('/readyz', async (req, res) => {
+    const result = await health.readiness();
+    res.status(result.status === 'ready' ? 200 : 503).json(result);
+});
+
+// Prometheus scrape endpoint (lib/metrics.js)
+app.get('/metrics', async (req, res) => {
+    if (METRICS_TOKEN && req.get('Authorization') !== `Bearer ${METRICS_TOKEN}`) {
+        return res.status(401).json({ error: 'A valid metrics token is required.' });
+    }
+    try {
+        res.type('text/plain; version=0.0.4').send(await metrics.registry.render());
+    } catch (err) {
+        logger.error('Error rendering metrics', { err });
+        res.status(500).json({ error: 'Failed to render metrics.' });
+    }
+});
+
+// Counts for admin.html; admins are listed in ADMIN_EMAILS (lib/auth.js)
+app.get('/admin/stats', auth.requireAdmin, async (req, res) => {
+    try {
+        res.json({ ...(await adminStats.collect()), workers: workerStatus() });
+    } catch (err) {
+        logger.error('Error collecting admin stats', { err });
+        res.status(500).json({ error: 'Failed to collect statistics.' });
+    }
+});
+
+// --- Errors ---
+// Anything no route answered, and errors passed on by middleware (bad JSON,
+// oversized bodies, rejected uploads), as JSON like every other response
+app.use((req, res) => {
+    res.status(404).json({ error: 'Not found.' });
+});
+
+app.use((err, req, res, next) => {
+    if (res.headersSent) {
+        return next(err);
+    }
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: 'The request body is not valid JSON.' });
+    }
+    if (err.type === 'entity.too.large') {
+        return res.status(413).json({ error: 'The request body is too large.' });
+    }
+    if (err instanceof multer.MulterError) {
+        const error = err.code === 'LIMIT_FILE_SIZE' ? 'The image must be 5MB or smaller.' : err.message;
+        return res.status(400).json({ error });
+    }
+    const status = err.status || err.statusCode;
+    if (status >= 400 && status < 500) {
+        return res.status(status).json({ error: err.message });
+    }
+    logger.error('Unhandled error', { err, method: req.method, path: req.path });
+    res.status(500).json({ error: 'Something went wrong.' });
+});
 
 app.listen(PORT, () => {
-  console.log(`Server is running on http://localhost:${PORT}`);
-  console.log('Make sure to set your SERP_API_KEY, SMTP_USER, and SMTP_PASS in the environment variables');
+  logger.info(`Server is running on http://localhost:${PORT}`);
+  dbReady.then(() => {
+    backfillStructuredPrices()
+        .catch(err => logger.error('Error parsing stored prices', { err }))
+        .then(() => canonicalCatalog.backfill())
+        .catch(err => logger.error('Error matching stored listings', { err }));
+    priceRefreshScheduler.start();
+    savedSearches.start();
+    notifications.start();
+    alerts.migrateReminderPrices().catch(err => logger.error('Error converting reminder prices', { err }));
+    workerStarted('alerts', ALERT_EVALUATE_INTERVAL_MS);
+    setInterval(() => {
+        alerts.evaluateAll()
+            .then(() => workerRan('alerts'))
+            .catch((err) => {
+                workerFailed('alerts', err);
+                logger.error('Error evaluating price alerts', { err });
+            });
+    }, ALERT_EVALUATE_INTERVAL_MS);
+    imageIndex.indexPending().catch(err => logger.error('Error indexing product images', { err }));
+    setInterval(() => {
+        imageIndex.indexPending().catch(err => logger.error('Error indexing product images', { err }));
+    }, IMAGE_INDEX_INTERVAL_MS);
+    const purgeSessions = () => {
+        auth.purgeExpired().catch(err => logger.error('Error purging sessions', { err }));
+        loginLockout.purgeExpired().catch(err => logger.error('Error purging login attempts', { err }));
+        apiKeys.purgeExpired().catch(err => logger.error('Error purging API keys', { err }));
+    };
+    purgeSessions();
+    setInterval(purgeSessions, SESSION_PURGE_INTERVAL_MS);
+    setInterval(() => {
+        searchCache.purgeExpired().catch(err => logger.error('Error purging search cache', { err }));
+    }, SEARCH_CACHE_PURGE_INTERVAL_MS);
+  });
+  logger.info('Make sure to set your SERP_API_KEY, SMTP_USER, and SMTP_PASS in the environment variables');
 });
@@ -0,0 +1,76 @@
+// test/extractors.test.js - Store page extractors against the saved pages in fixtures/pages
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseProductUrl, findExtractor, extractFromHtml, isComplete } = require('../extractors');
+const { parseMoney } = require('../lib/money');
+
+const FIXTURE_DIR = path.join(__dirname, '..', 'fixtures', 'pages');
+const MANIFEST = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, 'pages.json'), 'utf8'));
+
+// The saved page for a URL, read the way the server reads it: the rendered
+// copy stands in for the headless browser when there is one
+function extractSaved(link) {
+    const entry = MANIFEST[link];
+    const url = parseProductUrl(link);
+    const extractor = findExtractor(url);
+    const html = fs.readFileSync(path.join(FIXTURE_DIR, entry.rendered || entry.html), 'utf8');
+    return { ...extractFromHtml(extractor, html, url), extractor: extractor.name };
+}
+
+function assertPage(page, { extractor, title, amount, currency, availability }) {
+    assert.equal(page.extractor, extractor);
+    assert.equal(page.title, title);
+    const money = parseMoney(page.price);
+    assert.deepEqual(money && { amount: money.amount, currency: money.currency }, amount === null ? null : { amount, currency });
+    assert.equal(page.availability, availability);
+    assert.ok(isComplete(page));
+}
+
+test('amazon reads price and stock, and out-of-stock pages without a price', () => {
+    assertPage(extractSaved('https://www.amazon.in/dp/B09B8XJDW5'), {
+        extractor: 'amazon',
+        title: 'Echo Dot (5th Gen) | Smart speaker with Alexa | Blue',
+        amount: 449900,
+        currency: 'INR',
+        availability: 'in_stock'
+    });
+    assertPage(extractSaved('https://www.amazon.in/dp/B08N3TCP2F'), {
+        extractor: 'amazon',
+        title: 'Kindle Paperwhite (16 GB) – Now with a 7" display, adjustable warm light',
+        amount: null,
+        availability: 'out_of_stock'
+    });
+});
+
+test('flipkart', () => {
+    assertPage(extractSaved('https://www.flipkart.com/samsung-galaxy-s23-5g-phantom-black-128-gb/p/itm0f1e4e8d2a3f1?pid=MOBGMFFX5XYE8MZN'), {
+        extractor: 'flipkart',
+        title: 'SAMSUNG Galaxy S23 5G (Phantom Black, 128 GB)',
+        amount: 5499900,
+        currency: 'INR',
+        availability: 'in_stock'
+    });
+});
+
+test('croma, from the rendered page', () => {
+    assertPage(extractSaved('https://www.croma.com/apple-airpods-pro-2nd-generation-with-magsafe-case-usb-c-/p/300766'), {
+        extractor: 'croma',
+        title: 'Apple AirPods Pro (2nd Generation) with MagSafe Case (USB-C)',
+        amount: 2090000,
+        currency: 'INR',
+        availability: 'in_stock'
+    });
+});
+
+test('myntra', () => {
+    assertPage(extractSaved('https://www.myntra.com/sports-shoes/nike/nike-men-revolution-7-running-shoes/27883542/buy'), {
+        extractor: 'myntra',
+        title: 'Nike Men Revolution 7 Running Shoes',
+        amount: 332600,
+        currency: 'INR',
+        availability: 'in_stock'
+    });
+});
@@ -0,0 +1,79 @@
+// test/helpers/server.js - Runs server.js for a test: a free port, a fresh
+// database in a temporary directory and offline adapters
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const SERVER = path.join(__dirname, '..', '..', 'server.js');
+const START_TIMEOUT_MS = 30000;
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.on('error', reject);
+        server.listen(0, () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+// Polls check() until it resolves to something truthy; rejects when check()
+// does or after timeoutMs
+async function waitFor(check, { timeoutMs = 10000, intervalMs = 100 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const value = await check();
+        if (value) return value;
+        if (Date.now() > deadline) throw new Error(`Timed out after ${timeoutMs}ms`);
+        await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+}
+
+// Resolves to { baseUrl, dir, stop() } once /readyz says the database is
+// migrated and the workers run. env overrides the defaults below; dir is the
+// server's working directory, where its smartspend.db is.
+async function startServer(env = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'smartspend-test-'));
+    const port = await freePort();
+    const child = spawn(process.execPath, [SERVER], {
+        cwd: dir,
+        stdio: 'ignore',
+        env: {
+            ...process.env,
+            PORT: String(port),
+            SEARCH_ADAPTERS: 'fixture',
+            PAGE_SOURCE: 'fixture',
+            PAGE_RENDERER: 'none',
+            VISION_PROVIDER: 'none',
+            MAIL_TRANSPORT: 'log',
+            THUMBNAIL_CACHE_DIR: path.join(dir, 'thumbnails'),
+            LOG_LEVEL: 'error',
+            ...env
+        }
+    });
+    const exited = new Promise(resolve => child.once('exit', resolve));
+    const baseUrl = `http://localhost:${port}`;
+
+    async function stop() {
+        if (child.exitCode === null && child.signalCode === null) child.kill();
+        await exited;
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    try {
+        await waitFor(async () => {
+            if (child.exitCode !== null) throw new Error(`server.js exited with status ${child.exitCode}`);
+            return fetch(`${baseUrl}/readyz`).then(response => response.ok, () => false);
+        }, { timeoutMs: START_TIMEOUT_MS });
+    } catch (err) {
+        await stop();
+        throw err;
+    }
+    return { baseUrl, dir, stop };
+}
+
+module.exports = { freePort, waitFor, startServer };
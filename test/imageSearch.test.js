@@ -0,0 +1,37 @@
+// test/imageSearch.test.js - POST /search-by-image with the fake vision provider
+// (VISION_PROVIDER=fake reads fixtures/vision) and the fixture search adapter
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { startServer } = require('./helpers/server');
+
+const VISION_FIXTURE = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'vision', 'default.json'), 'utf8'));
+
+function photo() {
+    return sharp({ create: { width: 64, height: 64, channels: 3, background: '#40506a' } }).png().toBuffer();
+}
+
+test('image search derives the query from the vision annotations and searches it', async (t) => {
+    const server = await startServer({ VISION_PROVIDER: 'fake' });
+    t.after(() => server.stop());
+
+    const form = new FormData();
+    // No fixtures/vision/phone.json, so the provider answers with default.json
+    form.append('image', new Blob([await photo()], { type: 'image/png' }), 'phone.png');
+    const response = await fetch(`${server.baseUrl}/search-by-image`, { method: 'POST', body: form });
+    assert.equal(response.status, 200);
+    const body = await response.json();
+
+    assert.deepEqual(body.annotations, VISION_FIXTURE);
+    // The logo, then the model-like word read from the packaging
+    assert.equal(body.query, 'Samsung S25');
+    assert.equal(body.querySource, 'vision');
+    // Nothing is indexed in a fresh database
+    assert.deepEqual(body.similar, []);
+    assert.ok(body.products.length > 0);
+    assert.match(body.products[0].title, /Samsung Galaxy S25/i);
+    assert.ok(body.products.every(product => /samsung|s25/i.test(product.title)));
+});
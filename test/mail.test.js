@@ -0,0 +1,89 @@
+// test/mail.test.js - Account email through SMTP, caught by scripts/mail-catcher.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { freePort, waitFor, startServer } = require('./helpers/server');
+
+const CATCHER = path.join(__dirname, '..', 'scripts', 'mail-catcher.js');
+const APP_BASE_URL = 'http://shop.test';
+
+// Resolves to { dir, stop() } once the catcher listens on port
+async function startMailCatcher(port) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'smartspend-mail-'));
+    const child = spawn(process.execPath, [CATCHER, '--port', String(port), '--dir', dir], { stdio: ['ignore', 'pipe', 'ignore'] });
+    const exited = new Promise(resolve => child.once('exit', resolve));
+    await new Promise((resolve, reject) => {
+        child.stdout.on('data', chunk => { if (String(chunk).includes('listening')) resolve(); });
+        child.once('exit', code => reject(new Error(`mail-catcher exited with status ${code}`)));
+    });
+    return {
+        dir,
+        async stop() {
+            child.kill();
+            await exited;
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+function decodeQuotedPrintable(text) {
+    return text
+        .replace(/=\r?\n/g, '')
+        .replace(/=([0-9A-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+// Waits for the next caught message with the subject; resolves to { to, subject, body }
+function nextMail(dir, subject) {
+    return waitFor(async () => {
+        for (const file of fs.readdirSync(dir).sort()) {
+            const raw = fs.readFileSync(path.join(dir, file), 'utf8');
+            const [headers, ...body] = raw.split(/\r?\n\r?\n/);
+            const header = name => ((new RegExp(`^${name}: (.*)$`, 'mi')).exec(headers) || [])[1];
+            if (header('Subject') === subject) {
+                fs.unlinkSync(path.join(dir, file));
+                return { to: header('To'), subject, body: decodeQuotedPrintable(body.join('\n\n')) };
+            }
+        }
+        return null;
+    });
+}
+
+async function post(baseUrl, route, body) {
+    const response = await fetch(`${baseUrl}${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+test('verification and password reset emails reach the mailbox with working links', async (t) => {
+    const smtpPort = await freePort();
+    const catcher = await startMailCatcher(smtpPort);
+    t.after(() => catcher.stop());
+    const server = await startServer({
+        MAIL_TRANSPORT: 'smtp', SMTP_HOST: 'localhost', SMTP_PORT: String(smtpPort),
+        APP_BASE_URL, NOTIFY_TICK_SEC: '0.2'
+    });
+    t.after(() => server.stop());
+    const email = 'mail.test@example.com';
+
+    assert.equal((await post(server.baseUrl, '/register', { name: 'Mia', email, password: 'Sturdy-pass-123' })).status, 200);
+    const welcome = await nextMail(catcher.dir, 'Welcome to SmartSpend!');
+    assert.equal(welcome.to, email);
+    const verifyLink = new RegExp(`${APP_BASE_URL}/verify-email\\.html\\?token=([\\w-]+)`).exec(welcome.body);
+    assert.ok(verifyLink, 'welcome email carries the verification link');
+    assert.equal((await post(server.baseUrl, '/verify-email', { token: verifyLink[1] })).status, 200);
+
+    assert.equal((await post(server.baseUrl, '/forgot-password', { email })).status, 200);
+    const reset = await nextMail(catcher.dir, 'Reset your SmartSpend password');
+    assert.equal(reset.to, email);
+    const resetLink = new RegExp(`${APP_BASE_URL}/reset-password\\.html\\?token=([\\w-]+)`).exec(reset.body);
+    assert.ok(resetLink, 'reset email carries the reset link');
+    assert.equal((await post(server.baseUrl, '/reset-password', { token: resetLink[1], password: 'Another-pass-456' })).status, 200);
+    assert.equal((await post(server.baseUrl, '/login', { email, password: 'Another-pass-456' })).status, 200);
+});
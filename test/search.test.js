@@ -0,0 +1,27 @@
+// test/search.test.js - GET /search spacing and model numbers, offline through
+// the fixture adapter (fixtures/search)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+test('model numbers match however they are spaced', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const search = async (q) => {
+        const response = await fetch(`${server.baseUrl}/search?q=${encodeURIComponent(q)}`);
+        assert.equal(response.status, 200, `/search?q=${q}`);
+        return (await response.json()).results;
+    };
+
+    const spaced = await search('iPhone 15');
+    const joined = await search('iphone15');
+    assert.ok(joined.length > 0);
+    assert.deepEqual(joined.map(product => product.id), spaced.map(product => product.id));
+    // The phone first, its case after it, and no unrelated "15" listings
+    assert.match(joined[0].title, /^Apple iPhone 15\b/);
+    assert.ok(joined.every(product => /iphone 15/i.test(product.title)));
+
+    const galaxy = await search('galaxy s25ultra');
+    assert.match(galaxy[0].title, /Galaxy S25 Ultra/i);
+});
@@ -0,0 +1,24 @@
+// vision/fakeVision.js - Test double for the vision provider interface
+// Returns canned annotations from fixtures/vision/<name>.json, where <name> is
+// the uploaded file name without extension, falling back to default.json.
+
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURE_DIR = process.env.VISION_FIXTURE_DIR || path.join(__dirname, '..', 'fixtures', 'vision');
+
+module.exports = {
+    name: 'fake',
+
+    async annotate(buffer, { filename } = {}) {
+        const base = path.basename(filename || '', path.extname(filename || ''));
+        const candidates = [base && `${base}.json`, 'default.json'].filter(Boolean);
+        for (const file of candidates) {
+            const fixturePath = path.join(FIXTURE_DIR, file);
+            if (fs.existsSync(fixturePath)) {
+                return JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+            }
+        }
+        return { labels: [], logos: [], text: '' };
+    }
+};
@@ -0,0 +1,31 @@
+// vision/googleVision.js - Label, logo and OCR detection with Google Cloud Vision
+// Needs GOOGLE_APPLICATION_CREDENTIALS (or other ADC) to be configured.
+
+module.exports = {
+    name: 'google',
+
+    createClient() {
+        const vision = require('@google-cloud/vision');
+        return new vision.ImageAnnotatorClient();
+    },
+
+    async annotate(buffer) {
+        this.client = this.client || this.createClient();
+        const [result] = await this.client.annotateImage({
+            image: { content: buffer.toString('base64') },
+            features: [
+                { type: 'LABEL_DETECTION', maxResults: 10 },
+                { type: 'LOGO_DETECTION', maxResults: 3 },
+                { type: 'TEXT_DETECTION' }
+            ]
+        });
+        if (result.error && result.error.message) {
+            throw new Error(result.error.message);
+        }
+        return {
+            labels: (result.labelAnnotations || []).map(label => ({ description: label.description, score: label.score })),
+            logos: (result.logoAnnotations || []).map(logo => logo.description),
+            text: result.fullTextAnnotation ? result.fullTextAnnotation.text : ''
+        };
+    }
+};
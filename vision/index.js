@@ -0,0 +1,53 @@
+// vision/index.js - Optional label/OCR provider for image search
+//
+// A provider exports { name, annotate(buffer, { filename }) } resolving to
+// { labels: [{ description, score }], logos: [string], text: string }.
+// VISION_PROVIDER selects it: google, fake or none (default). Image search
+// works without a provider by relying on the local visual-similarity index.
+
+const PROVIDERS = {
+    google: require('./googleVision'),
+    fake: require('./fakeVision')
+};
+
+const logger = require('../lib/logger').logger.child({ module: 'vision' });
+
+// Labels that describe the photo rather than the product
+const GENERIC_LABELS = new Set([
+    'product', 'font', 'rectangle', 'material property', 'electronic device', 'gadget', 'technology',
+    'communication device', 'portable communications device', 'circle', 'event', 'brand', 'logo',
+    'white', 'black', 'pattern', 'design', 'fashion', 'photography', 'metal', 'plastic'
+]);
+
+function getVisionProvider() {
+    const name = (process.env.VISION_PROVIDER || 'none').trim();
+    if (name === 'none') return null;
+    if (!PROVIDERS[name]) {
+        logger.warn('Unknown VISION_PROVIDER, image labels disabled', { provider: name });
+        return null;
+    }
+    return PROVIDERS[name];
+}
+
+// Builds a short text query from annotations: the logo, model-like words read
+// from the product or packaging, and specific labels only when those two
+// don't already say enough ("Samsung S25" beats "Samsung Mobile phone").
+function deriveQuery({ labels = [], logos = [], text = '' }) {
+    const words = [];
+    const add = (word) => {
+        const clean = word.trim();
+        if (clean && !words.some(w => w.toLowerCase() === clean.toLowerCase())) words.push(clean);
+    };
+
+    logos.slice(0, 1).forEach(add);
+    (text.match(/\b[A-Za-z]*\d+[A-Za-z0-9]*\b/g) || []).slice(0, 1).forEach(add);
+    labels
+        .filter(label => (label.score || 0) >= 0.6 && !GENERIC_LABELS.has(label.description.toLowerCase()))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, Math.max(0, 2 - words.length))
+        .forEach(label => add(label.description));
+
+    return words.join(' ').trim();
+}
+
+module.exports = { getVisionProvider, deriveQuery };